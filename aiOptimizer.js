@@ -0,0 +1,90 @@
+// aiOptimizer.js — AI threshold proposals (/api/ai-optimize) and applying a strategies map (/api/apply-strategies)
+// - the model only proposes: its answer is merged over the current config and must pass validation (known keys/params only)
+// - applying backs up the current file first, then commits through the strategy writer (atomic write + version snapshot)
+import fs from "fs";
+import path from "path";
+import { nowIso } from "./utils.js";
+import { validateStrategiesMap } from "./strategyConfig.js";
+
+export const AI_OPTIMIZER_SYSTEM_PROMPT = [
+  "You tune thresholds for a rule-based live football betting scanner.",
+  "Input: the current strategies config and per-strategy settled performance (win/lose counts, ROI, CLV).",
+  "Loosen thresholds of strategies with good ROI/CLV and enough samples; tighten or disable weak ones.",
+  "Treat strategies with fewer than 20 settled bets as low-confidence and change them only slightly.",
+  "Keep every strategy key and param name exactly as given; only change numbers and enabled flags.",
+  "Answer with ONE JSON object: {\"strategies\": {<key>: {\"label\", \"enabled\", \"params\"}}, \"notes\": [string]}.",
+  "Write notes in Thai, one short sentence per change.",
+].join("\n");
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+// error for a model answer we can't use (the route answers 502)
+function badModelOutput(message, errors = []) {
+  const err = new Error(message);
+  err.code = "BAD_MODEL_OUTPUT";
+  err.errors = errors;
+  return err;
+}
+
+// unchanged strategies may be omitted by the model → keep current values; params merge per name
+export function mergeProposal(current, proposed) {
+  const out = { ...current };
+  for (const [key, st] of Object.entries(proposed || {})) {
+    out[key] =
+      current[key] && isObject(st) ? { ...current[key], ...st, params: { ...(current[key].params || {}), ...(st.params || {}) } } : st;
+  }
+  return out;
+}
+
+/**
+ * - openai: createOpenAIJson client; registry: strategy plugins (param schemas)
+ * - propose({ model, current, performance }) → { model, strategies, notes }
+ *   non-JSON answers (openaiJson), a non-object strategies field and proposals that fail validation
+ *   (unknown keys/params, out-of-range values) throw an Error with code BAD_MODEL_OUTPUT (+ errors)
+ */
+export function createAiOptimizer({ openai, registry = null, systemPrompt = AI_OPTIMIZER_SYSTEM_PROMPT }) {
+  async function propose({ model, current, performance }) {
+    const use = openai.resolveModel(model);
+
+    const answer = await openai.json(
+      [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: JSON.stringify({ strategies: current, performance }) },
+      ],
+      { model: use }
+    );
+    if (!isObject(answer) || (answer.strategies != null && !isObject(answer.strategies))) {
+      throw badModelOutput("AI answer has no strategies object");
+    }
+
+    const strategies = mergeProposal(current, answer.strategies);
+    const errors = validateStrategiesMap(strategies, { registry, known: current });
+    if (errors.length) throw badModelOutput("AI proposal failed validation", errors);
+
+    const notes = Array.isArray(answer.notes) ? answer.notes.map(String) : [];
+    return { model: use, strategies, notes };
+  }
+
+  return { propose };
+}
+
+/**
+ * Apply a whole strategies map: validate → copy the current file to backupDir → commit (atomic write + snapshot)
+ * - commit: createStrategyWriter().commit; stamp names the backup (strategies_<stamp>.json)
+ * → { ok: true, backup, version } | { ok: false, status, message, errors? } (nothing is backed up or written on 400)
+ */
+export function applyStrategies(strategies, { file, backupDir, registry = null, commit, by = "anonymous", stamp = nowIso() }) {
+  const errors = validateStrategiesMap(strategies, { registry });
+  if (errors.length) return { ok: false, status: 400, message: "invalid strategies", errors };
+
+  let backup = null;
+  if (fs.existsSync(file)) {
+    fs.mkdirSync(backupDir, { recursive: true });
+    backup = path.join(backupDir, `strategies_${stamp.replace(/[:.]/g, "-")}.json`);
+    fs.copyFileSync(file, backup);
+  }
+
+  const r = commit(strategies, { by, action: "apply" });
+  if (!r.ok) return r;
+  return { ok: true, backup, version: r.version };
+}
@@ -0,0 +1,404 @@
+// apiFootball.js — API-Football v3 fetcher (x-apisports-key), shared by server.js and settle.js
+// - response cache with per-endpoint TTL + in-flight coalescing (same path+params → one request)
+// - request budget from the quota headers: near the limit, optional calls are refused and
+//   staleOk calls reuse the last cached response instead of hitting the network
+// - per-attempt timeout, jittered exponential retry on 429/5xx/timeouts (Retry-After honored)
+// - circuit breaker: after repeated provider failures calls fail fast (or get stale cache) until a trial succeeds
+// - every failure is an ApiFootballError with a code (see ERROR_CODES)
+export const DEFAULT_API_FOOTBALL_BASE = "https://v3.football.api-sports.io";
+
+// ms; keyed by pathname (fixtures split: live list vs single fixture)
+export const DEFAULT_TTLS = {
+  "/fixtures:live": 15000,
+  "/fixtures": 60000,
+  "/fixtures/statistics": 45000,
+  "/fixtures/events": 30000,
+  "/odds/live": 10000,
+  "/status": 60000,
+  "/timezone": 24 * 3600 * 1000,
+};
+const STALE_MAX_MS = 10 * 60 * 1000; // how long an expired entry may still be served when degraded
+const CACHE_MAX_ENTRIES = 3000;
+
+function cacheKey(pathname, params) {
+  const q = Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+  return `${pathname}?${q}`;
+}
+function ttlKey(pathname, params) {
+  return pathname === "/fixtures" && params?.live ? "/fixtures:live" : pathname;
+}
+function headerNumber(headers, name) {
+  const v = headers?.get?.(name);
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// code → retryable?
+export const ERROR_CODES = {
+  TIMEOUT: true, // no response within timeoutMs
+  NETWORK: true, // DNS / connection reset / fetch failure
+  RATE_LIMITED: true, // HTTP 429 or errors.rateLimit
+  UPSTREAM_5XX: true,
+  AUTH: false, // missing / invalid key (HTTP 401/403 or errors.token)
+  QUOTA_EXCEEDED: false, // provider daily limit reached (errors.requests)
+  PROVIDER_ERROR: false, // 200 with a non-empty errors object
+  HTTP_ERROR: false, // other 4xx
+  BAD_RESPONSE: false, // non-JSON body
+  CIRCUIT_OPEN: false, // breaker open, call not attempted
+  QUOTA_GUARD: false, // refused by our own budget guard
+  CONFIG: false,
+};
+// failures that mean "provider is down" (trip the breaker); 429/auth do not
+const BREAKER_CODES = new Set(["TIMEOUT", "NETWORK", "UPSTREAM_5XX"]);
+
+export class ApiFootballError extends Error {
+  constructor(code, detail, { endpoint = null, status = null, retryAfterMs = null } = {}) {
+    super(`API-Football ${code}${endpoint ? ` ${endpoint}` : ""}: ${detail}`);
+    this.name = "ApiFootballError";
+    this.code = code;
+    this.endpoint = endpoint;
+    this.status = status;
+    this.retryable = ERROR_CODES[code] === true;
+    this.retryAfterMs = retryAfterMs;
+    this.attempts = 0;
+  }
+  toJSON() {
+    return { code: this.code, endpoint: this.endpoint, status: this.status, attempts: this.attempts, message: this.message };
+  }
+}
+
+// Retry-After: seconds or an HTTP date → ms (null if absent/unreadable)
+function parseRetryAfter(headers, nowMs) {
+  const v = headers?.get?.("retry-after");
+  if (v == null || v === "") return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(0, at - nowMs) : null;
+}
+
+// 200 responses can still carry errors: { token: "..." } / { requests: "..." } / { rateLimit: "..." }
+function providerErrorCode(errors) {
+  const keys = Array.isArray(errors) ? [] : Object.keys(errors || {});
+  if (Array.isArray(errors) ? errors.length === 0 : keys.length === 0) return null;
+  const lk = keys.map((k) => k.toLowerCase());
+  if (lk.some((k) => k.includes("token") || k.includes("key"))) return "AUTH";
+  if (lk.includes("ratelimit")) return "RATE_LIMITED";
+  if (lk.includes("requests")) return "QUOTA_EXCEEDED";
+  return "PROVIDER_ERROR";
+}
+
+/**
+ * → async (pathname, params, opts) => json; throws on HTTP / non-JSON errors
+ * opts: { optional, staleOk, fresh }
+ * - optional: refused while the budget is low (e.g. red-card events)
+ * - staleOk: when the budget is low, an expired cached response is reused (e.g. statistics)
+ * - fresh: skip the cache read (response is still cached)
+ * budget: { dailyReserve, minuteReserve, dailyHardFloor } requests kept back from the provider limits
+ * retry: { timeoutMs, retries, baseDelayMs, maxDelayMs, maxRetryAfterMs }
+ * breaker: { threshold (consecutive provider failures), cooldownMs (open → one trial call) }
+ * onBudgetLevel(level, previous): called when the quota headers move the budget level (ok | low | exhausted)
+ */
+export function createApiFootball({
+  key,
+  base = DEFAULT_API_FOOTBALL_BASE,
+  ttls = {},
+  budget = {},
+  retry = {},
+  breaker: breakerOpts = {},
+  now = Date.now,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  random = Math.random,
+  fetchImpl = (...args) => fetch(...args),
+  onBudgetLevel = null,
+} = {}) {
+  const ttlByEndpoint = { ...DEFAULT_TTLS, ...ttls };
+  const dailyReserve = budget.dailyReserve ?? 200;
+  const minuteReserve = budget.minuteReserve ?? 5;
+  const dailyHardFloor = budget.dailyHardFloor ?? 20;
+  const timeoutMs = retry.timeoutMs ?? 8000;
+  const retries = Number.isFinite(retry.retries) ? Math.max(0, Math.floor(retry.retries)) : 2;
+  const baseDelayMs = retry.baseDelayMs ?? 300;
+  const maxDelayMs = retry.maxDelayMs ?? 5000;
+  const maxRetryAfterMs = retry.maxRetryAfterMs ?? 30000;
+  const breakerThreshold = breakerOpts.threshold ?? 5;
+  const breakerCooldownMs = breakerOpts.cooldownMs ?? 30000;
+
+  // closed → open (fail fast) → half-open (one trial) → closed | open
+  const breaker = { state: "closed", failures: 0, openedAt: null, trialInFlight: false, lastError: null };
+
+  const cache = new Map(); // key -> { json, at, expiresAt }
+  const inflight = new Map(); // key -> Promise<json>
+  const quota = {
+    daily: { limit: null, remaining: null, observedAt: null },
+    minute: { limit: null, remaining: null, observedAt: null },
+  };
+  const counters = {
+    network: 0,
+    cacheHits: 0,
+    coalesced: 0,
+    staleServed: 0,
+    refused: 0,
+    errors: 0,
+    retries: 0,
+    timeouts: 0,
+    fastFailed: 0,
+  };
+  const errorsByCode = {};
+  const byEndpoint = {}; // pathname -> network calls today
+  let countersDay = utcDay(now());
+  let lastLevel = "ok"; // budget level at the last quota headers (onBudgetLevel)
+
+  function rollDay() {
+    const day = utcDay(now());
+    if (day === countersDay) return;
+    countersDay = day;
+    for (const k of Object.keys(counters)) counters[k] = 0;
+    for (const k of Object.keys(byEndpoint)) delete byEndpoint[k];
+    for (const k of Object.keys(errorsByCode)) delete errorsByCode[k];
+  }
+
+  function observeQuota(headers) {
+    const t = now();
+    const dLimit = headerNumber(headers, "x-ratelimit-requests-limit");
+    const dRemaining = headerNumber(headers, "x-ratelimit-requests-remaining");
+    if (dRemaining != null) quota.daily = { limit: dLimit, remaining: dRemaining, observedAt: t };
+    const mLimit = headerNumber(headers, "x-ratelimit-limit");
+    const mRemaining = headerNumber(headers, "x-ratelimit-remaining");
+    if (mRemaining != null) quota.minute = { limit: mLimit, remaining: mRemaining, observedAt: t };
+
+    const level = budgetLevel();
+    if (level !== lastLevel) {
+      const previous = lastLevel;
+      lastLevel = level;
+      try {
+        onBudgetLevel?.(level, previous);
+      } catch {
+        // a listener error never fails the request
+      }
+    }
+  }
+
+  // "ok" | "low" | "exhausted" from the last seen headers (daily resets 00:00 UTC, minute after 60s)
+  function budgetLevel() {
+    const t = now();
+    const d = quota.daily.observedAt != null && utcDay(quota.daily.observedAt) === utcDay(t) ? quota.daily.remaining : null;
+    const m = quota.minute.observedAt != null && t - quota.minute.observedAt < 60000 ? quota.minute.remaining : null;
+    if ((d != null && d <= dailyHardFloor) || (m != null && m <= 0)) return "exhausted";
+    if ((d != null && d <= dailyReserve) || (m != null && m <= minuteReserve)) return "low";
+    return "ok";
+  }
+
+  function cacheSet(k, json, ttl) {
+    const t = now();
+    cache.set(k, { json, at: t, expiresAt: t + ttl });
+    if (cache.size > CACHE_MAX_ENTRIES) {
+      for (const [ck, entry] of cache) if (t - entry.expiresAt > STALE_MAX_MS) cache.delete(ck);
+      while (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+    }
+  }
+
+  // breaker gate: true if a network call may go out now (claims the half-open trial slot)
+  function breakerAllows() {
+    if (breaker.state === "closed") return true;
+    if (breaker.state === "open" && now() - breaker.openedAt >= breakerCooldownMs) breaker.state = "half-open";
+    if (breaker.state === "half-open" && !breaker.trialInFlight) {
+      breaker.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+  function breakerResult(err) {
+    const trial = breaker.trialInFlight;
+    breaker.trialInFlight = false;
+    if (!err || !BREAKER_CODES.has(err.code)) {
+      if (!err || trial) {
+        breaker.state = "closed";
+        breaker.failures = 0;
+      }
+      return;
+    }
+    breaker.failures += 1;
+    breaker.lastError = err.message;
+    if (trial || breaker.failures >= breakerThreshold) {
+      breaker.state = "open";
+      breaker.openedAt = now();
+    }
+  }
+
+  async function attemptOnce(pathname, url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    let text;
+    try {
+      res = await fetchImpl(url, {
+        method: "GET",
+        headers: {
+          "x-apisports-key": key,
+          accept: "application/json",
+        },
+        signal: controller.signal,
+      });
+      text = await res.text();
+    } catch (e) {
+      if (controller.signal.aborted) {
+        counters.timeouts += 1;
+        throw new ApiFootballError("TIMEOUT", `no response after ${timeoutMs}ms`, { endpoint: pathname });
+      }
+      throw new ApiFootballError("NETWORK", e?.message || String(e), { endpoint: pathname });
+    } finally {
+      clearTimeout(timer);
+    }
+    observeQuota(res.headers);
+
+    const status = res.status;
+    const info = { endpoint: pathname, status };
+    if (status === 429) {
+      throw new ApiFootballError("RATE_LIMITED", "HTTP 429", { ...info, retryAfterMs: parseRetryAfter(res.headers, now()) });
+    }
+    if (status >= 500) throw new ApiFootballError("UPSTREAM_5XX", `HTTP ${status}`, info);
+    if (status === 401 || status === 403) throw new ApiFootballError("AUTH", `HTTP ${status}`, info);
+
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      throw new ApiFootballError("BAD_RESPONSE", `non-JSON response (${status}): ${text?.slice(0, 200)}`, info);
+    }
+
+    if (!res.ok) {
+      const msg = json?.message || json?.error || JSON.stringify(json?.errors ?? "") || `HTTP ${status}`;
+      throw new ApiFootballError("HTTP_ERROR", msg, info);
+    }
+    const errCode = providerErrorCode(json?.errors);
+    if (errCode) {
+      throw new ApiFootballError(errCode, JSON.stringify(json.errors).slice(0, 200), {
+        ...info,
+        retryAfterMs: errCode === "RATE_LIMITED" ? parseRetryAfter(res.headers, now()) : null,
+      });
+    }
+    return json;
+  }
+
+  // full-jitter exponential backoff; Retry-After wins when longer (null → give up)
+  function retryDelay(attempt, retryAfterMs) {
+    const backoff = random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    if (retryAfterMs == null) return backoff;
+    if (retryAfterMs > maxRetryAfterMs) return null;
+    return Math.max(backoff, retryAfterMs);
+  }
+
+  async function request(pathname, params) {
+    const url = new URL(base + pathname);
+    for (const [k, v] of Object.entries(params)) {
+      if (v !== undefined && v !== null && v !== "") url.searchParams.set(k, String(v));
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      counters.network += 1;
+      byEndpoint[pathname] = (byEndpoint[pathname] || 0) + 1;
+      try {
+        const json = await attemptOnce(pathname, url.toString());
+        breakerResult(null);
+        return json;
+      } catch (e) {
+        e.attempts = attempt + 1;
+        breakerResult(e);
+        if (!e.retryable || attempt >= retries || breaker.state === "open") throw e;
+        const delay = retryDelay(attempt, e.retryAfterMs);
+        if (delay == null) throw e;
+        if (!breakerAllows()) throw e;
+        counters.retries += 1;
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function apiFootball(pathname, params = {}, opts = {}) {
+    if (!key) throw new ApiFootballError("CONFIG", "API_FOOTBALL_KEY is missing in .env", { endpoint: pathname });
+    rollDay();
+
+    const k = cacheKey(pathname, params);
+    const t = now();
+    const cached = cache.get(k);
+    if (cached && !opts.fresh && cached.expiresAt > t) {
+      counters.cacheHits += 1;
+      return cached.json;
+    }
+    if (inflight.has(k)) {
+      counters.coalesced += 1;
+      return inflight.get(k);
+    }
+
+    const staleUsable = cached && t - cached.expiresAt <= STALE_MAX_MS;
+    const level = budgetLevel();
+    if (level !== "ok") {
+      if ((opts.staleOk || level === "exhausted") && staleUsable) {
+        counters.staleServed += 1;
+        return cached.json;
+      }
+      if (opts.optional || level === "exhausted") {
+        counters.refused += 1;
+        throw new ApiFootballError("QUOTA_GUARD", `${level} budget, call skipped`, { endpoint: pathname });
+      }
+    }
+    if (!breakerAllows()) {
+      if (staleUsable) {
+        counters.staleServed += 1;
+        return cached.json;
+      }
+      counters.fastFailed += 1;
+      throw new ApiFootballError("CIRCUIT_OPEN", `provider failing (${breaker.lastError || "?"}), retry after cooldown`, {
+        endpoint: pathname,
+      });
+    }
+
+    const p = request(pathname, params)
+      .then((json) => {
+        cacheSet(k, json, ttlByEndpoint[ttlKey(pathname, params)] ?? 0);
+        return json;
+      })
+      .catch((e) => {
+        counters.errors += 1;
+        errorsByCode[e.code || "UNKNOWN"] = (errorsByCode[e.code || "UNKNOWN"] || 0) + 1;
+        throw e;
+      })
+      .finally(() => inflight.delete(k));
+    inflight.set(k, p);
+    return p;
+  }
+
+  // usage snapshot for /api/football/status
+  apiFootball.usage = () => {
+    rollDay();
+    return {
+      level: budgetLevel(),
+      quota: {
+        daily: { ...quota.daily, observedAt: quota.daily.observedAt ? new Date(quota.daily.observedAt).toISOString() : null },
+        minute: { ...quota.minute, observedAt: quota.minute.observedAt ? new Date(quota.minute.observedAt).toISOString() : null },
+      },
+      budget: { dailyReserve, minuteReserve, dailyHardFloor },
+      today: { day: countersDay, ...counters, errorsByCode: { ...errorsByCode }, byEndpoint: { ...byEndpoint } },
+      breaker: {
+        state: breaker.state,
+        consecutiveFailures: breaker.failures,
+        openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+        retryAt: breaker.state === "open" ? new Date(breaker.openedAt + breakerCooldownMs).toISOString() : null,
+        lastError: breaker.lastError,
+      },
+      retry: { timeoutMs, retries, baseDelayMs, maxDelayMs },
+      cache: { entries: cache.size, inflight: inflight.size, ttlMs: ttlByEndpoint },
+    };
+  };
+
+  return apiFootball;
+}
@@ -0,0 +1,115 @@
+// Backtest CLI – รัน strategies ย้อนหลังบน snapshot ที่บันทึกไว้ (logs/snapshots หรือ Postgres เมื่อ STORAGE=pg) แบบ offline ทั้งหมด
+// - ใช้ pipeline เดียวกับ scan สด (pipeline.js) และกติกาปิดผลเดียวกับ server (settlement.js)
+// - ไม่เรียก API-Football / ไม่เขียน picks / results
+// - --dir อ่านโฟลเดอร์ snapshot นั้นตรง ๆ (ไม่สน STORAGE)
+//
+// npm run backtest -- [--strategies proposed.json] [--dir logs/snapshots] [--fixture 123,456]
+//                     [--from 2026-10-01] [--to 2026-10-19] [--json]
+// -----------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { runBacktest } from "./backtester.js";
+import { loadStrategyRegistry } from "./strategyRegistry.js";
+import { BUILTIN_STRATEGIES } from "./builtinStrategies.js";
+import { createStorage } from "./storage.js";
+import { validateStrategiesMap, strategiesVersion } from "./strategyConfig.js";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const STRATEGIES_FILE = path.join(__dirname, "strategies_current.json");
+const STRATEGIES_DIR = path.join(__dirname, "strategies");
+const LOG_DIR = process.env.LOG_DIR ? path.resolve(process.env.LOG_DIR) : path.join(__dirname, "logs"); // same as server.js
+
+const NEXT_GOAL_NO_GOAL_RULE = String(process.env.NEXT_GOAL_NO_GOAL_RULE || "lose").trim().toLowerCase();
+
+// ---------------- Args ---------------- //
+
+function parseArgs(argv) {
+  const opts = { strategies: STRATEGIES_FILE, dir: null, fixtures: null, from: null, to: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => {
+      const v = argv[++i];
+      if (v == null) throw new Error(`missing value for ${a}`);
+      return v;
+    };
+    if (a === "--strategies") opts.strategies = path.resolve(next());
+    else if (a === "--dir") opts.dir = path.resolve(next());
+    else if (a === "--fixture") opts.fixtures = new Set(next().split(",").map((x) => x.trim()).filter(Boolean));
+    else if (a === "--from") opts.from = next();
+    else if (a === "--to") opts.to = next();
+    else if (a === "--json") opts.json = true;
+    else if (a === "--help" || a === "-h") opts.help = true;
+    else throw new Error(`unknown option ${a}`);
+  }
+  for (const k of ["from", "to"]) {
+    if (opts[k] && !/^\d{4}-\d{2}-\d{2}$/.test(opts[k])) throw new Error(`--${k} must be YYYY-MM-DD`);
+  }
+  return opts;
+}
+
+const pct = (x) => (x == null ? "-" : `${(x * 100).toFixed(1)}%`);
+const num = (x, d = 2) => (x == null ? "-" : Number(x).toFixed(d));
+
+// ---------------- MAIN ---------------- //
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(
+      "usage: node backtest.js [--strategies file.json] [--dir logs/snapshots] [--fixture id[,id]] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--json]"
+    );
+    return;
+  }
+
+  const registry = await loadStrategyRegistry({ builtins: BUILTIN_STRATEGIES, dir: STRATEGIES_DIR });
+  const strategiesMap = JSON.parse(fs.readFileSync(opts.strategies, "utf8"));
+  const errors = validateStrategiesMap(strategiesMap, { registry });
+  if (errors.length) throw new Error(`invalid strategies (${path.basename(opts.strategies)}):\n  ${errors.join("\n  ")}`);
+
+  // --dir → that folder; otherwise the configured storage (STORAGE / DATABASE_URL)
+  const storage = opts.dir ? null : createStorage({ kind: process.env.STORAGE, logDir: LOG_DIR, databaseUrl: process.env.DATABASE_URL });
+  await storage?.init();
+  const report = await runBacktest({
+    dir: opts.dir,
+    store: storage?.snapshots ?? null,
+    strategiesMap,
+    registry,
+    configVersion: strategiesVersion(strategiesMap),
+    noGoalRule: NEXT_GOAL_NO_GOAL_RULE,
+    fixtureIds: opts.fixtures,
+    from: opts.from,
+    to: opts.to,
+  }).finally(() => storage?.close());
+
+  if (opts.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(
+    `📼 ${report.fixtures} fixtures • ${report.snapshots} snapshots • ${report.picks} picks (${report.suppressed} suppressed) • ` +
+      `settled ${report.settled} (config ${report.configVersion})`
+  );
+  if (!report.settled) {
+    console.log(report.fixtures ? "✨ ไม่มี pick ที่ปิดผลได้" : `✨ ไม่พบ snapshot ใน ${opts.dir || (storage.kind === "pg" ? "ตาราง snapshots" : "logs/snapshots")}`);
+  }
+  for (const r of [...report.strategies, report.overall]) {
+    if (!r.bets) continue;
+    console.log(
+      `  ${r.strategy.padEnd(24)} bets ${String(r.bets).padStart(4)}  hit ${pct(r.hitRate).padStart(6)}  ROI ${pct(r.ROI).padStart(7)}` +
+        `  profit ${num(r.profit).padStart(7)}  maxDD ${num(r.maxDrawdown).padStart(6)}  CLV ${r.clvAvg == null ? "-" : `${num(r.clvAvg)}%`}`
+    );
+  }
+  if (report.unsettled.length) console.log(`  ⚠ ปิดผลไม่ได้ ${report.unsettled.length} pick (เช่น ${report.unsettled[0].reason})`);
+}
+
+main().catch((e) => {
+  console.error("❌", e?.message || e);
+  process.exit(1);
+});
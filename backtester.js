@@ -0,0 +1,256 @@
+// backtester.js — replay recorded fixture snapshots through the live pipeline (pipeline.js) and settle with
+// the real final scores (settlement.js); fully offline, the recorded API payloads stand in for API-Football
+//
+// Snapshot files: logs/snapshots/**/*.ndjson, one folder level (the recorder writes <day>/<fixtureId>.ndjson;
+// any split works, records are grouped by fixtureId)
+//   { type: "snapshot", time, fixtureId, minute, fixture, statistics, events, odds, metrics? }
+//       fixture    = /fixtures?live=all entry at that minute
+//       statistics = /fixtures/statistics response[]   events = /fixtures/events response[] | null
+//       odds       = /odds/live response[0] | null
+//   { type: "final", time, fixtureId, fixture, events }   fixture at FT/AET/PEN (+ full event list for NEXT_GOAL)
+import fs from "fs";
+import path from "path";
+import { safeNumber, readNdjson } from "./utils.js";
+import { parseLiveOdds, priceForPick } from "./model.js";
+import { normalizePickRecord, settleFixturePicks } from "./settlement.js";
+import { buildMetricsForFixture, fetchLiveOdds, planStrategies, evaluateFixture } from "./pipeline.js";
+
+// ---------------- Snapshot loading ---------------- //
+
+// → Map(fixtureId -> { snapshots: [...] (time order), final | null })
+export function loadSnapshots(dir, filters = {}) {
+  if (!fs.existsSync(dir)) return new Map();
+
+  const files = [];
+  for (const d of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (d.isFile() && d.name.endsWith(".ndjson")) files.push(path.join(dir, d.name));
+    else if (d.isDirectory()) {
+      for (const f of fs.readdirSync(path.join(dir, d.name))) if (f.endsWith(".ndjson")) files.push(path.join(dir, d.name, f));
+    }
+  }
+  files.sort();
+  return groupSnapshots(files.flatMap((f) => readNdjson(f)), filters);
+}
+
+// snapshot / final records (any order, any source) → the loadSnapshots() map
+export function groupSnapshots(records, { fixtureIds = null, from = null, to = null } = {}) {
+  const byFixture = new Map();
+  for (const r of records) {
+    if (r?.fixtureId == null || (r.type !== "snapshot" && r.type !== "final")) continue;
+    const id = String(r.fixtureId);
+    if (fixtureIds && !fixtureIds.has(id)) continue;
+    if (!byFixture.has(id)) byFixture.set(id, { fixtureId: r.fixtureId, snapshots: [], final: null });
+    const entry = byFixture.get(id);
+    if (r.type === "final") entry.final = r;
+    else entry.snapshots.push(r);
+  }
+
+  for (const [id, entry] of byFixture) {
+    entry.snapshots.sort((a, b) => String(a.time).localeCompare(String(b.time)) || safeNumber(a.minute) - safeNumber(b.minute));
+    const day = String(entry.snapshots[0]?.time || entry.final?.time || "").slice(0, 10);
+    if ((from && day < from) || (to && day > to)) byFixture.delete(id);
+  }
+  return byFixture;
+}
+
+// ---------------- Replay clients ---------------- //
+
+// API-Football stand-in for one recorded minute (same paths the scan calls)
+function snapshotClient(snap) {
+  return async (pathname) => {
+    if (pathname === "/fixtures/statistics") return { response: snap.statistics || [] };
+    if (pathname === "/fixtures/events") return { response: snap.events || [] };
+    if (pathname === "/odds/live") return { response: snap.odds ? [snap.odds] : [] };
+    throw Object.assign(new Error(`not recorded: ${pathname}`), { code: "NOT_RECORDED" });
+  };
+}
+
+// stand-in for settlement: the final fixture (+ events, or the last recorded ones)
+function finalClient(entry) {
+  const last = entry.snapshots.at(-1) || null;
+  const fixture = entry.final?.fixture || last?.fixture || null;
+  const events = entry.final?.events || last?.events || null;
+  return async (pathname) => {
+    if (pathname === "/fixtures") return { response: fixture ? [fixture] : [] };
+    if (pathname === "/fixtures/events") return { response: events };
+    throw Object.assign(new Error(`not recorded: ${pathname}`), { code: "NOT_RECORDED" });
+  };
+}
+
+// ---------------- Report ---------------- //
+
+function emptyRow(fields) {
+  return {
+    ...fields,
+    bets: 0,
+    wins: 0,
+    halfWins: 0,
+    pushes: 0,
+    halfLosses: 0,
+    losses: 0,
+    unpriced: 0, // no entry odds recorded → win profit is 0, ROI understates these
+    stake: 0,
+    profit: 0,
+    clvSum: 0,
+    clvCount: 0,
+    cum: 0,
+    peak: 0,
+    maxDrawdown: 0,
+  };
+}
+
+function addResult(row, r) {
+  row.bets += 1;
+  if (r.outcome === "WIN") row.wins += 1;
+  else if (r.outcome === "HALF_WIN") row.halfWins += 1;
+  else if (r.outcome === "PUSH") row.pushes += 1;
+  else if (r.outcome === "HALF_LOSE") row.halfLosses += 1;
+  else row.losses += 1;
+  if (r.odds_bet == null) row.unpriced += 1;
+  row.stake += safeNumber(r.stake, 1);
+  row.profit += safeNumber(r.profit, 0);
+  if (r.clv != null && Number.isFinite(Number(r.clv))) {
+    row.clvSum += Number(r.clv);
+    row.clvCount += 1;
+  }
+  // drawdown on cumulative profit, results in pick-time order
+  row.cum += safeNumber(r.profit, 0);
+  row.peak = Math.max(row.peak, row.cum);
+  row.maxDrawdown = Math.max(row.maxDrawdown, row.peak - row.cum);
+}
+
+function finalizeRow(row) {
+  const { clvSum, cum, peak, ...rest } = row;
+  const decided = row.bets - row.pushes; // hit rate ignores full pushes; half wins count as hits
+  return {
+    ...rest,
+    profit: Number(row.profit.toFixed(4)),
+    hitRate: decided ? Number(((row.wins + row.halfWins) / decided).toFixed(4)) : null,
+    ROI: row.stake ? Number((row.profit / row.stake).toFixed(4)) : null,
+    maxDrawdown: Number(row.maxDrawdown.toFixed(4)),
+    clvAvg: row.clvCount ? Number((clvSum / row.clvCount).toFixed(4)) : null, // % vs last recorded price
+  };
+}
+
+// settled result records → one report row (e.g. a walk-forward fold)
+export function summarizeResults(results, fields = { strategy: "*all*" }) {
+  const row = emptyRow(fields);
+  for (const r of [...results].sort((a, b) => String(a.ts_pick).localeCompare(String(b.ts_pick)))) addResult(row, r);
+  return finalizeRow(row);
+}
+
+// ---------------- Backtest ---------------- //
+
+/**
+ * Replay + settle every fixture in `dir` (or in `store`)
+ * - strategiesMap / registry / configVersion: the config under test (e.g. a proposed strategies_current.json)
+ * - fixtureIds (Set of strings), from / to (YYYY-MM-DD of the first snapshot): optional filters
+ * - conflicts: resolveConflicts options ({ mode, stakeMult }); earlier picks of the fixture count as open
+ * - store: a snapshot repository (storage.js) to read instead of `dir`
+ * - snapshots: a loadSnapshots() map to replay instead of reading `dir` (optimizer runs many configs on it)
+ * - a strategy fires at most once per fixture and side (first minute it passes), like a bettor would bet it
+ * → { fixtures, snapshots, picks, settled, strategies: [row], overall: row, unsettled: [...], results? }
+ */
+export async function runBacktest({
+  dir,
+  store = null,
+  strategiesMap,
+  registry,
+  configVersion = null,
+  noGoalRule = "lose",
+  fixtureIds = null,
+  from = null,
+  to = null,
+  includeResults = false,
+  snapshots = null,
+  conflicts = {},
+}) {
+  const startedAt = Date.now();
+  const plan = planStrategies(strategiesMap, registry);
+  const data = snapshots || (store ? await store.load({ fixtureIds, from, to }) : loadSnapshots(dir, { fixtureIds, from, to }));
+
+  const results = [];
+  const unsettled = [];
+  const keyByPickId = new Map();
+  let snapshotCount = 0;
+  let pickCount = 0;
+  let suppressedCount = 0;
+
+  for (const entry of data.values()) {
+    const dedupSet = new Set();
+    const records = [];
+    snapshotCount += entry.snapshots.length;
+
+    for (let i = 0; i < entry.snapshots.length; i++) {
+      const snap = entry.snapshots[i];
+      const client = snapshotClient(snap);
+      const odds = fetchLiveOdds(snap.fixture?.fixture?.id ?? entry.fixtureId, client).then(
+        (o) => ({ odds: o, error: null }),
+        (e) => ({ odds: null, error: e?.message || String(e) })
+      );
+      const metrics = await buildMetricsForFixture(snap.fixture, client);
+      const out = await evaluateFixture(metrics, plan, {
+        client,
+        getLiveOdds: () => odds,
+        dedupSet,
+        ts: snap.time,
+        configVersion,
+        openPicks: records.map((r) => r.pick),
+        conflicts,
+      });
+      suppressedCount += out.suppressed.length;
+      for (const { key, pick } of out.picks) {
+        keyByPickId.set(pick.pickId, key);
+        records.push({ time: snap.time, type: "pick", pick, snapIndex: i });
+      }
+    }
+    if (!records.length) continue;
+    pickCount += records.length;
+
+    // closing price = last recorded price after the pick (what the live scan would have captured)
+    const closingByPickId = new Map();
+    for (const rec of records) {
+      for (const snap of entry.snapshots.slice(rec.snapIndex + 1)) {
+        const price = snap.odds ? priceForPick(rec.pick, parseLiveOdds(snap.odds)) : null;
+        if (price) closingByPickId.set(rec.pick.pickId, { odds: price });
+      }
+    }
+
+    const picks = records.map((rec, i) => normalizePickRecord(rec, i));
+    const r = await settleFixturePicks(entry.fixtureId, picks, {
+      client: finalClient(entry),
+      noGoalRule,
+      dryRun: true,
+      closingFor: (pickId) => closingByPickId.get(pickId) || null,
+    });
+    results.push(...r.settled);
+    for (const s of r.skipped) unsettled.push({ fixtureId: entry.fixtureId, pickId: s.pickId, strategy: s.strategy, reason: s.reason });
+  }
+
+  results.sort((a, b) => String(a.ts_pick).localeCompare(String(b.ts_pick)));
+  const rows = new Map();
+  const overall = emptyRow({ strategy: "*all*" });
+  for (const r of results) {
+    const key = keyByPickId.get(r.pickId) || r.strategy;
+    if (!rows.has(key)) rows.set(key, emptyRow({ strategy: key, label: r.strategy }));
+    addResult(rows.get(key), r);
+    addResult(overall, r);
+  }
+
+  const report = {
+    configVersion,
+    noGoalRule,
+    fixtures: data.size,
+    snapshots: snapshotCount,
+    picks: pickCount,
+    suppressed: suppressedCount, // dropped by the conflict resolver (opposing / correlated picks)
+    settled: results.length,
+    strategies: Array.from(rows.values()).map(finalizeRow).sort((a, b) => (b.ROI ?? -Infinity) - (a.ROI ?? -Infinity)),
+    overall: finalizeRow(overall),
+    unsettled,
+    strategyIssues: plan.issues,
+    latencyMs: Date.now() - startedAt,
+  };
+  if (includeResults) report.results = results;
+  return report;
+}
@@ -0,0 +1,179 @@
+// bankroll.js — stake sizing (fractional Kelly + exposure caps) and balance history from the settled results
+//
+// stake = balance * kellyMultiplier * pick.kelly / riskPenaltyMult * correlationMult, then capped (fractions of the balance):
+//   maxPickPct per pick, maxFixturePct per fixture, maxLeaguePct per league and day, maxDailyPct per day (UTC)
+// balance = start + profit of every settled result; exposure = stakes of the day's logged picks (settled or not)
+import { safeNumber } from "./utils.js";
+
+const round2 = (x) => Math.round(x * 100) / 100;
+const dayOf = (ts) => String(ts || "").slice(0, 10);
+
+// pick record (or legacy flat line) → the fields sizing needs
+function stakedPick(rec) {
+  const p = rec?.type === "pick" && rec.pick ? rec.pick : rec;
+  if (!p || typeof p !== "object") return null;
+  return {
+    ts: rec.time || p.ts || p.time || null,
+    fixtureId: p.fixtureId ?? null,
+    league: p.leagueId ?? p.league ?? null,
+    stake: safeNumber(p.stake, 1),
+  };
+}
+
+/**
+ * - mode: "kelly" (sized) | "flat" (every pick stakes flatStake, caps off)
+ * - sizer(now): one scan's sizing session; size(pick) sets pick.stake + pick.sizing and books the exposure,
+ *   so picks of the same scan count against each other's caps
+ * - state(now) → { balance, settledProfit, settledBets, exposure }; history({ limit }) → balance per result + per day
+ * - storage: picks + results repository (storage.js); sizer / state / history are async
+ */
+export function createBankroll({
+  storage,
+  mode = "kelly",
+  start = 100,
+  kellyMultiplier = 0.25,
+  maxPickPct = 0.02,
+  maxFixturePct = 0.04,
+  maxLeaguePct = 0.1,
+  maxDailyPct = 0.25,
+  minStake = 0.1,
+  flatStake = 1,
+} = {}) {
+  const limits = { mode, start, kellyMultiplier, maxPickPct, maxFixturePct, maxLeaguePct, maxDailyPct, minStake, flatStake };
+
+  async function settled() {
+    return (await storage.results.list())
+      .filter((r) => r?.type === "result")
+      .sort((a, b) => String(a.time).localeCompare(String(b.time)));
+  }
+
+  async function exposureFor(day) {
+    const out = { day, total: 0, byFixture: new Map(), byLeague: new Map(), picks: 0 };
+    for (const rec of await storage.picks.list({ day })) {
+      const p = stakedPick(rec);
+      if (!p || dayOf(p.ts) !== day) continue;
+      out.total += p.stake;
+      out.picks += 1;
+      if (p.fixtureId != null) out.byFixture.set(String(p.fixtureId), (out.byFixture.get(String(p.fixtureId)) || 0) + p.stake);
+      if (p.league != null) out.byLeague.set(String(p.league), (out.byLeague.get(String(p.league)) || 0) + p.stake);
+    }
+    return out;
+  }
+
+  async function state(now = new Date()) {
+    const results = await settled();
+    const settledProfit = results.reduce((s, r) => s + safeNumber(r.profit, 0), 0);
+    return {
+      balance: round2(start + settledProfit),
+      settledProfit: round2(settledProfit),
+      settledBets: results.length,
+      exposure: await exposureFor(new Date(now).toISOString().slice(0, 10)),
+    };
+  }
+
+  async function sizer(now = new Date()) {
+    const { balance, exposure } = await state(now);
+
+    function size(pick) {
+      const correlationMult = Math.min(1, Math.max(0, safeNumber(pick.correlationMult, 1))); // conflict resolver (pipeline.js)
+      if (mode === "flat") {
+        pick.stake = round2(flatStake * correlationMult);
+        pick.sizing = { mode, ...(correlationMult < 1 ? { correlationMult } : {}) };
+        return pick;
+      }
+      const fixture = String(pick.fixtureId);
+      const league = String(pick.leagueId ?? pick.league ?? "");
+      const kelly = Math.max(0, safeNumber(pick.kelly, 0));
+      const penalty = Math.max(1, safeNumber(pick.riskPenaltyMult, 1));
+      const raw = Math.max(0, balance) * kellyMultiplier * (kelly / penalty) * correlationMult;
+
+      // tightest cap wins; remaining room per fixture / league / day after this day's earlier picks
+      const caps = [
+        ["pick", balance * maxPickPct],
+        ["fixture", balance * maxFixturePct - (exposure.byFixture.get(fixture) || 0)],
+        ["league", balance * maxLeaguePct - (exposure.byLeague.get(league) || 0)],
+        ["day", balance * maxDailyPct - exposure.total],
+      ];
+      let stake = raw;
+      let capped = null;
+      for (const [name, room] of caps) {
+        if (stake > room) {
+          stake = Math.max(0, room);
+          capped = name;
+        }
+      }
+      stake = round2(stake);
+      if (stake < minStake) stake = 0;
+
+      pick.stake = stake;
+      pick.sizing = {
+        mode,
+        balance,
+        kelly,
+        kellyMultiplier,
+        riskPenaltyMult: penalty,
+        correlationMult,
+        rawStake: round2(raw),
+        capped, // pick | fixture | league | day | null
+        ...(stake === 0 ? { skipped: raw <= 0 ? "no kelly edge" : capped ? `${capped} cap reached` : `below min stake ${minStake}` } : {}),
+      };
+
+      exposure.total += stake;
+      exposure.picks += 1;
+      exposure.byFixture.set(fixture, (exposure.byFixture.get(fixture) || 0) + stake);
+      exposure.byLeague.set(league, (exposure.byLeague.get(league) || 0) + stake);
+      return pick;
+    }
+
+    return { balance, size };
+  }
+
+  // balance after every settled result (settle time order) + one row per day; limit keeps the newest rows
+  async function history({ limit = 500 } = {}) {
+    const rows = [];
+    const byDay = new Map();
+    let balance = start;
+    let peak = start;
+    let maxDrawdown = 0;
+    for (const r of await settled()) {
+      const profit = safeNumber(r.profit, 0);
+      balance += profit;
+      peak = Math.max(peak, balance);
+      maxDrawdown = Math.max(maxDrawdown, peak - balance);
+      rows.push({
+        time: r.time,
+        pickId: r.pickId,
+        fixtureId: r.fixtureId,
+        strategy: r.strategy,
+        outcome: r.outcome,
+        stake: safeNumber(r.stake, 1),
+        profit: round2(profit),
+        balance: round2(balance),
+      });
+      const day = dayOf(r.time);
+      const d = byDay.get(day) || { day, bets: 0, staked: 0, profit: 0, balance: 0 };
+      d.bets += 1;
+      d.staked += safeNumber(r.stake, 1);
+      d.profit += profit;
+      d.balance = balance;
+      byDay.set(day, d);
+    }
+    const daily = Array.from(byDay.values()).map((d) => ({
+      ...d,
+      staked: round2(d.staked),
+      profit: round2(d.profit),
+      balance: round2(d.balance),
+    }));
+    return {
+      start,
+      balance: round2(balance),
+      peak: round2(peak),
+      maxDrawdown: round2(maxDrawdown),
+      settledBets: rows.length,
+      history: limit > 0 ? rows.slice(-limit) : rows,
+      daily,
+    };
+  }
+
+  return { limits, state, sizer, history };
+}
@@ -0,0 +1,257 @@
+// Bench CLI – วัดเวลา POST /api/scan กับ API-Football ปลอมในเครื่อง (ไม่ใช้ key / โควตาจริง)
+// - เปิด fake API-Football (http) ในโปรเซสนี้: N คู่สด, ทุก response หน่วง --latency ms, ทุก ๆ --slow-every คู่ช้าเพิ่ม --slow-ms
+// - รัน server.js เป็นโปรเซสลูกต่อ SCAN_CONCURRENCY แต่ละค่า (logs ไปโฟลเดอร์ชั่วคราว, สแกนครั้งแรกของแต่ละโปรเซส = cache ว่าง)
+// - รายงาน latencyMs, p50/p95 ต่อคู่, timeouts และจำนวน request ที่ยังเข้ามาหลังสแกนจบ (งานของคู่ที่ timeout ต้องหยุด)
+//
+// npm run bench -- [--fixtures 60] [--latency 40] [--concurrency 1,6,12] [--runs 1]
+//                  [--slow-every 0] [--slow-ms 0] [--timeout-ms 15000] [--json]
+// -----------------------------------------------
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ---------------- Args ---------------- //
+
+function parseArgs(argv) {
+  const opts = { fixtures: 60, latency: 40, concurrency: [1, 6, 12], runs: 1, slowEvery: 0, slowMs: 0, timeoutMs: 15000, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => {
+      const v = argv[++i];
+      if (v == null) throw new Error(`missing value for ${a}`);
+      return v;
+    };
+    const int = (min) => Math.max(min, Math.round(Number(next()) || 0));
+    if (a === "--fixtures") opts.fixtures = int(1);
+    else if (a === "--latency") opts.latency = int(0);
+    else if (a === "--concurrency") opts.concurrency = next().split(",").map((x) => Math.max(1, Number(x) || 1));
+    else if (a === "--runs") opts.runs = int(1);
+    else if (a === "--slow-every") opts.slowEvery = int(0);
+    else if (a === "--slow-ms") opts.slowMs = int(0);
+    else if (a === "--timeout-ms") opts.timeoutMs = int(1000);
+    else if (a === "--json") opts.json = true;
+    else if (a === "--help" || a === "-h") opts.help = true;
+    else throw new Error(`unknown option ${a}`);
+  }
+  return opts;
+}
+
+// ---------------- Fake API-Football ---------------- //
+
+function fakeFixture(id) {
+  const minute = 10 + ((id * 7) % 80);
+  return {
+    fixture: { id, status: { short: minute <= 45 ? "1H" : "2H", elapsed: minute } },
+    league: { id: 39 + (id % 5), name: `League ${id % 5}` },
+    teams: { home: { id: id * 10 + 1, name: `Home ${id}` }, away: { id: id * 10 + 2, name: `Away ${id}` } },
+    goals: { home: id % 3, away: id % 2 },
+  };
+}
+
+function fakeStatistics(id) {
+  const side = (teamId, sot, shots, corners) => ({
+    team: { id: teamId },
+    statistics: [
+      { type: "Shots on Goal", value: sot },
+      { type: "Total Shots", value: shots },
+      { type: "Corner Kicks", value: corners },
+      { type: "Red Cards", value: 0 },
+    ],
+  });
+  return [side(id * 10 + 1, id % 8, 3 + (id % 15), id % 9), side(id * 10 + 2, id % 4, 2 + (id % 7), id % 5)];
+}
+
+function fakeOdds(id) {
+  return [
+    {
+      fixture: { id },
+      status: { blocked: false },
+      odds: [
+        { id: 59, name: "Fulltime Result", values: [{ value: "Home", odd: "2.40" }, { value: "Draw", odd: "3.10" }, { value: "Away", odd: "3.30" }] },
+        {
+          id: 33,
+          name: "Asian Handicap",
+          values: [
+            { value: "Home", odd: "1.95", handicap: "-0.25", main: true },
+            { value: "Away", odd: "1.90", handicap: "-0.25", main: true },
+          ],
+        },
+        {
+          id: 36,
+          name: "Over/Under Line",
+          values: [
+            { value: "Over", odd: "1.90", handicap: "2.5", main: true },
+            { value: "Under", odd: "1.90", handicap: "2.5", main: true },
+          ],
+        },
+      ],
+    },
+  ];
+}
+
+function startFakeApi({ fixtures, latency, slowEvery, slowMs }) {
+  const live = Array.from({ length: fixtures }, (_, i) => fakeFixture(i + 1));
+  const counter = { requests: 0 };
+  const server = http.createServer((req, res) => {
+    counter.requests += 1;
+    const u = new URL(req.url, "http://fake");
+    const q = Object.fromEntries(u.searchParams);
+    const id = Number(q.fixture || q.id || 0);
+    let response = [];
+    if (u.pathname === "/fixtures" && q.live) response = live;
+    else if (u.pathname === "/fixtures") response = live.filter((f) => f.fixture.id === id);
+    else if (u.pathname === "/fixtures/statistics") response = fakeStatistics(id);
+    else if (u.pathname === "/odds/live") response = fakeOdds(id);
+    const delay = latency + (slowEvery && id && id % slowEvery === 0 ? slowMs : 0);
+    setTimeout(() => {
+      res.writeHead(200, {
+        "content-type": "application/json",
+        "x-ratelimit-requests-limit": "75000",
+        "x-ratelimit-requests-remaining": "70000",
+        "X-RateLimit-Limit": "3000",
+        "X-RateLimit-Remaining": "2900",
+      });
+      res.end(JSON.stringify({ response }));
+    }, delay);
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve({ server, counter, port: server.address().port })));
+}
+
+// ---------------- Server under test ---------------- //
+
+const freePort = () =>
+  new Promise((resolve) => {
+    const s = http.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+  });
+
+async function startServer({ apiPort, concurrency, timeoutMs, logDir }) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, "server.js")], {
+    cwd: __dirname,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LOG_DIR: logDir,
+      STORAGE: "ndjson",
+      API_FOOTBALL_KEY: "bench",
+      API_FOOTBALL_BASE: `http://127.0.0.1:${apiPort}`,
+      SCAN_CONCURRENCY: String(concurrency),
+      SCAN_FIXTURE_TIMEOUT_MS: String(timeoutMs),
+      AUTO_SCAN: "0",
+      AUTO_SETTLE: "0",
+      RECORD_SNAPSHOTS: "0",
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let stderr = "";
+  child.stderr.on("data", (d) => (stderr += d));
+  await new Promise((resolve, reject) => {
+    const fail = () => reject(new Error(`server.js exited before listening\n${stderr.slice(-2000)}`));
+    child.once("exit", fail);
+    child.stdout.on("data", (d) => {
+      if (String(d).includes("running on port")) {
+        child.off("exit", fail);
+        resolve();
+      }
+    });
+  });
+  const stop = () =>
+    new Promise((resolve) => {
+      if (child.exitCode != null) return resolve();
+      child.once("exit", resolve);
+      child.kill();
+    });
+  return { port, stop };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const median = (xs) => [...xs].sort((a, b) => a - b)[Math.floor((xs.length - 1) / 2)];
+
+async function benchOnce(opts, api, concurrency) {
+  const logDir = fs.mkdtempSync(path.join(os.tmpdir(), "bench-scan-"));
+  const server = await startServer({ apiPort: api.port, concurrency, timeoutMs: opts.timeoutMs, logDir });
+  try {
+    const before = api.counter.requests;
+    const t0 = Date.now();
+    const res = await fetch(`http://127.0.0.1:${server.port}/api/scan`, { method: "POST" });
+    const body = await res.json();
+    const wallMs = Date.now() - t0;
+    if (body.status !== "success") throw new Error(`scan failed: ${body.message || res.status}`);
+    const atResponse = api.counter.requests;
+    await sleep(opts.latency + opts.slowMs + 200); // abandoned fixtures would keep calling the API here
+    const timing = body.risk?.fixtureTiming || {};
+    return {
+      concurrency,
+      wallMs,
+      latencyMs: body.risk?.latencyMs ?? null,
+      p50Ms: timing.p50Ms ?? null,
+      p95Ms: timing.p95Ms ?? null,
+      timeouts: timing.timeouts ?? 0,
+      failed: timing.failed ?? 0,
+      picks: body.totalPicks,
+      apiCalls: atResponse - before,
+      lateCalls: api.counter.requests - atResponse,
+    };
+  } finally {
+    await server.stop();
+    fs.rmSync(logDir, { recursive: true, force: true });
+  }
+}
+
+// ---------------- MAIN ---------------- //
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log(
+      "usage: node benchScan.js [--fixtures 60] [--latency 40] [--concurrency 1,6,12] [--runs 1] [--slow-every 0] [--slow-ms 0] [--timeout-ms 15000] [--json]"
+    );
+    return;
+  }
+
+  const api = await startFakeApi(opts);
+  const rows = [];
+  try {
+    for (const concurrency of opts.concurrency) {
+      const runs = [];
+      for (let i = 0; i < opts.runs; i++) runs.push(await benchOnce(opts, api, concurrency));
+      const row = { ...runs[0] };
+      for (const k of ["wallMs", "latencyMs", "p50Ms", "p95Ms", "apiCalls", "lateCalls"]) row[k] = median(runs.map((r) => r[k]));
+      rows.push(row);
+      if (!opts.json) {
+        console.log(
+          `⏱  concurrency ${String(concurrency).padStart(2)} • scan ${row.latencyMs}ms • per fixture p50 ${row.p50Ms}ms p95 ${row.p95Ms}ms` +
+            ` • timeouts ${row.timeouts} • API calls ${row.apiCalls} (+${row.lateCalls} after the response)`
+        );
+      }
+    }
+  } finally {
+    api.server.close();
+  }
+
+  const summary = {
+    fixtures: opts.fixtures,
+    latencyMs: opts.latency,
+    slowEvery: opts.slowEvery,
+    slowMs: opts.slowMs,
+    timeoutMs: opts.timeoutMs,
+    runs: opts.runs,
+    results: rows,
+  };
+  if (opts.json) console.log(JSON.stringify(summary, null, 2));
+  else if (rows.length > 1) console.log(`🎉 ${rows[0].latencyMs}ms → ${rows.at(-1).latencyMs}ms (${opts.fixtures} fixtures)`);
+}
+
+main().catch((e) => {
+  console.error("❌", e?.message || e);
+  process.exit(1);
+});
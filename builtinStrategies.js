@@ -0,0 +1,238 @@
+// builtinStrategies.js — the strategies that ship with the scanner, as registry plugins (see strategyRegistry.js)
+// - pick strategy: conditions() gates, evaluate() returns pick fields (or reasons when it can't price the pick)
+// - filter: apply() returns a risk penalty for every pick of the fixture
+import { safeNumber, clamp01 } from "./utils.js";
+import { CONDITION_PARAMS, pickParams, evaluateParams, evaluateSideParams, omitParams, SIDE_PARAM_KEYS } from "./conditions.js";
+import { devig, kellyFraction, modelProbs1x2, expectedRemainingGoals, ahExpectedProfit, chooseAsianLine } from "./model.js";
+
+const round4 = (x) => Number(x.toFixed(4));
+
+// tier A = a clear margin, fixed and independent of the minimum thresholds (a minEdge of 0 must not make every pick A);
+// the tierAEdge / tierAEV params override it per strategy
+export const TIER_A_EDGE = 0.1; // value_1x2: model − de-vigged market probability
+export const TIER_A_EV = 0.1; // handicap_pressure_*: expected profit per unit staked
+
+const latePressureGoal = {
+  key: "late_pressure_goal",
+  label: "Late pressure goal (Over)",
+  params: pickParams("minMinute", "maxMinute", "minPressure", "minSOTDiff", "minCornerDiff"),
+  evaluate(metrics) {
+    const maxPressure = Math.max(metrics.pressure.home, metrics.pressure.away);
+    const sotDiff = Math.abs(safeNumber(metrics.shotsOnGoal.home, 0) - safeNumber(metrics.shotsOnGoal.away, 0));
+    const cornerDiff = Math.abs(safeNumber(metrics.corners.home, 0) - safeNumber(metrics.corners.away, 0));
+    const strength = clamp01(0.55 * maxPressure + 0.20 * (sotDiff / 5) + 0.25 * (cornerDiff / 6));
+    return {
+      tier: "A",
+      market: "TOTAL",
+      selection: "OVER",
+      line: 0.5,
+      side: "over",
+      edge: round4(0.02 + 0.10 * strength),
+      kelly: round4(0.01 + 0.08 * strength),
+    };
+  },
+};
+
+// minPressure/minSOT apply to the trailing team only; maxGoalDown via evaluateParams
+const trailingSide = (metrics) => (safeNumber(metrics.score.diff, 0) < 0 ? "home" : "away");
+
+const equalizerPush = {
+  key: "equalizer_push",
+  label: "Equalizer push (next goal, trailing team)",
+  params: pickParams("minMinute", "maxMinute", "maxGoalDown", "minPressure", "minSOT"),
+  conditions(metrics, params, passed) {
+    const reasons = evaluateParams(params, metrics, passed);
+    if (safeNumber(metrics.score.diff, 0) === 0) reasons.push("not trailing (score is level)");
+
+    const trailing = trailingSide(metrics);
+    const trailingPressure = safeNumber(metrics.pressure[trailing], 0);
+    const trailingSOT = safeNumber(metrics.shotsOnGoal[trailing], 0);
+    if (params.minPressure != null && trailingPressure < safeNumber(params.minPressure)) {
+      reasons.push(`trailing pressure < minPressure (${trailingPressure.toFixed(2)} < ${params.minPressure})`);
+    }
+    if (params.minSOT != null && trailingSOT < safeNumber(params.minSOT)) {
+      reasons.push(`trailing SOT < minSOT (${trailingSOT} < ${params.minSOT})`);
+    }
+    return reasons;
+  },
+  evaluate(metrics) {
+    const trailing = trailingSide(metrics);
+    const strength = clamp01(
+      0.60 * safeNumber(metrics.pressure[trailing], 0) + 0.40 * (safeNumber(metrics.shotsOnGoal[trailing], 0) / 6)
+    );
+    return {
+      tier: "A",
+      market: "NEXT_GOAL",
+      selection: trailing.toUpperCase(),
+      side: trailing,
+      edge: round4(0.02 + 0.10 * strength),
+      kelly: round4(0.01 + 0.08 * strength),
+    };
+  },
+};
+
+const underControl = {
+  key: "under_control",
+  label: "Under control (Under)",
+  params: pickParams("minMinute", "maxMinute", "maxTotalShotsSum", "maxSOTSum", "maxXgProxySum"),
+  evaluate(metrics) {
+    const tg = safeNumber(metrics.score.home, 0) + safeNumber(metrics.score.away, 0);
+    const shotsSum = safeNumber(metrics.shotsTotal.home, 0) + safeNumber(metrics.shotsTotal.away, 0);
+    const sotSum = safeNumber(metrics.shotsOnGoal.home, 0) + safeNumber(metrics.shotsOnGoal.away, 0);
+    const xgSum = safeNumber(metrics.xgProxy.home, 0) + safeNumber(metrics.xgProxy.away, 0);
+    const calm = clamp01(1 - clamp01(0.05 * shotsSum + 0.10 * sotSum + 0.35 * xgSum));
+    return {
+      tier: "B",
+      market: "TOTAL",
+      selection: "UNDER",
+      line: tg + 1.5,
+      side: "under",
+      edge: round4(0.01 + 0.06 * calm),
+      kelly: round4(0.005 + 0.05 * calm),
+    };
+  },
+};
+
+const value1x2 = {
+  key: "value_1x2",
+  label: "Value 1X2 (model vs market)",
+  params: {
+    ...pickParams("minMinute", "maxMinute"),
+    minEdge: { type: "number", min: 0, max: 1 },
+    minEV: { type: "number", min: -1, max: 5 },
+    tierAEdge: { type: "number", min: 0, max: 1 },
+  },
+  async evaluate(metrics, params, { getLiveOdds }) {
+    const { odds, error } = await getLiveOdds(metrics.fixtureId);
+    const prices = odds?.oneXTwo;
+    if (!prices) return [error ? `live odds fetch failed: ${error}` : "no live 1X2 odds"];
+
+    const minEdge = safeNumber(params.minEdge, 0);
+    const minEV = safeNumber(params.minEV, 0);
+    const tierAEdge = safeNumber(params.tierAEdge, TIER_A_EDGE);
+    const model = modelProbs1x2(metrics);
+    const [mh, md, ma] = devig([prices.home, prices.draw, prices.away]);
+    const market = { home: mh, draw: md, away: ma };
+
+    // every side is checked against both thresholds; the best EV among the sides that pass is picked
+    const reasons = [];
+    let best = null;
+    for (const side of ["home", "draw", "away"]) {
+      const edge = model[side] - market[side];
+      const ev = model[side] * prices[side] - 1;
+      const failed = [];
+      if (edge < minEdge) failed.push(`edge < minEdge (${side} ${edge.toFixed(4)} < ${minEdge})`);
+      if (ev < minEV) failed.push(`EV < minEV (${side} ${ev.toFixed(4)} < ${minEV})`);
+      if (failed.length) reasons.push(...failed);
+      else if (!best || ev > best.ev) best = { side, edge, ev };
+    }
+    if (!best) return reasons;
+
+    return {
+      tier: best.edge >= tierAEdge ? "A" : "B",
+      market: "1X2",
+      selection: best.side.toUpperCase(),
+      side: best.side,
+      odds: prices[best.side],
+      modelProb: round4(model[best.side]),
+      marketProb: round4(market[best.side]),
+      ev: round4(best.ev),
+      edge: round4(best.edge),
+      kelly: round4(kellyFraction(model[best.side], prices[best.side])),
+    };
+  },
+};
+
+// Live Asian handicap on one side; pressure/SOT/deficit are checked for that side (evaluateSideParams)
+function handicapPressure(side) {
+  return {
+    key: `handicap_pressure_${side}`,
+    label: `Handicap ${side} pressure (Live AH)`,
+    params: {
+      ...pickParams("minMinute", "maxMinute", "minPressure", "minSOTDiff", "maxGoalDown"),
+      minSOTDiff: { ...CONDITION_PARAMS.minSOTDiff, min: -30 }, // side diff can be negative
+      minEV: { type: "number", min: -1, max: 5 },
+      tierAEV: { type: "number", min: 0, max: 5 },
+    },
+    conditions(metrics, params, passed) {
+      return [
+        ...evaluateParams(omitParams(params, SIDE_PARAM_KEYS), metrics, passed),
+        ...evaluateSideParams(params, metrics, side, passed),
+      ];
+    },
+    async evaluate(metrics, params, { getLiveOdds }) {
+      const { odds, error } = await getLiveOdds(metrics.fixtureId);
+      const ah = chooseAsianLine(odds?.asianHandicap);
+      if (!ah) return [error ? `live odds fetch failed: ${error}` : "no live AH odds"];
+
+      const line = side === "home" ? ah.line : -ah.line;
+      const price = ah[side];
+      const [mh, ma] = devig([ah.home, ah.away]);
+      const marketProb = side === "home" ? mh : ma;
+      const ev = ahExpectedProfit(expectedRemainingGoals(metrics), side, line, price);
+      const modelProb = (ev + 1) / price; // win-equivalent probability at this price
+
+      // never emit a negative-EV line, even when the config has no minEV (like value_1x2)
+      const minEV = safeNumber(params.minEV, 0);
+      if (ev <= 0 || ev < minEV) {
+        return [`EV < minEV (${ev.toFixed(4)} < ${minEV})`];
+      }
+      return {
+        tier: ev >= safeNumber(params.tierAEV, TIER_A_EV) ? "A" : "B",
+        market: "HANDICAP",
+        selection: side.toUpperCase(),
+        side,
+        line,
+        odds: price,
+        modelProb: round4(modelProb),
+        marketProb: round4(marketProb),
+        ev: round4(ev),
+        edge: round4(modelProb - marketProb),
+        kelly: round4(kellyFraction(modelProb, price)),
+      };
+    },
+  };
+}
+
+const redcardFilter = {
+  key: "redcard_filter",
+  label: "Red card filter (risk penalty)",
+  kind: "filter",
+  params: { penalty: { type: "number", min: 1, max: 5 } },
+  async apply(metrics, params, { client }) {
+    const penalty = safeNumber(params.penalty, 1.0);
+    const redStats = safeNumber(metrics?.cards?.red?.home, 0) + safeNumber(metrics?.cards?.red?.away, 0);
+    const notes = [];
+
+    let redByEvents = null;
+    try {
+      const ev = await client("/fixtures/events", { fixture: metrics.fixtureId }, { optional: true });
+      const arr = Array.isArray(ev?.response) ? ev.response : [];
+      redByEvents = arr.some((e) => {
+        const type = String(e?.type || "").toLowerCase();
+        const detail = String(e?.detail || "").toLowerCase();
+        return type === "card" && (detail.includes("red") || detail.includes("second yellow"));
+      });
+    } catch (e) {
+      redByEvents = null;
+      if (e?.code === "QUOTA_GUARD") notes.push("events skipped (API quota low) → red cards from stats only");
+    }
+
+    if (redByEvents === true || redStats > 0) {
+      notes.push(`red card detected → risk penalty x${penalty}`);
+      return { penaltyMult: Math.max(1.0, penalty), notes };
+    }
+    notes.push("no red card detected");
+    return { penaltyMult: 1.0, notes };
+  },
+};
+
+export const BUILTIN_STRATEGIES = [
+  value1x2,
+  latePressureGoal,
+  equalizerPush,
+  underControl,
+  handicapPressure("home"),
+  handicapPressure("away"),
+  redcardFilter,
+];
@@ -0,0 +1,139 @@
+// conditions.js — generic strategy param checks (minMinute, minPressure, ...) + their param schema
+import { safeNumber } from "./utils.js";
+
+// Schema of the params evaluateParams understands; strategies pick the ones they use via pickParams()
+// { type: "number" | "integer", min?, max? }
+export const CONDITION_PARAMS = {
+  minMinute: { type: "integer", min: 0, max: 130 },
+  maxMinute: { type: "integer", min: 0, max: 130 },
+  minPressure: { type: "number", min: 0, max: 1 },
+  minSOTDiff: { type: "number", min: 0, max: 30 },
+  minSOT: { type: "number", min: 0, max: 30 },
+  minCornerDiff: { type: "number", min: 0, max: 30 },
+  maxTotalShotsSum: { type: "number", min: 0, max: 100 },
+  maxSOTSum: { type: "number", min: 0, max: 50 },
+  maxXgProxySum: { type: "number", min: 0, max: 20 },
+  maxGoalDown: { type: "integer", min: 0, max: 10 },
+};
+
+export function pickParams(...names) {
+  const out = {};
+  for (const n of names) {
+    if (!CONDITION_PARAMS[n]) throw new Error(`unknown condition param: ${n}`);
+    out[n] = CONDITION_PARAMS[n];
+  }
+  return out;
+}
+
+// - passed (optional array) collects the conditions that were met, e.g. for pick explanations
+export function evaluateParams(params, metrics, passed = null) {
+  const reasons = [];
+  const p = params || {};
+  const ok = (msg) => {
+    if (passed) passed.push(msg);
+  };
+
+  if (p.minMinute != null) {
+    if (metrics.minute < safeNumber(p.minMinute)) reasons.push(`minute < minMinute (${metrics.minute} < ${p.minMinute})`);
+    else ok(`minute >= minMinute (${metrics.minute} >= ${p.minMinute})`);
+  }
+  if (p.maxMinute != null) {
+    if (metrics.minute > safeNumber(p.maxMinute)) reasons.push(`minute > maxMinute (${metrics.minute} > ${p.maxMinute})`);
+    else ok(`minute <= maxMinute (${metrics.minute} <= ${p.maxMinute})`);
+  }
+
+  if (p.minPressure != null) {
+    const maxPressure = Math.max(safeNumber(metrics.pressure.home, 0), safeNumber(metrics.pressure.away, 0));
+    if (maxPressure < safeNumber(p.minPressure)) {
+      reasons.push(`pressure < minPressure (${maxPressure.toFixed(2)} < ${p.minPressure})`);
+    } else ok(`pressure >= minPressure (${maxPressure.toFixed(2)} >= ${p.minPressure})`);
+  }
+
+  if (p.minSOTDiff != null) {
+    const diff = Math.abs(safeNumber(metrics.shotsOnGoal.home, 0) - safeNumber(metrics.shotsOnGoal.away, 0));
+    if (diff < safeNumber(p.minSOTDiff)) {
+      reasons.push(`SOT diff < minSOTDiff (${diff} < ${p.minSOTDiff})`);
+    } else ok(`SOT diff >= minSOTDiff (${diff} >= ${p.minSOTDiff})`);
+  }
+  if (p.minSOT != null) {
+    const mx = Math.max(safeNumber(metrics.shotsOnGoal.home, 0), safeNumber(metrics.shotsOnGoal.away, 0));
+    if (mx < safeNumber(p.minSOT)) {
+      reasons.push(`SOT < minSOT (${mx} < ${p.minSOT})`);
+    } else ok(`SOT >= minSOT (${mx} >= ${p.minSOT})`);
+  }
+
+  if (p.minCornerDiff != null) {
+    const diff = Math.abs(safeNumber(metrics.corners.home, 0) - safeNumber(metrics.corners.away, 0));
+    if (diff < safeNumber(p.minCornerDiff)) {
+      reasons.push(`corner diff < minCornerDiff (${diff} < ${p.minCornerDiff})`);
+    } else ok(`corner diff >= minCornerDiff (${diff} >= ${p.minCornerDiff})`);
+  }
+
+  if (p.maxTotalShotsSum != null) {
+    const sum = safeNumber(metrics.shotsTotal.home, 0) + safeNumber(metrics.shotsTotal.away, 0);
+    if (sum > safeNumber(p.maxTotalShotsSum)) {
+      reasons.push(`total shots sum > maxTotalShotsSum (${sum} > ${p.maxTotalShotsSum})`);
+    } else ok(`total shots sum <= maxTotalShotsSum (${sum} <= ${p.maxTotalShotsSum})`);
+  }
+  if (p.maxSOTSum != null) {
+    const sum = safeNumber(metrics.shotsOnGoal.home, 0) + safeNumber(metrics.shotsOnGoal.away, 0);
+    if (sum > safeNumber(p.maxSOTSum)) {
+      reasons.push(`SOT sum > maxSOTSum (${sum} > ${p.maxSOTSum})`);
+    } else ok(`SOT sum <= maxSOTSum (${sum} <= ${p.maxSOTSum})`);
+  }
+  if (p.maxXgProxySum != null) {
+    const sum = safeNumber(metrics.xgProxy.home, 0) + safeNumber(metrics.xgProxy.away, 0);
+    if (sum > safeNumber(p.maxXgProxySum)) {
+      reasons.push(`xG proxy sum > maxXgProxySum (${sum.toFixed(2)} > ${p.maxXgProxySum})`);
+    } else ok(`xG proxy sum <= maxXgProxySum (${sum.toFixed(2)} <= ${p.maxXgProxySum})`);
+  }
+
+  if (p.maxGoalDown != null) {
+    const absDiff = Math.abs(safeNumber(metrics.score.diff, 0));
+    if (absDiff > safeNumber(p.maxGoalDown)) {
+      reasons.push(`goal diff > maxGoalDown (${absDiff} > ${p.maxGoalDown})`);
+    } else ok(`goal diff <= maxGoalDown (${absDiff} <= ${p.maxGoalDown})`);
+  }
+
+  return reasons;
+}
+
+// Side-specific checks for one-team strategies (handicap): uses the pressure/SOT/deficit of `side`
+// instead of the max/abs values that evaluateParams looks at
+export const SIDE_PARAM_KEYS = ["minPressure", "minSOTDiff", "maxGoalDown"];
+
+export function omitParams(params, keys) {
+  const out = { ...(params || {}) };
+  for (const k of keys) delete out[k];
+  return out;
+}
+
+export function evaluateSideParams(params, metrics, side, passed = null) {
+  const reasons = [];
+  const p = params || {};
+  const other = side === "home" ? "away" : "home";
+  const ok = (msg) => {
+    if (passed) passed.push(msg);
+  };
+
+  if (p.minPressure != null) {
+    const pressure = safeNumber(metrics.pressure[side], 0);
+    if (pressure < safeNumber(p.minPressure)) {
+      reasons.push(`${side} pressure < minPressure (${pressure.toFixed(2)} < ${p.minPressure})`);
+    } else ok(`${side} pressure >= minPressure (${pressure.toFixed(2)} >= ${p.minPressure})`);
+  }
+  if (p.minSOTDiff != null) {
+    const diff = safeNumber(metrics.shotsOnGoal[side], 0) - safeNumber(metrics.shotsOnGoal[other], 0);
+    if (diff < safeNumber(p.minSOTDiff)) {
+      reasons.push(`${side} SOT diff < minSOTDiff (${diff} < ${p.minSOTDiff})`);
+    } else ok(`${side} SOT diff >= minSOTDiff (${diff} >= ${p.minSOTDiff})`);
+  }
+  if (p.maxGoalDown != null) {
+    const down = safeNumber(metrics.score[other], 0) - safeNumber(metrics.score[side], 0);
+    if (down > safeNumber(p.maxGoalDown)) {
+      reasons.push(`${side} goals down > maxGoalDown (${down} > ${p.maxGoalDown})`);
+    } else ok(`${side} goals down <= maxGoalDown (${down} <= ${p.maxGoalDown})`);
+  }
+
+  return reasons;
+}
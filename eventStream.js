@@ -0,0 +1,100 @@
+// eventStream.js — Server-Sent Events hub behind GET /api/stream (live picks, scan status, settled results, quota)
+//
+// Every event gets an id "<boot>-<seq>" and the last bufferSize events are kept, so a reconnecting client
+// (EventSource sends Last-Event-ID by itself) gets what it missed. An id from an earlier boot (server restarted)
+// or older than the buffer replays the whole buffer with gap: true on "stream.ready" — the client should reload
+// its state over REST. A fresh connection (no id) gets no replay.
+export const STREAM_EVENTS = ["pick.new", "scan.completed", "result.settled", "quota.warning"];
+
+const MAX_BUFFERED_BYTES = 1024 * 1024; // a client this far behind is dropped (it reconnects and replays)
+
+/**
+ * - publish(type, data) → event { id, type, time, data }; data is sent as the JSON `data:` line
+ * - subscribe(req, res, { lastEventId, types }): SSE response + replay; types = Set of event names | null (all)
+ * - status() → { clients, buffered, published, lastEventId }
+ */
+export function createEventStream({
+  bufferSize = 500,
+  heartbeatMs = 25000,
+  retryMs = 3000,
+  now = () => Date.now(),
+  timers = { setInterval, clearInterval },
+} = {}) {
+  const boot = now().toString(36);
+  const buffer = [];
+  const clients = new Set(); // { res, types }
+  const state = { published: 0, dropped: 0 };
+  let seq = 0;
+  let heartbeat = null;
+
+  const frame = (ev) => `id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev.data ?? null)}\n\n`;
+
+  function send(client, text) {
+    if (client.res.writableLength > MAX_BUFFERED_BYTES) {
+      state.dropped += 1;
+      client.res.end();
+      return drop(client);
+    }
+    client.res.write(text);
+  }
+
+  function drop(client) {
+    clients.delete(client);
+    if (!clients.size && heartbeat) {
+      timers.clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  }
+
+  function publish(type, data) {
+    seq += 1;
+    const ev = { id: `${boot}-${seq}`, seq, type, time: new Date(now()).toISOString(), data };
+    buffer.push(ev);
+    if (buffer.length > bufferSize) buffer.shift();
+    state.published += 1;
+    const text = frame(ev);
+    for (const c of clients) if (!c.types || c.types.has(type)) send(c, text);
+    return ev;
+  }
+
+  // events after lastEventId → { events, gap }
+  function since(lastEventId) {
+    if (!lastEventId) return { events: [], gap: false };
+    const [idBoot, idSeq] = String(lastEventId).split("-");
+    const n = Number(idSeq);
+    if (idBoot !== boot || !Number.isInteger(n)) return { events: buffer.slice(), gap: true };
+    const oldest = buffer[0]?.seq ?? seq + 1;
+    return { events: buffer.filter((ev) => ev.seq > n), gap: n < oldest - 1 };
+  }
+
+  function subscribe(req, res, { lastEventId = null, types = null } = {}) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no", // nginx: don't buffer the stream
+    });
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const client = { res, types };
+    const { events, gap } = since(lastEventId);
+    const replay = events.filter((ev) => !types || types.has(ev.type));
+    for (const ev of replay) res.write(frame(ev));
+    // no id: doesn't move the client's Last-Event-ID
+    res.write(`event: stream.ready\ndata: ${JSON.stringify({ replayed: replay.length, gap, lastEventId: buffer.at(-1)?.id ?? null })}\n\n`);
+
+    clients.add(client);
+    if (!heartbeat) {
+      heartbeat = timers.setInterval(() => {
+        for (const c of clients) send(c, ": ping\n\n");
+      }, heartbeatMs);
+      heartbeat.unref?.();
+    }
+    req.on("close", () => drop(client));
+    return () => drop(client);
+  }
+
+  const status = () => ({ clients: clients.size, buffered: buffer.length, bufferSize, ...state, lastEventId: buffer.at(-1)?.id ?? null });
+
+  return { publish, subscribe, status };
+}
@@ -0,0 +1,131 @@
+// Import CLI – คัดลอก logs/*.ndjson (picks, results, snapshots) เข้า Postgres ครั้งเดียว ก่อนเปลี่ยนเป็น STORAGE=pg
+// - ต้องมี DATABASE_URL; สร้างตาราง + index ให้ถ้ายังไม่มี (storage.js)
+// - ตารางที่มีข้อมูลอยู่แล้วจะถูกข้าม (กันนำเข้าซ้ำ) เว้นแต่ใส่ --replace (ลบข้อมูลเดิมในตารางนั้นก่อน)
+// - ไม่แก้ไฟล์ NDJSON เดิม; --dry-run แค่นับจำนวน record (ไม่ต่อ Postgres)
+//
+// npm run import-ndjson -- [--only picks,results,snapshots] [--dir logs] [--replace] [--batch 200] [--dry-run]
+// -----------------------------------------------
+
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { createNdjsonStorage, createPgStorage } from "./storage.js";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const LOG_DIR = process.env.LOG_DIR ? path.resolve(process.env.LOG_DIR) : path.join(__dirname, "logs"); // same as server.js
+const TABLES = ["picks", "results", "snapshots"];
+
+// ---------------- Args ---------------- //
+
+function parseArgs(argv) {
+  const opts = { only: TABLES, dir: LOG_DIR, replace: false, batch: 200, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => {
+      const v = argv[++i];
+      if (v == null) throw new Error(`missing value for ${a}`);
+      return v;
+    };
+    if (a === "--only") opts.only = next().split(",").map((x) => x.trim()).filter(Boolean);
+    else if (a === "--dir") opts.dir = path.resolve(next());
+    else if (a === "--replace") opts.replace = true;
+    else if (a === "--batch") opts.batch = Math.max(1, Math.min(1000, Number(next()) || 1));
+    else if (a === "--dry-run") opts.dryRun = true;
+    else if (a === "--help" || a === "-h") opts.help = true;
+    else throw new Error(`unknown option ${a}`);
+  }
+  const bad = opts.only.filter((t) => !TABLES.includes(t));
+  if (bad.length) throw new Error(`--only: unknown table ${bad.join(", ")} (use ${TABLES.join(", ")})`);
+  return opts;
+}
+
+const chunks = (arr, n) => Array.from({ length: Math.ceil(arr.length / n) }, (_, i) => arr.slice(i * n, (i + 1) * n));
+
+// ---------------- Import ---------------- //
+
+/**
+ * Copy the NDJSON records into a Postgres repository (both from storage.js)
+ * - source: createNdjsonStorage(...); target: createPgStorage(...) after init(), null with dryRun
+ * - tables that already have rows are skipped unless replace (then cleared first)
+ * → { [table]: { records, skipped?, replaced? } }
+ */
+export async function importNdjson({ source, target, only = TABLES, replace = false, batch = 200, dryRun = false, log = console.log }) {
+  const out = {};
+  const existing = target && !dryRun ? await target.status() : {};
+
+  for (const table of only) {
+    if (existing[table] && !replace) {
+      log(`⏭  ${table}: มีข้อมูลใน Postgres แล้ว ${existing[table]} แถว → ข้าม (ใช้ --replace เพื่อนำเข้าใหม่)`);
+      out[table] = { records: 0, skipped: existing[table] };
+      continue;
+    }
+
+    // snapshots go in per fixture (day = day of the first snapshot, like the recorder's folders)
+    let groups;
+    if (table === "snapshots") {
+      groups = Array.from((await source.snapshots.load()).values(), (e) => ({
+        day: String(e.snapshots[0]?.time || e.final?.time || "").slice(0, 10),
+        records: [...e.snapshots, ...(e.final ? [e.final] : [])],
+      }));
+    } else {
+      groups = [{ day: null, records: await source[table].list() }];
+    }
+    const total = groups.reduce((n, g) => n + g.records.length, 0);
+    if (dryRun) {
+      log(`🔎 ${table}: ${total} records (dry-run)`);
+      out[table] = { records: total };
+      continue;
+    }
+
+    if (existing[table]) await target[table].clear();
+    const t0 = Date.now();
+    for (const g of groups) {
+      for (const part of chunks(g.records, batch)) {
+        if (table === "snapshots") await target.snapshots.appendMany(g.day, part);
+        else await target[table].appendMany(part);
+      }
+    }
+    log(`✅ ${table}: ${total} records → Postgres (${Date.now() - t0}ms)${existing[table] ? ` แทนที่ ${existing[table]} แถวเดิม` : ""}`);
+    out[table] = { records: total, ...(existing[table] ? { replaced: existing[table] } : {}) };
+  }
+  return out;
+}
+
+// ---------------- MAIN ---------------- //
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log("usage: node importNdjson.js [--only picks,results,snapshots] [--dir logs] [--replace] [--batch 200] [--dry-run]");
+    return;
+  }
+  if (!process.env.DATABASE_URL && !opts.dryRun) {
+    console.error("❌ ERROR: ไม่พบ DATABASE_URL ในไฟล์ .env");
+    process.exit(1);
+  }
+
+  const source = createNdjsonStorage({ logDir: opts.dir });
+  const target = opts.dryRun ? null : createPgStorage({ connectionString: process.env.DATABASE_URL });
+  try {
+    await target?.init();
+    await importNdjson({ source, target, only: opts.only, replace: opts.replace, batch: opts.batch, dryRun: opts.dryRun });
+
+    if (!opts.dryRun) {
+      const st = await target.status();
+      console.log(`🎉 picks ${st.picks} • results ${st.results} • snapshots ${st.snapshots} — ตั้ง STORAGE=pg แล้วรีสตาร์ท server`);
+    }
+  } finally {
+    await target?.close();
+  }
+}
+
+// run as a CLI only (test/storage.test.js imports importNdjson)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((e) => {
+    console.error("❌", e?.message || e);
+    process.exit(1);
+  });
+}
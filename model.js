@@ -0,0 +1,167 @@
+// model.js — live odds parsing/pricing and the in-play goal model (shared by the scan and strategies)
+import { safeNumber, clamp01 } from "./utils.js";
+import { splitAsianLine } from "./settlement.js";
+
+// ===== Live Odds (/odds/live) =====
+export function toOdd(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 1 ? n : null;
+}
+
+// Parse one /odds/live response entry into the markets we trade:
+// - oneXTwo: { home, draw, away } decimal prices (null if not offered)
+// - asianHandicap: [{ line, home, away, main }] with line from the HOME perspective
+// - totals: [{ line, over, under, main }]
+export function parseLiveOdds(entry) {
+  const out = { oneXTwo: null, asianHandicap: [], totals: [], blocked: !!entry?.status?.blocked };
+  const bets = Array.isArray(entry?.odds) ? entry.odds : [];
+
+  for (const bet of bets) {
+    const name = String(bet?.name || "").toLowerCase();
+    const all = Array.isArray(bet?.values) ? bet.values : [];
+    const values = all.filter((v) => !v?.suspended);
+
+    if (name === "fulltime result" || name === "match winner" || name === "1x2") {
+      const pick = (label) => toOdd(values.find((v) => String(v?.value).toLowerCase() === label)?.odd);
+      const home = pick("home");
+      const draw = pick("draw");
+      const away = pick("away");
+      if (home && draw && away) out.oneXTwo = { home, draw, away };
+      continue;
+    }
+
+    if (name === "asian handicap") {
+      // values come in Home/Away pairs; some feeds repeat the home line on the away value
+      for (let i = 0; i + 1 < all.length; i += 2) {
+        const h = all[i];
+        const a = all[i + 1];
+        if (String(h?.value).toLowerCase() !== "home" || String(a?.value).toLowerCase() !== "away") continue;
+        if (h?.suspended || a?.suspended) continue;
+        const line = Number(h?.handicap);
+        const home = toOdd(h?.odd);
+        const away = toOdd(a?.odd);
+        if (!Number.isFinite(line) || !home || !away) continue;
+        out.asianHandicap.push({ line, home, away, main: h?.main === true || a?.main === true });
+      }
+      continue;
+    }
+
+    if (name === "over/under line" || name === "over/under" || name === "match goals") {
+      const byLine = new Map();
+      for (const v of values) {
+        const line = Number(v?.handicap);
+        const odd = toOdd(v?.odd);
+        const sel = String(v?.value || "").toLowerCase();
+        if (!Number.isFinite(line) || !odd) continue;
+        if (!byLine.has(line)) byLine.set(line, { line, over: null, under: null, main: false });
+        const row = byLine.get(line);
+        if (sel.startsWith("over")) row.over = odd;
+        if (sel.startsWith("under")) row.under = odd;
+        if (v?.main === true) row.main = true;
+      }
+      for (const row of byLine.values()) if (row.over && row.under) out.totals.push(row);
+    }
+  }
+
+  return out;
+}
+
+// Remove the bookmaker margin: implied probabilities normalized to sum to 1
+export function devig(prices) {
+  const implied = prices.map((o) => 1 / o);
+  const sum = implied.reduce((a, b) => a + b, 0);
+  return implied.map((p) => p / sum);
+}
+
+export function kellyFraction(prob, odds) {
+  if (!Number.isFinite(odds) || odds <= 1) return 0;
+  return clamp01((prob * odds - 1) / (odds - 1));
+}
+
+// Current price of the market/selection/line a pick was taken on (null if not offered now)
+export function priceForPick(pick, odds) {
+  if (!pick || !odds) return null;
+  const market = String(pick.market || "").toUpperCase();
+  const side = String(pick.side || pick.selection || "").toLowerCase();
+  const line = Number(pick.line);
+
+  if (market === "1X2") return odds.oneXTwo?.[side] ?? null;
+  if (market === "HANDICAP" && (side === "home" || side === "away")) {
+    const row = odds.asianHandicap.find((r) => (side === "home" ? r.line : -r.line) === line);
+    return row ? row[side] : null;
+  }
+  if (market === "TOTAL" && (side === "over" || side === "under")) {
+    const row = odds.totals.find((r) => r.line === line);
+    return row ? row[side] : null;
+  }
+  return null;
+}
+
+// ===== Goal Model (in-play Poisson on remaining time) =====
+export const BASE_TEAM_GOALS_90 = 1.35;
+
+// Expected goals for the rest of the match per team, scaled by live pressure and xG proxy
+export function expectedRemainingGoals(metrics) {
+  const remaining = Math.max(0, 90 - safeNumber(metrics?.minute, 0)) / 90;
+  const rate = (side) =>
+    BASE_TEAM_GOALS_90 *
+    (0.7 + 0.6 * safeNumber(metrics?.pressure?.[side], 0) + 0.4 * safeNumber(metrics?.xgProxy?.[side], 0));
+  return { home: remaining * rate("home"), away: remaining * rate("away") };
+}
+
+export function poissonPmf(lambda, maxGoals = 10) {
+  const out = [];
+  let p = Math.exp(-lambda);
+  for (let k = 0; k <= maxGoals; k++) {
+    out.push(p);
+    p = (p * lambda) / (k + 1);
+  }
+  return out;
+}
+
+// Joint distribution of remaining goals → callback(homeGoals, awayGoals, prob)
+export function forEachRemainingScore(lambdas, fn) {
+  const ph = poissonPmf(lambdas.home);
+  const pa = poissonPmf(lambdas.away);
+  for (let i = 0; i < ph.length; i++) {
+    for (let j = 0; j < pa.length; j++) fn(i, j, ph[i] * pa[j]);
+  }
+}
+
+// Full-time 1X2 probabilities given the current score difference (home - away)
+export function modelProbs1x2(metrics) {
+  const diff = safeNumber(metrics?.score?.diff, 0);
+  const probs = { home: 0, draw: 0, away: 0 };
+  forEachRemainingScore(expectedRemainingGoals(metrics), (i, j, p) => {
+    const d = diff + i - j;
+    if (d > 0) probs.home += p;
+    else if (d < 0) probs.away += p;
+    else probs.draw += p;
+  });
+  const sum = probs.home + probs.draw + probs.away;
+  return { home: probs.home / sum, draw: probs.draw / sum, away: probs.away / sum };
+}
+
+// Expected profit per 1 unit on a live AH (settled on goals scored after the pick)
+export function ahExpectedProfit(lambdas, side, line, odds) {
+  const parts = splitAsianLine(line);
+  let ev = 0;
+  forEachRemainingScore(lambdas, (i, j, p) => {
+    const margin = side === "home" ? i - j : j - i;
+    let r = 0;
+    for (const part of parts) {
+      const x = margin + part;
+      r += x > 0 ? odds - 1 : x < 0 ? -1 : 0;
+    }
+    ev += p * (r / parts.length);
+  });
+  return ev;
+}
+
+// Prefer the bookmaker's main line, otherwise the most balanced pair of prices
+export function chooseAsianLine(lines) {
+  if (!Array.isArray(lines) || !lines.length) return null;
+  const main = lines.find((l) => l.main);
+  if (main) return main;
+  return lines.slice().sort((a, b) => Math.abs(a.home - a.away) - Math.abs(b.home - b.away))[0];
+}
@@ -0,0 +1,50 @@
+// openaiJson.js — OpenAI chat completions that must answer with one JSON object (/api/ai-optimize, /api/explain/pick)
+// - baseURL points the client at another server (OPENAI_BASE_URL: a local mock / the test stub)
+// - callers may only pick a model from the allow-list (default model + OPENAI_ALLOWED_MODELS)
+import OpenAI from "openai";
+
+/**
+ * - json(messages, { model, temperature }) → parsed object; API errors throw, non-JSON content throws code BAD_MODEL_OUTPUT
+ * - resolveModel(requested) → requested model if allowed, the default when empty; otherwise an Error with code BAD_REQUEST
+ * - models: allowed model names (default first)
+ */
+export function createOpenAIJson({ apiKey, baseURL, model = "gpt-4.1-mini", allowedModels = [], maxRetries = 2, timeoutMs = 60000 } = {}) {
+  const models = [...new Set([model, ...allowedModels].map((m) => String(m || "").trim()).filter(Boolean))];
+  let client = null;
+
+  function getClient() {
+    if (!apiKey) throw new Error("OPENAI_API_KEY is missing in .env");
+    if (!client) client = new OpenAI({ apiKey, baseURL, maxRetries, timeout: timeoutMs });
+    return client;
+  }
+
+  function resolveModel(requested) {
+    const name = String(requested ?? "").trim();
+    if (!name) return model;
+    if (!models.includes(name)) {
+      const err = new Error(`model not allowed: ${name} (allowed: ${models.join(", ")})`);
+      err.code = "BAD_REQUEST";
+      throw err;
+    }
+    return name;
+  }
+
+  async function json(messages, { model: useModel = model, temperature = 0.2 } = {}) {
+    const completion = await getClient().chat.completions.create({
+      model: useModel,
+      temperature,
+      response_format: { type: "json_object" },
+      messages,
+    });
+    const text = completion?.choices?.[0]?.message?.content || "";
+    try {
+      return JSON.parse(text);
+    } catch {
+      const err = new Error(`OpenAI returned non-JSON content: ${text.slice(0, 200)}`);
+      err.code = "BAD_MODEL_OUTPUT";
+      throw err;
+    }
+  }
+
+  return { json, resolveModel, models };
+}
@@ -0,0 +1,173 @@
+// Optimize CLI – grid search + walk-forward ของ params สูตรเดียว บน snapshot ที่บันทึกไว้ (optimizer.js)
+// - snapshot จาก STORAGE (logs/snapshots หรือ Postgres); --dir อ่านโฟลเดอร์นั้นตรง ๆ
+// - ไม่แก้ strategies_current.json เอง: ได้ข้อเสนอ (diff) / เขียนไฟล์ข้อเสนอด้วย --out แล้วค่อย backtest / apply
+//
+// npm run optimize -- --strategy late_pressure_goal --param minPressure=0.5:0.75:0.05 --param minSOTDiff=1:4
+//                     [--param minCornerDiff=1,2,3] [--folds 4] [--min-bets 20] [--dd-weight 0.5]
+//                     [--strategies file.json] [--dir logs/snapshots] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+//                     [--top 10] [--out proposed.json] [--json]
+// -----------------------------------------------
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { runOptimizer } from "./optimizer.js";
+import { loadStrategyRegistry } from "./strategyRegistry.js";
+import { BUILTIN_STRATEGIES } from "./builtinStrategies.js";
+import { createStorage } from "./storage.js";
+import { validateStrategiesMap } from "./strategyConfig.js";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const STRATEGIES_FILE = path.join(__dirname, "strategies_current.json");
+const STRATEGIES_DIR = path.join(__dirname, "strategies");
+const LOG_DIR = process.env.LOG_DIR ? path.resolve(process.env.LOG_DIR) : path.join(__dirname, "logs"); // same as server.js
+
+const NEXT_GOAL_NO_GOAL_RULE = String(process.env.NEXT_GOAL_NO_GOAL_RULE || "lose").trim().toLowerCase();
+
+// ---------------- Args ---------------- //
+
+// "0.5:0.75:0.05" → { min, max, step } ; "1,2,3" → [1, 2, 3] ; "true,false" → [true, false]
+function parseParamSpec(arg) {
+  const m = /^([A-Za-z0-9_]+)=(.+)$/.exec(arg);
+  if (!m) throw new Error(`--param must look like name=min:max[:step] or name=v1,v2 (got "${arg}")`);
+  const [, name, spec] = m;
+  const toValue = (s) => (s === "true" ? true : s === "false" ? false : Number(s));
+  if (spec.includes(":")) {
+    const [min, max, step] = spec.split(":").map(Number);
+    return [name, step == null ? { min, max } : { min, max, step }];
+  }
+  return [name, spec.split(",").map((s) => toValue(s.trim()))];
+}
+
+function parseArgs(argv) {
+  const opts = {
+    strategies: STRATEGIES_FILE,
+    dir: null,
+    strategy: null,
+    grid: {},
+    folds: 4,
+    minBets: 20,
+    drawdownWeight: 0.5,
+    from: null,
+    to: null,
+    top: 10,
+    out: null,
+    json: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => {
+      const v = argv[++i];
+      if (v == null) throw new Error(`missing value for ${a}`);
+      return v;
+    };
+    if (a === "--strategy") opts.strategy = next();
+    else if (a === "--param") {
+      const [name, spec] = parseParamSpec(next());
+      opts.grid[name] = spec;
+    } else if (a === "--folds") opts.folds = Number(next());
+    else if (a === "--min-bets") opts.minBets = Number(next());
+    else if (a === "--dd-weight") opts.drawdownWeight = Number(next());
+    else if (a === "--strategies") opts.strategies = path.resolve(next());
+    else if (a === "--dir") opts.dir = path.resolve(next());
+    else if (a === "--from") opts.from = next();
+    else if (a === "--to") opts.to = next();
+    else if (a === "--top") opts.top = Number(next());
+    else if (a === "--out") opts.out = path.resolve(next());
+    else if (a === "--json") opts.json = true;
+    else if (a === "--help" || a === "-h") opts.help = true;
+    else throw new Error(`unknown option ${a}`);
+  }
+  for (const k of ["from", "to"]) {
+    if (opts[k] && !/^\d{4}-\d{2}-\d{2}$/.test(opts[k])) throw new Error(`--${k} must be YYYY-MM-DD`);
+  }
+  for (const [k, flag] of [["minBets", "--min-bets"], ["drawdownWeight", "--dd-weight"], ["top", "--top"]]) {
+    if (!Number.isFinite(opts[k]) || opts[k] < 0) throw new Error(`${flag} must be a number >= 0`);
+  }
+  return opts;
+}
+
+const pct = (x) => (x == null ? "-" : `${(x * 100).toFixed(1)}%`);
+const num = (x, d = 2) => (x == null ? "-" : Number(x).toFixed(d));
+
+// ---------------- MAIN ---------------- //
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help || !opts.strategy) {
+    console.log(
+      "usage: node optimize.js --strategy key --param name=min:max[:step] [--param name=v1,v2] [--folds 4] [--min-bets 20]\n" +
+        "                        [--dd-weight 0.5] [--strategies file.json] [--dir logs/snapshots] [--from YYYY-MM-DD]\n" +
+        "                        [--to YYYY-MM-DD] [--top 10] [--out proposed.json] [--json]"
+    );
+    if (!opts.help) process.exitCode = 1;
+    return;
+  }
+
+  const registry = await loadStrategyRegistry({ builtins: BUILTIN_STRATEGIES, dir: STRATEGIES_DIR });
+  const strategiesMap = JSON.parse(fs.readFileSync(opts.strategies, "utf8"));
+  const errors = validateStrategiesMap(strategiesMap, { registry });
+  if (errors.length) throw new Error(`invalid strategies (${path.basename(opts.strategies)}):\n  ${errors.join("\n  ")}`);
+
+  const storage = opts.dir ? null : createStorage({ kind: process.env.STORAGE, logDir: LOG_DIR, databaseUrl: process.env.DATABASE_URL });
+  await storage?.init();
+  const result = await runOptimizer({
+    dir: opts.dir,
+    store: storage?.snapshots ?? null,
+    strategiesMap,
+    registry,
+    key: opts.strategy,
+    grid: opts.grid,
+    folds: opts.folds,
+    minBets: opts.minBets,
+    drawdownWeight: opts.drawdownWeight,
+    noGoalRule: NEXT_GOAL_NO_GOAL_RULE,
+    from: opts.from,
+    to: opts.to,
+    top: opts.top,
+  }).finally(() => storage?.close());
+
+  if (opts.out) fs.writeFileSync(opts.out, JSON.stringify(result.suggestions.strategies, null, 2) + "\n");
+
+  if (opts.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  console.log(
+    `🔬 ${result.strategy}: ${result.candidatesTested} candidates • ${result.fixtures} fixtures • ${result.folds} walk-forward folds ` +
+      `(min ${result.minBets} bets in selection ${result.split.selection.from}..${result.split.selection.to}, ` +
+      `holdout ${result.split.holdout.from}..${result.split.holdout.to})`
+  );
+  for (const c of result.candidates) {
+    const o = c.selection;
+    const changed = Object.entries(c.params)
+      .filter(([p, v]) => v !== result.current.params[p])
+      .map(([p, v]) => `${p}=${v}`)
+      .join(" ");
+    console.log(
+      `  #${String(c.rank).padStart(2)} score ${num(c.score, 4).padStart(7)}  bets ${String(o.bets).padStart(4)}  ROI ${pct(o.ROI).padStart(7)}` +
+        `  maxDD ${num(o.maxDrawdown).padStart(6)}  holdout ROI ${pct(c.holdout.ROI).padStart(7)} (${c.holdout.bets})  folds+ ${c.foldsPositive}/${result.folds}  ${c.current ? "(current)" : changed}` +
+        (c.eligible ? "" : "  ⚠ sample")
+    );
+  }
+  for (const w of result.walkForward) {
+    console.log(
+      `  fold ${w.fold}: train ${w.train.from}..${w.train.to} → test ${w.test.from}..${w.test.to}` +
+        `  chosen ROI ${pct(w.test_chosen.ROI)} (${w.test_chosen.bets})  current ROI ${pct(w.test_current.ROI)} (${w.test_current.bets})`
+    );
+  }
+  console.log("");
+  for (const n of result.suggestions.notes) console.log(`  • ${n}`);
+  for (const d of result.diff) console.log(`  ${d.path}: ${d.from} → ${d.to}`);
+  if (opts.out) console.log(`💾 ข้อเสนอ → ${path.relative(process.cwd(), opts.out)} (npm run backtest -- --strategies ${path.relative(process.cwd(), opts.out)})`);
+}
+
+main().catch((e) => {
+  console.error("❌", e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,295 @@
+// optimizer.js — grid search over one strategy's params on recorded snapshots, ranked walk-forward
+//
+// Every candidate (current params + one grid point) is replayed with runBacktest on the same snapshot set.
+// Fixtures are ordered by kick-off recording time and cut into folds+1 chunks:
+// - selection = chunks 0..folds-1: candidates are ranked on it (this is in-sample for the ranking)
+// - holdout = the last chunk: the proposal must also beat the current params there, on games it was not picked on
+// - walk-forward: fold i picks the best candidate on chunks < i and tests it on chunk i (reported next to the
+//   current params on the same test chunks 1..folds)
+//
+// score = (profit - drawdownWeight * maxDrawdown) / (stake + minBets)
+//   → ROI shrunk towards 0 for small samples, minus a drawdown penalty; candidates under minBets rank last
+import { loadSnapshots, runBacktest, summarizeResults } from "./backtester.js";
+import { paramErrors } from "./strategyRegistry.js";
+import { diffStrategies, strategiesVersion } from "./strategyConfig.js";
+
+export const MAX_GRID_CANDIDATES = 400;
+
+const decimalsOf = (x) => (String(x).split(".")[1] || "").length;
+
+/**
+ * Grid spec → axes: { minPressure: { min: 0.5, max: 0.75, step: 0.05 }, minSOTDiff: [1, 2, 3, 4] }
+ * - ranges step by 1 unless given; every value is checked against the plugin schema
+ * → { axes: [{ param, values }], size, errors }
+ */
+export function expandGrid(schema, grid) {
+  const errors = [];
+  const axes = [];
+  if (!grid || typeof grid !== "object" || Array.isArray(grid) || !Object.keys(grid).length) {
+    return { axes, size: 0, errors: ["grid must be an object with at least one param"] };
+  }
+
+  for (const [param, spec] of Object.entries(grid)) {
+    const def = schema[param];
+    if (!def) {
+      errors.push(`grid.${param}: unknown param`);
+      continue;
+    }
+    let values;
+    if (Array.isArray(spec)) values = spec;
+    else if (spec && typeof spec === "object") {
+      const { min, max } = spec;
+      const step = spec.step ?? 1;
+      if (![min, max, step].every((v) => typeof v === "number" && Number.isFinite(v))) {
+        errors.push(`grid.${param}: range needs numeric min, max and step`);
+        continue;
+      }
+      if (step <= 0 || min > max) {
+        errors.push(`grid.${param}: need step > 0 and min <= max`);
+        continue;
+      }
+      const n = Math.floor((max - min) / step + 1e-9) + 1;
+      if (n > MAX_GRID_CANDIDATES) {
+        errors.push(`grid.${param}: more than ${MAX_GRID_CANDIDATES} values`);
+        continue;
+      }
+      const d = Math.max(decimalsOf(min), decimalsOf(step));
+      values = Array.from({ length: n }, (_, i) => Number((min + i * step).toFixed(d)));
+    } else {
+      errors.push(`grid.${param}: must be a list of values or { min, max, step }`);
+      continue;
+    }
+
+    values = [...new Set(values)];
+    if (!values.length) {
+      errors.push(`grid.${param}: no values`);
+      continue;
+    }
+    const bad = [];
+    for (const v of values) for (const e of paramErrors(schema, { [param]: v })) bad.push(`grid.${e.slice("params.".length)} (${v})`);
+    if (bad.length) errors.push(...bad);
+    else axes.push({ param, values });
+  }
+
+  const size = axes.reduce((n, a) => n * a.values.length, axes.length ? 1 : 0);
+  if (size > MAX_GRID_CANDIDATES) errors.push(`grid has ${size} combinations (max ${MAX_GRID_CANDIDATES})`);
+  return { axes, size, errors };
+}
+
+function* combinations(axes, i = 0, acc = {}) {
+  if (i === axes.length) {
+    yield { ...acc };
+    return;
+  }
+  for (const v of axes[i].values) yield* combinations(axes, i + 1, { ...acc, [axes[i].param]: v });
+}
+
+function scoreRow(row, { minBets, drawdownWeight }) {
+  if (!row.bets) return null;
+  return Number(((row.profit - drawdownWeight * row.maxDrawdown) / (row.stake + minBets)).toFixed(4));
+}
+
+// how far a candidate moves from the current params (ties go to the smaller change)
+function distanceFrom(current, params) {
+  let d = 0;
+  for (const [p, v] of Object.entries(params)) {
+    if (v === current[p]) continue;
+    d += typeof v === "number" && typeof current[p] === "number" ? 1 + Math.abs(v - current[p]) / (Math.abs(current[p]) || 1) : 2;
+  }
+  return Number(d.toFixed(4));
+}
+
+const sameParams = (a, b) => JSON.stringify(Object.entries(a).sort()) === JSON.stringify(Object.entries(b).sort());
+
+// fixtures in recording order → folds+1 chunks of (almost) equal size: [[fixtureId, ...], ...]
+function chronologicalChunks(snapshots, count) {
+  const ids = Array.from(snapshots.values())
+    .map((e) => ({ id: String(e.fixtureId), time: String(e.snapshots[0]?.time || e.final?.time || "") }))
+    .sort((a, b) => a.time.localeCompare(b.time) || a.id.localeCompare(b.id));
+  const chunks = [];
+  for (let i = 0; i < count; i++) {
+    const part = ids.slice(Math.floor((i * ids.length) / count), Math.floor(((i + 1) * ids.length) / count));
+    chunks.push({ ids: new Set(part.map((x) => x.id)), from: part[0]?.time.slice(0, 10) || null, to: part.at(-1)?.time.slice(0, 10) || null });
+  }
+  return chunks;
+}
+
+const pct = (x) => (x == null ? "-" : `${(x * 100).toFixed(1)}%`);
+
+/**
+ * Walk-forward grid search for one strategy
+ * - dir or store (snapshot repository, storage.js): the recorded fixtures to replay
+ * - strategiesMap: active config (other strategies keep their values; filters stay applied)
+ * - key + grid: strategy and param ranges (expandGrid); folds: walk-forward test folds (chunks = folds + 1)
+ * - minBets: selection bets a candidate needs to be proposed; drawdownWeight: score penalty
+ * → { strategy, candidates (ranked), current, best, walkForward, suggestions: { strategies, notes }, currentStrategies, diff }
+ *   suggestions has the /api/ai-optimize shape, so ai_optimizer.html renders and applies it the same way
+ */
+export async function runOptimizer({
+  dir,
+  store = null,
+  strategiesMap,
+  registry,
+  key,
+  grid,
+  folds = 4,
+  minBets = 20,
+  drawdownWeight = 0.5,
+  noGoalRule = "lose",
+  from = null,
+  to = null,
+  top = 20,
+}) {
+  const startedAt = Date.now();
+  const plugin = registry.get(key);
+  if (!strategiesMap?.[key]) throw Object.assign(new Error(`${key}: not in the strategies config`), { code: "BAD_REQUEST" });
+  if (!plugin || plugin.kind === "filter") {
+    throw Object.assign(new Error(`${key}: no pick strategy registered`), { code: "BAD_REQUEST" });
+  }
+  if (!Number.isInteger(folds) || folds < 1 || folds > 10) throw Object.assign(new Error("folds must be 1-10"), { code: "BAD_REQUEST" });
+
+  const { axes, errors } = expandGrid(plugin.params, grid);
+  if (errors.length) throw Object.assign(new Error(`invalid grid: ${errors.join("; ")}`), { code: "BAD_REQUEST", errors });
+
+  const snapshots = store ? await store.load({ from, to }) : loadSnapshots(dir, { from, to });
+  if (snapshots.size < folds + 1) {
+    throw Object.assign(new Error(`need at least ${folds + 1} recorded fixtures for ${folds} fold(s), found ${snapshots.size}`), {
+      code: "BAD_REQUEST",
+    });
+  }
+  const chunks = chronologicalChunks(snapshots, folds + 1);
+  const chunkOf = new Map();
+  chunks.forEach((c, i) => c.ids.forEach((id) => chunkOf.set(id, i)));
+
+  // only the tuned strategy (+ filters) runs; the others don't change its picks
+  const base = {};
+  for (const [k, st] of Object.entries(strategiesMap)) if (registry.get(k)?.kind === "filter") base[k] = st;
+  const currentParams = strategiesMap[key].params || {};
+  const opts = { minBets, drawdownWeight };
+
+  const paramSets = [currentParams];
+  for (const combo of combinations(axes)) {
+    const params = { ...currentParams, ...combo };
+    if (!paramSets.some((p) => sameParams(p, params))) paramSets.push(params);
+  }
+
+  const candidates = [];
+  for (const params of paramSets) {
+    const report = await runBacktest({
+      strategiesMap: { ...base, [key]: { ...strategiesMap[key], enabled: true, params } },
+      registry,
+      noGoalRule,
+      snapshots,
+      includeResults: true,
+    });
+    const byChunk = chunks.map(() => []);
+    for (const r of report.results) byChunk[chunkOf.get(String(r.fixtureId)) ?? 0].push(r);
+    const selection = summarizeResults(byChunk.slice(0, folds).flat(), { strategy: key });
+    const holdout = summarizeResults(byChunk[folds], { strategy: key });
+    candidates.push({
+      params,
+      current: params === currentParams,
+      distance: distanceFrom(currentParams, params),
+      byChunk,
+      selection,
+      holdout,
+      testChunks: summarizeResults(byChunk.slice(1).flat(), { strategy: key }), // fixed params on the walk-forward test chunks
+      all: summarizeResults(report.results, { strategy: key }),
+      foldsPositive: byChunk.slice(1).filter((rs) => rs.length && rs.reduce((s, r) => s + r.profit, 0) > 0).length,
+      score: scoreRow(selection, opts),
+      holdoutScore: scoreRow(holdout, opts),
+      eligible: selection.bets >= minBets,
+    });
+  }
+
+  // walk-forward: the candidate with the best score on chunks < i, then measured on chunk i
+  const walkForward = [];
+  const selected = [];
+  for (let i = 1; i <= folds; i++) {
+    let chosen = null;
+    for (const c of candidates) {
+      const train = summarizeResults(c.byChunk.slice(0, i).flat(), { strategy: key });
+      const s = scoreRow(train, opts) ?? -Infinity;
+      if (!chosen || s > chosen.trainScore || (s === chosen.trainScore && c.distance < chosen.c.distance)) {
+        chosen = { c, train, trainScore: s };
+      }
+    }
+    const current = candidates[0];
+    selected.push(...chosen.c.byChunk[i]);
+    walkForward.push({
+      fold: i,
+      train: { from: chunks[0].from, to: chunks[i - 1].to, fixtures: chunks.slice(0, i).reduce((n, c) => n + c.ids.size, 0) },
+      test: { from: chunks[i].from, to: chunks[i].to, fixtures: chunks[i].ids.size },
+      chosenParams: chosen.c.params,
+      trainScore: Number.isFinite(chosen.trainScore) ? chosen.trainScore : null,
+      test_chosen: summarizeResults(chosen.c.byChunk[i], { strategy: key }),
+      test_current: summarizeResults(current.byChunk[i], { strategy: key }),
+    });
+  }
+  const walkForwardTotal = summarizeResults(selected, { strategy: key });
+
+  const ranked = [...candidates].sort(
+    (a, b) =>
+      Number(b.eligible) - Number(a.eligible) ||
+      (b.score ?? -Infinity) - (a.score ?? -Infinity) ||
+      a.distance - b.distance ||
+      b.selection.bets - a.selection.bets
+  );
+  const current = candidates[0];
+  const best = ranked[0];
+  // no holdout bets = no holdout profit: the proposal has to earn more than the current params there
+  const holdoutOf = (c) => c.holdoutScore ?? 0;
+  const winsSelection = best.eligible && !best.current && (best.score ?? -Infinity) > (current.score ?? -Infinity);
+  const improves = winsSelection && holdoutOf(best) > holdoutOf(current);
+
+  const proposed = { ...strategiesMap };
+  const notes = [];
+  if (improves) {
+    proposed[key] = { ...strategiesMap[key], params: best.params };
+    const changes = Object.keys(best.params)
+      .filter((p) => best.params[p] !== currentParams[p])
+      .map((p) => `${p} ${currentParams[p]} → ${best.params[p]}`);
+    notes.push(
+      `${key}: ${changes.join(", ")} (holdout ROI ${pct(current.holdout.ROI)} → ${pct(best.holdout.ROI)}, ` +
+        `bets ${current.holdout.bets} → ${best.holdout.bets}; selection ROI ${pct(current.selection.ROI)} → ${pct(best.selection.ROI)}, ` +
+        `maxDD ${current.selection.maxDrawdown} → ${best.selection.maxDrawdown})`
+    );
+    if (best.holdout.ROI < 0) notes.push(`${key}: ROI ช่วง holdout ยังติดลบแม้ใช้ค่าที่ดีที่สุดในกริด – พิจารณาปิดสูตรนี้`);
+  } else if (winsSelection) {
+    notes.push(
+      `${key}: ค่าที่ดีที่สุดในช่วงเลือก ไม่ชนะค่าปัจจุบันบนช่วง holdout (ROI ${pct(best.holdout.ROI)} เทียบ ${pct(current.holdout.ROI)}) → คงค่าเดิม`
+    );
+  } else {
+    notes.push(`${key}: ไม่พบชุดค่าที่ดีกว่าค่าปัจจุบัน (ต้องมีอย่างน้อย ${minBets} bets ในช่วงเลือก) → คงค่าเดิม`);
+  }
+  notes.push(
+    `walk-forward ${folds} fold: เลือกค่าจากช่วงก่อนหน้าแล้วทดสอบช่วงถัดไป ได้ ROI ${pct(walkForwardTotal.ROI)} ` +
+      `(${walkForwardTotal.bets} bets) เทียบค่าปัจจุบันบนช่วงทดสอบเดียวกัน ${pct(current.testChunks.ROI)} (${current.testChunks.bets} bets)`
+  );
+  if (!strategiesMap[key].enabled) notes.push(`${key} ปิดอยู่ (enabled=false) – ผลทดสอบคิดแบบเปิดใช้งาน`);
+
+  const view = ({ byChunk, ...c }, rank) => ({ rank, ...c });
+  return {
+    strategy: key,
+    grid: Object.fromEntries(axes.map((a) => [a.param, a.values])),
+    folds,
+    minBets,
+    drawdownWeight,
+    fixtures: snapshots.size,
+    candidatesTested: candidates.length,
+    split: {
+      selection: { from: chunks[0].from, to: chunks[folds - 1].to, fixtures: chunks.slice(0, folds).reduce((n, c) => n + c.ids.size, 0) },
+      holdout: { from: chunks[folds].from, to: chunks[folds].to, fixtures: chunks[folds].ids.size },
+    },
+    current: view(current, ranked.indexOf(current) + 1),
+    best: improves ? view(best, 1) : null,
+    candidates: ranked.slice(0, top).map((c, i) => view(c, i + 1)),
+    walkForward,
+    walkForwardTotal,
+    suggestions: { strategies: proposed, notes },
+    currentStrategies: strategiesMap,
+    proposedVersion: strategiesVersion(proposed),
+    diff: diffStrategies(strategiesMap, proposed),
+    latencyMs: Date.now() - startedAt,
+  };
+}
@@ -0,0 +1,368 @@
+// pipeline.js — fixture → metrics → strategies → picks (live scan in server.js and the backtester share it)
+import { nowIso, safeNumber, clamp01 } from "./utils.js";
+import { makePickId } from "./settlement.js";
+import { parseLiveOdds, priceForPick } from "./model.js";
+import { evaluateParams } from "./conditions.js";
+
+// ===== Stats Extraction =====
+function extractBasicStats(statsResponseArray, homeTeamId, awayTeamId) {
+  if (!Array.isArray(statsResponseArray)) return null;
+
+  const byTeamId = new Map();
+  for (const entry of statsResponseArray) {
+    const tid = entry?.team?.id;
+    const stats = entry?.statistics;
+    if (tid && Array.isArray(stats)) byTeamId.set(tid, stats);
+  }
+
+  const homeStats = byTeamId.get(homeTeamId) || null;
+  const awayStats = byTeamId.get(awayTeamId) || null;
+
+  const pull = (statsArr, typeName) => {
+    if (!Array.isArray(statsArr)) return null;
+    const found = statsArr.find((s) => String(s?.type).toLowerCase() === String(typeName).toLowerCase());
+    let v = found?.value;
+    if (typeof v === "string") v = v.replace("%", "").trim();
+    if (v === null || v === undefined || v === "") return null;
+    if (typeof v === "string" && v.includes("/")) v = v.split("/")[0].trim();
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  };
+
+  return {
+    shotsOnGoal: { home: pull(homeStats, "Shots on Goal"), away: pull(awayStats, "Shots on Goal") },
+    shotsTotal: { home: pull(homeStats, "Total Shots"), away: pull(awayStats, "Total Shots") },
+    corners: { home: pull(homeStats, "Corner Kicks"), away: pull(awayStats, "Corner Kicks") },
+    yellow: { home: pull(homeStats, "Yellow Cards"), away: pull(awayStats, "Yellow Cards") },
+    red: { home: pull(homeStats, "Red Cards"), away: pull(awayStats, "Red Cards") },
+  };
+}
+
+// ===== Live Odds (/odds/live; parsing + pricing in model.js) =====
+export async function fetchLiveOdds(fixtureId, client) {
+  const res = await client("/odds/live", { fixture: fixtureId });
+  const entry = Array.isArray(res?.response) ? res.response[0] : null;
+  return entry ? parseLiveOdds(entry) : null;
+}
+
+// ===== Metrics Builder =====
+export async function buildMetricsForFixture(fixture, client) {
+  const fixtureId = fixture?.fixture?.id;
+  const leagueId = fixture?.league?.id;
+  const minute = safeNumber(fixture?.fixture?.status?.elapsed, 0);
+
+  const home = fixture?.teams?.home;
+  const away = fixture?.teams?.away;
+
+  const goalsHome = safeNumber(fixture?.goals?.home, 0);
+  const goalsAway = safeNumber(fixture?.goals?.away, 0);
+
+  let statsArr = null;
+  let statsError = null; // { code, message } → scan debug explains all-null stats
+  try {
+    const statRes = await client("/fixtures/statistics", { fixture: fixtureId }, { staleOk: true });
+    statsArr = statRes?.response || null;
+    if (!Array.isArray(statsArr) || !statsArr.length) {
+      statsError = { code: "NO_STATS", message: "provider returned no statistics" };
+    }
+  } catch (e) {
+    statsArr = null;
+    statsError = { code: e?.code || "UNKNOWN", message: e?.message || String(e) };
+  }
+
+  const derived = extractBasicStats(statsArr, home?.id, away?.id) || {
+    shotsOnGoal: { home: null, away: null },
+    shotsTotal: { home: null, away: null },
+    corners: { home: null, away: null },
+    yellow: { home: null, away: null },
+    red: { home: null, away: null },
+  };
+
+  const pressureHome = clamp01(
+    safeNumber(derived.shotsOnGoal.home, 0) * 0.12 +
+      safeNumber(derived.shotsTotal.home, 0) * 0.04 +
+      safeNumber(derived.corners.home, 0) * 0.06
+  );
+  const pressureAway = clamp01(
+    safeNumber(derived.shotsOnGoal.away, 0) * 0.12 +
+      safeNumber(derived.shotsTotal.away, 0) * 0.04 +
+      safeNumber(derived.corners.away, 0) * 0.06
+  );
+
+  const xgProxy = {
+    home: clamp01(safeNumber(derived.shotsOnGoal.home, 0) * 0.15 + safeNumber(derived.shotsTotal.home, 0) * 0.03),
+    away: clamp01(safeNumber(derived.shotsOnGoal.away, 0) * 0.15 + safeNumber(derived.shotsTotal.away, 0) * 0.03),
+  };
+
+  const scoreDiff = goalsHome - goalsAway;
+
+  return {
+    fixtureId,
+    leagueId,
+    minute,
+    teams: {
+      home: { id: home?.id, name: home?.name },
+      away: { id: away?.id, name: away?.name },
+    },
+    score: { home: goalsHome, away: goalsAway, diff: scoreDiff },
+    shotsOnGoal: derived.shotsOnGoal,
+    shotsTotal: derived.shotsTotal,
+    corners: derived.corners,
+    cards: { yellow: derived.yellow, red: derived.red },
+    pressure: { home: pressureHome, away: pressureAway },
+    xgProxy,
+    ...(statsError ? { statsError } : {}),
+  };
+}
+
+// ===== Pick Builder (scan keeps required fields) =====
+export function buildPickBase(metrics, strategyKey, strategyLabel) {
+  return {
+    fixtureId: metrics.fixtureId,
+    leagueId: metrics.leagueId,
+    minute: metrics.minute,
+    home: metrics.teams.home.name,
+    away: metrics.teams.away.name,
+    scoreHome: metrics.score.home,
+    scoreAway: metrics.score.away,
+
+    // required fields (DO NOT REMOVE)
+    strategy: strategyLabel || strategyKey,
+    strategyKey, // config key: unlike the label, it survives a rename (dedup, signal history, stats rows)
+    tier: "B",
+    edge: 0,
+    kelly: 0,
+    market: "",
+    selection: "",
+    betType: "live",
+  };
+}
+
+// เติม field ให้ครบตามสัญญา UI (additive only)
+// - ts: pick time (scan: now; backtest: snapshot time)
+export function finalizePickForUI(pick, metrics, ts = null) {
+  if (!pick || !metrics) return pick;
+
+  // Required by UI/spec
+  if (!pick.ts) pick.ts = ts || nowIso();
+  if (!pick.pickId) pick.pickId = makePickId({ ...pick, ts: pick.ts });
+
+  // League display (string is simplest for UI)
+  if (!pick.league) pick.league = metrics?.league?.name || metrics?.leagueName || metrics?.league_name || "";
+
+  // Ensure teams
+  if (!pick.home) pick.home = metrics?.teams?.home?.name || pick.home;
+  if (!pick.away) pick.away = metrics?.teams?.away?.name || pick.away;
+
+  // Score/minute at scan (UI uses these fallbacks)
+  if (pick.scoreAtScan == null) pick.scoreAtScan = `${safeNumber(metrics?.score?.home, 0)}-${safeNumber(metrics?.score?.away, 0)}`;
+  if (pick.minuteAtScan == null) pick.minuteAtScan = metrics?.minute;
+
+  // Stake default (1 unit; the live scan re-sizes it with bankroll.js before logging, backtests stay flat)
+  if (pick.stake == null) pick.stake = 1;
+
+  return pick;
+}
+
+// ===== Dedup =====
+// fixture + strategy key + side (picks logged before strategyKey existed fall back to their label)
+export function makeDedupKey(pick) {
+  const fixtureId = pick?.fixtureId ?? "";
+  const strategy = pick?.strategyKey ?? pick?.strategy ?? "";
+  const side = pick?.side ?? pick?.selection ?? pick?.betSide ?? "";
+  return `${fixtureId}__${strategy}__${side}`;
+}
+
+// ===== Conflict Resolver (picks on the same fixture) =====
+// what a pick bets on: goals +1 (needs more goals: OVER, NEXT_GOAL) / -1 (UNDER), side home|away|draw
+function pickExposure(pick) {
+  const market = String(pick?.market || "").toUpperCase();
+  const sel = String(pick?.selection || pick?.side || "").toLowerCase();
+  const side = ["home", "away", "draw"].includes(String(pick?.side || "").toLowerCase()) ? String(pick.side).toLowerCase() : null;
+  if (market === "TOTAL") return { market, sel, goals: sel === "over" ? 1 : sel === "under" ? -1 : 0, side: null };
+  if (market === "NEXT_GOAL") return { market, sel, goals: 1, side };
+  return { market, sel, goals: 0, side };
+}
+
+const describePick = (p) => `${p.strategy} (${[p.market, p.selection || p.side, p.line].filter((x) => x != null && x !== "").join(" ")})`;
+
+// "opposing" → the picks win on different outcomes; "correlated" → they win/lose together; null → independent
+export function pickRelation(a, b) {
+  const x = pickExposure(a);
+  const y = pickExposure(b);
+  if (x.market && x.market === y.market && x.sel !== y.sel && x.market !== "TOTAL") return "opposing"; // 1X2 / AH / next goal
+  if (x.goals * y.goals < 0) return "opposing";
+  if (x.side && y.side && x.side !== y.side) return "opposing";
+  if (x.goals * y.goals > 0 || (x.side && x.side === y.side)) return "correlated";
+  return null;
+}
+
+/**
+ * New picks of one fixture (+ picks already open on it) → which to keep, scale or suppress
+ * - opposing: the highest-edge pick wins, the other is suppressed (a new pick never beats an open one)
+ * - correlated: mode "scale" multiplies the stake by stakeMult per correlated pick already kept
+ *   (1, 0.5, 0.25 ...; pick.correlationMult), "keep_best" suppresses it, "allow" leaves it
+ * → { kept: [entry], suppressed: [{ entry, reasons }] } (entries as evaluateFixture builds them: { key, label, pick, passed })
+ */
+export function resolveConflicts(entries, { openPicks = [], mode = "scale", stakeMult = 0.5 } = {}) {
+  const ranked = [...entries].sort(
+    (a, b) => safeNumber(b.pick.edge, 0) - safeNumber(a.pick.edge, 0) || safeNumber(b.pick.kelly, 0) - safeNumber(a.pick.kelly, 0)
+  );
+  const kept = [];
+  const suppressed = [];
+  for (const entry of ranked) {
+    const { pick } = entry;
+    // an open pick of the same fixture/strategy/side is the same signal (rescan), not a conflict
+    const against = [
+      ...openPicks.filter((p) => makeDedupKey(p) !== makeDedupKey(pick)).map((p) => ({ p, open: true })),
+      ...kept.map((e) => ({ p: e.pick, open: false })),
+    ];
+    const opposing = against.filter(({ p }) => pickRelation(pick, p) === "opposing");
+    if (opposing.length) {
+      suppressed.push({
+        entry,
+        reasons: opposing.map(({ p, open }) =>
+          open
+            ? `conflict: opposes open pick ${describePick(p)}`
+            : `conflict: opposes ${describePick(p)} with higher edge ${safeNumber(p.edge, 0)} >= ${safeNumber(pick.edge, 0)}`
+        ),
+      });
+      continue;
+    }
+    const correlated = against.filter(({ p }) => pickRelation(pick, p) === "correlated");
+    if (correlated.length && mode !== "allow") {
+      const names = correlated.map(({ p, open }) => `${describePick(p)}${open ? " [open]" : ""}`).join(", ");
+      if (mode === "keep_best") {
+        suppressed.push({ entry, reasons: [`correlated with ${names} (keep_best)`] });
+        continue;
+      }
+      const mult = Number(Math.pow(stakeMult, correlated.length).toFixed(4));
+      pick.correlationMult = mult;
+      pick.stake = Number((safeNumber(pick.stake, 1) * mult).toFixed(4));
+      pick.correlatedWith = correlated.map(({ p }) => p.pickId || p.strategy);
+    }
+    kept.push(entry);
+  }
+  // keep the plan order for logs / UI
+  return { kept: entries.filter((e) => kept.includes(e)), suppressed };
+}
+
+// ===== Strategy Runner (shared by the live scan and the backtester) =====
+// once per scan: which configured strategies run, which filters apply, which keys are blocked and why
+export function planStrategies(strategiesMap, registry) {
+  const issues = registry.checkConfig(strategiesMap);
+  const filters = [];
+  const blocked = new Map();
+  for (const [key, st] of Object.entries(strategiesMap)) {
+    if (!st?.enabled) continue;
+    const plugin = registry.get(key);
+    if (!plugin) blocked.set(key, ["no implementation registered"]);
+    else if (issues.invalid[key]) blocked.set(key, issues.invalid[key].map((e) => `invalid ${e}`));
+    else if (plugin.kind === "filter") filters.push({ key, plugin, params: st.params || {} });
+  }
+  return { strategiesMap, registry, keys: Object.keys(strategiesMap), filters, blocked, issues };
+}
+
+/**
+ * All strategies of a plan on one fixture's metrics
+ * - getLiveOdds(fixtureId) → { odds, error } (memoized by the caller)
+ * - dedupSet: pick keys already taken (per scan live; per fixture replay in backtests)
+ * - ts / configVersion: stamped on each pick
+ * - openPicks / conflicts: picks already open on the fixture + resolveConflicts options ({ mode, stakeMult })
+ * → { picks: [{ key, label, pick, passed }], rejected: [{ strategy, label, reasons }], suppressed, notes, stats }
+ */
+export async function evaluateFixture(
+  metrics,
+  plan,
+  { client, getLiveOdds, dedupSet = new Set(), ts = null, configVersion = null, openPicks = [], conflicts = {} }
+) {
+  const { strategiesMap, registry } = plan;
+  const out = {
+    picks: [],
+    rejected: [],
+    suppressed: [],
+    notes: [],
+    stats: { evaluated: 0, passed: 0, rejected: 0, skippedDisabled: 0, suppressed: 0 },
+  };
+
+  // filters (redcard_filter, ...) only add a risk penalty to every pick of the fixture
+  let riskPenaltyMult = 1.0;
+  for (const { key, plugin, params } of plan.filters) {
+    try {
+      const r = await plugin.apply(metrics, params, { client });
+      riskPenaltyMult *= safeNumber(r?.penaltyMult, 1.0);
+      out.notes.push(...(r?.notes || []));
+    } catch (e) {
+      out.notes.push(`${key} failed: ${e?.message || String(e)}`);
+    }
+  }
+
+  for (const key of plan.keys) {
+    const st = strategiesMap[key];
+    const plugin = registry.get(key);
+    const label = st?.label || plugin?.label || key;
+
+    if (!st?.enabled) {
+      out.stats.skippedDisabled += 1;
+      out.rejected.push({ strategy: key, label, reasons: ["strategy disabled"] });
+      continue;
+    }
+    if (plugin?.kind === "filter") continue;
+
+    out.stats.evaluated += 1;
+
+    const passed = [];
+    let reasons = plan.blocked.get(key) || null;
+    let pick = null;
+
+    if (!reasons) {
+      const params = st?.params || {};
+      reasons = plugin.conditions ? plugin.conditions(metrics, params, passed) : evaluateParams(params, metrics, passed);
+      if (reasons.length === 0) {
+        try {
+          const built = await plugin.evaluate(metrics, params, { getLiveOdds, client, passed });
+          if (built && typeof built === "object" && !Array.isArray(built)) {
+            pick = { ...buildPickBase(metrics, key, label), betType: "live", ...built };
+          } else reasons.push(...(Array.isArray(built) && built.length ? built : ["no pick"]));
+        } catch (e) {
+          reasons.push(`strategy error: ${e?.message || String(e)}`);
+        }
+      }
+    }
+
+    if (!pick) {
+      out.stats.rejected += 1;
+      out.rejected.push({ strategy: key, label, reasons });
+      continue;
+    }
+
+    pick.riskPenaltyMult = Number(riskPenaltyMult.toFixed(3));
+    pick.configVersion = configVersion; // strategies_current.json version (GET /api/strategies/versions)
+
+    // Add missing fields for UI (time/league/stake/pickId/score/minute)
+    finalizePickForUI(pick, metrics, ts);
+
+    const dkey = makeDedupKey(pick);
+    if (dedupSet.has(dkey)) continue;
+    dedupSet.add(dkey);
+
+    // entry price for CLV (builders without their own odds: TOTAL lines)
+    if (pick.odds == null) {
+      const { odds } = await getLiveOdds(metrics.fixtureId);
+      const price = priceForPick(pick, odds);
+      if (price) pick.odds = price;
+    }
+
+    out.picks.push({ key, label, pick, passed });
+  }
+
+  // opposing / correlated picks on this fixture (this scan + already open ones)
+  const { kept, suppressed } = resolveConflicts(out.picks, { openPicks, ...conflicts });
+  out.picks = kept;
+  out.stats.passed += kept.length;
+  for (const { entry, reasons } of suppressed) {
+    out.stats.suppressed += 1;
+    out.suppressed.push({ strategy: entry.key, label: entry.label, side: entry.pick.side, edge: entry.pick.edge, reasons });
+  }
+  return out;
+}
@@ -144,5 +144,37 @@ async function loadStats(isAuto = false) {
 // โหลดครั้งแรก
 loadStats(false);
 
-// อัปเดตทุก 10 วินาที
-setInterval(() => loadStats(true), 10000);
+// อัปเดตสดจาก GET /api/stream (pick ใหม่ / ปิดผล; หลาย event ติดกันโหลดครั้งเดียว)
+// ไม่มี EventSource หรือ server ไม่มี /api/stream → โหลดทุก 10 วินาทีแบบเดิม
+let reloadTimer = null;
+let pollTimer = null;
+
+function scheduleReload() {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(() => loadStats(true), 1500);
+}
+
+function startPolling() {
+  if (!pollTimer) pollTimer = setInterval(() => loadStats(true), 10000);
+}
+
+function connectStream() {
+  if (!window.EventSource) return startPolling();
+  const es = new EventSource("/api/stream?events=pick.new,result.settled");
+  es.addEventListener("pick.new", scheduleReload);
+  es.addEventListener("result.settled", scheduleReload);
+  es.addEventListener("stream.ready", (e) => {
+    if (JSON.parse(e.data).gap) scheduleReload();
+  });
+  es.onopen = () => {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  };
+  es.onerror = () => {
+    if (es.readyState === EventSource.CLOSED) startPolling();
+  };
+}
+
+connectStream();
@@ -0,0 +1,127 @@
+// scanScheduler.js — background auto-scan loop behind /api/scheduler/* (server.js)
+// - separate cadence for fixtures at 0–45' and 46–90+'; a tick scans only the phases that are due
+// - never overlaps: the next tick is armed after the scan settles, and a tick is skipped while another scan holds the lock
+// - failed scans back off (cadence × 2^consecutive failures, capped) until one succeeds
+import { safeNumber } from "./utils.js";
+
+export const SCAN_PHASES = ["firstHalf", "secondHalf"];
+export const SCHEDULER_MIN_INTERVAL_MS = 15000;
+
+const DEFAULT_CADENCE = { firstHalfMs: 90000, secondHalfMs: 45000 };
+
+export function normalizeCadence(input = {}, fallback = {}) {
+  const pick = (v, d) => Math.max(SCHEDULER_MIN_INTERVAL_MS, Math.round(safeNumber(v, d)));
+  return {
+    firstHalf: pick(input.firstHalfMs, fallback.firstHalf ?? DEFAULT_CADENCE.firstHalfMs),
+    secondHalf: pick(input.secondHalfMs, fallback.secondHalf ?? DEFAULT_CADENCE.secondHalfMs),
+  };
+}
+
+/**
+ * Interval scanner with separate cadence per match phase
+ * - scan(phases) does the work (phases = due subset of SCAN_PHASES)
+ * - isBusy() → tick is skipped (and counted) while another scan holds the lock
+ * - cadence: { firstHalfMs, secondHalfMs } defaults for start(); maxBackoffMs caps the wait after failures
+ * - timers/now are injectable so the loop can be driven without real time
+ * → { start(opts), stop(), status() }
+ */
+export function createScanScheduler({
+  scan,
+  isBusy = () => false,
+  cadence: defaults = DEFAULT_CADENCE,
+  maxBackoffMs = 10 * 60 * 1000,
+  timers = { setTimeout, clearTimeout },
+  now = Date.now,
+} = {}) {
+  let timer = null;
+  let generation = 0;
+  let cadence = normalizeCadence(defaults);
+  const nextDue = { firstHalf: 0, secondHalf: 0 };
+  const state = {
+    running: false,
+    startedAt: null,
+    runs: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    skippedOverlap: 0,
+    lastRunAt: null,
+    lastFinishedAt: null,
+    lastPhases: null,
+    lastError: null,
+  };
+
+  // wait before a phase is due again: its cadence, doubled per consecutive failure (never below the cadence)
+  const delayFor = (phase) =>
+    Math.max(cadence[phase], Math.min(cadence[phase] * 2 ** state.consecutiveFailures, maxBackoffMs));
+
+  function schedule(gen) {
+    if (!state.running || gen !== generation) return;
+    const wait = Math.max(0, Math.min(nextDue.firstHalf, nextDue.secondHalf) - now());
+    timer = timers.setTimeout(() => tick(gen), wait);
+    timer?.unref?.();
+  }
+
+  async function tick(gen) {
+    timer = null;
+    if (!state.running || gen !== generation) return;
+
+    const t = now();
+    const phases = SCAN_PHASES.filter((p) => nextDue[p] <= t);
+    for (const p of phases) nextDue[p] = t + cadence[p];
+
+    if (phases.length) {
+      if (isBusy()) {
+        state.skippedOverlap += 1;
+      } else {
+        state.runs += 1;
+        state.lastRunAt = new Date(t).toISOString();
+        state.lastPhases = phases;
+        try {
+          await scan(phases);
+          state.lastError = null;
+          state.consecutiveFailures = 0;
+        } catch (e) {
+          state.failures += 1;
+          state.consecutiveFailures += 1;
+          state.lastError = e?.message || String(e);
+          for (const p of phases) nextDue[p] = t + delayFor(p);
+        }
+        state.lastFinishedAt = new Date(now()).toISOString();
+      }
+    }
+    schedule(gen);
+  }
+
+  function start(opts = {}) {
+    stop();
+    cadence = normalizeCadence(opts, cadence);
+    state.running = true;
+    state.consecutiveFailures = 0;
+    state.startedAt = new Date(now()).toISOString();
+    nextDue.firstHalf = nextDue.secondHalf = now(); // first tick scans everything
+    schedule(generation);
+    return status();
+  }
+
+  function stop() {
+    generation += 1;
+    if (timer) timers.clearTimeout(timer);
+    timer = null;
+    state.running = false;
+    return status();
+  }
+
+  function status() {
+    const nextRunAt = state.running ? new Date(Math.min(nextDue.firstHalf, nextDue.secondHalf)).toISOString() : null;
+    return {
+      ...state,
+      cadence: { firstHalfMs: cadence.firstHalf, secondHalfMs: cadence.secondHalf },
+      nextRunAt,
+      nextDue: state.running
+        ? { firstHalf: new Date(nextDue.firstHalf).toISOString(), secondHalf: new Date(nextDue.secondHalf).toISOString() }
+        : null,
+    };
+  }
+
+  return { start, stop, status };
+}
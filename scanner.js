@@ -0,0 +1,354 @@
+// scanner.js — one scan over the live fixtures (POST /api/scan and the auto-scan scheduler, server.js)
+// - live list → optional phase filter → per-fixture metrics + strategies in a bounded pool (per-fixture timeout)
+// - passed picks go through the signal store (repeat / refire) and bankroll sizing before they are logged
+import { nowIso, safeNumber, mapWithConcurrency, withTimeout, abortableClient, percentile } from "./utils.js";
+import { fetchLiveOdds, buildMetricsForFixture, planStrategies, evaluateFixture } from "./pipeline.js";
+
+// Match phase used by the auto-scan cadence: minutes 0–45 (incl. HT) vs 46–90+
+export function fixturePhase(fx) {
+  return safeNumber(fx?.fixture?.status?.elapsed, 0) <= 45 ? "firstHalf" : "secondHalf";
+}
+export function countFixturesByPhase(fixtures) {
+  const out = { firstHalf: 0, secondHalf: 0 };
+  for (const fx of fixtures) out[fixturePhase(fx)] += 1;
+  return out;
+}
+
+// debug.rejected buckets: one per fixture, rejected strategies + notes
+function ensureFixtureBucket(map, metrics) {
+  const id = metrics?.fixtureId;
+  if (!id) return null;
+  if (!map.has(id)) {
+    map.set(id, {
+      fixtureId: metrics.fixtureId,
+      leagueId: metrics.leagueId,
+      minute: metrics.minute,
+      home: metrics.teams.home.name,
+      away: metrics.teams.away.name,
+      score: `${metrics.score.home}-${metrics.score.away}`,
+      rejected: [],
+      notes: [],
+    });
+  } else {
+    const b = map.get(id);
+    b.minute = metrics.minute;
+    b.score = `${metrics.score.home}-${metrics.score.away}`;
+  }
+  return map.get(id);
+}
+function pushRejected(map, metrics, item) {
+  const bucket = ensureFixtureBucket(map, metrics);
+  if (!bucket) return;
+  bucket.rejected.push(item);
+}
+function pushNote(map, metrics, note) {
+  const bucket = ensureFixtureBucket(map, metrics);
+  if (!bucket) return;
+  bucket.notes.push(note);
+}
+
+/**
+ * Live scanner
+ * - client: API-Football fetcher; strategies() → { map, version } of the active config; registry: strategy plugins
+ * - signalStore / bankroll (sizer()) / picksStore (append) / snapshotRecorder: as wired in server.js
+ * - openPicksOf(fixtureId) → still-open picks; captureClosingOdds(fixtureId, odds, minute); trackOpenPick(pick)
+ * - publish(type, data): event stream (pick.new)
+ * → { runScan({ debug, phases, client, record }) }
+ */
+export function createScanner({
+  client: defaultClient,
+  strategies,
+  registry,
+  signalStore,
+  bankroll,
+  picksStore,
+  snapshotRecorder = null,
+  openPicksOf = () => [],
+  captureClosingOdds = () => 0,
+  trackOpenPick = () => {},
+  publish = () => {},
+  record: recordDefault = false,
+  concurrency = 6,
+  fixtureTimeoutMs = 15000,
+  conflicts = { mode: "scale", stakeMult: 0.5 },
+}) {
+  /**
+   * One scan over live fixtures → /api/scan response
+   * - phases: optional ["firstHalf" | "secondHalf"] filter (scheduler)
+   * - client: API-Football fetcher (the scanner's by default; injectable for tests/offline runs)
+   * - record: write per-fixture snapshots (snapshotRecorder) for backtests / timelines
+   */
+  async function runScan({ debug = false, phases = null, client = defaultClient, record = recordDefault } = {}) {
+    const debugEnabled = !!debug;
+    const startedAt = Date.now();
+
+    const { map: strategiesMap, version: configVersion } = strategies();
+
+    const liveRes = await client("/fixtures", { live: "all" });
+    const liveFixtures = Array.isArray(liveRes?.response) ? liveRes.response : [];
+    const fixtures = phases ? liveFixtures.filter((fx) => phases.includes(fixturePhase(fx))) : liveFixtures;
+
+    const picks = [];
+
+    const rejectedByFixture = new Map();
+    const debugPassed = [];
+    const debugStats = {
+      fixtureCount: fixtures.length,
+      strategiesTotal: Object.keys(strategiesMap).length,
+      strategiesEnabled: Object.entries(strategiesMap).filter(([, v]) => v?.enabled).length,
+      evaluated: 0,
+      passed: 0,
+      rejected: 0,
+      skippedDisabled: 0,
+      suppressed: 0,
+      missingData: 0,
+    };
+
+    // plugin + params check once per scan: enabled keys that can't run are rejected with the reason
+    const plan = planStrategies(strategiesMap, registry);
+
+    // debug bucket for a fixture that produced no evaluation at all
+    const rejectAllStrategies = (map, fx, reason) => {
+      const fixtureId = fx?.fixture?.id;
+      if (!fixtureId) return;
+      map.set(fixtureId, {
+        fixtureId,
+        leagueId: fx?.league?.id,
+        minute: safeNumber(fx?.fixture?.status?.elapsed, 0),
+        home: fx?.teams?.home?.name,
+        away: fx?.teams?.away?.name,
+        score: `${safeNumber(fx?.goals?.home, 0)}-${safeNumber(fx?.goals?.away, 0)}`,
+        rejected: [{ strategy: "*all*", label: "*all*", reasons: [reason] }],
+        notes: [],
+      });
+    };
+
+    // per-fixture work runs in a bounded pool; each fixture collects into its own ctx and the
+    // ctxs are merged in live-list order below, so picks, log order and dedup stay deterministic.
+    // signal aborts on the per-fixture timeout: no new API calls, no closing-odds / snapshot writes after it
+    const processFixture = async (fx, signal) => {
+      const ctx = {
+        records: [],
+        passed: [],
+        rejected: new Map(),
+        stats: { evaluated: 0, passed: 0, rejected: 0, skippedDisabled: 0, suppressed: 0, missingData: 0 },
+        recorded: false,
+      };
+      const dedupSet = new Set();
+      const guarded = abortableClient(client, signal);
+      const fxClient = record ? snapshotRecorder.wrapClient(guarded) : guarded; // keeps raw responses for the snapshot
+
+      // live odds are fetched lazily, at most once per fixture per scan
+      let liveOdds = null;
+      const getLiveOdds = (fixtureId) => {
+        liveOdds ??= fetchLiveOdds(fixtureId, fxClient).then(
+          (odds) => ({ odds, error: null }),
+          (e) => ({ odds: null, error: e?.message || String(e) })
+        );
+        return liveOdds;
+      };
+
+      let metrics;
+      try {
+        metrics = await buildMetricsForFixture(fx, fxClient);
+      } catch (e) {
+        if (debugEnabled) {
+          ctx.stats.missingData += 1;
+          rejectAllStrategies(ctx.rejected, fx, `metrics build failed: ${e?.message || String(e)}`);
+        }
+        return ctx;
+      }
+
+      if (debugEnabled && metrics.statsError) {
+        pushNote(ctx.rejected, metrics, `no stats (${metrics.statsError.code}): ${metrics.statsError.message}`);
+      }
+
+      // closing-line capture for picks still open on this fixture
+      const openPicks = openPicksOf(metrics.fixtureId);
+      if (openPicks.length) {
+        const { odds } = await getLiveOdds(metrics.fixtureId);
+        signal?.throwIfAborted();
+        captureClosingOdds(metrics.fixtureId, odds, metrics.minute);
+      }
+
+      const out = await evaluateFixture(metrics, plan, {
+        client: fxClient,
+        getLiveOdds,
+        dedupSet,
+        configVersion,
+        openPicks,
+        conflicts,
+      });
+      for (const [k, v] of Object.entries(out.stats)) ctx.stats[k] += v;
+      if (debugEnabled) {
+        for (const note of out.notes) pushNote(ctx.rejected, metrics, note);
+        for (const r of out.rejected) pushRejected(ctx.rejected, metrics, r);
+        for (const r of out.suppressed) pushRejected(ctx.rejected, metrics, { ...r, suppressed: true }); // passed, dropped by the conflict resolver
+      }
+
+      for (const { key, label, pick, passed } of out.picks) {
+        if (debugEnabled) {
+          ctx.passed.push({
+            fixtureId: metrics.fixtureId,
+            minute: metrics.minute,
+            home: metrics.teams.home.name,
+            away: metrics.teams.away.name,
+            score: `${metrics.score.home}-${metrics.score.away}`,
+            strategy: key,
+            label,
+            side: pick.side,
+          });
+        }
+
+        // metrics snapshot + passed conditions are kept in the log only (for /api/explain/pick);
+        // the merge below logs metrics once per fixture per scan
+        ctx.records.push({ time: nowIso(), type: "pick", pick, metrics, passed });
+      }
+
+      signal?.throwIfAborted();
+      if (record) ctx.recorded = await snapshotRecorder.record(fx, metrics, fxClient);
+      return ctx;
+    };
+
+    const fixtureMs = [];
+    const results = await mapWithConcurrency(fixtures, concurrency, async (fx) => {
+      const t0 = Date.now();
+      try {
+        return {
+          ctx: await withTimeout((signal) => processFixture(fx, signal), fixtureTimeoutMs, `fixture ${fx?.fixture?.id}`),
+        };
+      } catch (e) {
+        return { error: e };
+      } finally {
+        fixtureMs.push(Date.now() - t0);
+      }
+    });
+
+    let timeouts = 0;
+    let failed = 0;
+    let recorded = 0;
+    let newPicks = 0;
+    let unstaked = 0; // passed but sized to stake 0
+    // stakes are sized in live-list order, so earlier picks of this scan count against the caps of later ones
+    const sizer = results.some(({ ctx }) => ctx?.records.length) ? await bankroll.sizer() : null;
+    signalStore.prune();
+    for (const [i, { ctx, error }] of results.entries()) {
+      if (error) {
+        if (error.code === "TIMEOUT") timeouts += 1;
+        else failed += 1;
+        if (debugEnabled) rejectAllStrategies(rejectedByFixture, fixtures[i], error?.message || String(error));
+        continue;
+      }
+      for (const [k, v] of Object.entries(ctx.stats)) debugStats[k] += v;
+      for (const [id, bucket] of ctx.rejected) rejectedByFixture.set(id, bucket);
+      debugPassed.push(...ctx.passed);
+      if (ctx.recorded) recorded += 1;
+      let metricsOf = null; // first pick of this fixture logged with metrics; later ones point at it
+      for (const rec of ctx.records) {
+        const { signal, previous, reason } = signalStore.check(rec.pick);
+        if (signal === "repeat") {
+          // same signal as a logged pick: shown with that pick's id/time/stake, not logged again
+          picks.push({
+            ...rec.pick,
+            pickId: previous.pickId,
+            ts: previous.ts,
+            stake: previous.stake ?? rec.pick.stake,
+            sizing: previous.sizing ?? undefined,
+            signal: "repeat",
+            firstSeen: { ts: previous.ts, minute: previous.minute, score: previous.score },
+          });
+          continue;
+        }
+        if (previous) rec.pick.refire = { of: previous.pickId, reason };
+        sizer.size(rec.pick);
+        if (rec.pick.sizing?.skipped) {
+          // stake 0 (no kelly edge / cap reached / below min stake) is not a bet: not logged, tracked or
+          // remembered, so a later scan can still fire it once there is room
+          unstaked += 1;
+          if (debugEnabled) {
+            pushRejected(rejectedByFixture, rec.metrics, {
+              strategy: rec.pick.strategy,
+              label: rec.pick.strategy,
+              reasons: [`stake 0: ${rec.pick.sizing.skipped}`],
+              unstaked: true,
+            });
+          }
+          continue;
+        }
+        try {
+          const { metrics, ...rest } = rec;
+          await picksStore.append(metricsOf ? { ...rest, metricsOf } : rec);
+          metricsOf ??= rec.pick.pickId;
+        } catch (e) {
+          console.error("pick log failed:", e?.message || e);
+        }
+        trackOpenPick(rec.pick);
+        signalStore.remember(rec.pick);
+        rec.pick.signal = "new";
+        picks.push(rec.pick);
+        newPicks += 1;
+        publish("pick.new", rec.pick);
+      }
+    }
+
+    // final score + events for recorded fixtures that dropped off the live list
+    if (record) await snapshotRecorder.finalizeGone(liveFixtures.map((fx) => fx?.fixture?.id), client);
+
+    const latencyMs = Date.now() - startedAt;
+
+    const risk = {
+      generatedAt: nowIso(),
+      latencyMs,
+      fixturesByPhase: countFixturesByPhase(liveFixtures),
+      apiBudget: client.usage?.().level ?? null, // ok | low (optional calls skipped, stale stats) | exhausted
+      fixtureTiming: {
+        concurrency,
+        timeoutMs: fixtureTimeoutMs,
+        p50Ms: percentile(fixtureMs, 50),
+        p95Ms: percentile(fixtureMs, 95),
+        maxMs: fixtureMs.length ? Math.max(...fixtureMs) : null,
+        timeouts,
+        failed,
+      },
+      snapshotsRecorded: record ? recorded : null,
+      signals: { policy: signalStore.status().policy, new: newPicks, repeat: picks.length - newPicks, unstaked },
+      note: "backend source-of-truth; picks may be empty and is not an error",
+    };
+
+    const response = {
+      status: "success",
+      totalFixtures: fixtures.length,
+      totalPicks: picks.length,
+      newPicks, // logged by this scan; the rest are repeats of earlier picks (signal: "repeat")
+      picks,
+      risk,
+    };
+
+    if (debugEnabled) {
+      const rejectedGrouped = Array.from(rejectedByFixture.values())
+        .filter((b) => (Array.isArray(b.rejected) && b.rejected.length > 0) || (Array.isArray(b.notes) && b.notes.length > 0))
+        .sort((a, b) => {
+          const ar = Array.isArray(a.rejected) ? a.rejected.length : 0;
+          const br = Array.isArray(b.rejected) ? b.rejected.length : 0;
+          if (br !== ar) return br - ar; // rejected count desc
+          const am = safeNumber(a.minute, 0);
+          const bm = safeNumber(b.minute, 0);
+          if (bm !== am) return bm - am; // minute desc
+          return safeNumber(b.fixtureId, 0) - safeNumber(a.fixtureId, 0);
+        })
+        .slice(0, 1200);
+
+      response.debug = {
+        enabled: true,
+        stats: debugStats,
+        passed: debugPassed.slice(0, 600),
+        rejected: rejectedGrouped,
+        strategyIssues: plan.issues,
+      };
+    }
+
+    return response;
+  }
+
+  return { runScan };
+}
@@ -1,6 +1,6 @@
 /**
  * server.js — Win100 Live Scanner
- * Add: Manual result sync + performance ranking (no DB, NDJSON)
+ * Add: Manual result sync + performance ranking (NDJSON files, or Postgres with STORAGE=pg — storage.js)
  *
  * HARD CONSTRAINTS:
  * - Do NOT change /api/scan main response structure: {status,totalFixtures,totalPicks,picks,risk}
@@ -13,6 +13,38 @@ import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { nowIso, safeNumber, toBool, appendNdjson, readNdjson, acquireLockFile } from "./utils.js";
+import { createApiFootball, DEFAULT_API_FOOTBALL_BASE } from "./apiFootball.js";
+import {
+  clvPercent,
+  pendingPicks,
+  groupByFixture,
+  settleFixturePicks,
+  buildParkedRecord,
+  SETTLE_LOCK_FILE,
+} from "./settlement.js";
+import { priceForPick } from "./model.js";
+import { loadStrategyRegistry } from "./strategyRegistry.js";
+import { runBacktest } from "./backtester.js";
+import { runOptimizer } from "./optimizer.js";
+import { createSnapshotRecorder } from "./snapshotRecorder.js";
+import { createBankroll } from "./bankroll.js";
+import { createSignalStore, REFIRE_POLICIES } from "./signalStore.js";
+import { createStorage, STORAGE_KINDS } from "./storage.js";
+import { createEventStream, STREAM_EVENTS } from "./eventStream.js";
+import { createOpenAIJson } from "./openaiJson.js";
+import { createAiOptimizer, applyStrategies } from "./aiOptimizer.js";
+import { createScanScheduler, SCAN_PHASES } from "./scanScheduler.js";
+import { createScanner } from "./scanner.js";
+import { createSettlementWorker } from "./settlementWorker.js";
+import {
+  createStrategyConfig,
+  createStrategyHistory,
+  createStrategyWriter,
+  validateStrategiesMap,
+  strategiesVersion,
+} from "./strategyConfig.js";
+import { BUILTIN_STRATEGIES } from "./builtinStrategies.js";
 
 dotenv.config();
 
@@ -26,464 +58,327 @@ const __dirname = path.dirname(__filename);
 // ===== Config =====
 const PORT = process.env.PORT || 3000;
 const API_FOOTBALL_KEY = process.env.API_FOOTBALL_KEY;
-const API_FOOTBALL_BASE = "https://v3.football.api-sports.io";
+const API_FOOTBALL_BASE = process.env.API_FOOTBALL_BASE || DEFAULT_API_FOOTBALL_BASE; // e.g. a local fake for benchmarks
+
+// Scan pipeline: per-fixture work (stats, events, odds, strategies) runs in a bounded pool
+const SCAN_CONCURRENCY = Math.max(1, Number(process.env.SCAN_CONCURRENCY) || 6);
+const SCAN_FIXTURE_TIMEOUT_MS = Math.max(1000, Number(process.env.SCAN_FIXTURE_TIMEOUT_MS) || 15000);
+
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || undefined; // e.g. a local mock server
+const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4.1-mini";
+// models a request may ask for (POST /api/ai-optimize { model }) besides OPENAI_MODEL
+const OPENAI_ALLOWED_MODELS = String(process.env.OPENAI_ALLOWED_MODELS || "")
+  .split(",")
+  .map((x) => x.trim())
+  .filter(Boolean);
 
 const STRATEGIES_FILE = path.join(__dirname, "strategies_current.json");
-const LOG_DIR = path.join(__dirname, "logs");
-const PICKS_LOG = path.join(LOG_DIR, "picks.ndjson");
-const RESULTS_LOG = path.join(LOG_DIR, "results.ndjson");
+const STRATEGIES_DIR = path.join(__dirname, "strategies"); // custom strategy plugins (*.js)
+const LOG_DIR = process.env.LOG_DIR ? path.resolve(process.env.LOG_DIR) : path.join(__dirname, "logs"); // benchScan.js: a temp dir
+const STRATEGIES_BACKUP_DIR = path.join(LOG_DIR, "strategies_backups");
+const STRATEGIES_VERSIONS_LOG = path.join(LOG_DIR, "strategies_versions.ndjson");
+const EXPLANATIONS_LOG = path.join(LOG_DIR, "explanations.ndjson");
+const CLOSING_LOG = path.join(LOG_DIR, "closing_odds.ndjson");
+const SETTLE_LOCK = path.join(LOG_DIR, SETTLE_LOCK_FILE); // shared with settle.js
+const SNAPSHOTS_DIR = path.join(LOG_DIR, "snapshots"); // recorded fixture minutes for the backtester (STORAGE=ndjson)
+
+// Picks / results / snapshots: ndjson = logs/*.ndjson (default), pg = Postgres at DATABASE_URL
+// (npm run import-ndjson copies the existing NDJSON files in once)
+const STORAGE = STORAGE_KINDS.includes(String(process.env.STORAGE || "").trim().toLowerCase())
+  ? String(process.env.STORAGE).trim().toLowerCase()
+  : "ndjson";
+const DATABASE_URL = process.env.DATABASE_URL || "";
+
+// Snapshot recorder: every scan writes raw API payloads + metrics per fixture/minute (off unless RECORD_SNAPSHOTS=1)
+const RECORD_SNAPSHOTS = String(process.env.RECORD_SNAPSHOTS || "").trim() === "1";
+const SNAPSHOT_RETENTION_DAYS = Math.max(1, Number(process.env.SNAPSHOT_RETENTION_DAYS) || 14);
+
+// Bankroll: stake per pick = fractional Kelly of the balance / riskPenaltyMult, capped per pick/fixture/league/day
+// (STAKE_MODE=flat keeps the old 1 unit per pick); caps are fractions of the current balance
+const STAKE_MODE = String(process.env.STAKE_MODE || "kelly").trim().toLowerCase() === "flat" ? "flat" : "kelly";
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return process.env[name] != null && process.env[name] !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+const BANKROLL_START = envNumber("BANKROLL_START", 100);
+const KELLY_MULTIPLIER = envNumber("KELLY_MULTIPLIER", 0.25);
+const MAX_STAKE_PCT = envNumber("MAX_STAKE_PCT", 0.02);
+const MAX_FIXTURE_PCT = envNumber("MAX_FIXTURE_PCT", 0.04);
+const MAX_LEAGUE_PCT = envNumber("MAX_LEAGUE_PCT", 0.1);
+const MAX_DAILY_PCT = envNumber("MAX_DAILY_PCT", 0.25);
+const MIN_STAKE = envNumber("MIN_STAKE", 0.1);
+
+// Picks on the same fixture: opposing ones keep the highest edge; correlated ones (same goals direction / side)
+// are scaled by CORRELATED_STAKE_MULT per pick already taken (CONFLICT_MODE=scale), dropped (keep_best) or left (allow)
+const CONFLICT_MODE = ["scale", "keep_best", "allow"].includes(String(process.env.CONFLICT_MODE || "").trim())
+  ? String(process.env.CONFLICT_MODE).trim()
+  : "scale";
+const CORRELATED_STAKE_MULT = Math.min(1, envNumber("CORRELATED_STAKE_MULT", 0.5));
+
+// Rescans: a fixture/strategy/side already logged is returned as signal "repeat" and not logged again, unless
+// REFIRE_POLICY allows a new pick: never | minutes (REFIRE_MINUTES match minutes later) | score (score changed)
+const REFIRE_POLICY = REFIRE_POLICIES.includes(String(process.env.REFIRE_POLICY || "").trim())
+  ? String(process.env.REFIRE_POLICY).trim()
+  : "never";
+const REFIRE_MINUTES = Math.max(1, envNumber("REFIRE_MINUTES", 15));
+
+// GET /api/stream keeps the last STREAM_BUFFER_SIZE events for clients reconnecting with Last-Event-ID
+const STREAM_BUFFER_SIZE = Math.max(10, envNumber("STREAM_BUFFER_SIZE", 500));
+
+// NEXT_GOAL picks when no goal follows the pick: "lose" (3-way market) or "refund" (settled as PUSH)
+const NEXT_GOAL_NO_GOAL_RULE = String(process.env.NEXT_GOAL_NO_GOAL_RULE || "lose").trim().toLowerCase();
+
+// Background auto-scan (see /api/scheduler/*): cadence per match phase
+const AUTO_SCAN = String(process.env.AUTO_SCAN || "").trim() === "1";
+const AUTO_SCAN_FIRST_HALF_MS = Number(process.env.AUTO_SCAN_FIRST_HALF_MS) || 90000;
+const AUTO_SCAN_SECOND_HALF_MS = Number(process.env.AUTO_SCAN_SECOND_HALF_MS) || 45000;
+
+// Background settlement worker (see /api/settlement/*): on unless AUTO_SETTLE=0
+const AUTO_SETTLE = String(process.env.AUTO_SETTLE ?? "1").trim() !== "0";
+const SETTLE_INTERVAL_MS = Number(process.env.SETTLE_INTERVAL_MS) || 60000;
+const SETTLE_BACKOFF_BASE_MS = Number(process.env.SETTLE_BACKOFF_BASE_MS) || 2 * 60000;
+const SETTLE_BACKOFF_MAX_MS = Number(process.env.SETTLE_BACKOFF_MAX_MS) || 30 * 60000;
 
 if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
 
-// ===== Utils =====
-function nowIso() {
-  return new Date().toISOString();
-}
-function safeNumber(v, fallback = 0) {
-  const n = Number(v);
-  return Number.isFinite(n) ? n : fallback;
-}
-function toBool(val) {
-  if (val === true) return true;
-  if (val === false) return false;
-  if (val == null) return false;
-  const s = String(val).trim().toLowerCase();
-  return s === "1" || s === "true" || s === "yes" || s === "y" || s === "on";
-}
-function clamp01(x) {
-  const n = safeNumber(x, 0);
-  if (n < 0) return 0;
-  if (n > 1) return 1;
-  return n;
-}
-function appendNdjson(file, obj) {
-  try {
-    fs.appendFileSync(file, JSON.stringify(obj) + "\n", "utf8");
-  } catch (e) {
-    console.error("NDJSON append failed:", e?.message || e);
-  }
-}
-function readNdjson(file) {
-  if (!fs.existsSync(file)) return [];
-  const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
-  const out = [];
-  for (const line of lines) {
-    try {
-      out.push(JSON.parse(line));
-    } catch {
-      // ignore bad line
-    }
-  }
-  return out;
-}
+// ===== Storage (storage.js): picks, results, snapshots =====
+const storage = createStorage({ kind: STORAGE, logDir: LOG_DIR, snapshotsDir: SNAPSHOTS_DIR, databaseUrl: DATABASE_URL });
+await storage.init();
 
 // ===== Load Strategies (your schema) =====
-function loadStrategiesMap() {
-  try {
-    const raw = fs.readFileSync(STRATEGIES_FILE, "utf8");
-    const json = JSON.parse(raw);
-    if (json && typeof json === "object" && !Array.isArray(json)) return json;
-    return {};
-  } catch (e) {
-    console.error("Failed to load strategies_current.json:", e?.message || e);
-    return {};
-  }
-}
-
-// ===== API-Football Fetch =====
-async function apiFootball(pathname, params = {}) {
-  if (!API_FOOTBALL_KEY) throw new Error("API_FOOTBALL_KEY is missing in .env");
-
-  const url = new URL(API_FOOTBALL_BASE + pathname);
-  for (const [k, v] of Object.entries(params)) {
-    if (v !== undefined && v !== null && v !== "") url.searchParams.set(k, String(v));
-  }
-
-  const res = await fetch(url.toString(), {
-    method: "GET",
-    headers: {
-      "x-apisports-key": API_FOOTBALL_KEY,
-      accept: "application/json",
-    },
-  });
-
-  const text = await res.text();
-
-  let json;
-  try {
-    json = JSON.parse(text);
-  } catch {
-    throw new Error(`API-Football non-JSON response (${res.status}): ${text?.slice(0, 200)}`);
-  }
-
-  if (!res.ok) {
-    const msg = json?.message || json?.errors || json?.error || `HTTP ${res.status}`;
-    throw new Error(`API-Football error: ${msg}`);
-  }
-  return json;
-}
-
-// ===== Stats Extraction =====
-function extractBasicStats(statsResponseArray, homeTeamId, awayTeamId) {
-  if (!Array.isArray(statsResponseArray)) return null;
+// strategies_current.json = config; code per key comes from the plugin registry (built-ins + strategies/*.js)
+const strategyRegistry = await loadStrategyRegistry({ builtins: BUILTIN_STRATEGIES, dir: STRATEGIES_DIR });
+
+// every active version is snapshotted (hand edits picked up by the watcher as action "reload")
+const strategyHistory = createStrategyHistory({ file: STRATEGIES_VERSIONS_LOG });
+const strategyConfig = createStrategyConfig({
+  file: STRATEGIES_FILE,
+  registry: strategyRegistry,
+  onReload: ({ map, version }) => strategyHistory.record({ map, version, by: "file", action: "reload" }),
+});
+strategyConfig.reload();
 
-  const byTeamId = new Map();
-  for (const entry of statsResponseArray) {
-    const tid = entry?.team?.id;
-    const stats = entry?.statistics;
-    if (tid && Array.isArray(stats)) byTeamId.set(tid, stats);
-  }
+// API writes: validate → file → snapshot (who/what) → active config (strategyConfig.js)
+const strategyWriter = createStrategyWriter({ file: STRATEGIES_FILE, registry: strategyRegistry, config: strategyConfig, history: strategyHistory });
+const commitStrategies = strategyWriter.commit;
 
-  const homeStats = byTeamId.get(homeTeamId) || null;
-  const awayStats = byTeamId.get(awayTeamId) || null;
-
-  const pull = (statsArr, typeName) => {
-    if (!Array.isArray(statsArr)) return null;
-    const found = statsArr.find((s) => String(s?.type).toLowerCase() === String(typeName).toLowerCase());
-    let v = found?.value;
-    if (typeof v === "string") v = v.replace("%", "").trim();
-    if (v === null || v === undefined || v === "") return null;
-    if (typeof v === "string" && v.includes("/")) v = v.split("/")[0].trim();
-    const n = Number(v);
-    return Number.isFinite(n) ? n : null;
-  };
+// who made an API change: X-User header, else body.by
+const changedBy = (req) => String(req.get("x-user") || req.body?.by || "anonymous").slice(0, 80);
 
-  return {
-    shotsOnGoal: { home: pull(homeStats, "Shots on Goal"), away: pull(awayStats, "Shots on Goal") },
-    shotsTotal: { home: pull(homeStats, "Total Shots"), away: pull(awayStats, "Total Shots") },
-    corners: { home: pull(homeStats, "Corner Kicks"), away: pull(awayStats, "Corner Kicks") },
-    yellow: { home: pull(homeStats, "Yellow Cards"), away: pull(awayStats, "Yellow Cards") },
-    red: { home: pull(homeStats, "Red Cards"), away: pull(awayStats, "Red Cards") },
-  };
+// startup log: plugin files that failed to load, config keys without code (invalid files are logged by strategyConfig)
+function reportStrategyIssues() {
+  const issues = strategyRegistry.checkConfig(strategyConfig.current().map);
+  for (const e of issues.loadErrors) console.warn(`Strategy plugin ${e.source}${e.key ? ` (${e.key})` : ""}: ${e.error}`);
+  if (issues.unimplemented.length) console.warn(`Strategies without implementation: ${issues.unimplemented.join(", ")}`);
+  return issues;
 }
 
-// ===== Metrics Builder =====
-async function buildMetricsForFixture(fixture) {
-  const fixtureId = fixture?.fixture?.id;
-  const leagueId = fixture?.league?.id;
-  const minute = safeNumber(fixture?.fixture?.status?.elapsed, 0);
-
-  const home = fixture?.teams?.home;
-  const away = fixture?.teams?.away;
-
-  const goalsHome = safeNumber(fixture?.goals?.home, 0);
-  const goalsAway = safeNumber(fixture?.goals?.away, 0);
+// ===== OpenAI =====
+// JSON-only chat completions (openaiJson.js)
+const openai = createOpenAIJson({
+  apiKey: OPENAI_API_KEY,
+  baseURL: OPENAI_BASE_URL,
+  model: OPENAI_MODEL,
+  allowedModels: OPENAI_ALLOWED_MODELS,
+});
 
-  let statsArr = null;
-  try {
-    const statRes = await apiFootball("/fixtures/statistics", { fixture: fixtureId });
-    statsArr = statRes?.response || null;
-  } catch {
-    statsArr = null;
-  }
+// ===== Live Events (eventStream.js; GET /api/stream) =====
+const events = createEventStream({ bufferSize: STREAM_BUFFER_SIZE });
 
-  const derived = extractBasicStats(statsArr, home?.id, away?.id) || {
-    shotsOnGoal: { home: null, away: null },
-    shotsTotal: { home: null, away: null },
-    corners: { home: null, away: null },
-    yellow: { home: null, away: null },
-    red: { home: null, away: null },
-  };
-
-  const pressureHome = clamp01(
-    safeNumber(derived.shotsOnGoal.home, 0) * 0.12 +
-      safeNumber(derived.shotsTotal.home, 0) * 0.04 +
-      safeNumber(derived.corners.home, 0) * 0.06
-  );
-  const pressureAway = clamp01(
-    safeNumber(derived.shotsOnGoal.away, 0) * 0.12 +
-      safeNumber(derived.shotsTotal.away, 0) * 0.04 +
-      safeNumber(derived.corners.away, 0) * 0.06
-  );
-
-  const xgProxy = {
-    home: clamp01(safeNumber(derived.shotsOnGoal.home, 0) * 0.15 + safeNumber(derived.shotsTotal.home, 0) * 0.03),
-    away: clamp01(safeNumber(derived.shotsOnGoal.away, 0) * 0.15 + safeNumber(derived.shotsTotal.away, 0) * 0.03),
-  };
+// ===== API-Football Fetch =====
+// cached + budgeted (apiFootball.js); usage → /api/football/status
+const apiFootball = createApiFootball({
+  key: API_FOOTBALL_KEY,
+  base: API_FOOTBALL_BASE,
+  budget: {
+    dailyReserve: Number(process.env.API_FOOTBALL_DAILY_RESERVE) || 200,
+    minuteReserve: Number(process.env.API_FOOTBALL_MINUTE_RESERVE) || 5,
+    dailyHardFloor: Number(process.env.API_FOOTBALL_DAILY_HARD_FLOOR) || 20,
+  },
+  retry: {
+    timeoutMs: Number(process.env.API_FOOTBALL_TIMEOUT_MS) || 8000,
+    retries: Number(process.env.API_FOOTBALL_RETRIES ?? 2),
+  },
+  breaker: {
+    threshold: Number(process.env.API_FOOTBALL_BREAKER_THRESHOLD) || 5,
+    cooldownMs: Number(process.env.API_FOOTBALL_BREAKER_COOLDOWN_MS) || 30000,
+  },
+  // budget dropped to low / exhausted → quota.warning on /api/stream
+  onBudgetLevel: (level, previous) => {
+    if (level !== "ok") events.publish("quota.warning", { level, previous, quota: apiFootball.usage().quota });
+  },
+});
 
-  const scoreDiff = goalsHome - goalsAway;
+// ===== Closing Line (CLV) =====
+// Every scan re-prices the still-open picks of each live fixture; the last price seen before
+// full time is the closing price. Only changes are appended to logs/closing_odds.ndjson.
+const openPicksByFixture = new Map(); // fixtureId -> Map(pickId -> pick)
+const closingByPickId = new Map(); // pickId -> { odds, minute, time }
 
-  return {
-    fixtureId,
-    leagueId,
-    minute,
-    teams: {
-      home: { id: home?.id, name: home?.name },
-      away: { id: away?.id, name: away?.name },
-    },
-    score: { home: goalsHome, away: goalsAway, diff: scoreDiff },
-    shotsOnGoal: derived.shotsOnGoal,
-    shotsTotal: derived.shotsTotal,
-    corners: derived.corners,
-    cards: { yellow: derived.yellow, red: derived.red },
-    pressure: { home: pressureHome, away: pressureAway },
-    xgProxy,
-  };
+function trackOpenPick(pick) {
+  if (!pick?.pickId || pick.fixtureId == null) return;
+  if (!openPicksByFixture.has(pick.fixtureId)) openPicksByFixture.set(pick.fixtureId, new Map());
+  openPicksByFixture.get(pick.fixtureId).set(pick.pickId, pick);
 }
-
-// ===== Strategy Param Evaluator =====
-function evaluateParams(params, metrics) {
-  const reasons = [];
-  const p = params || {};
-
-  if (p.minMinute != null && metrics.minute < safeNumber(p.minMinute)) {
-    reasons.push(`minute < minMinute (${metrics.minute} < ${p.minMinute})`);
-  }
-  if (p.maxMinute != null && metrics.minute > safeNumber(p.maxMinute)) {
-    reasons.push(`minute > maxMinute (${metrics.minute} > ${p.maxMinute})`);
-  }
-
-  if (p.minPressure != null) {
-    const maxPressure = Math.max(safeNumber(metrics.pressure.home, 0), safeNumber(metrics.pressure.away, 0));
-    if (maxPressure < safeNumber(p.minPressure)) {
-      reasons.push(`pressure < minPressure (${maxPressure.toFixed(2)} < ${p.minPressure})`);
-    }
-  }
-
-  if (p.minSOTDiff != null) {
-    const diff = Math.abs(safeNumber(metrics.shotsOnGoal.home, 0) - safeNumber(metrics.shotsOnGoal.away, 0));
-    if (diff < safeNumber(p.minSOTDiff)) {
-      reasons.push(`SOT diff < minSOTDiff (${diff} < ${p.minSOTDiff})`);
-    }
-  }
-  if (p.minSOT != null) {
-    const mx = Math.max(safeNumber(metrics.shotsOnGoal.home, 0), safeNumber(metrics.shotsOnGoal.away, 0));
-    if (mx < safeNumber(p.minSOT)) {
-      reasons.push(`SOT < minSOT (${mx} < ${p.minSOT})`);
-    }
-  }
-
-  if (p.minCornerDiff != null) {
-    const diff = Math.abs(safeNumber(metrics.corners.home, 0) - safeNumber(metrics.corners.away, 0));
-    if (diff < safeNumber(p.minCornerDiff)) {
-      reasons.push(`corner diff < minCornerDiff (${diff} < ${p.minCornerDiff})`);
-    }
+function untrackPick(fixtureId, pickId) {
+  const open = openPicksByFixture.get(fixtureId);
+  if (!open) return;
+  open.delete(pickId);
+  if (!open.size) openPicksByFixture.delete(fixtureId);
+}
+async function loadClosingState() {
+  const settledIds = new Set();
+  for (const r of await storage.results.list()) {
+    if ((r?.type === "result" || r?.type === "parked") && r.pickId) settledIds.add(r.pickId);
   }
-
-  if (p.maxTotalShotsSum != null) {
-    const sum = safeNumber(metrics.shotsTotal.home, 0) + safeNumber(metrics.shotsTotal.away, 0);
-    if (sum > safeNumber(p.maxTotalShotsSum)) {
-      reasons.push(`total shots sum > maxTotalShotsSum (${sum} > ${p.maxTotalShotsSum})`);
-    }
+  const { keyOf } = strategyResolver();
+  for (const rec of await storage.picks.list()) {
+    const p = pickFromRecord(rec);
+    if (p?.pickId && !settledIds.has(p.pickId)) trackOpenPick(withStrategyKey(p, keyOf));
   }
-  if (p.maxSOTSum != null) {
-    const sum = safeNumber(metrics.shotsOnGoal.home, 0) + safeNumber(metrics.shotsOnGoal.away, 0);
-    if (sum > safeNumber(p.maxSOTSum)) {
-      reasons.push(`SOT sum > maxSOTSum (${sum} > ${p.maxSOTSum})`);
-    }
+  for (const c of readNdjson(CLOSING_LOG)) {
+    if (c?.type === "odds_close" && c.pickId) closingByPickId.set(c.pickId, { odds: c.odds, minute: c.minute, time: c.time });
   }
-  if (p.maxXgProxySum != null) {
-    const sum = safeNumber(metrics.xgProxy.home, 0) + safeNumber(metrics.xgProxy.away, 0);
-    if (sum > safeNumber(p.maxXgProxySum)) {
-      reasons.push(`xG proxy sum > maxXgProxySum (${sum.toFixed(2)} > ${p.maxXgProxySum})`);
-    }
+}
+function captureClosingOdds(fixtureId, odds, minute) {
+  const open = openPicksByFixture.get(fixtureId);
+  if (!open || !odds) return 0;
+  let captured = 0;
+  for (const pick of open.values()) {
+    const price = priceForPick(pick, odds);
+    if (!price) continue;
+    const prev = closingByPickId.get(pick.pickId);
+    const entry = { odds: price, minute, time: nowIso() };
+    closingByPickId.set(pick.pickId, entry);
+    if (prev?.odds !== price) appendNdjson(CLOSING_LOG, { ...entry, type: "odds_close", pickId: pick.pickId, fixtureId });
+    captured += 1;
   }
+  return captured;
+}
 
-  if (p.maxGoalDown != null) {
-    const absDiff = Math.abs(safeNumber(metrics.score.diff, 0));
-    if (absDiff > safeNumber(p.maxGoalDown)) {
-      reasons.push(`goal diff > maxGoalDown (${absDiff} > ${p.maxGoalDown})`);
-    }
-  }
+// ===== Stats Buckets (shared by /api/summary/day and /api/stats) =====
 
-  return reasons;
+// picks.ndjson record {time,type:"pick",pick} → pick (ts falls back to the record time)
+function pickFromRecord(rec) {
+  if (rec?.type !== "pick" || !rec.pick || typeof rec.pick !== "object") return null;
+  return { ...rec.pick, ts: rec.pick.ts || rec.time };
 }
 
-// ===== Pick Builder (scan keeps required fields) =====
-function buildPickBase(metrics, strategyKey, strategyLabel) {
-  return {
-    fixtureId: metrics.fixtureId,
-    leagueId: metrics.leagueId,
-    minute: metrics.minute,
-    home: metrics.teams.home.name,
-    away: metrics.teams.away.name,
-    scoreHome: metrics.score.home,
-    scoreAway: metrics.score.away,
-
-    // required fields (DO NOT REMOVE)
-    strategy: strategyLabel || strategyKey,
-    tier: "B",
-    edge: 0,
-    kelly: 0,
-    market: "",
-    selection: "",
-    betType: "live",
+// strategy of a pick / result: strategyKey, or (records from before it existed) the label / key it was logged under
+// - keyOf(rec) → config key | null; nameOf(rec) → current label of that key, so a renamed label keeps one stats row
+function strategyResolver(map = strategyConfig.current().map) {
+  const keyByName = new Map(Object.keys(map).map((key) => [key, key]));
+  for (const [key, st] of Object.entries(map)) if (st?.label && !keyByName.has(st.label)) keyByName.set(st.label, key);
+  const keyOf = (rec) => rec?.strategyKey || keyByName.get(rec?.strategy) || null;
+  const nameOf = (rec) => {
+    const key = keyOf(rec);
+    return (key && (map[key]?.label || key)) || rec?.strategy || "unknown";
   };
+  return { keyOf, nameOf };
 }
-
-// เติม field ให้ครบตามสัญญา UI (additive only)
-function finalizePickForUI(pick, metrics) {
-  if (!pick || !metrics) return pick;
-
-  // Required by UI/spec
-  if (!pick.ts) pick.ts = nowIso();
-  if (!pick.pickId) pick.pickId = makePickId({ ...pick, ts: pick.ts });
-
-  // League display (string is simplest for UI)
-  if (!pick.league) pick.league = metrics?.league?.name || metrics?.leagueName || metrics?.league_name || "";
-
-  // Ensure teams
-  if (!pick.home) pick.home = metrics?.teams?.home?.name || pick.home;
-  if (!pick.away) pick.away = metrics?.teams?.away?.name || pick.away;
-
-  // Score/minute at scan (UI uses these fallbacks)
-  if (pick.scoreAtScan == null) pick.scoreAtScan = `${safeNumber(metrics?.score?.home, 0)}-${safeNumber(metrics?.score?.away, 0)}`;
-  if (pick.minuteAtScan == null) pick.minuteAtScan = metrics?.minute;
-
-  // Stake default
-  if (pick.stake == null) pick.stake = 1;
-
-  return pick;
+// older picks get their strategyKey back, so they dedup against new picks of the same strategy
+function withStrategyKey(pick, keyOf) {
+  if (!pick || pick.strategyKey) return pick;
+  const key = keyOf(pick);
+  return key ? { ...pick, strategyKey: key } : pick;
 }
-
-// ===== Dedup =====
-function makeDedupKey(pick) {
-  const fixtureId = pick?.fixtureId ?? "";
-  const strategy = pick?.strategy ?? "";
-  const side = pick?.side ?? pick?.selection ?? pick?.betSide ?? "";
-  return `${fixtureId}__${strategy}__${side}`;
+function dayKeyFromPick(p) {
+  const ts = p?.ts || p?.time || "";
+  return String(ts).slice(0, 10);
 }
-
-// ===== Debug Grouping =====
-function ensureFixtureBucket(map, metrics) {
-  const id = metrics?.fixtureId;
-  if (!id) return null;
-  if (!map.has(id)) {
-    map.set(id, {
-      fixtureId: metrics.fixtureId,
-      leagueId: metrics.leagueId,
-      minute: metrics.minute,
-      home: metrics.teams.home.name,
-      away: metrics.teams.away.name,
-      score: `${metrics.score.home}-${metrics.score.away}`,
-      rejected: [],
-      notes: [],
-    });
-  } else {
-    const b = map.get(id);
-    b.minute = metrics.minute;
-    b.score = `${metrics.score.home}-${metrics.score.away}`;
-  }
-  return map.get(id);
+function dayKeyFromResult(r) {
+  // prefer ts_pick (entry day) to group by "วันที่เข้า"
+  const ts = r?.ts_pick || r?.time || "";
+  return String(ts).slice(0, 10);
 }
-function pushRejected(map, metrics, item) {
-  const bucket = ensureFixtureBucket(map, metrics);
-  if (!bucket) return;
-  bucket.rejected.push(item);
+// YYYY-MM-DD → ISO week key YYYY-Www
+function weekKeyFromDay(day) {
+  const d = new Date(`${day}T00:00:00Z`);
+  if (Number.isNaN(d.getTime())) return "unknown";
+  const dow = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - dow); // Thursday decides the ISO year
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
 }
-function pushNote(map, metrics, note) {
-  const bucket = ensureFixtureBucket(map, metrics);
-  if (!bucket) return;
-  bucket.notes.push(note);
+function normMarket(x) {
+  const m = String(x || "").toUpperCase();
+  if (m.includes("HANDICAP") || m === "AH") return "HANDICAP";
+  if (m.includes("TOTAL") || m === "OU") return "TOTAL";
+  if (m === "1X2") return "1X2";
+  return m || "UNKNOWN";
 }
-
-// ===== Result Sync Helpers =====
-
-// Normalize "pick" from either:
-// 1) legacy flat record: {ts, fixtureId, strategy, betType, betSide, odds, stake, result...}
-// 2) new ndjson: {time, type:"pick", pick:{...}}
-function normalizePickRecord(obj, idx) {
-  if (obj && obj.type === "pick" && obj.pick && typeof obj.pick === "object") {
-    const p = obj.pick;
-    return {
-      _src: "new",
-      _line: idx,
-      ts: obj.time || p.time || p.ts || nowIso(),
-      fixtureId: p.fixtureId,
-      strategy: p.strategy,
-      tier: p.tier,
-      edge: p.edge,
-      kelly: p.kelly,
-      odds: p.odds,
-      stake: p.stake ?? 1,
-      // markets
-      market: p.market,
-      selection: p.selection,
-      betType: p.betType,
-      side: p.side, // e.g. home/away/draw/over/under
-      line: p.line,
-      home: p.home,
-      away: p.away,
-      result: p.result || "PENDING",
-    };
-  }
-
-  // legacy
-  if (obj && typeof obj === "object") {
-    return {
-      _src: "legacy",
-      _line: idx,
-      ts: obj.ts || obj.time || nowIso(),
-      fixtureId: obj.fixtureId,
-      strategy: obj.strategy || obj.betType,
-      tier: obj.tier,
-      edge: obj.edge,
-      kelly: obj.kelly,
-      odds: obj.odds,
-      stake: obj.stake ?? 1,
-
-      market: obj.market, // often missing in legacy
-      selection: obj.selection,
-      betType: obj.betType,
-      side: obj.betSide,
-      line: obj.line,
-
-      home: obj.home,
-      away: obj.away,
-      result: obj.result || "PENDING",
-    };
-  }
-
-  return null;
+// one win rate for /api/summary/day, /api/stats and /api/performance: a half win counts as a win,
+// full pushes are left out (same as the backtest hitRate)
+function winRateOf({ win = 0, lose = 0, half_win = 0, half_lose = 0 }) {
+  const decided = win + lose + half_win + half_lose;
+  return decided > 0 ? (win + half_win) / decided : 0;
 }
 
-// Deterministic id for linking results (no DB)
-function makePickId(p) {
-  const fixtureId = p?.fixtureId ?? "";
-  const strategy = p?.strategy ?? "";
-  const side = p?.side ?? p?.selection ?? "";
-  const ts = p?.ts ?? "";
-  return `${fixtureId}__${strategy}__${side}__${ts}`;
+function initBucket(name) {
+  return {
+    name,
+    picks: 0,          // total picks (including pending)
+    settled: 0,        // results counted
+    pending: 0,
+    win: 0,
+    lose: 0,
+    half_win: 0,
+    half_lose: 0,
+    push: 0,
+    stakeSum: 0,
+    profitSum: 0,
+    ROI: 0,
+    winRate: 0,
+    clvSum: 0,
+    clvCount: 0,
+    clvAvg: null,      // % (results with odds_close only)
+  };
 }
-
-// settle helpers
-function settle1x2(side, scoreHome, scoreAway) {
-  const h = safeNumber(scoreHome, 0);
-  const a = safeNumber(scoreAway, 0);
-  const winner = h > a ? "home" : h < a ? "away" : "draw";
-  if (side === winner) return "WIN";
-  return "LOSE";
+function countPick(bucket, isSettled) {
+  bucket.picks += 1;
+  if (!isSettled) bucket.pending += 1;
 }
-function settleTotal(selection, line, scoreHome, scoreAway) {
-  const h = safeNumber(scoreHome, 0);
-  const a = safeNumber(scoreAway, 0);
-  const total = h + a;
-  const ln = Number(line);
-  if (!Number.isFinite(ln)) return { outcome: "SKIP", reason: "missing/invalid line" };
-
-  const sel = String(selection || "").toUpperCase();
-  if (sel === "OVER") {
-    if (total > ln) return { outcome: "WIN" };
-    if (total === ln) return { outcome: "PUSH" };
-    return { outcome: "LOSE" };
+function applyResult(bucket, r) {
+  const outcome = String(r?.outcome || "").toUpperCase();
+  const stake = safeNumber(r?.stake, 1);
+  const profit = safeNumber(r?.profit, 0);
+
+  bucket.settled += 1;
+  bucket.stakeSum += stake;
+  bucket.profitSum += profit;
+
+  if (r?.clv != null && Number.isFinite(Number(r.clv))) {
+    bucket.clvSum += Number(r.clv);
+    bucket.clvCount += 1;
   }
-  if (sel === "UNDER") {
-    if (total < ln) return { outcome: "WIN" };
-    if (total === ln) return { outcome: "PUSH" };
-    return { outcome: "LOSE" };
+
+  if (outcome === "WIN") bucket.win += 1;
+  else if (outcome === "LOSE") bucket.lose += 1;
+  else if (outcome === "PUSH") bucket.push += 1;
+  else if (outcome === "HALF_WIN") bucket.half_win += 1;
+  else if (outcome === "HALF_LOSE") bucket.half_lose += 1;
+  else {
+    // keep unknown outcomes out of W/L stats but still count settled
   }
-  return { outcome: "SKIP", reason: "unknown total selection" };
 }
-function profitForOutcome(outcome, odds, stake) {
-  const o = Number(odds);
-  const s = Number(stake ?? 1);
-  if (!Number.isFinite(s) || s <= 0) return 0;
-  if (outcome === "WIN") {
-    if (!Number.isFinite(o) || o <= 1) return 0;
-    return (o - 1) * s;
-  }
-  if (outcome === "LOSE") return -1 * s;
-  return 0; // PUSH/SKIP
+function finalizeBucket(bucket) {
+  bucket.winRate = winRateOf(bucket);
+  bucket.ROI = bucket.stakeSum > 0 ? bucket.profitSum / bucket.stakeSum : 0;
+
+  // rounding (keep stable JSON)
+  bucket.stakeSum = Number(bucket.stakeSum.toFixed(4));
+  bucket.profitSum = Number(bucket.profitSum.toFixed(4));
+  bucket.winRate = Number(bucket.winRate.toFixed(4));
+  bucket.ROI = Number(bucket.ROI.toFixed(4));
+  bucket.clvSum = Number(bucket.clvSum.toFixed(4));
+  bucket.clvAvg = bucket.clvCount > 0 ? Number((bucket.clvSum / bucket.clvCount).toFixed(4)) : null;
+  return bucket;
+}
+function bucketIn(map, name) {
+  if (!map.has(name)) map.set(name, initBucket(name));
+  return map.get(name);
 }
 
 // ===== Endpoints =====
@@ -499,483 +394,419 @@ app.get("/api/football/status", async (req, res) => {
     } catch {
       data = await apiFootball("/timezone");
     }
-    res.json({ status: "success", provider: data });
+    res.json({ status: "success", provider: data, usage: apiFootball.usage() });
   } catch (e) {
-    res.status(500).json({ status: "error", message: e?.message || String(e) });
+    res.status(500).json({ status: "error", message: e?.message || String(e), usage: apiFootball.usage() });
   }
 });
 
+// ===== Scan Pipeline =====
+const snapshotRecorder = createSnapshotRecorder({ store: storage.snapshots, retentionDays: SNAPSHOT_RETENTION_DAYS });
+
+const signalStore = createSignalStore({ policy: REFIRE_POLICY, refireMinutes: REFIRE_MINUTES });
+
+const bankroll = createBankroll({
+  storage,
+  mode: STAKE_MODE,
+  start: BANKROLL_START,
+  kellyMultiplier: KELLY_MULTIPLIER,
+  maxPickPct: MAX_STAKE_PCT,
+  maxFixturePct: MAX_FIXTURE_PCT,
+  maxLeaguePct: MAX_LEAGUE_PCT,
+  maxDailyPct: MAX_DAILY_PCT,
+  minStake: MIN_STAKE,
+});
+
+// ===== Scanner (scanner.js) =====
+const scanner = createScanner({
+  client: apiFootball,
+  strategies: () => strategyConfig.current(),
+  registry: strategyRegistry,
+  signalStore,
+  bankroll,
+  picksStore: storage.picks,
+  snapshotRecorder,
+  openPicksOf: (fixtureId) => Array.from(openPicksByFixture.get(fixtureId)?.values() || []),
+  captureClosingOdds,
+  trackOpenPick,
+  publish: (type, data) => events.publish(type, data),
+  record: RECORD_SNAPSHOTS,
+  concurrency: SCAN_CONCURRENCY,
+  fixtureTimeoutMs: SCAN_FIXTURE_TIMEOUT_MS,
+  conflicts: { mode: CONFLICT_MODE, stakeMult: CORRELATED_STAKE_MULT },
+});
+
+// Scans never overlap: manual and scheduled runs queue behind each other
+let scanQueue = Promise.resolve();
+let scanBusy = false;
+let lastScan = null; // { at, source, response }
+
+function runScanExclusive(opts = {}, source = "manual") {
+  const run = scanQueue.then(async () => {
+    scanBusy = true;
+    try {
+      const response = await scanner.runScan(opts);
+      lastScan = { at: nowIso(), source, response };
+      events.publish("scan.completed", {
+        status: "success",
+        at: lastScan.at,
+        source,
+        generatedAt: response.risk.generatedAt,
+        totalFixtures: response.totalFixtures,
+        totalPicks: response.totalPicks,
+        newPicks: response.newPicks,
+        latencyMs: response.risk.latencyMs,
+        apiBudget: response.risk.apiBudget,
+      });
+      return response;
+    } catch (e) {
+      events.publish("scan.completed", { status: "error", at: nowIso(), source, message: e?.message || String(e) });
+      throw e;
+    } finally {
+      scanBusy = false;
+    }
+  });
+  scanQueue = run.catch(() => {});
+  return run;
+}
+
 /**
  * POST /api/scan
  * - main response structure fixed
  * - debug.rejected is grouped + sorted (rejected count desc)
+ * - record=1 writes snapshots for this scan even when RECORD_SNAPSHOTS is off
  */
 app.post("/api/scan", async (req, res) => {
   const debugEnabled = toBool(req.query?.debug) || toBool(req.body?.debug);
-  const startedAt = Date.now();
+  const record = toBool(req.query?.record) || toBool(req.body?.record) || RECORD_SNAPSHOTS;
+  try {
+    res.json(await runScanExclusive({ debug: debugEnabled, record }, "manual"));
+  } catch (e) {
+    res.status(500).json({ status: "error", message: e?.message || String(e) });
+  }
+});
+
+// GET /api/scan/last → last scan response (manual or scheduled); null before the first scan
+app.get("/api/scan/last", (req, res) => {
+  res.json({ status: "success", at: lastScan?.at || null, source: lastScan?.source || null, scan: lastScan?.response || null });
+});
+
+/**
+ * GET /api/stream → Server-Sent Events: pick.new (logged pick), scan.completed (scan summary, manual or scheduled),
+ *   result.settled (result record), quota.warning (API-Football budget low / exhausted)
+ * - events=pick.new,scan.completed: only these types
+ * - reconnect: Last-Event-ID header (EventSource sends it) or ?lastEventId= replays the missed events,
+ *   then "stream.ready" { replayed, gap } (gap: some were lost → reload over REST)
+ * GET /api/stream/status → clients + buffer
+ */
+app.get("/api/stream", (req, res) => {
+  const wanted = String(req.query.events || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+  const unknown = wanted.filter((t) => !STREAM_EVENTS.includes(t));
+  if (unknown.length) {
+    return res.status(400).json({ status: "error", message: `unknown event(s): ${unknown.join(", ")}`, events: STREAM_EVENTS });
+  }
+  events.subscribe(req, res, {
+    lastEventId: req.get("Last-Event-ID") || req.query.lastEventId || null,
+    types: wanted.length ? new Set(wanted) : null,
+  });
+});
 
-  const strategiesMap = loadStrategiesMap();
+app.get("/api/stream/status", (req, res) => {
+  res.json({ status: "success", events: STREAM_EVENTS, stream: events.status() });
+});
+
+/**
+ * GET /api/fixtures/:id/timeline → recorded snapshots of one fixture (minute order)
+ * - default: time, minute, status, score, metrics per snapshot; raw=1 adds the raw API payloads
+ */
+app.get("/api/fixtures/:id/timeline", async (req, res) => {
+  const fixtureId = String(req.params.id || "").trim();
+  if (!/^\d+$/.test(fixtureId)) return res.status(400).json({ status: "error", message: "fixture id must be numeric" });
 
+  let timeline;
   try {
-    const liveRes = await apiFootball("/fixtures", { live: "all" });
-    const fixtures = Array.isArray(liveRes?.response) ? liveRes.response : [];
-
-    const picks = [];
-    const dedupSet = new Set();
-
-    const rejectedByFixture = new Map();
-    const debugPassed = [];
-    const debugStats = {
-      fixtureCount: fixtures.length,
-      strategiesTotal: Object.keys(strategiesMap).length,
-      strategiesEnabled: Object.entries(strategiesMap).filter(([, v]) => v?.enabled).length,
-      evaluated: 0,
-      passed: 0,
-      rejected: 0,
-      skippedDisabled: 0,
-      missingData: 0,
-    };
+    timeline = await snapshotRecorder.timeline(fixtureId);
+  } catch (e) {
+    return res.status(500).json({ status: "error", message: e?.message || String(e) });
+  }
+  const { snapshots, final } = timeline;
+  if (!snapshots.length && !final) {
+    return res.status(404).json({ status: "error", message: `no snapshots recorded for fixture ${fixtureId}` });
+  }
+  const raw = toBool(req.query.raw);
+  const scoreOf = (fx) => (fx?.goals ? `${safeNumber(fx.goals.home, 0)}-${safeNumber(fx.goals.away, 0)}` : null);
+  res.json({
+    status: "success",
+    fixtureId: Number(fixtureId),
+    count: snapshots.length,
+    final: final ? { time: final.time, status: final.fixture?.fixture?.status?.short || null, score: scoreOf(final.fixture) } : null,
+    timeline: snapshots.map((s) => ({
+      time: s.time,
+      minute: s.minute,
+      status: s.fixture?.fixture?.status?.short || null,
+      score: scoreOf(s.fixture),
+      metrics: s.metrics ?? null,
+      ...(raw ? { raw: { fixture: s.fixture, statistics: s.statistics, events: s.events, odds: s.odds } } : {}),
+    })),
+  });
+});
 
-    const strategyKeys = Object.keys(strategiesMap);
-
-    for (const fx of fixtures) {
-      let metrics;
-      try {
-        metrics = await buildMetricsForFixture(fx);
-      } catch (e) {
-        if (debugEnabled) {
-          debugStats.missingData += 1;
-          const fixtureId = fx?.fixture?.id;
-          if (fixtureId) {
-            rejectedByFixture.set(fixtureId, {
-              fixtureId,
-              leagueId: fx?.league?.id,
-              minute: safeNumber(fx?.fixture?.status?.elapsed, 0),
-              home: fx?.teams?.home?.name,
-              away: fx?.teams?.away?.name,
-              score: `${safeNumber(fx?.goals?.home, 0)}-${safeNumber(fx?.goals?.away, 0)}`,
-              rejected: [
-                { strategy: "*all*", label: "*all*", reasons: [`metrics build failed: ${e?.message || String(e)}`] },
-              ],
-              notes: [],
-            });
-          }
-        }
-        continue;
-      }
+// ===== Auto-Scan Scheduler (scanScheduler.js) =====
+const scanScheduler = createScanScheduler({
+  cadence: { firstHalfMs: AUTO_SCAN_FIRST_HALF_MS, secondHalfMs: AUTO_SCAN_SECOND_HALF_MS },
+  // both phases due → one full scan instead of two filtered ones
+  scan: (phases) =>
+    runScanExclusive({ debug: true, phases: phases.length === SCAN_PHASES.length ? null : phases }, "scheduler"),
+  isBusy: () => scanBusy,
+});
 
-      let riskPenaltyMult = 1.0;
-
-      // redcard_filter is filter-only (note only)
-      if (strategiesMap?.redcard_filter?.enabled) {
-        const penalty = safeNumber(strategiesMap.redcard_filter?.params?.penalty, 1.0);
-        const redStats = safeNumber(metrics?.cards?.red?.home, 0) + safeNumber(metrics?.cards?.red?.away, 0);
-
-        let redByEvents = null;
-        try {
-          const ev = await apiFootball("/fixtures/events", { fixture: metrics.fixtureId });
-          const arr = Array.isArray(ev?.response) ? ev.response : [];
-          redByEvents = arr.some((e) => {
-            const type = String(e?.type || "").toLowerCase();
-            const detail = String(e?.detail || "").toLowerCase();
-            return type === "card" && (detail.includes("red") || detail.includes("second yellow"));
-          });
-        } catch {
-          redByEvents = null;
-        }
-
-        const hasRed = redByEvents === true || redStats > 0;
-        if (hasRed) {
-          riskPenaltyMult *= Math.max(1.0, penalty);
-          if (debugEnabled) pushNote(rejectedByFixture, metrics, `red card detected → risk penalty x${penalty}`);
-        } else if (debugEnabled) {
-          pushNote(rejectedByFixture, metrics, "no red card detected");
-        }
-      }
+/**
+ * POST /api/scheduler/start
+ * body: { firstHalfMs?, secondHalfMs? } (min 15000 ms; restarts if already running)
+ */
+app.post("/api/scheduler/start", (req, res) => {
+  res.json({ status: "success", scheduler: scanScheduler.start(req.body || {}) });
+});
 
-      for (const key of strategyKeys) {
-        const st = strategiesMap[key];
-        const label = st?.label || key;
-
-        if (!st?.enabled) {
-          if (debugEnabled) {
-            debugStats.skippedDisabled += 1;
-            pushRejected(rejectedByFixture, metrics, { strategy: key, label, reasons: ["strategy disabled"] });
-          }
-          continue;
-        }
-        if (key === "redcard_filter") continue;
-
-        debugStats.evaluated += 1;
-
-        const reasons = evaluateParams(st?.params, metrics);
-        let pick = null;
-
-        if (key === "late_pressure_goal") {
-          if (reasons.length === 0) {
-            pick = buildPickBase(metrics, key, label);
-            pick.tier = "A";
-            pick.market = "TOTAL";
-            pick.selection = "OVER";
-            pick.betType = "live";
-            pick.line = 0.5;
-            pick.side = "over";
-
-            const maxPressure = Math.max(metrics.pressure.home, metrics.pressure.away);
-            const sotDiff = Math.abs(safeNumber(metrics.shotsOnGoal.home, 0) - safeNumber(metrics.shotsOnGoal.away, 0));
-            const cornerDiff = Math.abs(safeNumber(metrics.corners.home, 0) - safeNumber(metrics.corners.away, 0));
-            const strength = clamp01(0.55 * maxPressure + 0.20 * (sotDiff / 5) + 0.25 * (cornerDiff / 6));
-            pick.edge = Number((0.02 + 0.10 * strength).toFixed(4));
-            pick.kelly = Number((0.01 + 0.08 * strength).toFixed(4));
-          }
-        }
-
-        if (key === "equalizer_push") {
-          const diff = safeNumber(metrics.score.diff, 0);
-          const absDiff = Math.abs(diff);
-          const maxGoalDown = safeNumber(st?.params?.maxGoalDown, 1);
-          if (absDiff === 0) reasons.push("not trailing (score is level)");
-
-          const trailing = diff < 0 ? "home" : "away";
-          const trailingPressure = safeNumber(metrics.pressure[trailing], 0);
-          const trailingSOT = safeNumber(metrics.shotsOnGoal[trailing], 0);
-
-          if (st?.params?.minPressure != null && trailingPressure < safeNumber(st.params.minPressure)) {
-            reasons.push(`trailing pressure < minPressure (${trailingPressure.toFixed(2)} < ${st.params.minPressure})`);
-          }
-          if (st?.params?.minSOT != null && trailingSOT < safeNumber(st.params.minSOT)) {
-            reasons.push(`trailing SOT < minSOT (${trailingSOT} < ${st.params.minSOT})`);
-          }
-          if (absDiff > maxGoalDown) {
-            // already covered by evaluateParams
-          }
-
-          if (reasons.length === 0) {
-            pick = buildPickBase(metrics, key, label);
-            pick.tier = "A";
-            pick.market = "NEXT_GOAL";
-            pick.selection = trailing.toUpperCase();
-            pick.betType = "live";
-            pick.side = trailing;
-
-            const strength = clamp01(0.60 * trailingPressure + 0.40 * (trailingSOT / 6));
-            pick.edge = Number((0.02 + 0.10 * strength).toFixed(4));
-            pick.kelly = Number((0.01 + 0.08 * strength).toFixed(4));
-          }
-        }
-
-        if (key === "under_control") {
-          if (reasons.length === 0) {
-            pick = buildPickBase(metrics, key, label);
-            pick.tier = "B";
-            pick.market = "TOTAL";
-            pick.selection = "UNDER";
-            pick.betType = "live";
-            const tg = safeNumber(metrics.score.home, 0) + safeNumber(metrics.score.away, 0);
-            pick.line = tg + 1.5;
-            pick.side = "under";
-
-            const shotsSum = safeNumber(metrics.shotsTotal.home, 0) + safeNumber(metrics.shotsTotal.away, 0);
-            const sotSum = safeNumber(metrics.shotsOnGoal.home, 0) + safeNumber(metrics.shotsOnGoal.away, 0);
-            const xgSum = safeNumber(metrics.xgProxy.home, 0) + safeNumber(metrics.xgProxy.away, 0);
-            const calm = clamp01(1 - clamp01(0.05 * shotsSum + 0.10 * sotSum + 0.35 * xgSum));
-            pick.edge = Number((0.01 + 0.06 * calm).toFixed(4));
-            pick.kelly = Number((0.005 + 0.05 * calm).toFixed(4));
-          }
-        }
-
-        if (key === "value_1x2") {
-          // placeholder: keep your existing logic here (not central to sync-results)
-          // If you already added real odds logic previously, keep it. For now, we just skip pick build to avoid false picks.
-          // (You can paste your working value_1x2 builder back here if you want.)
-          reasons.push("value_1x2 builder not included in this snippet (keep your working one here)");
-        }
-
-        if (!pick) {
-          debugStats.rejected += 1;
-          if (debugEnabled) pushRejected(rejectedByFixture, metrics, { strategy: key, label, reasons });
-          continue;
-        }
-
-        pick.riskPenaltyMult = Number(riskPenaltyMult.toFixed(3));
-
-        // Add missing fields for UI (time/league/stake/pickId/score/minute)
-        finalizePickForUI(pick, metrics);
-
-        const dkey = makeDedupKey(pick);
-        if (dedupSet.has(dkey)) continue;
-        dedupSet.add(dkey);
-
-        picks.push(pick);
-        debugStats.passed += 1;
-
-        if (debugEnabled) {
-          debugPassed.push({
-            fixtureId: metrics.fixtureId,
-            minute: metrics.minute,
-            home: metrics.teams.home.name,
-            away: metrics.teams.away.name,
-            score: `${metrics.score.home}-${metrics.score.away}`,
-            strategy: key,
-            label,
-            side: pick.side,
-          });
-        }
-
-        appendNdjson(PICKS_LOG, { time: nowIso(), type: "pick", pick });
-      }
-    }
+app.post("/api/scheduler/stop", (req, res) => {
+  res.json({ status: "success", scheduler: scanScheduler.stop() });
+});
 
-    const latencyMs = Date.now() - startedAt;
+app.get("/api/scheduler/status", (req, res) => {
+  res.json({ status: "success", scheduler: scanScheduler.status(), scanBusy, lastScanAt: lastScan?.at || null });
+});
 
-    const risk = {
-      generatedAt: nowIso(),
-      latencyMs,
-      note: "backend source-of-truth; picks may be empty and is not an error",
-    };
+// ===== Settlement (settlement.js; shared by /api/results/sync and the background worker) =====
+async function loadPendingPicks({ includeParked = false } = {}) {
+  return pendingPicks(await storage.picks.list(), await storage.results.list(), { includeParked });
+}
 
-    const response = {
-      status: "success",
-      totalFixtures: fixtures.length,
-      totalPicks: picks.length,
-      picks,
-      risk,
-    };
+// parked = can never settle on its finished fixture (see buildParkedRecord); kept in the results store
+async function parkPick(p, status, reason) {
+  await storage.results.append(buildParkedRecord(p, status, reason));
+  untrackPick(p.fixtureId, p.pickId);
+}
 
-    if (debugEnabled) {
-      const rejectedGrouped = Array.from(rejectedByFixture.values())
-        .filter((b) => (Array.isArray(b.rejected) && b.rejected.length > 0) || (Array.isArray(b.notes) && b.notes.length > 0))
-        .sort((a, b) => {
-          const ar = Array.isArray(a.rejected) ? a.rejected.length : 0;
-          const br = Array.isArray(b.rejected) ? b.rejected.length : 0;
-          if (br !== ar) return br - ar; // rejected count desc
-          const am = safeNumber(a.minute, 0);
-          const bm = safeNumber(b.minute, 0);
-          if (bm !== am) return bm - am; // minute desc
-          return safeNumber(b.fixtureId, 0) - safeNumber(a.fixtureId, 0);
-        })
-        .slice(0, 1200);
-
-      response.debug = {
-        enabled: true,
-        stats: debugStats,
-        passed: debugPassed.slice(0, 600),
-        rejected: rejectedGrouped,
-      };
-    }
+// parked picks that no later retry settled, newest first
+async function listParkedPicks() {
+  const records = await storage.results.list();
+  const settledIds = new Set(records.filter((r) => r?.type === "result").map((r) => r.pickId));
+  return records
+    .filter((r) => r?.type === "parked" && !settledIds.has(r.pickId))
+    .sort((a, b) => String(b.time).localeCompare(String(a.time)));
+}
 
-    res.json(response);
-  } catch (e) {
-    res.status(500).json({ status: "error", message: e?.message || String(e) });
-  }
-});
+function settleOptions(extra = {}) {
+  return {
+    client: apiFootball,
+    noGoalRule: NEXT_GOAL_NO_GOAL_RULE,
+    closingFor: (pickId) => closingByPickId.get(pickId) || null,
+    commit: async (record) => {
+      await storage.results.append(record);
+      untrackPick(record.fixtureId, record.pickId);
+      events.publish("result.settled", record);
+    },
+    ...extra,
+  };
+}
+
+// Settlement runs never overlap (manual sync vs worker would double-append results); across processes
+// each run holds SETTLE_LOCK_FILE, so a pass while `npm run settle` is writing fails with code LOCKED
+let settleQueue = Promise.resolve();
+function runSettlementExclusive(fn) {
+  const run = settleQueue.then(async () => {
+    const release = acquireLockFile(SETTLE_LOCK, "server");
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  });
+  settleQueue = run.catch(() => {});
+  return run;
+}
 
 /**
  * POST /api/results/sync
  * Manual settle after games finish (no DB):
- * - reads logs/picks.ndjson
- * - checks fixture final score/status
- * - settles supported markets (1X2, TOTAL with line)
- * - appends settled records into logs/results.ndjson
+ * - reads the picks (storage.js: logs/picks.ndjson or the picks table)
+ * - checks fixture final score/status (one fetch per fixture)
+ * - settles supported markets (1X2, TOTAL+line, HANDICAP+line; quarter lines → HALF_WIN/HALF_LOSE)
+ * - NEXT_GOAL is settled from /fixtures/events (no goal → NEXT_GOAL_NO_GOAL_RULE: lose | refund)
+ * - appends settled records to the results (logs/results.ndjson or the results table; with odds_close + clv % when a closing price was captured)
+ * The background worker (/api/settlement/status) does the same on its own.
+ * 409 while `npm run settle` holds the settle lock (LOG_DIR/settle.lock)
  *
  * Optional body:
  * { limit: 300 }  // max picks to inspect (newest-first)
  * { dryRun: true } // no write, just report
+ * { retryParked: true } // also try picks the worker parked as unsettleable (GET /api/settlement/parked)
  */
 app.post("/api/results/sync", async (req, res) => {
   const limit = Math.max(1, Math.min(2000, safeNumber(req.body?.limit, 400)));
   const dryRun = toBool(req.body?.dryRun);
+  const includeParked = toBool(req.body?.retryParked);
 
-  const picksRaw = readNdjson(PICKS_LOG);
-  const resultsRaw = readNdjson(RESULTS_LOG);
-
-  // already-settled pickIds
-  const settledIds = new Set();
-  for (const r of resultsRaw) {
-    const pickId = r?.pickId;
-    if (pickId) settledIds.add(pickId);
-  }
-
-  // normalize picks (keep newest first)
-  const normalized = [];
-  for (let i = 0; i < picksRaw.length; i++) {
-    const p = normalizePickRecord(picksRaw[i], i);
-    if (p && p.fixtureId) normalized.push(p);
-  }
-  normalized.sort((a, b) => String(b.ts).localeCompare(String(a.ts)));
-
-  const toInspect = normalized.slice(0, limit);
-
-  let checked = 0;
-  let settled = 0;
-  let skipped = 0;
-
-  const settledOut = [];
-  const skippedOut = [];
-
-  for (const p of toInspect) {
-    const pickId = makePickId(p);
-    if (settledIds.has(pickId)) continue; // already written to results
-
-    // only pending-like picks
-    const r = String(p.result || "PENDING").toUpperCase();
-    if (r !== "PENDING" && r !== "OPEN") continue;
-
-    checked += 1;
-
-    // fetch fixture by id
-    let fx;
-    try {
-      const fxRes = await apiFootball("/fixtures", { id: p.fixtureId });
-      fx = Array.isArray(fxRes?.response) ? fxRes.response[0] : null;
-    } catch (e) {
-      skipped += 1;
-      skippedOut.push({ pickId, fixtureId: p.fixtureId, reason: `fixture fetch failed: ${e?.message || String(e)}` });
-      continue;
-    }
-
-    if (!fx?.fixture?.status) {
-      skipped += 1;
-      skippedOut.push({ pickId, fixtureId: p.fixtureId, reason: "fixture status missing" });
-      continue;
-    }
-
-    const short = String(fx.fixture.status.short || "").toUpperCase();
-    const isFinished = ["FT", "AET", "PEN"].includes(short);
-
-    if (!isFinished) {
-      skipped += 1;
-      skippedOut.push({ pickId, fixtureId: p.fixtureId, reason: `not finished (status=${short || "?"})` });
-      continue;
-    }
-
-    const scoreHome = safeNumber(fx?.goals?.home, 0);
-    const scoreAway = safeNumber(fx?.goals?.away, 0);
-
-    // Determine market from new picks OR fallback legacy betType
-    const market = p.market || (p.betType === "value_1x2" ? "1X2" : null);
-    const side = (p.side || "").toLowerCase();
-    const oddsBet = Number(p.odds);
-    const stake = Number(p.stake ?? 1);
-
-    let outcome = "SKIP";
-    let reason = "";
-
-    // 1X2
-    if (market === "1X2") {
-      if (!["home", "away", "draw"].includes(side)) {
-        outcome = "SKIP";
-        reason = "missing side for 1X2 (need home/away/draw)";
-      } else {
-        outcome = settle1x2(side, scoreHome, scoreAway);
+  try {
+    const out = await runSettlementExclusive(async () => {
+      const toInspect = (await loadPendingPicks({ includeParked })).slice(0, limit);
+      const settledOut = [];
+      const skippedOut = [];
+      for (const [fixtureId, picks] of groupByFixture(toInspect)) {
+        const r = await settleFixturePicks(fixtureId, picks, settleOptions({ dryRun }));
+        settledOut.push(...r.settled);
+        skippedOut.push(...r.skipped);
       }
-    }
-    // TOTAL
-    else if (market === "TOTAL") {
-      const selection = p.selection || (side === "over" ? "OVER" : side === "under" ? "UNDER" : "");
-      const line = p.line;
-      const settledTotal = settleTotal(selection, line, scoreHome, scoreAway);
-      outcome = settledTotal.outcome;
-      reason = settledTotal.reason || "";
-    } else {
-      outcome = "SKIP";
-      reason = "unsupported/insufficient bet schema for auto-settle (need market 1X2 or TOTAL+line)";
-    }
+      return { checked: toInspect.length, settledOut, skippedOut };
+    });
 
-    if (outcome === "SKIP") {
-      skipped += 1;
-      skippedOut.push({ pickId, fixtureId: p.fixtureId, strategy: p.strategy, reason });
-      continue;
-    }
+    res.json({
+      status: "success",
+      inspectedLimit: limit,
+      checkedPending: out.checked,
+      settled: out.settledOut.length,
+      skipped: out.skippedOut.length,
+      dryRun: !!dryRun,
+      settledPreview: out.settledOut.slice(0, 50),
+      skippedPreview: out.skippedOut.slice(0, 80),
+    });
+  } catch (e) {
+    res.status(e?.code === "LOCKED" ? 409 : 500).json({ status: "error", message: e?.message || String(e) });
+  }
+});
 
-    const profit = profitForOutcome(outcome, oddsBet, stake);
+// ===== Settlement Worker (settlementWorker.js) =====
+const settlementWorker = createSettlementWorker({
+  listPending: loadPendingPicks,
+  settle: (fixtureId, picks) => settleFixturePicks(fixtureId, picks, settleOptions()),
+  park: parkPick,
+  exclusive: runSettlementExclusive,
+  intervalMs: SETTLE_INTERVAL_MS,
+  backoffBaseMs: SETTLE_BACKOFF_BASE_MS,
+  backoffMaxMs: SETTLE_BACKOFF_MAX_MS,
+});
 
-    const resultRecord = {
-      time: nowIso(),
-      type: "result",
-      pickId,
-      fixtureId: p.fixtureId,
-      strategy: p.strategy,
-      tier: p.tier,
-      market: market || null,
-      side: side || null,
-      selection: p.selection || null,
-      line: p.line ?? null,
-      odds_bet: Number.isFinite(oddsBet) ? oddsBet : null,
-      stake: Number.isFinite(stake) ? stake : 1,
-      finalScore: `${scoreHome}-${scoreAway}`,
-      outcome, // WIN / LOSE / PUSH
-      profit,
-      ts_pick: p.ts,
-    };
+// GET /api/settlement/status → worker progress (pending count, last run, failures, backoff)
+app.get("/api/settlement/status", (req, res) => {
+  res.json({ status: "success", worker: settlementWorker.status() });
+});
 
-    if (!dryRun) appendNdjson(RESULTS_LOG, resultRecord);
+// GET /api/settlement/parked → picks parked as unsettleable (retry: POST /api/results/sync { retryParked: true })
+app.get("/api/settlement/parked", async (req, res) => {
+  try {
+    const parked = await listParkedPicks();
+    res.json({ status: "success", count: parked.length, parked });
+  } catch (e) {
+    res.status(500).json({ status: "error", message: e?.message || String(e) });
+  }
+});
 
-    settled += 1;
-    settledOut.push(resultRecord);
+// POST /api/settlement/run → one worker pass now (still respects full-time + backoff)
+app.post("/api/settlement/run", async (req, res) => {
+  try {
+    const run = await settlementWorker.runOnce();
+    res.json({ status: "success", run, worker: settlementWorker.status() });
+  } catch (e) {
+    res.status(e?.code === "LOCKED" ? 409 : 500).json({ status: "error", message: e?.message || String(e) });
   }
+});
 
-  res.json({
-    status: "success",
-    inspectedLimit: limit,
-    checkedPending: checked,
-    settled,
-    skipped,
-    dryRun: !!dryRun,
-    settledPreview: settledOut.slice(0, 50),
-    skippedPreview: skippedOut.slice(0, 80),
-  });
+// POST /api/settlement/start { intervalMs? } | POST /api/settlement/stop
+app.post("/api/settlement/start", (req, res) => {
+  res.json({ status: "success", worker: settlementWorker.start(req.body || {}) });
+});
+
+app.post("/api/settlement/stop", (req, res) => {
+  res.json({ status: "success", worker: settlementWorker.stop() });
 });
 
 /**
  * GET /api/performance
- * Reads logs/results.ndjson and aggregates by strategy:
- * - bets, wins, losses, pushes
- * - winRate
+ * Reads the settled results and aggregates by strategy (and by market):
+ * - bets, wins, losses, pushes, halfWins, halfLosses
+ * - winRate (winRateOf: half wins count as wins, pushes left out)
  * - profitSum, stakeSum, ROI
+ * - clvAvg (% vs closing price, results with odds_close only)
  */
-app.get("/api/performance", (req, res) => {
-  const resultsRaw = readNdjson(RESULTS_LOG);
+app.get("/api/performance", async (req, res) => {
+  let resultsRaw;
+  try {
+    resultsRaw = await storage.results.list();
+  } catch (e) {
+    return res.status(500).json({ status: "error", message: e?.message || String(e) });
+  }
 
   const byStrat = new Map();
-
-  for (const r of resultsRaw) {
-    if (r?.type !== "result") continue;
-    const strategy = r?.strategy || "unknown";
-    const outcome = String(r?.outcome || "").toUpperCase();
-    const stake = safeNumber(r?.stake, 1);
-    const profit = safeNumber(r?.profit, 0);
-
-    if (!byStrat.has(strategy)) {
-      byStrat.set(strategy, {
-        strategy,
+  const byMarket = new Map();
+  const byVersion = new Map(); // strategy × config version the pick was made under
+  const { nameOf } = strategyResolver();
+
+  const rowFor = (map, key, fields) => {
+    if (!map.has(key)) {
+      map.set(key, {
+        ...fields,
         bets: 0,
         wins: 0,
         losses: 0,
         pushes: 0,
+        halfWins: 0,
+        halfLosses: 0,
         profitSum: 0,
         stakeSum: 0,
+        clvSum: 0,
+        clvCount: 0,
       });
     }
-    const s = byStrat.get(strategy);
-    s.bets += 1;
-    if (outcome === "WIN") s.wins += 1;
-    else if (outcome === "LOSE") s.losses += 1;
-    else s.pushes += 1;
-
-    s.profitSum += profit;
-    s.stakeSum += stake;
+    return map.get(key);
+  };
+
+  for (const r of resultsRaw) {
+    if (r?.type !== "result") continue;
+    const strategy = nameOf(r);
+    const outcome = String(r?.outcome || "").toUpperCase();
+    const stake = safeNumber(r?.stake, 1);
+    const profit = safeNumber(r?.profit, 0);
+    const clv = r?.clv != null && Number.isFinite(Number(r.clv)) ? Number(r.clv) : null;
+
+    const market = normMarket(r?.market);
+    const configVersion = r?.configVersion ?? null;
+    for (const s of [
+      rowFor(byStrat, strategy, { strategy }),
+      rowFor(byMarket, market, { market }),
+      rowFor(byVersion, `${strategy}\u0000${configVersion}`, { strategy, configVersion }),
+    ]) {
+      s.bets += 1;
+      if (outcome === "WIN") s.wins += 1;
+      else if (outcome === "LOSE") s.losses += 1;
+      else if (outcome === "HALF_WIN") s.halfWins += 1;
+      else if (outcome === "HALF_LOSE") s.halfLosses += 1;
+      else if (outcome === "PUSH") s.pushes += 1;
+
+      s.profitSum += profit;
+      s.stakeSum += stake;
+      if (clv != null) {
+        s.clvSum += clv;
+        s.clvCount += 1;
+      }
+    }
   }
 
-  const rows = Array.from(byStrat.values()).map((s) => {
-    const winRate = s.bets ? s.wins / s.bets : 0;
+  const finalizeRow = (s) => {
+    const winRate = winRateOf({ win: s.wins, lose: s.losses, half_win: s.halfWins, half_lose: s.halfLosses });
     const roi = s.stakeSum ? s.profitSum / s.stakeSum : 0;
+    const { clvSum, ...rest } = s;
     return {
-      ...s,
+      ...rest,
       winRate: Number(winRate.toFixed(4)),
       ROI: Number(roi.toFixed(4)),
+      clvAvg: s.clvCount ? Number((clvSum / s.clvCount).toFixed(4)) : null, // % vs closing price
     };
-  });
+  };
+  const rows = Array.from(byStrat.values()).map(finalizeRow);
+  const markets = Array.from(byMarket.values()).map(finalizeRow);
 
   // default sort: ROI desc then winRate desc then bets desc
   rows.sort((a, b) => {
@@ -983,29 +814,35 @@ app.get("/api/performance", (req, res) => {
     if (b.winRate !== a.winRate) return b.winRate - a.winRate;
     return b.bets - a.bets;
   });
+  markets.sort((a, b) => a.market.localeCompare(b.market));
+  const versions = Array.from(byVersion.values())
+    .map(finalizeRow)
+    .sort((a, b) => a.strategy.localeCompare(b.strategy) || b.bets - a.bets);
 
-  res.json({ status: "success", strategies: rows });
+  res.json({ status: "success", strategies: rows, markets, versions });
 });
 
 
 
+
 // ===============================
-// Daily Summary (baseline) — picks.ndjson + results.ndjson
+// Daily Summary (baseline) — picks + results (storage.js)
 // GET /api/summary/day?date=YYYY-MM-DD
 // Notes:
 // - Uses pick.ts as the primary day key (fallback to result.time).
 // - Splits totals by market: HANDICAP vs TOTAL (and others if present).
 // - P/L is based on result.profit, stake is result.stake.
 // ===============================
-app.get("/api/summary/day", (req, res) => {
+app.get("/api/summary/day", async (req, res) => {
   try {
     const date = String(req.query?.date || "").trim() || nowIso().slice(0, 10); // YYYY-MM-DD
     if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
       return res.status(400).json({ status: "error", message: "Invalid date. Use YYYY-MM-DD" });
     }
 
-    const picksRaw = readNdjson(PICKS_LOG);
-    const resultsRaw = readNdjson(RESULTS_LOG);
+    // picks of the day + results entered that day (day index = pick time / ts_pick)
+    const picksRaw = await storage.picks.list({ day: date });
+    const resultsRaw = await storage.results.list({ day: date });
 
     const settledById = new Map(); // pickId -> result
     for (const r of resultsRaw) {
@@ -1014,102 +851,26 @@ app.get("/api/summary/day", (req, res) => {
       settledById.set(r.pickId, r);
     }
 
-    function dayKeyFromPick(p) {
-      const ts = p?.ts || p?.time || "";
-      return String(ts).slice(0, 10);
-    }
-    function dayKeyFromResult(r) {
-      // prefer ts_pick (entry day) to group by "วันที่เข้า"
-      const ts = r?.ts_pick || r?.time || "";
-      return String(ts).slice(0, 10);
-    }
-    function normMarket(x) {
-      const m = String(x || "").toUpperCase();
-      if (m.includes("HANDICAP") || m === "AH") return "HANDICAP";
-      if (m.includes("TOTAL") || m === "OU") return "TOTAL";
-      if (m === "1X2") return "1X2";
-      return m || "UNKNOWN";
-    }
-    function initBucket(name) {
-      return {
-        name,
-        picks: 0,          // total picks (including pending)
-        settled: 0,        // results counted
-        pending: 0,
-        win: 0,
-        lose: 0,
-        half_win: 0,
-        half_lose: 0,
-        push: 0,
-        stakeSum: 0,
-        profitSum: 0,
-        ROI: 0,
-        winRate: 0,
-      };
-    }
-    function applyResult(bucket, r) {
-      const outcome = String(r?.outcome || "").toUpperCase();
-      const stake = safeNumber(r?.stake, 1);
-      const profit = safeNumber(r?.profit, 0);
-
-      bucket.settled += 1;
-      bucket.stakeSum += stake;
-      bucket.profitSum += profit;
-
-      if (outcome === "WIN") bucket.win += 1;
-      else if (outcome === "LOSE") bucket.lose += 1;
-      else if (outcome === "PUSH") bucket.push += 1;
-      else if (outcome === "HALF_WIN") bucket.half_win += 1;
-      else if (outcome === "HALF_LOSE") bucket.half_lose += 1;
-      else {
-        // keep unknown outcomes out of W/L stats but still count settled
-      }
-    }
-    function finalize(bucket) {
-      const decided = bucket.win + bucket.lose + bucket.half_win + bucket.half_lose;
-      bucket.winRate = decided > 0 ? bucket.win / decided : 0;
-      bucket.ROI = bucket.stakeSum > 0 ? bucket.profitSum / bucket.stakeSum : 0;
-
-      // rounding (keep stable JSON)
-      bucket.stakeSum = Number(bucket.stakeSum.toFixed(4));
-      bucket.profitSum = Number(bucket.profitSum.toFixed(4));
-      bucket.winRate = Number(bucket.winRate.toFixed(4));
-      bucket.ROI = Number(bucket.ROI.toFixed(4));
-      return bucket;
-    }
-
     const overall = initBucket("OVERALL");
+    const { nameOf } = strategyResolver();
     const byMarket = new Map();    // market -> bucket
     const byStrategy = new Map();  // strategy -> bucket
     const byMarketStrategy = new Map(); // key market||strategy
 
     // 1) Count picks of the day + pending
-    for (const p of picksRaw) {
-      if (p?.type !== "pick") continue;
+    for (const rec of picksRaw) {
+      const p = pickFromRecord(rec);
+      if (!p) continue;
       if (dayKeyFromPick(p) !== date) continue;
 
       const market = normMarket(p.market);
-      const strategy = p.strategy || "unknown";
-
-      overall.picks += 1;
-
-      if (!byMarket.has(market)) byMarket.set(market, initBucket(market));
-      byMarket.get(market).picks += 1;
+      const strategy = nameOf(p);
+      const isSettled = p.pickId ? settledById.has(p.pickId) : false;
 
-      if (!byStrategy.has(strategy)) byStrategy.set(strategy, initBucket(strategy));
-      byStrategy.get(strategy).picks += 1;
-
-      const mk = market + "||" + strategy;
-      if (!byMarketStrategy.has(mk)) byMarketStrategy.set(mk, initBucket(mk));
-      byMarketStrategy.get(mk).picks += 1;
-
-      const settled = p.pickId ? settledById.get(p.pickId) : null;
-      if (!settled) {
-        overall.pending += 1;
-        byMarket.get(market).pending += 1;
-        byStrategy.get(strategy).pending += 1;
-        byMarketStrategy.get(mk).pending += 1;
-      }
+      countPick(overall, isSettled);
+      countPick(bucketIn(byMarket, market), isSettled);
+      countPick(bucketIn(byStrategy, strategy), isSettled);
+      countPick(bucketIn(byMarketStrategy, market + "||" + strategy), isSettled);
     }
 
     // 2) Aggregate results of the day (group by entry day = ts_pick)
@@ -1118,34 +879,27 @@ app.get("/api/summary/day", (req, res) => {
       if (dayKeyFromResult(r) !== date) continue;
 
       const market = normMarket(r.market);
-      const strategy = r.strategy || "unknown";
+      const strategy = nameOf(r);
 
       applyResult(overall, r);
-
-      if (!byMarket.has(market)) byMarket.set(market, initBucket(market));
-      applyResult(byMarket.get(market), r);
-
-      if (!byStrategy.has(strategy)) byStrategy.set(strategy, initBucket(strategy));
-      applyResult(byStrategy.get(strategy), r);
-
-      const mk = market + "||" + strategy;
-      if (!byMarketStrategy.has(mk)) byMarketStrategy.set(mk, initBucket(mk));
-      applyResult(byMarketStrategy.get(mk), r);
+      applyResult(bucketIn(byMarket, market), r);
+      applyResult(bucketIn(byStrategy, strategy), r);
+      applyResult(bucketIn(byMarketStrategy, market + "||" + strategy), r);
     }
 
     // finalize
-    finalize(overall);
+    finalizeBucket(overall);
 
     const marketsOut = {};
-    for (const [k, v] of byMarket.entries()) marketsOut[k] = finalize(v);
+    for (const [k, v] of byMarket.entries()) marketsOut[k] = finalizeBucket(v);
 
     // split focus: HANDICAP vs TOTAL for baseline
     const focus = {
-      HANDICAP: marketsOut.HANDICAP || finalize(initBucket("HANDICAP")),
-      TOTAL: marketsOut.TOTAL || finalize(initBucket("TOTAL")),
+      HANDICAP: marketsOut.HANDICAP || finalizeBucket(initBucket("HANDICAP")),
+      TOTAL: marketsOut.TOTAL || finalizeBucket(initBucket("TOTAL")),
     };
 
-    const strategiesOut = Array.from(byStrategy.values()).map(finalize).sort((a, b) => {
+    const strategiesOut = Array.from(byStrategy.values()).map(finalizeBucket).sort((a, b) => {
       // ROI desc then winRate desc then picks desc
       if (b.ROI !== a.ROI) return b.ROI - a.ROI;
       if (b.winRate !== a.winRate) return b.winRate - a.winRate;
@@ -1154,7 +908,7 @@ app.get("/api/summary/day", (req, res) => {
 
     const marketStrategyOut = Array.from(byMarketStrategy.entries()).map(([k, v]) => {
       const [market, strategy] = k.split("||");
-      const b = finalize(v);
+      const b = finalizeBucket(v);
       return { market, strategy, ...b };
     }).sort((a, b) => {
       if (a.market !== b.market) return a.market.localeCompare(b.market);
@@ -1177,7 +931,622 @@ app.get("/api/summary/day", (req, res) => {
 });
 
 
+// ===============================
+// Dashboard Stats — picks + results (storage.js)
+// GET /api/stats            → all days
+// GET /api/stats?date=YYYY-MM-DD → only picks entered that day (+ picks table)
+// Notes:
+// - Same buckets/day keys as /api/summary/day; rows are keyed by strategy (current label of pick.strategyKey).
+// - winRate is winRateOf as a percentage; roiAvg is profit / stake of settled picks.
+// ===============================
+function toStatsRow(bucket) {
+  const b = finalizeBucket(bucket);
+  return {
+    strategy: b.name,
+    total: b.picks,
+    settled: b.settled,
+    pending: b.pending,
+    win: b.win,
+    lose: b.lose,
+    push: b.push,
+    half_win: b.half_win,
+    half_lose: b.half_lose,
+    winRate: Math.round(b.winRate * 100),
+    stakeSum: b.stakeSum,
+    profitSum: b.profitSum,
+    profitUnits: Number(b.profitSum.toFixed(2)),
+    roiAvg: b.ROI,
+    clvAvg: b.clvAvg,
+  };
+}
+function rowsToObject(map) {
+  const out = {};
+  for (const [k, v] of map.entries()) out[k] = toStatsRow(v);
+  return out;
+}
+function nestedToObject(map) {
+  const out = {};
+  for (const [k, inner] of map.entries()) out[k] = rowsToObject(inner);
+  return out;
+}
+
+app.get("/api/stats", async (req, res) => {
+  try {
+    const date = String(req.query?.date || "").trim();
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ status: "error", message: "Invalid date. Use YYYY-MM-DD" });
+    }
+    const inScope = (day) => !date || day === date;
+    const today = nowIso().slice(0, 10);
+
+    const picks = (await storage.picks.list()).map(pickFromRecord).filter(Boolean);
+    const results = (await storage.results.list()).filter((r) => r?.type === "result");
+
+    const settledById = new Map();
+    for (const r of results) if (r?.pickId) settledById.set(r.pickId, r);
+    const pickById = new Map();
+    for (const p of picks) if (p?.pickId) pickById.set(p.pickId, p);
+
+    const { nameOf } = strategyResolver();
+    const overall = initBucket("OVERALL");
+    const byStrategy = new Map();
+    const todayByStrategy = new Map();
+    const byDate = new Map(); // day -> Map(strategy -> bucket)
+    const byWeek = new Map(); // week -> Map(strategy -> bucket)
+    const nested = (map, key) => {
+      if (!map.has(key)) map.set(key, new Map());
+      return map.get(key);
+    };
+    const bucketsFor = (day, strategy) => {
+      const out = [
+        overall,
+        bucketIn(byStrategy, strategy),
+        bucketIn(nested(byDate, day), strategy),
+        bucketIn(nested(byWeek, weekKeyFromDay(day)), strategy),
+      ];
+      if (day === today) out.push(bucketIn(todayByStrategy, strategy));
+      return out;
+    };
+
+    for (const p of picks) {
+      const day = dayKeyFromPick(p);
+      if (!inScope(day)) continue;
+      const isSettled = p.pickId ? settledById.has(p.pickId) : false;
+      for (const b of bucketsFor(day, nameOf(p))) countPick(b, isSettled);
+    }
+
+    const scopedResults = [];
+    for (const r of results) {
+      const day = dayKeyFromResult(r);
+      if (!inScope(day)) continue;
+      scopedResults.push(r);
+      for (const b of bucketsFor(day, nameOf(r))) applyResult(b, r);
+    }
+
+    const strategies = Array.from(byStrategy.values())
+      .map(toStatsRow)
+      .sort((a, b) => b.total - a.total || a.strategy.localeCompare(b.strategy));
+
+    const byProfit = (a, b) => b.profitUnits - a.profitUnits || b.winRate - a.winRate || b.settled - a.settled;
+    const topStrategies = strategies.filter((s) => s.settled > 0).sort(byProfit).slice(0, 5);
+    const todayStrategies = Array.from(todayByStrategy.values())
+      .map(toStatsRow)
+      .filter((s) => s.settled > 0 && s.profitUnits > 0)
+      .sort(byProfit);
+
+    const recentSettled = scopedResults
+      .slice()
+      .sort((a, b) => String(b.time || "").localeCompare(String(a.time || "")))
+      .slice(0, 20)
+      .map((r) => {
+        const p = pickById.get(r.pickId) || {};
+        return {
+          pickId: r.pickId,
+          settledAt: r.time,
+          ts: r.ts_pick || p.ts,
+          league: p.league || "",
+          home: p.home || "?",
+          away: p.away || "?",
+          scoreAtScan: p.scoreAtScan,
+          finalScore: r.finalScore,
+          strategy: r.strategy,
+          market: r.market,
+          result: r.outcome,
+          profit: r.profit,
+        };
+      });
+
+    const response = {
+      status: "success",
+      date: date || null,
+      overall: toStatsRow(overall),
+      strategies,
+      topStrategies,
+      today: { date: today, strategies: todayStrategies },
+      recentSettled,
+      byStrategy: rowsToObject(byStrategy),
+      timelineByDate: nestedToObject(byDate),
+      timelineByWeek: nestedToObject(byWeek),
+    };
+
+    if (date) {
+      const numOrNull = (v) => (v == null || v === "" || !Number.isFinite(Number(v)) ? null : Number(v));
+      response.summary = response.overall;
+      response.picks = picks
+        .filter((p) => dayKeyFromPick(p) === date)
+        .map((p) => {
+          const r = p.pickId ? settledById.get(p.pickId) : null;
+          const stake = safeNumber(r?.stake ?? p.stake, 1);
+          return {
+            pickId: p.pickId,
+            ts: p.ts,
+            league: p.league || "",
+            home: p.home,
+            away: p.away,
+            strategy: p.strategy,
+            market: p.market,
+            betSide: p.side || p.selection || null,
+            line: p.line ?? null,
+            priceTaken: numOrNull(p.odds),
+            closingPrice: numOrNull(r ? r.odds_close : closingByPickId.get(p.pickId)?.odds),
+            clvPct: numOrNull(r ? r.clv : clvPercent(p.odds, closingByPickId.get(p.pickId)?.odds)),
+            edge: numOrNull(p.edge),
+            kelly: numOrNull(p.kelly),
+            stakeUnits: stake,
+            tier: p.tier,
+            result: r ? String(r.outcome || "").toUpperCase() : "PENDING",
+            roi: r && stake > 0 ? Number((safeNumber(r.profit, 0) / stake).toFixed(4)) : null,
+          };
+        });
+    }
+
+    res.json(response);
+  } catch (e) {
+    res.status(500).json({ status: "error", message: String(e?.message || e) });
+  }
+});
+
+
+// ===============================
+// Bankroll (bankroll.js) — balance rebuilt from the settled results + today's exposure vs caps
+// GET /api/bankroll?limit=500 → { limits, balance, peak, maxDrawdown, history: [per result], daily, today }
+// ===============================
+app.get("/api/bankroll", async (req, res) => {
+  try {
+    const limit = Math.max(0, Math.min(10000, Number(req.query.limit ?? 500) || 0));
+    const h = await bankroll.history({ limit });
+    const { balance, exposure } = await bankroll.state();
+    const { limits } = bankroll;
+    const room = (pct, used) => Number(Math.max(0, balance * pct - used).toFixed(2));
+    const topEntries = (m) =>
+      Object.fromEntries(
+        Array.from(m.entries())
+          .sort((a, b) => b[1] - a[1])
+          .map(([k, v]) => [k, Number(v.toFixed(2))])
+      );
+    res.json({
+      status: "success",
+      limits,
+      ...h,
+      today: {
+        day: exposure.day,
+        picks: exposure.picks,
+        staked: Number(exposure.total.toFixed(2)),
+        dailyRoom: room(limits.maxDailyPct, exposure.total),
+        byFixture: topEntries(exposure.byFixture),
+        byLeague: topEntries(exposure.byLeague),
+      },
+    });
+  } catch (e) {
+    res.status(500).json({ status: "error", message: e?.message || String(e) });
+  }
+});
+
+// ===============================
+// Strategies config (strategies_current.json, hot-reloaded by strategyConfig)
+// GET /api/strategies → active (last good) config + version hash, errors of a rejected file, plugin schemas
+// ===============================
+app.get("/api/strategies", (req, res) => {
+  const st = strategyConfig.status();
+  const { unimplemented, unconfigured, loadErrors } = strategyRegistry.checkConfig(st.map);
+  res.json({
+    status: "success",
+    version: st.version,
+    loadedAt: st.loadedAt,
+    file: st.file,
+    watching: st.watching,
+    valid: st.valid, // false → the file on disk was rejected and the previous version is still active
+    errors: st.rejected?.errors || [],
+    rejected: st.rejected ? { at: st.rejected.at, version: st.rejected.version } : null,
+    strategies: st.map,
+    issues: { unimplemented, unconfigured, pluginLoadErrors: loadErrors },
+    plugins: strategyRegistry.list(),
+  });
+});
+
+// ===============================
+// Strategy edits + version history (logs/strategies_versions.ndjson)
+// GET   /api/strategies/versions?limit=50   → snapshots newest first (who, when, diff; full config with ?full=1)
+// GET   /api/strategies/:key                → one strategy + its plugin param schema
+// PUT   /api/strategies/:key { label?, enabled, params } → replace the entry
+// PATCH /api/strategies/:key { label?, enabled?, params? } → merge (a param set to null is removed)
+// POST  /api/strategies/rollback/:version   → make an older snapshot active again
+// - who: X-User header (or body.by); optional body.baseVersion → 409 if the config changed meanwhile
+// ===============================
+app.get("/api/strategies/versions", (req, res) => {
+  const limit = Math.max(1, Math.min(500, Number(req.query.limit) || 50));
+  const full = toBool(req.query.full);
+  const active = strategyConfig.current().version;
+  const versions = strategyHistory
+    .list()
+    .slice(-limit)
+    .reverse()
+    .map(({ type, strategies, ...v }) => ({ ...v, active: v.version === active, ...(full ? { strategies } : {}) }));
+  res.json({ status: "success", activeVersion: active, versions });
+});
+
+app.get("/api/strategies/:key", (req, res) => {
+  const { map, version } = strategyConfig.current();
+  const st = map[req.params.key];
+  if (!st) return res.status(404).json({ status: "error", message: `unknown strategy: ${req.params.key}` });
+  const plugin = strategyRegistry.get(req.params.key);
+  res.json({
+    status: "success",
+    version,
+    key: req.params.key,
+    strategy: st,
+    plugin: plugin ? { kind: plugin.kind, label: plugin.label || plugin.key, params: plugin.params } : null,
+  });
+});
+
+function writeStrategy(req, res, action) {
+  const key = req.params.key;
+  const body = req.body || {};
+  const { map } = strategyConfig.current();
+  const prev = map[key];
+
+  if (!prev && action === "patch") return res.status(404).json({ status: "error", message: `unknown strategy: ${key}` });
+  if (!prev && !strategyRegistry.get(key)) {
+    return res.status(400).json({ status: "error", message: `${key}: no implementation registered` });
+  }
+
+  let entry;
+  if (action === "put") {
+    entry = { enabled: body.enabled, params: body.params ?? {} };
+    if (body.label != null) entry.label = body.label;
+  } else {
+    entry = { ...prev };
+    if ("enabled" in body) entry.enabled = body.enabled;
+    if ("label" in body) entry.label = body.label;
+    if (body.params != null) {
+      if (typeof body.params !== "object" || Array.isArray(body.params)) {
+        return res.status(400).json({ status: "error", message: "params must be an object" });
+      }
+      const params = { ...(prev.params || {}) };
+      for (const [pk, pv] of Object.entries(body.params)) {
+        if (pv === null) delete params[pk];
+        else params[pk] = pv;
+      }
+      entry.params = params;
+    }
+  }
+
+  const r = commitStrategies({ ...map, [key]: entry }, { by: changedBy(req), action, key, baseVersion: body.baseVersion });
+  if (!r.ok) return res.status(r.status).json({ status: "error", message: r.message, errors: r.errors });
+  res.json({ status: "success", version: r.version, key, strategy: entry, diff: r.snapshot?.diff || [] });
+}
+
+app.put("/api/strategies/:key", (req, res) => {
+  try {
+    writeStrategy(req, res, "put");
+  } catch (e) {
+    res.status(500).json({ status: "error", message: e?.message || String(e) });
+  }
+});
+
+app.patch("/api/strategies/:key", (req, res) => {
+  try {
+    writeStrategy(req, res, "patch");
+  } catch (e) {
+    res.status(500).json({ status: "error", message: e?.message || String(e) });
+  }
+});
+
+app.post("/api/strategies/rollback/:version", (req, res) => {
+  try {
+    const target = strategyHistory.find(req.params.version);
+    if (!target) return res.status(404).json({ status: "error", message: `unknown version: ${req.params.version}` });
+
+    const from = strategyConfig.current().version;
+    if (target.version === from) {
+      return res.json({ status: "success", version: from, unchanged: true, strategies: target.strategies });
+    }
+    const r = commitStrategies(target.strategies, {
+      by: changedBy(req),
+      action: "rollback",
+      baseVersion: req.body?.baseVersion,
+      note: `rollback ${from} → ${target.version}`,
+    });
+    // e.g. a plugin was removed or its schema tightened since that version
+    if (!r.ok) return res.status(r.status).json({ status: "error", message: r.message, errors: r.errors });
+    res.json({ status: "success", version: r.version, previousVersion: from, diff: r.snapshot?.diff || [] });
+  } catch (e) {
+    res.status(500).json({ status: "error", message: e?.message || String(e) });
+  }
+});
+
+// ===============================
+// Backtest (backtester.js; same as `npm run backtest`)
+// POST /api/backtest { strategies?, fixtures?: [id], from?, to?, includeResults? }
+// - strategies: config to test (default: active one); replays logs/snapshots offline, writes nothing
+// ===============================
+let backtestBusy = false;
+
+app.post("/api/backtest", async (req, res) => {
+  if (backtestBusy) return res.status(409).json({ status: "error", message: "a backtest is already running" });
+
+  const body = req.body || {};
+  const active = strategyConfig.current();
+  const strategiesMap = body.strategies ?? active.map;
+  const errors = validateStrategiesMap(strategiesMap, { registry: strategyRegistry });
+  if (errors.length) return res.status(400).json({ status: "error", message: "invalid strategies", errors });
+  for (const k of ["from", "to"]) {
+    if (body[k] != null && !/^\d{4}-\d{2}-\d{2}$/.test(String(body[k]))) {
+      return res.status(400).json({ status: "error", message: `${k} must be YYYY-MM-DD` });
+    }
+  }
+
+  backtestBusy = true;
+  try {
+    const report = await runBacktest({
+      store: storage.snapshots,
+      strategiesMap,
+      registry: strategyRegistry,
+      configVersion: body.strategies ? strategiesVersion(strategiesMap) : active.version,
+      noGoalRule: NEXT_GOAL_NO_GOAL_RULE,
+      fixtureIds: Array.isArray(body.fixtures) ? new Set(body.fixtures.map(String)) : null,
+      from: body.from || null,
+      to: body.to || null,
+      includeResults: toBool(body.includeResults),
+    });
+    res.json({ status: "success", ...report });
+  } catch (e) {
+    res.status(500).json({ status: "error", message: e?.message || String(e) });
+  } finally {
+    backtestBusy = false;
+  }
+});
+
+// ===============================
+// Grid search optimizer (optimizer.js; same as `npm run optimize`)
+// POST /api/optimize { strategy, grid: { param: { min, max, step? } | [values] }, folds?, minBets?, drawdownWeight?, from?, to?, top? }
+// → ranked candidates + walk-forward folds + { suggestions, currentStrategies } like /api/ai-optimize (apply stays manual)
+// ===============================
+app.post("/api/optimize", async (req, res) => {
+  if (backtestBusy) return res.status(409).json({ status: "error", message: "a backtest is already running" });
+
+  const body = req.body || {};
+  if (typeof body.strategy !== "string" || !body.strategy) {
+    return res.status(400).json({ status: "error", message: "strategy is required" });
+  }
+  for (const k of ["from", "to"]) {
+    if (body[k] != null && !/^\d{4}-\d{2}-\d{2}$/.test(String(body[k]))) {
+      return res.status(400).json({ status: "error", message: `${k} must be YYYY-MM-DD` });
+    }
+  }
+
+  backtestBusy = true;
+  try {
+    const active = strategyConfig.current();
+    const result = await runOptimizer({
+      store: storage.snapshots,
+      strategiesMap: active.map,
+      registry: strategyRegistry,
+      key: body.strategy,
+      grid: body.grid,
+      folds: body.folds != null ? Number(body.folds) : 4,
+      minBets: Math.max(0, safeNumber(body.minBets, 20)),
+      drawdownWeight: Math.max(0, safeNumber(body.drawdownWeight, 0.5)),
+      noGoalRule: NEXT_GOAL_NO_GOAL_RULE,
+      from: body.from || null,
+      to: body.to || null,
+      top: Math.max(1, safeNumber(body.top, 20)),
+    });
+    res.json({ status: "success", configVersion: active.version, ...result });
+  } catch (e) {
+    const status = e?.code === "BAD_REQUEST" ? 400 : 500;
+    res.status(status).json({ status: "error", message: e?.message || String(e), errors: e?.errors });
+  } finally {
+    backtestBusy = false;
+  }
+});
+
+// ===============================
+// AI Optimizer (public/ai_optimizer.html)
+// POST /api/ai-optimize { model? } → { suggestions: { strategies, notes }, currentStrategies, performance }
+//   model: OPENAI_MODEL (default) or one of OPENAI_ALLOWED_MODELS, anything else → 400
+//   non-JSON answer / proposal that fails validation (unknown keys or params) → 502 (aiOptimizer.js)
+// POST /api/apply-strategies → { strategies } validated, old file backed up, new file written atomically + versioned
+// ===============================
+async function performanceByStrategyKey(strategiesMap) {
+  const { keyOf } = strategyResolver(strategiesMap);
+  const buckets = new Map();
+  for (const r of await storage.results.list()) {
+    if (r?.type !== "result") continue;
+    const key = keyOf(r) || r.strategy || "unknown";
+    applyResult(bucketIn(buckets, key), r);
+  }
+
+  const out = {};
+  for (const [key, b] of buckets.entries()) {
+    const row = toStatsRow(b);
+    out[key] = {
+      settled: row.settled,
+      win: row.win,
+      lose: row.lose,
+      push: row.push,
+      half_win: row.half_win,
+      half_lose: row.half_lose,
+      winRatePct: row.winRate,
+      profitUnits: row.profitUnits,
+      roi: row.roiAvg,
+      clvAvg: row.clvAvg,
+    };
+  }
+  return out;
+}
+
+const aiOptimizer = createAiOptimizer({ openai, registry: strategyRegistry });
+
+app.post("/api/ai-optimize", async (req, res) => {
+  try {
+    const current = strategyConfig.current().map;
+    const performance = await performanceByStrategyKey(current);
+    const { model, strategies, notes } = await aiOptimizer.propose({ model: req.body?.model, current, performance });
+    res.json({
+      status: "success",
+      model,
+      suggestions: { strategies, notes },
+      currentStrategies: current,
+      performance,
+    });
+  } catch (e) {
+    const status = e?.code === "BAD_REQUEST" ? 400 : e?.code === "BAD_MODEL_OUTPUT" ? 502 : 500;
+    res.status(status).json({ status: "error", message: e?.message || String(e), errors: e?.errors });
+  }
+});
+
+app.post("/api/apply-strategies", (req, res) => {
+  try {
+    const strategies = req.body?.strategies;
+    const r = applyStrategies(strategies, {
+      file: STRATEGIES_FILE,
+      backupDir: STRATEGIES_BACKUP_DIR,
+      registry: strategyRegistry,
+      commit: commitStrategies,
+      by: changedBy(req),
+    });
+    if (!r.ok) return res.status(r.status).json({ status: "error", message: r.message, errors: r.errors });
+
+    res.json({
+      status: "success",
+      backup: r.backup ? path.relative(__dirname, r.backup) : null,
+      version: r.version,
+      strategies,
+    });
+  } catch (e) {
+    res.status(500).json({ status: "error", message: e?.message || String(e) });
+  }
+});
+
+
+// ===============================
+// Pick Explanation (OpenAI)
+// POST /api/explain/pick { pickId, refresh? }
+// - sends the logged pick + metrics snapshot + passed conditions to the model
+//   (metrics are logged once per fixture per scan: other picks of that scan carry metricsOf = the pickId holding them)
+// - cached per pickId in logs/explanations.ndjson (refresh:true asks again)
+// ===============================
+const EXPLAIN_SYSTEM_PROMPT = [
+  "You explain why a rule-based live football scanner flagged a bet.",
+  "Use only the given pick, metrics snapshot and passed conditions; do not invent stats or promise results.",
+  "2-3 short sentences per language, mention the key numbers and the main risk.",
+  "Answer with ONE JSON object: {\"th\": string, \"en\": string}.",
+].join("\n");
+
+function findExplanation(pickId) {
+  let found = null;
+  for (const r of readNdjson(EXPLANATIONS_LOG)) {
+    if (r?.type === "explanation" && r.pickId === pickId) found = r; // last one wins
+  }
+  return found;
+}
+
+app.post("/api/explain/pick", async (req, res) => {
+  try {
+    const pickId = String(req.body?.pickId || "").trim();
+    if (!pickId) return res.status(400).json({ status: "error", message: "pickId is required" });
+
+    if (!toBool(req.body?.refresh)) {
+      const cached = findExplanation(pickId);
+      if (cached) return res.json({ status: "success", pickId, cached: true, explanation: cached });
+    }
+
+    const rec = (await storage.picks.list({ pickId })).find((r) => r?.type === "pick");
+    if (!rec) return res.status(404).json({ status: "error", message: `pick not found: ${pickId}` });
+
+    const { pick } = rec;
+    // picks after the first of a fixture in one scan share its metrics (metricsOf → that pickId)
+    const metrics =
+      rec.metrics ||
+      (rec.metricsOf && (await storage.picks.list({ pickId: rec.metricsOf })).find((r) => r?.type === "pick")?.metrics) ||
+      null;
+    const answer = await openai.json(
+      [
+        { role: "system", content: EXPLAIN_SYSTEM_PROMPT },
+        {
+          role: "user",
+          content: JSON.stringify({
+            pick: {
+              match: `${pick.home} vs ${pick.away}`,
+              league: pick.league,
+              strategy: pick.strategy,
+              market: pick.market,
+              selection: pick.selection,
+              line: pick.line ?? null,
+              odds: pick.odds ?? null,
+              edge: pick.edge,
+              kelly: pick.kelly,
+              tier: pick.tier,
+              scoreAtScan: pick.scoreAtScan,
+              minuteAtScan: pick.minuteAtScan,
+              riskPenaltyMult: pick.riskPenaltyMult,
+            },
+            metrics,
+            passed: rec.passed || [],
+          }),
+        },
+      ],
+      { temperature: 0.3 }
+    );
+
+    const explanation = {
+      time: nowIso(),
+      type: "explanation",
+      pickId,
+      model: OPENAI_MODEL,
+      th: String(answer?.th || "").trim(),
+      en: String(answer?.en || "").trim(),
+    };
+    if (!explanation.th && !explanation.en) {
+      return res.status(502).json({ status: "error", message: "OpenAI returned an empty explanation" });
+    }
+    appendNdjson(EXPLANATIONS_LOG, explanation);
+
+    res.json({ status: "success", pickId, cached: false, explanation });
+  } catch (e) {
+    res.status(e?.code === "BAD_MODEL_OUTPUT" ? 502 : 500).json({ status: "error", message: e?.message || String(e) });
+  }
+});
+
+
 // ===== Start =====
+await loadClosingState();
+// the signal store keeps 48h; older days aren't read. Picks from before strategyKey get it back from the labels
+const startupKeys = strategyResolver();
+const recentPicks = await storage.picks.list({ from: new Date(Date.now() - 2 * 86400000).toISOString().slice(0, 10) });
+signalStore.rebuild(recentPicks.map((rec) => (rec?.pick ? { ...rec, pick: withStrategyKey(rec.pick, startupKeys.keyOf) } : rec)));
+reportStrategyIssues();
+strategyConfig.watch();
+
 app.listen(PORT, () => {
   console.log(`Win100 Live Scanner backend running on port ${PORT}`);
+  if (AUTO_SCAN) {
+    const st = scanScheduler.start();
+    console.log(`Auto-scan on: 0-45' every ${st.cadence.firstHalfMs}ms, 46-90' every ${st.cadence.secondHalfMs}ms`);
+  }
+  if (AUTO_SETTLE) {
+    settlementWorker.start();
+    console.log(`Auto-settle on: every ${SETTLE_INTERVAL_MS}ms`);
+  }
 });
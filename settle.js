@@ -1,175 +1,205 @@
-// Auto Settle Script – เช็คผล Win/เสีย จาก API-Football
-// ใช้ร่วมกับ logs/picks.log ที่ระบบสร้างเอาไว้
+// Settle CLI – ปิดผล pick ที่ค้าง (PENDING) ด้วยกติกาเดียวกับ server (settlement.js)
+// - อ่าน picks → เขียนผลลง results (logs/*.ndjson หรือ Postgres เมื่อ STORAGE=pg — storage.js)
+// - ย้าย pick เก่าจาก logs/picks.log (สคริปต์ settle/updateLog เดิม) เข้า picks ก่อน แล้ว settle ใหม่ตามกติกาเดียวกัน
+//   (สูง/ต่ำใน picks.log ไม่มีเส้น → ใช้ 2.5 ตามกติกาเดิม)
+//
+// npm run settle -- [--dry-run] [--fixture 123,456] [--from 2026-10-01] [--to 2026-10-19] [--limit 500] [--retry-parked]
+// --retry-parked: ลองปิดผล pick ที่ตัว settle อัตโนมัติพักไว้ (ปิดผลไม่ได้ เช่น ไม่มีเส้น / ตลาดไม่รู้จัก) อีกครั้ง
+//
+// ใช้ LOG_DIR เดียวกับ server (.env) และถือ LOG_DIR/settle.lock ตลอดการเขียนผล — server ที่เปิด AUTO_SETTLE ก็ถือ lock เดียวกัน
+// ทุกรอบ จึงไม่เขียนผลซ้ำกัน: ถ้า server กำลังปิดผลอยู่ สคริปต์จะรอ (สูงสุด LOCK_WAIT_MS) แล้วค่อยเลิก
 // -----------------------------------------------
 
 import fs from "fs";
 import path from "path";
-import fetch from "node-fetch";
+import { fileURLToPath } from "url";
 import dotenv from "dotenv";
+import { nowIso, readNdjson, acquireLockFile } from "./utils.js";
+import { createApiFootball } from "./apiFootball.js";
+import {
+  normalizePickRecord,
+  makePickId,
+  pendingPicks,
+  groupByFixture,
+  settleFixturePicks,
+  LEGACY_TOTAL_LINE,
+  SETTLE_LOCK_FILE,
+} from "./settlement.js";
+import { createStorage } from "./storage.js";
 
 dotenv.config();
 
-const API_KEY = process.env.API_FOOTBALL_KEY;
-if (!API_KEY) {
-  console.error("❌ ERROR: ไม่พบ API_FOOTBALL_KEY ในไฟล์ .env");
-  process.exit(1);
-}
-
-const API_BASE = "https://v3.football.api-sports.io";
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-// ---------------- PATH ---------------- //
+const LOG_DIR = process.env.LOG_DIR ? path.resolve(process.env.LOG_DIR) : path.join(__dirname, "logs"); // same as server.js
+const CLOSING_LOG = path.join(LOG_DIR, "closing_odds.ndjson");
+const LEGACY_PICKS_LOG = path.join(LOG_DIR, "picks.log");
+const SETTLE_LOCK = path.join(LOG_DIR, SETTLE_LOCK_FILE);
+const LOCK_WAIT_MS = 60000; // a server pass is short; longer means something else is settling
 
-const LOG_DIR = path.join(process.cwd(), "logs");
-const PICK_LOG = path.join(LOG_DIR, "picks.log");
-const SETTLED_LOG = path.join(LOG_DIR, "picks_settled.log");
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-// ---------------- Helpers ---------------- //
+const NEXT_GOAL_NO_GOAL_RULE = String(process.env.NEXT_GOAL_NO_GOAL_RULE || "lose").trim().toLowerCase();
 
-function parseGoals(scoreText) {
-  const spl = String(scoreText).split(/-|:/);
-  return {
-    home: parseInt(spl[0] || "0", 10),
-    away: parseInt(spl[1] || "0", 10),
-  };
-}
+// ---------------- Args ---------------- //
 
-// เช็คผลแพ้ชนะทีม
-function settleTeamBet(pickSide, finalScore) {
-  if (pickSide === "home") {
-    if (finalScore.home > finalScore.away) return "WIN";
-    if (finalScore.home < finalScore.away) return "LOSE";
-    return "LOSE"; // เสมอถือว่าแพ้
+function parseArgs(argv) {
+  const opts = { dryRun: false, fixtures: null, from: null, to: null, limit: Infinity, retryParked: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => {
+      const v = argv[++i];
+      if (v == null) throw new Error(`missing value for ${a}`);
+      return v;
+    };
+    if (a === "--dry-run") opts.dryRun = true;
+    else if (a === "--fixture") opts.fixtures = new Set(next().split(",").map((x) => x.trim()).filter(Boolean));
+    else if (a === "--from") opts.from = next();
+    else if (a === "--to") opts.to = next();
+    else if (a === "--limit") opts.limit = Math.max(1, Number(next()) || 1);
+    else if (a === "--retry-parked") opts.retryParked = true;
+    else if (a === "--help" || a === "-h") opts.help = true;
+    else throw new Error(`unknown option ${a}`);
   }
-  if (pickSide === "away") {
-    if (finalScore.away > finalScore.home) return "WIN";
-    if (finalScore.away < finalScore.home) return "LOSE";
-    return "LOSE";
+  for (const k of ["from", "to"]) {
+    if (opts[k] && !/^\d{4}-\d{2}-\d{2}$/.test(opts[k])) throw new Error(`--${k} must be YYYY-MM-DD`);
   }
-  return "INVALID";
+  return opts;
 }
 
-// เช็คผลสูง/ต่ำ
-function settleOverUnder(pickSide, finalScore, line = 2.5) {
-  const total = finalScore.home + finalScore.away;
+// ---------------- Legacy migration ---------------- //
 
-  if (pickSide === "over") {
-    if (total > line) return "WIN";
-    return "LOSE";
-  }
+// logs/picks.log (flat records) → pick records; old WIN/LOSE is dropped so the pick is re-settled
+// → the new records (not written on dry-run)
+async function migrateLegacyPicks(storage, { dryRun }) {
+  if (!fs.existsSync(LEGACY_PICKS_LOG)) return [];
 
-  if (pickSide === "under") {
-    if (total < line) return "WIN";
-    return "LOSE";
+  const known = new Set();
+  for (const rec of await storage.picks.list()) {
+    const p = normalizePickRecord(rec, 0);
+    if (p) known.add(p.pickId || makePickId(p));
   }
 
-  return "INVALID";
-}
-
-// ---------------- Fetch API ---------------- //
-
-async function fetchFinalResult(fixtureId) {
-  const headers = { "x-apisports-key": API_KEY };
-
-  const url = `${API_BASE}/fixtures?id=${fixtureId}`;
-
-  try {
-    const res = await fetch(url, { headers });
-    if (!res.ok) return null;
-
-    const data = await res.json();
-    const fixture = data.response?.[0];
-    if (!fixture) return null;
-
-    const home = fixture.goals.home ?? 0;
-    const away = fixture.goals.away ?? 0;
-    const status = fixture.fixture.status.short; // FT, NS, 1H, HT, 2H, etc.
-
-    return {
-      home,
-      away,
-      status,
+  const migrated = [];
+  const legacy = readNdjson(LEGACY_PICKS_LOG);
+  for (let i = 0; i < legacy.length; i++) {
+    const p = normalizePickRecord(legacy[i], i);
+    if (!p || !p.fixtureId) continue;
+    const pickId = makePickId(p);
+    if (known.has(pickId)) continue;
+    known.add(pickId);
+
+    const { _src, _line, result, ...pick } = p;
+    const record = {
+      time: p.ts,
+      type: "pick",
+      pick: { ...pick, pickId },
+      metrics: null,
+      passed: null,
+      migratedFrom: "picks.log",
+      migratedAt: nowIso(),
     };
-  } catch (e) {
-    console.error("❌ API error:", e.message);
-    return null;
+    // over/under without a line → settled on the old 2.5 default (normalizePickRecord)
+    if (p.market === "TOTAL" && (legacy[i].line ?? legacy[i].ouLine) == null) record.assumedLine = LEGACY_TOTAL_LINE;
+    if (!dryRun) await storage.picks.append(record);
+    migrated.push(record);
   }
+  return migrated;
 }
 
-// ---------------- MAIN FUNCTION ---------------- //
-
-async function runSettle() {
-  console.log("🔍 เริ่มระบบ Auto Settle...");
+// ---------------- MAIN ---------------- //
 
-  if (!fs.existsSync(PICK_LOG)) {
-    console.log("❌ ไม่พบไฟล์ picks.log");
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log("usage: node settle.js [--dry-run] [--fixture id[,id]] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--limit N] [--retry-parked]");
     return;
   }
 
-  const lines = fs.readFileSync(PICK_LOG, "utf-8").trim().split("\n");
-  const pending = [];
-
-  for (const line of lines) {
-    try {
-      const rec = JSON.parse(line);
-      if (rec.result === "PENDING") pending.push(rec);
-    } catch {}
+  const apiKey = process.env.API_FOOTBALL_KEY;
+  if (!apiKey) {
+    console.error("❌ ERROR: ไม่พบ API_FOOTBALL_KEY ในไฟล์ .env");
+    process.exit(1);
   }
+  if (!fs.existsSync(LOG_DIR)) fs.mkdirSync(LOG_DIR, { recursive: true });
 
-  if (!pending.length) {
-    console.log("✨ ไม่มีคู่ค้าง PENDING ให้เช็ค");
-    return;
+  // dry-run writes nothing → no lock
+  const release = opts.dryRun ? () => {} : await waitForSettleLock();
+  const storage = createStorage({ kind: process.env.STORAGE, logDir: LOG_DIR, databaseUrl: process.env.DATABASE_URL });
+  try {
+    await storage.init();
+    await settle(storage, opts, apiKey);
+  } finally {
+    await storage.close();
+    release();
   }
+}
 
-  console.log(`⏳ พบคู่ที่ต้องเช็คผล: ${pending.length} รายการ`);
-
-  let settledResults = [];
-
-  for (const rec of pending) {
-    console.log(`➡ เช็คผลคู่ ${rec.home} vs ${rec.away} (ID ${rec.fixtureId})`);
-
-    const finalData = await fetchFinalResult(rec.fixtureId);
-
-    if (!finalData) {
-      console.log("  ⚠ ไม่สามารถดึงผลจริงได้ ข้าม...");
-      continue;
-    }
-
-    if (finalData.status !== "FT") {
-      console.log("  ⏳ ยังไม่จบเกม (status:", finalData.status, ")");
-      continue;
-    }
-
-    const score = { home: finalData.home, away: finalData.away };
-
-    let result = "INVALID";
-
-    if (["home", "away"].includes(rec.betSide)) {
-      result = settleTeamBet(rec.betSide, score);
-    } else if (["over", "under"].includes(rec.betSide)) {
-      result = settleOverUnder(rec.betSide, score);
+// the server's settlement passes (AUTO_SETTLE / Sync) hold the same lock → wait for the current one to finish
+async function waitForSettleLock() {
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (let waited = false; ; waited = true) {
+    try {
+      return acquireLockFile(SETTLE_LOCK, "settle.js");
+    } catch (e) {
+      if (e?.code !== "LOCKED") throw e;
+      if (Date.now() >= deadline) {
+        throw new Error(`มีตัวอื่นกำลังปิดผลอยู่ — ${e.message} (${SETTLE_LOCK}); รอให้เสร็จ หรือปิด AUTO_SETTLE ก่อน`);
+      }
+      if (!waited) console.log(`⏳ รอ settle lock: ${e.message}`);
+      await sleep(1000);
     }
+  }
+}
 
-    const settled = {
-      ...rec,
-      finalScore: `${score.home}-${score.away}`,
-      result,
-      settledAt: new Date().toISOString(),
-    };
+async function settle(storage, opts, apiKey) {
+  const migrated = await migrateLegacyPicks(storage, opts);
+  if (migrated.length) console.log(`📦 ย้าย pick จาก picks.log: ${migrated.length} รายการ${opts.dryRun ? " (dry-run)" : ""}`);
+  const assumed = migrated.filter((r) => r.assumedLine != null).length;
+  if (assumed) console.log(`   ↳ สูง/ต่ำที่ไม่มีเส้นใน picks.log: ${assumed} รายการ → ใช้เส้น ${LEGACY_TOTAL_LINE} ตามกติกาเดิม`);
 
-    settledResults.push(settled);
-  }
+  const pickRecords = [...(await storage.picks.list()), ...(opts.dryRun ? migrated : [])];
+  let pending = pendingPicks(pickRecords, await storage.results.list(), { includeParked: opts.retryParked });
+  if (opts.fixtures) pending = pending.filter((p) => opts.fixtures.has(String(p.fixtureId)));
+  if (opts.from) pending = pending.filter((p) => String(p.ts).slice(0, 10) >= opts.from);
+  if (opts.to) pending = pending.filter((p) => String(p.ts).slice(0, 10) <= opts.to);
+  pending = pending.slice(0, opts.limit);
 
-  if (settledResults.length === 0) {
-    console.log("⭕ ไม่มีคู่จบเกมที่สามารถสรุปผลได้ในตอนนี้");
+  if (!pending.length) {
+    console.log("✨ ไม่มี pick ค้าง PENDING ให้เช็ค");
     return;
   }
+  console.log(`⏳ pick ที่ต้องเช็คผล: ${pending.length} รายการ`);
+
+  // last captured closing price per pick (CLV), same as the server keeps in memory
+  const closingByPickId = new Map();
+  for (const c of readNdjson(CLOSING_LOG)) if (c?.type === "odds_close" && c.pickId) closingByPickId.set(c.pickId, c);
+
+  const client = createApiFootball({ key: apiKey, base: process.env.API_FOOTBALL_BASE || undefined });
+  let settled = 0;
+  let skipped = 0;
+  for (const [fixtureId, picks] of groupByFixture(pending)) {
+    const r = await settleFixturePicks(fixtureId, picks, {
+      client,
+      noGoalRule: NEXT_GOAL_NO_GOAL_RULE,
+      dryRun: opts.dryRun,
+      closingFor: (pickId) => closingByPickId.get(pickId) || null,
+      commit: (record) => storage.results.append(record),
+    });
+    for (const rec of r.settled) {
+      console.log(`  ✅ ${fixtureId} ${rec.strategy} ${rec.market || "-"} ${rec.side || rec.selection || ""} → ${rec.outcome} (${rec.finalScore})`);
+    }
+    for (const s of r.skipped) console.log(`  ⚠ ${fixtureId} ${s.strategy || ""}: ${s.reason}`);
+    settled += r.settled.length;
+    skipped += r.skipped.length;
+  }
 
-  // บันทึกลงไฟล์ picks_settled.log
-  const toSave = settledResults.map((r) => JSON.stringify(r)).join("\n") + "\n";
-  fs.appendFileSync(SETTLED_LOG, toSave, "utf-8");
-
-  console.log("✅ บันทึกผลลง picks_settled.log แล้ว");
-  console.log(`🎉 สรุปผลทั้งสิ้น ${settledResults.length} รายการ`);
+  console.log(
+    `🎉 settled ${settled} • skipped ${skipped}${opts.dryRun ? " • dry-run (ไม่ได้เขียนผล)" : storage.kind === "pg" ? " → results (pg)" : ` → ${path.join(LOG_DIR, "results.ndjson")}`}`
+  );
 }
 
-runSettle();
+main().catch((e) => {
+  console.error("❌", e?.message || e);
+  process.exit(1);
+});
@@ -0,0 +1,423 @@
+/**
+ * settlement.js — one settlement library for picks (server sync, background worker, settle.js CLI)
+ * - markets: 1X2, TOTAL+line, HANDICAP+line (quarter lines → HALF_WIN/HALF_LOSE), NEXT_GOAL (events)
+ * - reads both picks.ndjson records and legacy picks.log lines (normalizePickRecord)
+ */
+
+import { nowIso, safeNumber } from "./utils.js";
+
+// ===== Pick Records =====
+
+const LEGACY_MARKET_BY_SIDE = { home: "1X2", away: "1X2", draw: "1X2", over: "TOTAL", under: "TOTAL" };
+// legacy picks.log over/under had no line: the old settle.js always settled them on 2.5
+export const LEGACY_TOTAL_LINE = 2.5;
+
+// line for a legacy TOTAL pick (also picks.log records migrated before the default existed)
+function legacyLine(market, line) {
+  if (line != null && line !== "") return line;
+  return market === "TOTAL" ? LEGACY_TOTAL_LINE : line;
+}
+
+// Normalize "pick" from either:
+// 1) legacy flat record: {ts, fixtureId, strategy, betType, betSide, odds, stake, result...}
+// 2) new ndjson: {time, type:"pick", pick:{...}}
+export function normalizePickRecord(obj, idx) {
+  if (obj && obj.type === "pick" && obj.pick && typeof obj.pick === "object") {
+    const p = obj.pick;
+    return {
+      _src: "new",
+      _line: idx,
+      pickId: p.pickId,
+      ts: obj.time || p.time || p.ts || nowIso(),
+      fixtureId: p.fixtureId,
+      strategy: p.strategy,
+      strategyKey: p.strategyKey,
+      tier: p.tier,
+      edge: p.edge,
+      kelly: p.kelly,
+      odds: p.odds,
+      stake: p.stake ?? 1,
+      // markets
+      market: p.market,
+      selection: p.selection,
+      betType: p.betType,
+      side: p.side, // e.g. home/away/draw/over/under
+      line: obj.migratedFrom === "picks.log" ? legacyLine(p.market, p.line) : p.line,
+      home: p.home,
+      away: p.away,
+      scoreAtScan: p.scoreAtScan,
+      minuteAtScan: p.minuteAtScan,
+      configVersion: p.configVersion ?? null,
+      result: p.result || "PENDING",
+    };
+  }
+
+  // legacy
+  if (obj && typeof obj === "object") {
+    const market = obj.market || LEGACY_MARKET_BY_SIDE[String(obj.betSide || "").toLowerCase()];
+    return {
+      _src: "legacy",
+      _line: idx,
+      ts: obj.ts || obj.time || nowIso(),
+      fixtureId: obj.fixtureId,
+      strategy: obj.strategy || obj.betType,
+      tier: obj.tier,
+      edge: obj.edge,
+      kelly: obj.kelly,
+      odds: obj.odds,
+      stake: obj.stake ?? 1,
+
+      // legacy picks.log has no market: betSide home/away was a win-only (1X2) bet, over/under a total
+      market,
+      selection: obj.selection,
+      betType: obj.betType,
+      side: obj.betSide,
+      line: legacyLine(market, obj.line ?? obj.ouLine),
+
+      home: obj.home,
+      away: obj.away,
+      scoreAtScan: obj.scoreAtScan,
+      minuteAtScan: obj.minuteAtScan,
+      result: obj.result || "PENDING",
+    };
+  }
+
+  return null;
+}
+
+// Deterministic id for linking results (no DB)
+export function makePickId(p) {
+  const fixtureId = p?.fixtureId ?? "";
+  const strategy = p?.strategy ?? "";
+  const side = p?.side ?? p?.selection ?? "";
+  const ts = p?.ts ?? "";
+  return `${fixtureId}__${strategy}__${side}__${ts}`;
+}
+
+// ===== Market Settlement =====
+export function settle1x2(side, scoreHome, scoreAway) {
+  const h = safeNumber(scoreHome, 0);
+  const a = safeNumber(scoreAway, 0);
+  const winner = h > a ? "home" : h < a ? "away" : "draw";
+  if (side === winner) return "WIN";
+  return "LOSE";
+}
+// Asian settlement: one signed margin per (possibly split) line part
+// x > 0 win, x === 0 push, x < 0 lose → WIN / HALF_WIN / PUSH / HALF_LOSE / LOSE
+export function asianOutcome(xs) {
+  const score = xs.reduce((acc, x) => acc + (x > 0 ? 1 : x < 0 ? -1 : 0), 0) / xs.length;
+  if (score === 1) return "WIN";
+  if (score === 0.5) return "HALF_WIN";
+  if (score === -0.5) return "HALF_LOSE";
+  if (score === -1) return "LOSE";
+  return "PUSH";
+}
+export function isAsianLine(ln) {
+  return Number.isFinite(ln) && Number.isInteger(ln * 4);
+}
+// "1-0" / "1:0" → { home, away } (null if unreadable)
+export function parseScoreText(text) {
+  const m = String(text ?? "").match(/^\s*(\d+)\s*[-:]\s*(\d+)\s*$/);
+  if (!m) return null;
+  return { home: Number(m[1]), away: Number(m[2]) };
+}
+export function settleTotal(selection, line, scoreHome, scoreAway) {
+  const h = safeNumber(scoreHome, 0);
+  const a = safeNumber(scoreAway, 0);
+  const total = h + a;
+  const ln = Number(line);
+  if (line == null || line === "" || !isAsianLine(ln)) return { outcome: "SKIP", reason: "missing/invalid line" };
+
+  const sel = String(selection || "").toUpperCase();
+  const parts = splitAsianLine(ln);
+  if (sel === "OVER") return { outcome: asianOutcome(parts.map((part) => total - part)) };
+  if (sel === "UNDER") return { outcome: asianOutcome(parts.map((part) => part - total)) };
+  return { outcome: "SKIP", reason: "unknown total selection" };
+}
+// Live AH counts only goals scored after the pick (scoreAtScan); without it the full score is used
+export function settleHandicap(side, line, scoreHome, scoreAway, scoreAtScan) {
+  const ln = Number(line);
+  if (line == null || line === "" || !isAsianLine(ln)) return { outcome: "SKIP", reason: "missing/invalid line" };
+  if (side !== "home" && side !== "away") return { outcome: "SKIP", reason: "missing side for HANDICAP (need home/away)" };
+
+  const base = scoreAtScan == null ? { home: 0, away: 0 } : parseScoreText(scoreAtScan);
+  if (!base) return { outcome: "SKIP", reason: `invalid scoreAtScan (${scoreAtScan})` };
+
+  const h = safeNumber(scoreHome, 0) - base.home;
+  const a = safeNumber(scoreAway, 0) - base.away;
+  if (h < 0 || a < 0) return { outcome: "SKIP", reason: "final score below scoreAtScan" };
+
+  const margin = side === "home" ? h - a : a - h;
+  return { outcome: asianOutcome(splitAsianLine(ln).map((part) => margin + part)) };
+}
+// Goal events in match order (missed penalties are not goals)
+// - penalty shootout kicks (status PEN) are not match goals: comments "Penalty Shootout" or past minute 120
+function isShootoutEvent(e) {
+  if (String(e?.comments || "").toLowerCase() === "penalty shootout") return true;
+  return safeNumber(e?.time?.elapsed, 0) > 120;
+}
+export function goalTimeline(events) {
+  const arr = Array.isArray(events) ? events : [];
+  return arr
+    .map((e, idx) => ({ e, idx }))
+    .filter(({ e }) => {
+      const type = String(e?.type || "").toLowerCase();
+      const detail = String(e?.detail || "").toLowerCase();
+      return type === "goal" && !detail.includes("missed") && !isShootoutEvent(e);
+    })
+    .sort((x, y) => {
+      const xm = safeNumber(x.e?.time?.elapsed, 0) + safeNumber(x.e?.time?.extra, 0) / 100;
+      const ym = safeNumber(y.e?.time?.elapsed, 0) + safeNumber(y.e?.time?.extra, 0) / 100;
+      return xm - ym || x.idx - y.idx;
+    })
+    .map(({ e }) => e);
+}
+// NEXT_GOAL: the first goal after scoreAtScan decides it (goal number = goals at scan + 1)
+// - own goals are reported under the scorer's team, so they count for the other side
+// - no goal after the pick: noGoalRule "lose" (3-way market) or "refund" (PUSH)
+export function settleNextGoal(side, scoreAtScan, minuteAtScan, events, homeTeamId, awayTeamId, noGoalRule = "lose") {
+  if (side !== "home" && side !== "away") return { outcome: "SKIP", reason: "missing side for NEXT_GOAL (need home/away)" };
+  const base = parseScoreText(scoreAtScan);
+  if (!base) return { outcome: "SKIP", reason: `invalid scoreAtScan (${scoreAtScan})` };
+  if (!Array.isArray(events)) return { outcome: "SKIP", reason: "fixture events missing" };
+
+  const goals = goalTimeline(events);
+  const next = goals[base.home + base.away];
+
+  if (!next) {
+    if (noGoalRule === "refund") return { outcome: "PUSH", reason: "no goal after pick (refund rule)" };
+    return { outcome: "LOSE", reason: "no goal after pick" };
+  }
+
+  const teamId = next?.team?.id;
+  const ownGoal = String(next?.detail || "").toLowerCase().includes("own goal");
+  let scorer = teamId === homeTeamId ? "home" : teamId === awayTeamId ? "away" : null;
+  if (!scorer) return { outcome: "SKIP", reason: "next goal team not matched to fixture teams", transient: true };
+  if (ownGoal) scorer = scorer === "home" ? "away" : "home";
+
+  const minute = safeNumber(next?.time?.elapsed, 0);
+  if (minuteAtScan != null && minute < safeNumber(minuteAtScan, 0)) {
+    return {
+      outcome: "SKIP",
+      reason: `next goal minute ${minute} before minuteAtScan ${minuteAtScan} (event feed out of sync)`,
+      transient: true,
+    };
+  }
+
+  return { outcome: scorer === side ? "WIN" : "LOSE", goalMinute: minute };
+}
+export function profitForOutcome(outcome, odds, stake) {
+  const o = Number(odds);
+  const s = Number(stake ?? 1);
+  if (!Number.isFinite(s) || s <= 0) return 0;
+  if (outcome === "WIN" || outcome === "HALF_WIN") {
+    if (!Number.isFinite(o) || o <= 1) return 0;
+    return (o - 1) * s * (outcome === "HALF_WIN" ? 0.5 : 1);
+  }
+  if (outcome === "LOSE") return -1 * s;
+  if (outcome === "HALF_LOSE") return -0.5 * s;
+  return 0; // PUSH/SKIP
+}
+
+// ===== Lines & CLV =====
+// Asian lines: quarter lines (x.25 / x.75) are split into two half-stakes on the neighbouring lines
+export function splitAsianLine(line) {
+  const q = Math.round(Number(line) * 4);
+  if (Math.abs(q) % 2 === 1) return [(q - 1) / 4, (q + 1) / 4];
+  return [q / 4];
+}
+
+// CLV in percent: how much better the entry price was than the closing price
+export function clvPercent(entryOdds, closeOdds) {
+  const e = Number(entryOdds);
+  const c = Number(closeOdds);
+  if (!Number.isFinite(e) || !Number.isFinite(c) || e <= 1 || c <= 1) return null;
+  return Number(((e / c - 1) * 100).toFixed(4));
+}
+
+// ===== Fixture Settlement =====
+export const FINISHED_STATUSES = ["FT", "AET", "PEN"];
+// lock file in LOG_DIR held while results are written (server passes, settle.js) — two writers would append the same results twice
+export const SETTLE_LOCK_FILE = "settle.lock";
+
+// pending picks (not yet in results), newest first
+// - pickRecords: picks.ndjson records (or legacy picks.log lines); resultRecords: results.ndjson
+// - parked picks (type "parked" records) are left out unless includeParked (retry them)
+export function pendingPicks(pickRecords, resultRecords, { includeParked = false } = {}) {
+  const settledIds = new Set();
+  for (const r of resultRecords) {
+    if (r?.pickId && (r.type !== "parked" || !includeParked)) settledIds.add(r.pickId);
+  }
+
+  const pending = [];
+  for (let i = 0; i < pickRecords.length; i++) {
+    const p = normalizePickRecord(pickRecords[i], i);
+    if (!p || !p.fixtureId) continue;
+    p.pickId = p.pickId || makePickId(p);
+    if (settledIds.has(p.pickId)) continue;
+    const r = String(p.result || "PENDING").toUpperCase();
+    if (r !== "PENDING" && r !== "OPEN") continue;
+    pending.push(p);
+  }
+  pending.sort((a, b) => String(b.ts).localeCompare(String(a.ts)));
+  return pending;
+}
+
+export function groupByFixture(picks) {
+  const groups = new Map();
+  for (const p of picks) {
+    if (!groups.has(p.fixtureId)) groups.set(p.fixtureId, []);
+    groups.get(p.fixtureId).push(p);
+  }
+  return groups;
+}
+
+// 90-minute score: 1X2 / TOTAL / HANDICAP settle on it; fx.goals includes extra time (AET / PEN fixtures)
+export function regulationScore(fx) {
+  const ft = fx?.score?.fulltime;
+  const src = ft && ft.home != null && ft.away != null ? ft : fx?.goals;
+  return { home: safeNumber(src?.home, 0), away: safeNumber(src?.away, 0) };
+}
+
+// settle one pick against a finished fixture → { outcome, reason }
+export async function settlePickOutcome(p, fx, { client, noGoalRule = "lose" } = {}) {
+  const { home: scoreHome, away: scoreAway } = regulationScore(fx);
+
+  // Determine market from new picks OR fallback legacy betType
+  const market = p.market || (p.betType === "value_1x2" ? "1X2" : null);
+  const side = (p.side || "").toLowerCase();
+
+  // 1X2
+  if (market === "1X2") {
+    if (!["home", "away", "draw"].includes(side)) {
+      return { outcome: "SKIP", reason: "missing side for 1X2 (need home/away/draw)" };
+    }
+    return { outcome: settle1x2(side, scoreHome, scoreAway), reason: "" };
+  }
+  // TOTAL
+  if (market === "TOTAL") {
+    const selection = p.selection || (side === "over" ? "OVER" : side === "under" ? "UNDER" : "");
+    return settleTotal(selection, p.line, scoreHome, scoreAway);
+  }
+  // HANDICAP (live AH: goals after scoreAtScan)
+  if (market === "HANDICAP") {
+    const ahSide = side || String(p.selection || "").toLowerCase();
+    return settleHandicap(ahSide, p.line, scoreHome, scoreAway, p.scoreAtScan);
+  }
+  // NEXT_GOAL (event timeline after scoreAtScan)
+  if (market === "NEXT_GOAL") {
+    const ngSide = side || String(p.selection || "").toLowerCase();
+    let events;
+    try {
+      const evRes = await client("/fixtures/events", { fixture: p.fixtureId });
+      events = Array.isArray(evRes?.response) ? evRes.response : null;
+    } catch (e) {
+      return { outcome: "SKIP", reason: `events fetch failed: ${e?.message || String(e)}`, transient: true };
+    }
+    if (!events) return { outcome: "SKIP", reason: "events missing", transient: true };
+    return settleNextGoal(ngSide, p.scoreAtScan, p.minuteAtScan, events, fx?.teams?.home?.id, fx?.teams?.away?.id, noGoalRule);
+  }
+  return {
+    outcome: "SKIP",
+    reason: "unsupported/insufficient bet schema for auto-settle (need market 1X2, TOTAL+line, HANDICAP+line or NEXT_GOAL)",
+  };
+}
+
+// closing: { odds } captured for this pick (CLV), or null
+export function buildResultRecord(p, fx, outcome, reason, closing = null) {
+  const market = p.market || (p.betType === "value_1x2" ? "1X2" : null);
+  const side = (p.side || "").toLowerCase();
+  const oddsBet = Number(p.odds);
+  const stake = Number(p.stake ?? 1);
+  const regulation = regulationScore(fx);
+  const overall = `${safeNumber(fx?.goals?.home, 0)}-${safeNumber(fx?.goals?.away, 0)}`;
+  const record = {
+    time: nowIso(),
+    type: "result",
+    pickId: p.pickId,
+    fixtureId: p.fixtureId,
+    strategy: p.strategy,
+    strategyKey: p.strategyKey || null,
+    tier: p.tier,
+    market: market || null,
+    side: side || null,
+    selection: p.selection || null,
+    line: p.line ?? null,
+    odds_bet: Number.isFinite(oddsBet) ? oddsBet : null,
+    odds_close: closing?.odds ?? null,
+    clv: clvPercent(oddsBet, closing?.odds), // % vs closing price
+    stake: Number.isFinite(stake) ? stake : 1,
+    finalScore: `${regulation.home}-${regulation.away}`, // after 90 minutes
+    outcome, // WIN / HALF_WIN / PUSH / HALF_LOSE / LOSE
+    profit: profitForOutcome(outcome, oddsBet, stake),
+    ts_pick: p.ts,
+    configVersion: p.configVersion ?? null, // strategies config the pick was made under
+  };
+  if (overall !== record.finalScore) record.scoreAfterExtraTime = overall;
+  if (reason) record.note = reason;
+  return record;
+}
+
+// a pick that can never settle on its finished fixture (bad line, unknown market...): stored next to the
+// results so pendingPicks stops returning it; not a result (stats read type "result" only)
+export function buildParkedRecord(p, status, reason) {
+  return {
+    time: nowIso(),
+    type: "parked",
+    pickId: p.pickId,
+    fixtureId: p.fixtureId,
+    strategy: p.strategy,
+    strategyKey: p.strategyKey || null,
+    market: p.market || null,
+    side: (p.side || "").toLowerCase() || null,
+    line: p.line ?? null,
+    status: status || null,
+    reason: reason || null,
+    ts_pick: p.ts,
+  };
+}
+
+/**
+ * Fetch a fixture once and settle all its pending picks
+ * - client: API-Football fetcher; noGoalRule: NEXT_GOAL rule
+ * - closingFor(pickId) → { odds } | null; commit(record, pick) persists a result (may be async; skipped on dryRun)
+ * → { fixtureId, status, finished, settled: [resultRecord], skipped: [{ pickId, reason, transient? }], error? }
+ *   transient: the pick may settle on a later try (events feed); other skips on a finished fixture never will
+ */
+export async function settleFixturePicks(
+  fixtureId,
+  picks,
+  { client, noGoalRule = "lose", dryRun = false, closingFor = () => null, commit = () => {} } = {}
+) {
+  const out = { fixtureId, status: null, finished: false, settled: [], skipped: [] };
+  const skipAll = (reason) => {
+    for (const p of picks) out.skipped.push({ pickId: p.pickId, fixtureId, strategy: p.strategy, reason });
+    return out;
+  };
+
+  let fx;
+  try {
+    const fxRes = await client("/fixtures", { id: fixtureId });
+    fx = Array.isArray(fxRes?.response) ? fxRes.response[0] : null;
+  } catch (e) {
+    out.error = e?.message || String(e);
+    return skipAll(`fixture fetch failed: ${out.error}`);
+  }
+  if (!fx?.fixture?.status) return skipAll("fixture status missing");
+
+  out.status = String(fx.fixture.status.short || "").toUpperCase();
+  out.finished = FINISHED_STATUSES.includes(out.status);
+  if (!out.finished) return skipAll(`not finished (status=${out.status || "?"})`);
+
+  for (const p of picks) {
+    const { outcome, reason, transient } = await settlePickOutcome(p, fx, { client, noGoalRule });
+    if (outcome === "SKIP") {
+      out.skipped.push({ pickId: p.pickId, fixtureId, strategy: p.strategy, reason, ...(transient ? { transient } : {}) });
+      continue;
+    }
+    const record = buildResultRecord(p, fx, outcome, reason, closingFor(p.pickId));
+    if (!dryRun) await commit(record, p);
+    out.settled.push(record);
+  }
+  return out;
+}
@@ -0,0 +1,185 @@
+// settlementWorker.js — background settlement loop behind /api/settlement/* (server.js)
+// - polls only fixtures whose expected full time has passed; unfinished ones back off exponentially
+// - picks that can't settle on a finished fixture are parked (not refetched); transient skips (events feed) back off
+// - never overlaps a manual /api/results/sync: every pass runs through exclusive()
+import { safeNumber } from "./utils.js";
+import { groupByFixture } from "./settlement.js";
+
+export const HALF_TIME_BREAK_MIN = 15;
+export const FULL_TIME_GRACE_MIN = 10; // stoppage time + status lag
+export const SETTLE_MIN_INTERVAL_MS = 5000;
+
+// expected full-time wall clock for a pick: scan time + remaining minutes (+ HT break if scanned in 1st half)
+export function expectedEndMs(p) {
+  const t = Date.parse(p.ts);
+  if (!Number.isFinite(t)) return 0;
+  const minute = safeNumber(p.minuteAtScan, 0);
+  const remaining = Math.max(0, 90 - minute) + (minute <= 45 ? HALF_TIME_BREAK_MIN : 0) + FULL_TIME_GRACE_MIN;
+  return t + remaining * 60000;
+}
+
+/**
+ * Background settlement loop
+ * - listPending() → pending picks; settle(fixtureId, picks) → settleFixturePicks-shaped result
+ * - park(pick, status, reason): stores a pick that will never settle (finished fixture, non-transient skip)
+ * - exclusive(fn): runs a pass behind other settlement work (manual sync)
+ * - timers/now are injectable (same shape as the scan scheduler)
+ * → { start(opts), stop(), status(), runOnce() }
+ */
+export function createSettlementWorker({
+  listPending,
+  settle,
+  park,
+  exclusive = (fn) => fn(),
+  timers = { setTimeout, clearTimeout },
+  now = Date.now,
+  intervalMs = 60000,
+  backoffBaseMs = 2 * 60000,
+  backoffMaxMs = 30 * 60000,
+} = {}) {
+  let timer = null;
+  let generation = 0;
+  const backoff = new Map(); // fixtureId -> { attempts, nextCheckAt, lastStatus }
+  const state = {
+    running: false,
+    intervalMs,
+    runs: 0,
+    failures: 0,
+    settledTotal: 0,
+    parkedTotal: 0,
+    lastRunAt: null,
+    lastFinishedAt: null,
+    lastSettled: 0,
+    lastParked: 0,
+    lastChecked: 0,
+    lastError: null,
+    pending: 0,
+    pendingFixtures: 0,
+    waitingForFullTime: 0,
+  };
+
+  function backOff(fixtureId, status) {
+    const prev = backoff.get(fixtureId);
+    const attempts = (prev?.attempts || 0) + 1;
+    const wait = Math.min(backoffMaxMs, backoffBaseMs * 2 ** (attempts - 1));
+    backoff.set(fixtureId, { attempts, nextCheckAt: now() + wait, lastStatus: status || null });
+  }
+
+  async function runOnce() {
+    const t = now();
+    state.runs += 1;
+    state.lastRunAt = new Date(t).toISOString();
+
+    const groups = groupByFixture(await listPending());
+    for (const fid of backoff.keys()) if (!groups.has(fid)) backoff.delete(fid);
+
+    let checked = 0;
+    let settled = 0;
+    let parked = 0;
+    let waiting = 0;
+    let stillPending = 0;
+    let settledFixtures = 0;
+    for (const [fixtureId, picks] of groups) {
+      const endAt = Math.max(...picks.map(expectedEndMs));
+      const nextCheckAt = backoff.get(fixtureId)?.nextCheckAt ?? 0;
+      if (endAt > t) waiting += 1;
+      if (endAt > t || nextCheckAt > t) {
+        stillPending += picks.length;
+        continue;
+      }
+
+      checked += 1;
+      try {
+        const r = await settle(fixtureId, picks);
+        if (r.error) throw new Error(r.error);
+        settled += r.settled.length;
+        let left = picks.length - r.settled.length;
+        if (r.finished) {
+          const byId = new Map(picks.map((p) => [p.pickId, p]));
+          let retry = 0;
+          for (const sk of r.skipped) {
+            if (sk.transient || !byId.has(sk.pickId)) {
+              retry += 1;
+              continue;
+            }
+            await park(byId.get(sk.pickId), r.status, sk.reason);
+            parked += 1;
+            left -= 1;
+          }
+          if (retry) backOff(fixtureId, r.status);
+          else backoff.delete(fixtureId);
+        } else {
+          backOff(fixtureId, r.status);
+        }
+        stillPending += left;
+        if (!left) settledFixtures += 1;
+      } catch (e) {
+        state.failures += 1;
+        state.lastError = `fixture ${fixtureId}: ${e?.message || String(e)}`;
+        stillPending += picks.length;
+        backOff(fixtureId, "error");
+      }
+    }
+
+    state.lastChecked = checked;
+    state.lastSettled = settled;
+    state.settledTotal += settled;
+    state.lastParked = parked;
+    state.parkedTotal += parked;
+    state.pending = stillPending;
+    state.pendingFixtures = groups.size - settledFixtures;
+    state.waitingForFullTime = waiting;
+    state.lastFinishedAt = new Date(now()).toISOString();
+    return { checked, settled, parked, pending: stillPending };
+  }
+
+  const tick = () => exclusive(runOnce);
+
+  function schedule(gen, delay = state.intervalMs) {
+    if (!state.running || gen !== generation) return;
+    timer = timers.setTimeout(async () => {
+      timer = null;
+      if (!state.running || gen !== generation) return;
+      try {
+        await tick();
+      } catch (e) {
+        state.failures += 1;
+        state.lastError = e?.message || String(e);
+      }
+      schedule(gen);
+    }, delay);
+    timer?.unref?.();
+  }
+
+  function start(opts = {}) {
+    stop();
+    if (opts.intervalMs != null) {
+      state.intervalMs = Math.max(SETTLE_MIN_INTERVAL_MS, Math.round(safeNumber(opts.intervalMs, intervalMs)));
+    }
+    state.running = true;
+    schedule(generation, 0); // first pass right away (picks left over from before a restart)
+    return status();
+  }
+
+  function stop() {
+    generation += 1;
+    if (timer) timers.clearTimeout(timer);
+    timer = null;
+    state.running = false;
+    return status();
+  }
+
+  function status() {
+    return {
+      ...state,
+      backingOff: Array.from(backoff, ([fixtureId, b]) => ({
+        fixtureId,
+        attempts: b.attempts,
+        lastStatus: b.lastStatus,
+        nextCheckAt: new Date(b.nextCheckAt).toISOString(),
+      })),
+    };
+  }
+
+  return { start, stop, status, runOnce: tick };
+}
@@ -0,0 +1,90 @@
+// signalStore.js — pick signals already logged (fixture + strategy + side), so rescans don't log duplicates
+//
+// Rebuilt from the logged picks (storage.js) at startup. A signal seen again is a "repeat" (not logged) unless the re-fire
+// policy lets it through as a "new" pick:
+//   never   → one pick per fixture/strategy/side
+//   minutes → again after refireMinutes match minutes (wall clock when the minute is missing)
+//   score   → again when the score changed since the last logged pick
+import { safeNumber } from "./utils.js";
+import { makeDedupKey } from "./pipeline.js";
+
+export const REFIRE_POLICIES = ["never", "minutes", "score"];
+
+const scoreOf = (p) => p?.scoreAtScan ?? (p?.scoreHome != null ? `${p.scoreHome}-${p.scoreAway}` : null);
+const minuteOf = (p) => {
+  const m = Number(p?.minuteAtScan ?? p?.minute);
+  return Number.isFinite(m) ? m : null;
+};
+
+/**
+ * - check(pick) → { signal: "new" | "repeat", previous, reason }
+ * - remember(pick): a logged pick becomes the latest signal of its key
+ * - rebuild(records): logged pick records → store (entries older than maxAgeMs are skipped)
+ */
+export function createSignalStore({ policy = "never", refireMinutes = 15, maxAgeMs = 48 * 3600 * 1000, now = () => Date.now() } = {}) {
+  const signals = new Map(); // dedup key -> { pickId, ts, minute, score, stake, sizing, fires }
+  const state = { policy, refireMinutes, repeats: 0, refires: 0 };
+
+  function remember(pick) {
+    const key = makeDedupKey(pick);
+    const prev = signals.get(key);
+    signals.set(key, {
+      pickId: pick.pickId,
+      ts: pick.ts,
+      minute: minuteOf(pick),
+      score: scoreOf(pick),
+      stake: pick.stake ?? null,
+      sizing: pick.sizing ?? null,
+      fires: (prev?.fires || 0) + 1,
+    });
+  }
+
+  function check(pick) {
+    const previous = signals.get(makeDedupKey(pick)) || null;
+    if (!previous) return { signal: "new", previous: null, reason: null };
+
+    let reason = null;
+    if (policy === "minutes") {
+      const m = minuteOf(pick);
+      const elapsed =
+        m != null && previous.minute != null ? m - previous.minute : (now() - Date.parse(previous.ts)) / 60000;
+      if (elapsed >= refireMinutes) reason = `${Math.round(elapsed)} min since the last pick`;
+    } else if (policy === "score") {
+      const score = scoreOf(pick);
+      if (score != null && previous.score != null && score !== previous.score) reason = `score ${previous.score} → ${score}`;
+    }
+    if (reason) {
+      state.refires += 1;
+      return { signal: "new", previous, reason };
+    }
+    state.repeats += 1;
+    return { signal: "repeat", previous, reason: null };
+  }
+
+  function prune() {
+    const cutoff = now() - maxAgeMs;
+    let removed = 0;
+    for (const [key, s] of signals) {
+      if (Date.parse(s.ts) < cutoff) {
+        signals.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  function rebuild(records) {
+    signals.clear();
+    const cutoff = now() - maxAgeMs;
+    for (const rec of records) {
+      if (rec?.type !== "pick" || !rec.pick?.pickId) continue;
+      const pick = { ...rec.pick, ts: rec.pick.ts || rec.time };
+      if (Date.parse(pick.ts) >= cutoff) remember(pick);
+    }
+    return signals.size;
+  }
+
+  const status = () => ({ ...state, tracked: signals.size, maxAgeHours: safeNumber(maxAgeMs / 3600000, 48) });
+
+  return { check, remember, prune, rebuild, status };
+}
@@ -0,0 +1,144 @@
+// snapshotRecorder.js — what the scanner saw, per fixture and minute (input of the backtester + pick debugging)
+//
+// Store: storage.js snapshots repository — NDJSON <dir>/<YYYY-MM-DD>/<fixtureId>.ndjson or the pg snapshots table,
+// keyed by the day of the fixture's first snapshot; days older than retentionDays are deleted.
+// Records (format read by backtester.js):
+//   { type: "snapshot", time, fixtureId, minute, fixture, statistics, events, odds, metrics }
+//   { type: "final", time, fixtureId, fixture, events }   written once the fixture left the live list and is finished
+import { nowIso } from "./utils.js";
+import { FINISHED_STATUSES } from "./settlement.js";
+
+const MAX_FINAL_ATTEMPTS = 20; // scans after leaving the live list (postponed/abandoned fixtures stop here)
+
+/**
+ * - wrapClient(client): per-fixture client that keeps the raw responses it fetched
+ * - record(fx, metrics, fxClient): append one snapshot (once per fixture + minute); fills in events/odds the
+ *   strategies didn't need as optional calls (skipped when the API budget is low)
+ * - finalizeGone(liveIds, client): final score + events for recorded fixtures that left the live list
+ * - timeline(fixtureId) → { snapshots, final } ; prune() ; status()
+ * - store: storage.snapshots (append / timeline / prune)
+ */
+export function createSnapshotRecorder({ store, retentionDays = 14, now = () => Date.now(), log = console }) {
+  const tracked = new Map(); // fixtureId -> { day, lastMinute, finalAttempts }
+  const state = { written: 0, finals: 0, lastWriteAt: null, lastPruneDay: null, errors: 0, lastError: null };
+
+  const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+  async function write(day, fixtureId, rec) {
+    try {
+      await store.append(day, rec);
+      state.lastWriteAt = nowIso();
+      return true;
+    } catch (e) {
+      state.errors += 1;
+      state.lastError = e?.message || String(e);
+      log.error(`snapshot write failed (${fixtureId}): ${state.lastError}`);
+      return false;
+    }
+  }
+
+  function wrapClient(client) {
+    const responses = {};
+    const wrapped = async (pathname, params, opts) => {
+      const res = await client(pathname, params, opts);
+      responses[pathname] = res?.response ?? null;
+      return res;
+    };
+    wrapped.responses = responses;
+    wrapped.usage = client.usage;
+    return wrapped;
+  }
+
+  async function record(fx, metrics, fxClient) {
+    const fixtureId = fx?.fixture?.id;
+    if (fixtureId == null || !metrics) return false;
+    const minute = metrics.minute;
+    const t = tracked.get(fixtureId) || { day: dayOf(now()), lastMinute: null, finalAttempts: 0 };
+    if (t.lastMinute === minute) return false;
+
+    const raw = fxClient.responses || {};
+    for (const [pathname, params] of [
+      ["/fixtures/events", { fixture: fixtureId }],
+      ["/odds/live", { fixture: fixtureId }],
+    ]) {
+      if (pathname in raw) continue;
+      try {
+        await fxClient(pathname, params, { optional: true });
+      } catch {
+        raw[pathname] = null; // quota guard / provider error → recorded as missing
+      }
+    }
+
+    const ok = await write(t.day, fixtureId, {
+      type: "snapshot",
+      time: new Date(now()).toISOString(),
+      fixtureId,
+      minute,
+      fixture: fx,
+      statistics: raw["/fixtures/statistics"] ?? null,
+      events: raw["/fixtures/events"] ?? null,
+      odds: Array.isArray(raw["/odds/live"]) ? raw["/odds/live"][0] ?? null : null,
+      metrics,
+    });
+    if (ok) {
+      t.lastMinute = minute;
+      t.finalAttempts = 0;
+      tracked.set(fixtureId, t);
+      state.written += 1;
+    }
+    await prune();
+    return ok;
+  }
+
+  async function finalizeGone(liveIds, client) {
+    const live = new Set(liveIds.map(String));
+    let finals = 0;
+    for (const [fixtureId, t] of tracked) {
+      if (live.has(String(fixtureId))) continue;
+      t.finalAttempts += 1;
+      try {
+        const fxRes = await client("/fixtures", { id: fixtureId }, { optional: true });
+        const fx = Array.isArray(fxRes?.response) ? fxRes.response[0] : null;
+        const status = String(fx?.fixture?.status?.short || "").toUpperCase();
+        if (FINISHED_STATUSES.includes(status)) {
+          const evRes = await client("/fixtures/events", { fixture: fixtureId }, { optional: true });
+          const events = Array.isArray(evRes?.response) ? evRes.response : null;
+          if (await write(t.day, fixtureId, { type: "final", time: nowIso(), fixtureId, fixture: fx, events })) {
+            tracked.delete(fixtureId);
+            state.finals += 1;
+            finals += 1;
+            continue;
+          }
+        }
+      } catch {
+        // budget low / provider down → next scan
+      }
+      if (t.finalAttempts >= MAX_FINAL_ATTEMPTS) tracked.delete(fixtureId);
+    }
+    return finals;
+  }
+
+  // days past retention; runs at most once per day
+  async function prune() {
+    const today = dayOf(now());
+    if (state.lastPruneDay === today) return 0;
+    state.lastPruneDay = today;
+    const cutoff = dayOf(now() - retentionDays * 86400000);
+    let removed = 0;
+    try {
+      removed = await store.prune(cutoff);
+    } catch (e) {
+      state.errors += 1;
+      state.lastError = e?.message || String(e);
+      log.error(`snapshot prune failed: ${state.lastError}`);
+    }
+    if (removed) log.log(`snapshots: removed ${removed} day(s) older than ${cutoff}`);
+    return removed;
+  }
+
+  const timeline = (fixtureId) => store.timeline(fixtureId);
+
+  const status = () => ({ retentionDays, tracked: tracked.size, ...state });
+
+  return { wrapClient, record, finalizeGone, prune, timeline, status };
+}
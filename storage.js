@@ -0,0 +1,344 @@
+// storage.js — repository for picks, results and snapshots (STORAGE=ndjson | pg)
+//
+// ndjson (default): the log files as before — logs/picks.ndjson, logs/results.ndjson,
+//   logs/snapshots/<day>/<fixtureId>.ndjson; parsed lines are cached per file and a later call only reads
+//   the lines appended since (another process appending, e.g. `npm run settle`, is picked up the same way)
+// pg: Postgres tables picks / results / snapshots = the logged record (jsonb) + indexed columns
+//   day, strategy, fixture_id (+ pick_id); `npm run import-ndjson` copies the NDJSON files in once
+//
+// Both hand back the records exactly as logged, list() in log order. The NDJSON cache shares the record
+// objects between callers: treat them as read-only. appendMany() is the bulk append (importer); clear() is pg only.
+//   filters: { day, from, to (YYYY-MM-DD), fixtureId, strategy, pickId }
+//   day = pick time for picks, entry day (ts_pick) for results, recorder day for snapshots
+import fs from "fs";
+import path from "path";
+import pg from "pg";
+import { readNdjson } from "./utils.js";
+import { loadSnapshots, groupSnapshots } from "./backtester.js";
+
+export const STORAGE_KINDS = ["ndjson", "pg"];
+
+const DAY_DIR_RE = /^\d{4}-\d{2}-\d{2}$/;
+const dayOf = (ts) => String(ts || "").slice(0, 10);
+const idOrNull = (x) => (x == null || x === "" ? null : String(x));
+
+// indexed columns of a record (same values for the NDJSON filters and the SQL columns)
+function pickFields(rec) {
+  const p = rec?.type === "pick" && rec.pick && typeof rec.pick === "object" ? rec.pick : rec || {};
+  return {
+    day: dayOf(p.ts || rec?.time || p.time),
+    fixtureId: idOrNull(p.fixtureId),
+    strategy: p.strategy || p.betType || null,
+    pickId: p.pickId || null,
+  };
+}
+function resultFields(rec) {
+  return {
+    day: dayOf(rec?.ts_pick || rec?.time),
+    fixtureId: idOrNull(rec?.fixtureId),
+    strategy: rec?.strategy || null,
+    pickId: rec?.pickId || null,
+  };
+}
+
+function matches(f, { day = null, from = null, to = null, fixtureId = null, strategy = null, pickId = null } = {}) {
+  if (day && f.day !== day) return false;
+  if (from && f.day < from) return false;
+  if (to && f.day > to) return false;
+  if (fixtureId != null && f.fixtureId !== String(fixtureId)) return false;
+  if (strategy && f.strategy !== strategy) return false;
+  if (pickId && f.pickId !== pickId) return false;
+  return true;
+}
+
+// ---------------- NDJSON ---------------- //
+
+// one append-only file: records + their index fields, re-read from the last complete line on every call
+function ndjsonTable(file, fieldsOf) {
+  let rows = [];
+  let offset = 0;
+  let ino = null;
+
+  function refresh() {
+    let st;
+    try {
+      st = fs.statSync(file);
+    } catch {
+      rows = [];
+      offset = 0;
+      return rows;
+    }
+    if (st.ino !== ino || st.size < offset) {
+      // replaced / truncated → full reload
+      rows = [];
+      offset = 0;
+      ino = st.ino;
+    }
+    if (st.size === offset) return rows;
+
+    const buf = Buffer.alloc(st.size - offset);
+    const fd = fs.openSync(file, "r");
+    try {
+      fs.readSync(fd, buf, 0, buf.length, offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    const end = buf.lastIndexOf(0x0a); // a line still being written is read next time
+    if (end < 0) return rows;
+    offset += end + 1;
+    for (const line of buf.subarray(0, end).toString("utf8").split("\n")) {
+      if (!line) continue;
+      try {
+        const rec = JSON.parse(line);
+        rows.push({ rec, f: fieldsOf(rec) });
+      } catch {
+        // ignore bad line
+      }
+    }
+    return rows;
+  }
+
+  return {
+    async append(rec) {
+      fs.appendFileSync(file, JSON.stringify(rec) + "\n", "utf8");
+    },
+    async appendMany(recs) {
+      if (recs.length) fs.appendFileSync(file, recs.map((r) => JSON.stringify(r) + "\n").join(""), "utf8");
+    },
+    async list(filters = {}) {
+      return refresh()
+        .filter((r) => matches(r.f, filters))
+        .map((r) => r.rec);
+    },
+    count: () => refresh().length,
+  };
+}
+
+/**
+ * NDJSON files (current layout)
+ * - logDir: picks.ndjson + results.ndjson; snapshotsDir: <day>/<fixtureId>.ndjson (default <logDir>/snapshots)
+ */
+export function createNdjsonStorage({ logDir, snapshotsDir = path.join(logDir, "snapshots") }) {
+  const picks = ndjsonTable(path.join(logDir, "picks.ndjson"), pickFields);
+  const results = ndjsonTable(path.join(logDir, "results.ndjson"), resultFields);
+
+  const snapshots = {
+    async append(day, rec) {
+      await snapshots.appendMany(day, [rec]);
+    },
+    // records of one fixture
+    async appendMany(day, recs) {
+      if (!recs.length) return;
+      fs.mkdirSync(path.join(snapshotsDir, day), { recursive: true });
+      const file = path.join(snapshotsDir, day, `${recs[0].fixtureId}.ndjson`);
+      fs.appendFileSync(file, recs.map((r) => JSON.stringify(r) + "\n").join(""), "utf8");
+    },
+    async load(filters = {}) {
+      return loadSnapshots(snapshotsDir, filters);
+    },
+    async timeline(fixtureId) {
+      const out = { snapshots: [], final: null };
+      if (!fs.existsSync(snapshotsDir)) return out;
+      const days = fs.readdirSync(snapshotsDir).filter((d) => DAY_DIR_RE.test(d)).sort();
+      for (const d of days) {
+        const file = path.join(snapshotsDir, d, `${fixtureId}.ndjson`);
+        if (!fs.existsSync(file)) continue;
+        for (const r of readNdjson(file)) {
+          if (r?.type === "snapshot") out.snapshots.push(r);
+          else if (r?.type === "final") out.final = r;
+        }
+      }
+      out.snapshots.sort((a, b) => String(a.time).localeCompare(String(b.time)));
+      return out;
+    },
+    // day folders before cutoffDay → number of days removed
+    async prune(cutoffDay) {
+      if (!fs.existsSync(snapshotsDir)) return 0;
+      let removed = 0;
+      for (const d of fs.readdirSync(snapshotsDir)) {
+        if (!DAY_DIR_RE.test(d) || d >= cutoffDay) continue;
+        fs.rmSync(path.join(snapshotsDir, d), { recursive: true, force: true });
+        removed += 1;
+      }
+      return removed;
+    },
+  };
+
+  return {
+    kind: "ndjson",
+    picks,
+    results,
+    snapshots,
+    async init() {
+      fs.mkdirSync(logDir, { recursive: true });
+    },
+    async status() {
+      return { kind: "ndjson", picks: picks.count(), results: results.count(), snapshotsDir: path.basename(snapshotsDir) };
+    },
+    async close() {},
+  };
+}
+
+// ---------------- Postgres ---------------- //
+
+const PG_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS picks (
+    id BIGSERIAL PRIMARY KEY,
+    day TEXT NOT NULL,
+    fixture_id TEXT,
+    strategy TEXT,
+    pick_id TEXT,
+    record JSONB NOT NULL
+  )`,
+  `CREATE INDEX IF NOT EXISTS picks_day_idx ON picks (day)`,
+  `CREATE INDEX IF NOT EXISTS picks_strategy_idx ON picks (strategy)`,
+  `CREATE INDEX IF NOT EXISTS picks_fixture_idx ON picks (fixture_id)`,
+  `CREATE INDEX IF NOT EXISTS picks_pick_id_idx ON picks (pick_id)`,
+  `CREATE TABLE IF NOT EXISTS results (
+    id BIGSERIAL PRIMARY KEY,
+    day TEXT NOT NULL,
+    fixture_id TEXT,
+    strategy TEXT,
+    pick_id TEXT,
+    record JSONB NOT NULL
+  )`,
+  `CREATE INDEX IF NOT EXISTS results_day_idx ON results (day)`,
+  `CREATE INDEX IF NOT EXISTS results_strategy_idx ON results (strategy)`,
+  `CREATE INDEX IF NOT EXISTS results_fixture_idx ON results (fixture_id)`,
+  `CREATE INDEX IF NOT EXISTS results_pick_id_idx ON results (pick_id)`,
+  `CREATE TABLE IF NOT EXISTS snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    day TEXT NOT NULL,
+    fixture_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    record JSONB NOT NULL
+  )`,
+  `CREATE INDEX IF NOT EXISTS snapshots_day_idx ON snapshots (day)`,
+  `CREATE INDEX IF NOT EXISTS snapshots_fixture_idx ON snapshots (fixture_id)`,
+];
+
+// filters → WHERE clause + params ($1..)
+function sqlWhere({ day = null, from = null, to = null, fixtureId = null, fixtureIds = null, strategy = null, pickId = null } = {}) {
+  const clauses = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    clauses.push(sql.replace("?", `$${params.length}`));
+  };
+  if (day) add("day = ?", day);
+  if (from) add("day >= ?", from);
+  if (to) add("day <= ?", to);
+  if (fixtureId != null) add("fixture_id = ?", String(fixtureId));
+  if (fixtureIds) add("fixture_id = ANY(?)", Array.from(fixtureIds, String));
+  if (strategy) add("strategy = ?", strategy);
+  if (pickId) add("pick_id = ?", pickId);
+  return { where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "", params };
+}
+
+// multi-row INSERT of [column values] rows, `columns.length` params per row
+async function insertRows(pool, table, columns, rows) {
+  if (!rows.length) return;
+  const values = rows.map((_, i) => `(${columns.map((_, j) => `$${i * columns.length + j + 1}`).join(", ")})`);
+  await pool.query(`INSERT INTO ${table} (${columns.join(", ")}) VALUES ${values.join(", ")}`, rows.flat());
+}
+
+const RECORD_COLUMNS = ["day", "fixture_id", "strategy", "pick_id", "record"];
+
+function pgTable(pool, table, fieldsOf) {
+  const row = (rec) => {
+    const f = fieldsOf(rec);
+    return [f.day, f.fixtureId, f.strategy, f.pickId, JSON.stringify(rec)];
+  };
+  return {
+    async append(rec) {
+      await insertRows(pool, table, RECORD_COLUMNS, [row(rec)]);
+    },
+    async appendMany(recs) {
+      await insertRows(pool, table, RECORD_COLUMNS, recs.map(row));
+    },
+    async clear() {
+      await pool.query(`DELETE FROM ${table}`);
+    },
+    async list(filters = {}) {
+      const { where, params } = sqlWhere(filters);
+      const { rows } = await pool.query(`SELECT record FROM ${table} ${where} ORDER BY id`, params);
+      return rows.map((r) => r.record);
+    },
+  };
+}
+
+/**
+ * Postgres (pg)
+ * - connectionString (DATABASE_URL, TLS via ?sslmode=require) or pool: any object with pg's query(text, params) (a pg.Pool, or an in-memory fake)
+ * - init() creates the tables + indexes when missing
+ */
+export function createPgStorage({ connectionString, pool = null }) {
+  const db = pool || new pg.Pool({ connectionString });
+  const picks = pgTable(db, "picks", pickFields);
+  const results = pgTable(db, "results", resultFields);
+
+  const snapshotRow = (day, rec) => [day, String(rec.fixtureId), rec.type, JSON.stringify(rec)];
+  const snapshots = {
+    async append(day, rec) {
+      await insertRows(db, "snapshots", ["day", "fixture_id", "type", "record"], [snapshotRow(day, rec)]);
+    },
+    async appendMany(day, recs) {
+      await insertRows(db, "snapshots", ["day", "fixture_id", "type", "record"], recs.map((r) => snapshotRow(day, r)));
+    },
+    async clear() {
+      await db.query(`DELETE FROM snapshots`);
+    },
+    // from / to are checked again on the first snapshot's day by groupSnapshots (the recorder's day is the same)
+    async load(filters = {}) {
+      const { where, params } = sqlWhere({ fixtureIds: filters.fixtureIds, from: filters.from, to: filters.to });
+      const { rows } = await db.query(`SELECT record FROM snapshots ${where} ORDER BY id`, params);
+      return groupSnapshots(rows.map((r) => r.record), filters);
+    },
+    async timeline(fixtureId) {
+      const { rows } = await db.query(`SELECT record FROM snapshots WHERE fixture_id = $1 ORDER BY id`, [String(fixtureId)]);
+      const out = { snapshots: [], final: null };
+      for (const { record: r } of rows) {
+        if (r?.type === "snapshot") out.snapshots.push(r);
+        else if (r?.type === "final") out.final = r;
+      }
+      out.snapshots.sort((a, b) => String(a.time).localeCompare(String(b.time)));
+      return out;
+    },
+    async prune(cutoffDay) {
+      const { rows } = await db.query(
+        `WITH gone AS (DELETE FROM snapshots WHERE day < $1 RETURNING day) SELECT COUNT(DISTINCT day) AS n FROM gone`,
+        [cutoffDay]
+      );
+      return Number(rows[0]?.n) || 0;
+    },
+  };
+
+  return {
+    kind: "pg",
+    picks,
+    results,
+    snapshots,
+    async init() {
+      for (const sql of PG_SCHEMA) await db.query(sql);
+    },
+    async status() {
+      const count = async (table) => Number((await db.query(`SELECT COUNT(*) AS n FROM ${table}`)).rows[0]?.n) || 0;
+      return { kind: "pg", picks: await count("picks"), results: await count("results"), snapshots: await count("snapshots") };
+    },
+    async close() {
+      if (!pool) await db.end();
+    },
+  };
+}
+
+/**
+ * STORAGE / DATABASE_URL → repository (not initialized yet: await init() before use)
+ * - kind: "ndjson" | "pg"; unknown values fall back to ndjson
+ */
+export function createStorage({ kind = "ndjson", logDir, snapshotsDir, databaseUrl } = {}) {
+  if (String(kind).trim().toLowerCase() === "pg") {
+    if (!databaseUrl) throw new Error("STORAGE=pg needs DATABASE_URL");
+    return createPgStorage({ connectionString: databaseUrl });
+  }
+  return createNdjsonStorage({ logDir, snapshotsDir });
+}
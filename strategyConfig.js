@@ -0,0 +1,234 @@
+// strategyConfig.js — strategies_current.json: validation + hot reload (keeps the last good version)
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { nowIso, appendNdjson, readNdjson, writeJsonAtomic } from "./utils.js";
+import { paramErrors } from "./strategyRegistry.js";
+
+const MAX_LABEL_LENGTH = 120;
+
+/**
+ * Schema check for a strategies map: { key: { label?: string, enabled: boolean, params?: { name: number | boolean } } }
+ * - registry: keys with a registered plugin are checked against its param schema (type, min/max, unknown names)
+ * - known: optional current map; when given, only its keys/param names are allowed (AI proposals)
+ * → error strings like "late_pressure_goal.params.minPressure: must be <= 1"
+ */
+export function validateStrategiesMap(map, { registry = null, known = null } = {}) {
+  const errors = [];
+  if (!map || typeof map !== "object" || Array.isArray(map)) return ["strategies must be an object"];
+
+  for (const [key, st] of Object.entries(map)) {
+    if (known && !known[key]) {
+      errors.push(`${key}: unknown strategy key`);
+      continue;
+    }
+    if (!/^[a-z0-9_]+$/.test(key)) errors.push(`${key}: key must match [a-z0-9_]+`);
+    if (!st || typeof st !== "object" || Array.isArray(st)) {
+      errors.push(`${key}: must be an object`);
+      continue;
+    }
+    for (const field of Object.keys(st)) {
+      if (!["label", "enabled", "params"].includes(field)) errors.push(`${key}.${field}: unknown field`);
+    }
+    if (typeof st.enabled !== "boolean") errors.push(`${key}.enabled: must be boolean`);
+    if (st.label != null) {
+      if (typeof st.label !== "string" || !st.label.trim()) errors.push(`${key}.label: must be a non-empty string`);
+      else if (st.label.length > MAX_LABEL_LENGTH) errors.push(`${key}.label: longer than ${MAX_LABEL_LENGTH} chars`);
+    }
+    if (st.params == null) continue;
+    if (typeof st.params !== "object" || Array.isArray(st.params)) {
+      errors.push(`${key}.params: must be an object`);
+      continue;
+    }
+    const knownParams = known ? known[key]?.params || {} : null;
+    const plugin = registry?.get(key) || null;
+    const checked = {};
+    for (const [pk, pv] of Object.entries(st.params)) {
+      if (knownParams && !(pk in knownParams)) errors.push(`${key}.params.${pk}: unknown param`);
+      else if (plugin) checked[pk] = pv;
+      else if (typeof pv !== "number" || !Number.isFinite(pv)) errors.push(`${key}.params.${pk}: must be a finite number`);
+    }
+    if (plugin) for (const e of paramErrors(plugin.params, checked)) errors.push(`${key}.${e}`);
+  }
+  return errors;
+}
+
+// short content hash of the parsed map (formatting-only edits keep the version)
+export function strategiesVersion(map) {
+  return crypto.createHash("sha256").update(JSON.stringify(map)).digest("hex").slice(0, 12);
+}
+
+// JSON.parse message "... at position N" → "line L col C: ..."
+function describeParseError(raw, e) {
+  const msg = e?.message || String(e);
+  const m = /at position (\d+)/.exec(msg);
+  if (!m) return `invalid JSON: ${msg}`;
+  const before = raw.slice(0, Number(m[1]));
+  const line = before.split("\n").length;
+  const col = before.length - before.lastIndexOf("\n");
+  return `invalid JSON at line ${line} col ${col}: ${msg}`;
+}
+
+/**
+ * Active strategies config
+ * - reload(): read + validate the file; only a valid version replaces the active one
+ * - watch(): reload when the file changes (debounced; editors and writeJsonAtomic replace it via rename)
+ * - current(): { map, version, loadedAt } of the last good version; status() adds the last rejected attempt
+ * - onReload(active, previous): called whenever a new version becomes active (incl. the first load)
+ */
+export function createStrategyConfig({ file, registry = null, debounceMs = 250, log = console, onReload = null } = {}) {
+  let active = { map: {}, version: null, loadedAt: null };
+  let rejected = null; // { at, errors, version } of the newest invalid file content; cleared by a good load
+  let watcher = null;
+  let debounceTimer = null;
+
+  function reload() {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      rejected = { at: nowIso(), version: null, errors: [`cannot read ${path.basename(file)}: ${e?.message || e}`] };
+      log.error(`strategies: ${rejected.errors[0]} (keeping version ${active.version})`);
+      return { ok: false, errors: rejected.errors };
+    }
+
+    let map;
+    try {
+      map = JSON.parse(raw);
+    } catch (e) {
+      rejected = { at: nowIso(), version: null, errors: [describeParseError(raw, e)] };
+      log.error(`strategies: ${rejected.errors[0]} (keeping version ${active.version})`);
+      return { ok: false, errors: rejected.errors };
+    }
+
+    const version = strategiesVersion(map);
+    const errors = validateStrategiesMap(map, { registry });
+    if (errors.length) {
+      if (rejected?.version !== version) {
+        log.error(`strategies: version ${version} rejected (keeping ${active.version}):\n  ${errors.join("\n  ")}`);
+      }
+      rejected = { at: nowIso(), version, errors };
+      return { ok: false, errors };
+    }
+
+    rejected = null;
+    if (version !== active.version) {
+      if (active.version) log.log(`strategies: reloaded version ${version} (was ${active.version})`);
+      const previous = active;
+      active = { map, version, loadedAt: nowIso() };
+      onReload?.(active, previous);
+    }
+    return { ok: true, version };
+  }
+
+  function watch() {
+    if (watcher) return;
+    const name = path.basename(file);
+    watcher = fs.watch(path.dirname(file), (event, filename) => {
+      if (filename && filename !== name) return;
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(reload, debounceMs);
+    });
+    watcher.on("error", (e) => log.error(`strategies: watcher error: ${e?.message || e}`));
+  }
+
+  function close() {
+    clearTimeout(debounceTimer);
+    watcher?.close();
+    watcher = null;
+  }
+
+  const current = () => active;
+
+  function status() {
+    return {
+      ...active,
+      file: path.basename(file),
+      watching: !!watcher,
+      valid: !rejected,
+      rejected,
+    };
+  }
+
+  return { reload, watch, close, current, status };
+}
+
+// Changes between two strategies maps → [{ path: "late_pressure_goal.params.minPressure", from, to }]
+// (added/removed entries show up with from/to undefined → null)
+export function diffStrategies(before, after, prefix = "") {
+  const out = [];
+  const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of keys) {
+    const a = before?.[k];
+    const b = after?.[k];
+    const p = prefix ? `${prefix}.${k}` : k;
+    if (isObj(a) && isObj(b)) out.push(...diffStrategies(a, b, p));
+    else if (JSON.stringify(a) !== JSON.stringify(b)) out.push({ path: p, from: a ?? null, to: b ?? null });
+  }
+  return out;
+}
+
+/**
+ * Version history of strategies_current.json (NDJSON, one snapshot per change)
+ * { time, type: "strategies_version", version, by, action, key, diff, strategies }
+ * - record() skips a map equal to the newest snapshot, so API writes + the watcher reload log it once
+ */
+export function createStrategyHistory({ file }) {
+  const list = () => readNdjson(file).filter((r) => r?.type === "strategies_version");
+  const latest = () => list().at(-1) || null;
+
+  // newest snapshot of that version (a version can come back after a rollback)
+  function find(version) {
+    const all = list();
+    for (let i = all.length - 1; i >= 0; i--) if (all[i].version === version) return all[i];
+    return null;
+  }
+
+  function record({ map, version = strategiesVersion(map), by = "unknown", action, key = null, note = null }) {
+    const prev = latest();
+    if (prev?.version === version) return null;
+    const snapshot = {
+      time: nowIso(),
+      type: "strategies_version",
+      version,
+      previousVersion: prev?.version ?? null,
+      by,
+      action, // reload | put | patch | apply | rollback
+      key,
+      diff: diffStrategies(prev?.strategies || {}, map),
+      strategies: map,
+    };
+    if (note) snapshot.note = note;
+    appendNdjson(file, snapshot);
+    return snapshot;
+  }
+
+  return { list, latest, find, record };
+}
+
+/**
+ * API writes to the strategies file (PUT/PATCH, rollback, apply)
+ * commit(next, { by, action, key, baseVersion, note }): validate → file (atomic) → snapshot (who/what) → active config
+ * - baseVersion: the version the caller edited; 409 when the active one moved on
+ * → { ok: true, version, snapshot } | { ok: false, status, message, errors? }
+ */
+export function createStrategyWriter({ file, registry = null, config, history }) {
+  function commit(next, { by, action, key = null, baseVersion = null, note = null } = {}) {
+    const current = config.current();
+    if (baseVersion && baseVersion !== current.version) {
+      return { ok: false, status: 409, message: `config changed (active version ${current.version}, expected ${baseVersion})` };
+    }
+    const errors = validateStrategiesMap(next, { registry });
+    if (errors.length) return { ok: false, status: 400, message: "invalid strategies", errors };
+
+    // file first: a write that throws leaves no version in the history (rollback could target it)
+    writeJsonAtomic(file, next);
+    const version = strategiesVersion(next);
+    const snapshot = history.record({ map: next, version, by, action, key, note });
+    config.reload(); // don't wait for the watcher (its "reload" snapshot is skipped: same version)
+    return { ok: true, version, snapshot };
+  }
+
+  return { commit };
+}
@@ -0,0 +1,141 @@
+// strategyRegistry.js — strategy plugins by key (built-ins + files in strategies/)
+//
+// Plugin shape:
+//   { key, label?, kind?: "pick" | "filter", params: { name: { type: "number" | "integer" | "boolean", min?, max? } },
+//     conditions?(metrics, params, passed) -> reasons[]        // default: evaluateParams (conditions.js)
+//     evaluate(metrics, params, ctx) -> pick fields | reasons[]  // kind "pick"; ctx = { getLiveOdds, client, passed }
+//     apply(metrics, params, ctx) -> { penaltyMult, notes }    // kind "filter"; ctx = { client }
+//   }
+// strategies_current.json keeps { label, enabled, params } per key; the plugin with the same key runs it.
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+
+const PARAM_TYPES = new Set(["number", "integer", "boolean"]);
+
+function pluginShapeErrors(plugin) {
+  const errors = [];
+  if (!plugin || typeof plugin !== "object") return ["plugin must be an object"];
+  if (typeof plugin.key !== "string" || !/^[a-z0-9_]+$/.test(plugin.key)) errors.push("key must match [a-z0-9_]+");
+  const kind = plugin.kind ?? "pick";
+  if (kind !== "pick" && kind !== "filter") errors.push(`kind must be "pick" or "filter"`);
+  if (kind === "pick" && typeof plugin.evaluate !== "function") errors.push("evaluate() is required");
+  if (kind === "filter" && typeof plugin.apply !== "function") errors.push("apply() is required for filters");
+  if (plugin.conditions != null && typeof plugin.conditions !== "function") errors.push("conditions must be a function");
+  if (!plugin.params || typeof plugin.params !== "object" || Array.isArray(plugin.params)) {
+    errors.push("params schema must be an object");
+  } else {
+    for (const [name, spec] of Object.entries(plugin.params)) {
+      if (!PARAM_TYPES.has(spec?.type)) errors.push(`params.${name}.type must be number | integer | boolean`);
+    }
+  }
+  return errors;
+}
+
+// params of one strategy against its plugin schema → ["params.minMinute: must be >= 0", ...]
+export function paramErrors(schema, params) {
+  const errors = [];
+  if (params == null) return errors;
+  if (typeof params !== "object" || Array.isArray(params)) return ["params: must be an object"];
+  for (const [name, v] of Object.entries(params)) {
+    const spec = schema[name];
+    if (!spec) {
+      errors.push(`params.${name}: unknown param`);
+      continue;
+    }
+    if (spec.type === "boolean") {
+      if (typeof v !== "boolean") errors.push(`params.${name}: must be boolean`);
+      continue;
+    }
+    if (typeof v !== "number" || !Number.isFinite(v)) {
+      errors.push(`params.${name}: must be a finite number`);
+      continue;
+    }
+    if (spec.type === "integer" && !Number.isInteger(v)) errors.push(`params.${name}: must be an integer`);
+    if (spec.min != null && v < spec.min) errors.push(`params.${name}: must be >= ${spec.min}`);
+    if (spec.max != null && v > spec.max) errors.push(`params.${name}: must be <= ${spec.max}`);
+  }
+  return errors;
+}
+
+export function createStrategyRegistry() {
+  const plugins = new Map(); // key -> { plugin, source }
+  const loadErrors = []; // { source, key, error }
+
+  function register(plugin, source = "builtin") {
+    const errors = pluginShapeErrors(plugin);
+    if (!errors.length && plugins.has(plugin.key)) {
+      errors.push(`duplicate key (already registered from ${plugins.get(plugin.key).source})`);
+    }
+    if (errors.length) {
+      loadErrors.push({ source, key: plugin?.key ?? null, error: errors.join("; ") });
+      return false;
+    }
+    plugins.set(plugin.key, { plugin: { kind: "pick", ...plugin }, source });
+    return true;
+  }
+
+  // each *.js / *.mjs file default-exports a plugin or an array of plugins; a broken file is recorded, not thrown
+  async function loadDirectory(dir) {
+    if (!fs.existsSync(dir)) return 0;
+    let count = 0;
+    const files = fs.readdirSync(dir).filter((f) => /\.(m?js)$/.test(f)).sort();
+    for (const f of files) {
+      const source = path.join(path.basename(dir), f);
+      try {
+        const mod = await import(pathToFileURL(path.join(dir, f)).href);
+        const exported = mod.default ?? mod.strategy;
+        const list = Array.isArray(exported) ? exported : [exported];
+        for (const plugin of list) if (register(plugin, source)) count += 1;
+      } catch (e) {
+        loadErrors.push({ source, key: null, error: e?.message || String(e) });
+      }
+    }
+    return count;
+  }
+
+  const get = (key) => plugins.get(key)?.plugin || null;
+
+  function list() {
+    return Array.from(plugins.values()).map(({ plugin, source }) => ({
+      key: plugin.key,
+      label: plugin.label || plugin.key,
+      kind: plugin.kind,
+      source,
+      params: plugin.params,
+    }));
+  }
+
+  function validateParams(key, params) {
+    const plugin = get(key);
+    if (!plugin) return ["no implementation registered"];
+    return paramErrors(plugin.params, params);
+  }
+
+  // strategies map → what can't run as configured
+  // - unimplemented: keys without a plugin; invalid: { key: errors[] }; unconfigured: plugins not in the map
+  function checkConfig(map) {
+    const unimplemented = [];
+    const invalid = {};
+    for (const [key, st] of Object.entries(map || {})) {
+      if (!plugins.has(key)) {
+        unimplemented.push(key);
+        continue;
+      }
+      const errors = paramErrors(get(key).params, st?.params);
+      if (errors.length) invalid[key] = errors;
+    }
+    const unconfigured = Array.from(plugins.keys()).filter((k) => !(k in (map || {})));
+    return { unimplemented, invalid, unconfigured, loadErrors: [...loadErrors] };
+  }
+
+  return { register, loadDirectory, get, list, validateParams, checkConfig };
+}
+
+// built-ins first, then plugin files from dir (server + offline tools build the same registry)
+export async function loadStrategyRegistry({ builtins = [], dir = null } = {}) {
+  const registry = createStrategyRegistry();
+  for (const plugin of builtins) registry.register(plugin);
+  if (dir) await registry.loadDirectory(dir);
+  return registry;
+}
@@ -0,0 +1,172 @@
+// aiOptimizer.js: AI proposal merge + validation against a local OpenAI stub, apply = backup then atomic write
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createAiOptimizer, applyStrategies, mergeProposal } from "../aiOptimizer.js";
+import { createOpenAIJson } from "../openaiJson.js";
+import { createStrategyRegistry } from "../strategyRegistry.js";
+import { createStrategyConfig, createStrategyHistory, createStrategyWriter } from "../strategyConfig.js";
+import { pickParams } from "../conditions.js";
+
+// next stub answer = assistant message text
+let content = "{}";
+const requests = [];
+const stub = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    requests.push(JSON.parse(body || "{}"));
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(
+      JSON.stringify({
+        id: "chatcmpl-stub",
+        object: "chat.completion",
+        created: 1,
+        model: requests.at(-1).model,
+        choices: [{ index: 0, finish_reason: "stop", message: { role: "assistant", content } }],
+      })
+    );
+  });
+});
+
+const registry = createStrategyRegistry();
+registry.register({ key: "late_goal", params: pickParams("minMinute", "minPressure"), evaluate: () => null });
+registry.register({ key: "early_goal", params: pickParams("minMinute"), evaluate: () => null });
+
+const current = {
+  late_goal: { label: "Late goal", enabled: true, params: { minMinute: 70, minPressure: 0.6 } },
+  early_goal: { label: "Early goal", enabled: true, params: { minMinute: 10 } },
+};
+const performance = { late_goal: { settled: 40, roi: 0.12 } };
+
+let optimizer;
+before(async () => {
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+  const openai = createOpenAIJson({
+    apiKey: "sk-test",
+    baseURL: `http://127.0.0.1:${stub.address().port}/v1`,
+    allowedModels: ["gpt-4.1"],
+    maxRetries: 0,
+  });
+  optimizer = createAiOptimizer({ openai, registry });
+});
+after(() => stub.close());
+
+const propose = (answer, model) => {
+  content = typeof answer === "string" ? answer : JSON.stringify(answer);
+  return optimizer.propose({ model, current, performance });
+};
+const badOutput = (pattern) => (e) => e.code === "BAD_MODEL_OUTPUT" && pattern.test(`${e.message} ${e.errors?.join(" ")}`);
+
+test("propose: the answer is merged over the current config (omitted strategies and params kept)", async () => {
+  const r = await propose({ strategies: { late_goal: { params: { minMinute: 75 } } }, notes: ["เพิ่ม minMinute", 3] }, "gpt-4.1");
+  assert.equal(r.model, "gpt-4.1");
+  assert.deepEqual(r.strategies, {
+    late_goal: { label: "Late goal", enabled: true, params: { minMinute: 75, minPressure: 0.6 } },
+    early_goal: current.early_goal,
+  });
+  assert.deepEqual(r.notes, ["เพิ่ม minMinute", "3"]);
+
+  // the model sees the current config + performance, as JSON
+  const sent = requests.at(-1);
+  assert.equal(sent.model, "gpt-4.1");
+  assert.deepEqual(sent.response_format, { type: "json_object" });
+  assert.deepEqual(JSON.parse(sent.messages[1].content), { strategies: current, performance });
+});
+
+test("propose: unknown strategy keys and param names are rejected", async () => {
+  await assert.rejects(propose({ strategies: { new_idea: { enabled: true } } }), badOutput(/new_idea: unknown strategy key/));
+  await assert.rejects(
+    propose({ strategies: { early_goal: { params: { minPressure: 0.5 } } } }),
+    badOutput(/early_goal\.params\.minPressure: unknown param/)
+  );
+  await assert.rejects(propose({ strategies: { late_goal: { risky: true } } }), badOutput(/late_goal\.risky: unknown field/));
+});
+
+test("propose: out-of-schema values and malformed answers are BAD_MODEL_OUTPUT", async () => {
+  await assert.rejects(propose({ strategies: { late_goal: { params: { minMinute: 500 } } } }), badOutput(/minMinute/));
+  await assert.rejects(propose({ strategies: { late_goal: { enabled: "yes" } } }), badOutput(/enabled: must be boolean/));
+  await assert.rejects(propose("Sure, here you go: {"), badOutput(/non-JSON content/));
+  await assert.rejects(propose({ strategies: ["late_goal"] }), badOutput(/no strategies object/));
+  await assert.rejects(propose([1, 2]), badOutput(/no strategies object/));
+});
+
+test("propose: a model outside the allow-list fails before any request", async () => {
+  const sent = requests.length;
+  await assert.rejects(propose({}, "o1-pro"), (e) => e.code === "BAD_REQUEST");
+  assert.equal(requests.length, sent);
+});
+
+test("mergeProposal: a non-object entry replaces the current one (left for validation to reject)", () => {
+  assert.equal(mergeProposal(current, { early_goal: null }).early_goal, null);
+  assert.deepEqual(mergeProposal(current, undefined), current);
+});
+
+// strategies file + history in a temp dir, wired like server.js
+function strategiesDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ai-optimizer-"));
+  const file = path.join(dir, "strategies_current.json");
+  fs.writeFileSync(file, JSON.stringify(current, null, 2));
+  const log = { log() {}, error() {} };
+  const history = createStrategyHistory({ file: path.join(dir, "strategies_versions.ndjson") });
+  const config = createStrategyConfig({ file, registry, log, onReload: ({ map, version }) => history.record({ map, version, by: "file", action: "reload" }) });
+  config.reload();
+  const writer = createStrategyWriter({ file, registry, config, history });
+  const apply = (strategies, commit = writer.commit) =>
+    applyStrategies(strategies, { file, backupDir: path.join(dir, "backups"), registry, commit, by: "tester", stamp: "2026-10-19T12:00:00.000Z" });
+  return { dir, file, config, history, apply };
+}
+
+test("apply: backs up the old file, then writes the new one atomically and records the version", (t) => {
+  const { dir, file, config, history, apply } = strategiesDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const before = fs.readFileSync(file, "utf8");
+  const next = { ...current, early_goal: { ...current.early_goal, enabled: false } };
+
+  const r = apply(next);
+  assert.equal(r.ok, true);
+  assert.equal(r.backup, path.join(dir, "backups", "strategies_2026-10-19T12-00-00-000Z.json"));
+  assert.equal(fs.readFileSync(r.backup, "utf8"), before);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), next);
+  assert.deepEqual(
+    fs.readdirSync(dir).filter((f) => f.endsWith(".tmp")),
+    []
+  );
+  assert.equal(config.current().version, r.version);
+  assert.deepEqual(
+    history.list().map((s) => [s.action, s.by]),
+    [
+      ["reload", "file"],
+      ["apply", "tester"],
+    ]
+  );
+});
+
+test("apply: the backup is taken before the write (commit sees it already on disk)", (t) => {
+  const { dir, file, apply } = strategiesDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const before = fs.readFileSync(file, "utf8");
+  const r = apply(current, () => {
+    const backups = fs.readdirSync(path.join(dir, "backups"));
+    assert.equal(backups.length, 1);
+    assert.equal(fs.readFileSync(path.join(dir, "backups", backups[0]), "utf8"), before);
+    return { ok: false, status: 409, message: "config changed" };
+  });
+  assert.deepEqual(r, { ok: false, status: 409, message: "config changed" });
+  assert.equal(fs.readFileSync(file, "utf8"), before);
+});
+
+test("apply: an invalid map is rejected with 400; nothing is backed up or written", (t) => {
+  const { dir, file, apply } = strategiesDir();
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const before = fs.readFileSync(file, "utf8");
+  const r = apply({ late_goal: { enabled: true, params: { minMinute: -1 } } });
+  assert.equal(r.ok, false);
+  assert.equal(r.status, 400);
+  assert.match(r.errors.join("\n"), /late_goal\.params\.minMinute/);
+  assert.equal(fs.existsSync(path.join(dir, "backups")), false);
+  assert.equal(fs.readFileSync(file, "utf8"), before);
+});
@@ -0,0 +1,362 @@
+// apiFootball.js with a fake fetch, clock, sleep and random: response cache, in-flight coalescing, budget levels, retry, circuit breaker
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createApiFootball } from "../apiFootball.js";
+
+const T0 = Date.parse("2026-10-19T12:00:00.000Z");
+
+const reply = (json, { status = 200, headers = {} } = {}) => new Response(JSON.stringify(json), { status, headers });
+const quotaHeaders = (daily, minute = 100) => ({
+  "x-ratelimit-requests-limit": "7500",
+  "x-ratelimit-requests-remaining": String(daily),
+  "x-ratelimit-limit": "300",
+  "x-ratelimit-remaining": String(minute),
+});
+
+// fake fetch: respond(fn) sets the handler (url, callNo) → Response | Promise<Response>; sleeps move the clock
+function harness(opts = {}) {
+  let t = T0;
+  const calls = [];
+  const sleeps = [];
+  let handler = (url) => reply({ errors: [], response: [url.pathname + url.search] });
+  const api = createApiFootball({
+    key: "k",
+    now: () => t,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      t += ms;
+    },
+    random: () => 0.5,
+    fetchImpl: async (url) => {
+      const u = new URL(url);
+      calls.push(u.pathname + u.search);
+      return handler(u, calls.length);
+    },
+    ...opts,
+  });
+  return {
+    api,
+    calls,
+    sleeps,
+    advance: (ms) => (t += ms),
+    respond: (fn) => (handler = fn),
+  };
+}
+
+const rejectsCode = (p, code) => assert.rejects(p, (e) => e.code === code);
+
+test("cache: hits within the endpoint TTL, params order doesn't matter, refetch once expired", async () => {
+  const h = harness();
+  const first = await h.api("/fixtures", { id: 1, timezone: "UTC" });
+  assert.deepEqual(await h.api("/fixtures", { timezone: "UTC", id: 1, league: null }), first);
+  assert.equal(h.calls.length, 1);
+
+  h.advance(59999); // /fixtures TTL 60s
+  await h.api("/fixtures", { id: 1, timezone: "UTC" });
+  assert.equal(h.calls.length, 1);
+  h.advance(1);
+  await h.api("/fixtures", { id: 1, timezone: "UTC" });
+  assert.equal(h.calls.length, 2);
+
+  // live list has its own (shorter) TTL; other params are another entry
+  await h.api("/fixtures", { live: "all" });
+  h.advance(15000);
+  await h.api("/fixtures", { live: "all" });
+  await h.api("/fixtures", { id: 2 });
+  assert.equal(h.calls.length, 5);
+
+  const { today, cache } = h.api.usage();
+  assert.deepEqual([today.network, today.cacheHits], [5, 2]);
+  assert.equal(cache.entries, 3);
+});
+
+test("cache: fresh skips the read but stores the new response; errors are not cached", async () => {
+  const h = harness({ retry: { retries: 0 } });
+  await h.api("/fixtures/statistics", { fixture: 1 });
+  await h.api("/fixtures/statistics", { fixture: 1 }, { fresh: true });
+  assert.equal(h.calls.length, 2);
+
+  h.respond(() => reply({ message: "nope" }, { status: 404 }));
+  await rejectsCode(h.api("/fixtures/events", { fixture: 1 }), "HTTP_ERROR");
+  await rejectsCode(h.api("/fixtures/events", { fixture: 1 }), "HTTP_ERROR");
+  assert.equal(h.calls.length, 4);
+  assert.equal(h.api.usage().today.errorsByCode.HTTP_ERROR, 2);
+});
+
+test("coalescing: concurrent identical calls share one request, its result and its error", async () => {
+  const h = harness({ retry: { retries: 0 } });
+  let release;
+  h.respond(() => new Promise((resolve) => (release = resolve)));
+
+  const same = [h.api("/odds/live", { fixture: 7 }), h.api("/odds/live", { fixture: 7 }), h.api("/odds/live", { fixture: 7 })];
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(h.calls.length, 1);
+  assert.equal(h.api.usage().cache.inflight, 1);
+  release(reply({ errors: [], response: ["odds"] }));
+  const results = await Promise.all(same);
+  assert.ok(results.every((r) => r === results[0]));
+  assert.equal(h.api.usage().today.coalesced, 2);
+  assert.equal(h.api.usage().cache.inflight, 0);
+
+  h.advance(10000); // expired → next round fails for everyone waiting on it
+  h.respond(() => new Promise((resolve) => (release = resolve)));
+  const failing = [h.api("/odds/live", { fixture: 7 }), h.api("/odds/live", { fixture: 7 })];
+  await new Promise((resolve) => setImmediate(resolve));
+  release(reply({ message: "bad" }, { status: 400 }));
+  for (const p of failing) await rejectsCode(p, "HTTP_ERROR");
+  assert.equal(h.calls.length, 2);
+});
+
+test("budget low (daily remaining <= dailyReserve): optional refused, staleOk serves stale cache, others still fetch", async () => {
+  const levels = [];
+  const h = harness({ onBudgetLevel: (level, prev) => levels.push(`${prev}→${level}`) });
+  h.respond((url) => reply({ errors: [], response: [url.search] }, { headers: quotaHeaders(500) }));
+  const stats = await h.api("/fixtures/statistics", { fixture: 1 });
+  assert.equal(h.api.usage().level, "ok");
+
+  h.respond((url) => reply({ errors: [], response: [url.search] }, { headers: quotaHeaders(200) }));
+  await h.api("/fixtures", { live: "all" });
+  assert.equal(h.api.usage().level, "low");
+  assert.deepEqual(levels, ["ok→low"]);
+  const network = h.calls.length;
+
+  await rejectsCode(h.api("/fixtures/events", { fixture: 1 }, { optional: true }), "QUOTA_GUARD");
+  h.advance(45000); // statistics expired
+  assert.equal(await h.api("/fixtures/statistics", { fixture: 1 }, { staleOk: true }), stats);
+  assert.equal(h.calls.length, network);
+
+  // staleOk without anything cached, and plain calls, still go out
+  await h.api("/fixtures/statistics", { fixture: 2 }, { staleOk: true });
+  await h.api("/fixtures", { id: 1 });
+  assert.equal(h.calls.length, network + 2);
+  assert.deepEqual(
+    [h.api.usage().today.refused, h.api.usage().today.staleServed],
+    [1, 1]
+  );
+});
+
+test("budget exhausted (daily <= dailyHardFloor): every call is stale cache or QUOTA_GUARD; stale expires after 10 min", async () => {
+  const levels = [];
+  const h = harness({ budget: { dailyHardFloor: 20 }, onBudgetLevel: (level, prev) => levels.push(`${prev}→${level}`) });
+  h.respond((url) => reply({ errors: [], response: [url.search] }, { headers: quotaHeaders(21) }));
+  const live = await h.api("/fixtures", { live: "all" });
+  h.respond((url) => reply({ errors: [], response: [url.search] }, { headers: quotaHeaders(20) }));
+  await h.api("/fixtures", { id: 1 });
+  assert.equal(h.api.usage().level, "exhausted");
+  assert.deepEqual(levels, ["ok→low", "low→exhausted"]);
+  const network = h.calls.length;
+
+  h.advance(15000 + 10 * 60000); // live list: expired exactly STALE_MAX_MS ago → still served
+  assert.equal(await h.api("/fixtures", { live: "all" }), live);
+  await rejectsCode(h.api("/fixtures", { id: 2 }), "QUOTA_GUARD");
+  h.advance(1);
+  await rejectsCode(h.api("/fixtures", { live: "all" }), "QUOTA_GUARD");
+  assert.equal(h.calls.length, network);
+});
+
+test("budget: per-minute remaining (0 → exhausted, <= minuteReserve → low) only counts for 60s; daily resets at 00:00 UTC", async () => {
+  const h = harness({ budget: { minuteReserve: 5 } });
+  h.respond(() => reply({ errors: [], response: [] }, { headers: quotaHeaders(5000, 5) }));
+  await h.api("/fixtures", { id: 1 });
+  assert.equal(h.api.usage().level, "low");
+
+  h.respond(() => reply({ errors: [], response: [] }, { headers: quotaHeaders(5000, 0) }));
+  await h.api("/fixtures", { id: 2 });
+  assert.equal(h.api.usage().level, "exhausted");
+  await rejectsCode(h.api("/fixtures", { id: 3 }), "QUOTA_GUARD");
+  h.advance(60000);
+  assert.equal(h.api.usage().level, "ok");
+
+  h.respond(() => reply({ errors: [], response: [] }, { headers: quotaHeaders(3, 100) }));
+  await h.api("/fixtures", { id: 3 });
+  assert.equal(h.api.usage().level, "exhausted");
+  h.advance(12 * 3600 * 1000); // next UTC day: yesterday's daily headers no longer count, counters reset
+  const usage = h.api.usage();
+  assert.equal(usage.level, "ok");
+  assert.equal(usage.today.day, "2026-10-20");
+  assert.equal(usage.today.network, 0);
+});
+
+test("budget: missing quota headers keep the level ok; a throwing onBudgetLevel never fails the call", async () => {
+  const h = harness({
+    onBudgetLevel: () => {
+      throw new Error("listener broke");
+    },
+  });
+  await h.api("/fixtures", { id: 1 });
+  assert.equal(h.api.usage().level, "ok");
+  h.respond(() => reply({ errors: [], response: [1] }, { headers: quotaHeaders(10) }));
+  assert.deepEqual((await h.api("/fixtures", { id: 2 })).response, [1]);
+  assert.equal(h.api.usage().level, "exhausted");
+});
+
+// ----- retry + circuit breaker -----
+
+const ok = () => reply({ errors: [], response: ["ok"] });
+const httpError = (status, headers = {}) => reply({ message: `HTTP ${status}` }, { status, headers });
+
+test("retry: full jitter = random() × min(maxDelayMs, baseDelayMs × 2^attempt), gives up after `retries`", async () => {
+  const rolls = [1, 0.5, 1, 0.25, 1];
+  const h = harness({
+    random: () => rolls.shift(),
+    retry: { retries: 4, baseDelayMs: 300, maxDelayMs: 1000 },
+    breaker: { threshold: 100 },
+  });
+  h.respond(() => httpError(503));
+  await assert.rejects(h.api("/fixtures", { id: 1 }), (e) => e.code === "UPSTREAM_5XX" && e.attempts === 5);
+  assert.deepEqual(h.sleeps, [300, 300, 1000, 250]); // 300·1, 600·0.5, 1200→1000·1, 2400→1000·0.25
+  assert.equal(h.calls.length, 5);
+  assert.equal(h.api.usage().today.retries, 4);
+
+  // a success on a later attempt ends the loop
+  h.sleeps.length = 0;
+  rolls.splice(0, rolls.length, 0.5, 0.5);
+  h.respond((url, n) => (n < 8 ? httpError(502) : ok()));
+  assert.deepEqual((await h.api("/fixtures", { id: 2 })).response, ["ok"]);
+  assert.deepEqual(h.sleeps, [150, 300]);
+});
+
+test("retry: non-retryable codes (auth, 4xx, provider errors, non-JSON) fail on the first attempt", async () => {
+  const h = harness();
+  const cases = [
+    [() => httpError(401), "AUTH"],
+    [() => httpError(404), "HTTP_ERROR"],
+    [() => reply({ errors: { requests: "limit reached" }, response: [] }), "QUOTA_EXCEEDED"],
+    [() => reply({ errors: { token: "bad key" }, response: [] }), "AUTH"],
+    [() => new Response("<html>gateway</html>", { status: 200 }), "BAD_RESPONSE"],
+  ];
+  for (const [i, [respond, code]] of cases.entries()) {
+    h.respond(respond);
+    await assert.rejects(h.api("/fixtures", { id: i }), (e) => e.code === code && e.attempts === 1 && !e.retryable);
+  }
+  assert.equal(h.calls.length, cases.length);
+  assert.deepEqual(h.sleeps, []);
+});
+
+test("retry: a hung request times out (TIMEOUT, retryable) and is retried", async () => {
+  let calls = 0;
+  const h = harness({
+    retry: { timeoutMs: 5, retries: 1 },
+    // first call never answers; it fails only when the abort signal fires, like fetch
+    fetchImpl: (url, { signal }) =>
+      calls++ === 0
+        ? new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))))
+        : Promise.resolve(ok()),
+  });
+  assert.deepEqual((await h.api("/fixtures", { id: 1 })).response, ["ok"]);
+  assert.equal(calls, 2);
+  assert.equal(h.api.usage().today.timeouts, 1);
+  assert.deepEqual(h.sleeps, [150]);
+});
+
+test("Retry-After: seconds or an HTTP date wins over a shorter backoff; too long (> maxRetryAfterMs) → no retry", async () => {
+  const h = harness({ retry: { retries: 1, maxRetryAfterMs: 30000 } });
+  h.respond((url, n) => (n === 1 ? httpError(429, { "retry-after": "2" }) : ok()));
+  await h.api("/fixtures", { id: 1 });
+  assert.deepEqual(h.sleeps, [2000]);
+
+  const at = new Date(T0 + 2000 + 5000).toUTCString(); // clock is at T0 + 2000 after the first sleep
+  h.respond((url, n) => (n === 3 ? httpError(429, { "retry-after": at }) : ok()));
+  await h.api("/fixtures", { id: 2 });
+  assert.deepEqual(h.sleeps, [2000, 5000]);
+
+  // shorter than the jittered backoff (0.5 × 300) → backoff
+  h.respond((url, n) => (n === 5 ? httpError(429, { "retry-after": "0" }) : ok()));
+  await h.api("/fixtures", { id: 3 });
+  assert.deepEqual(h.sleeps, [2000, 5000, 150]);
+
+  // rate limit reported in a 200 body carries Retry-After too
+  h.respond((url, n) => (n === 7 ? reply({ errors: { rateLimit: "too many" }, response: [] }, { headers: { "retry-after": "3" } }) : ok()));
+  await h.api("/fixtures", { id: 4 });
+  assert.deepEqual(h.sleeps, [2000, 5000, 150, 3000]);
+
+  h.respond(() => httpError(429, { "retry-after": "31" }));
+  await assert.rejects(
+    h.api("/fixtures", { id: 5 }),
+    (e) => e.code === "RATE_LIMITED" && e.attempts === 1 && e.retryAfterMs === 31000
+  );
+  assert.equal(h.sleeps.length, 4);
+});
+
+test("breaker: opens after `threshold` consecutive provider failures; 429 / auth don't count", async () => {
+  const h = harness({ retry: { retries: 0 }, breaker: { threshold: 3, cooldownMs: 30000 } });
+  h.respond(() => httpError(429));
+  for (let i = 0; i < 4; i++) await rejectsCode(h.api("/fixtures", { id: i }), "RATE_LIMITED");
+  h.respond(() => httpError(401));
+  await rejectsCode(h.api("/fixtures", { id: 9 }), "AUTH");
+  assert.equal(h.api.usage().breaker.state, "closed");
+  assert.equal(h.api.usage().breaker.consecutiveFailures, 0);
+
+  h.respond(() => httpError(500));
+  await rejectsCode(h.api("/fixtures", { id: 10 }), "UPSTREAM_5XX");
+  h.respond(ok); // a success in between resets the count
+  await h.api("/fixtures", { id: 11 });
+  h.respond(() => httpError(500));
+  for (let i = 12; i < 14; i++) await rejectsCode(h.api("/fixtures", { id: i }), "UPSTREAM_5XX");
+  assert.equal(h.api.usage().breaker.state, "closed");
+  await rejectsCode(h.api("/fixtures", { id: 14 }), "UPSTREAM_5XX");
+
+  const b = h.api.usage().breaker;
+  assert.equal(b.state, "open");
+  assert.equal(b.consecutiveFailures, 3);
+  assert.equal(b.retryAt, new Date(T0 + 30000).toISOString());
+  assert.match(b.lastError, /HTTP 500/);
+});
+
+test("breaker: open fails fast (or serves stale cache), half-open lets one trial through, trial result closes or reopens", async () => {
+  const h = harness({ retry: { retries: 0 }, breaker: { threshold: 1, cooldownMs: 30000 } });
+  const cached = await h.api("/fixtures", { live: "all" });
+  h.advance(15000); // live list expired
+  h.respond(() => httpError(503));
+  await rejectsCode(h.api("/fixtures", { id: 1 }), "UPSTREAM_5XX");
+  assert.equal(h.api.usage().breaker.state, "open");
+  const network = h.calls.length;
+
+  await rejectsCode(h.api("/fixtures", { id: 2 }), "CIRCUIT_OPEN");
+  assert.equal(await h.api("/fixtures", { live: "all" }), cached);
+  assert.equal(h.calls.length, network);
+  assert.deepEqual([h.api.usage().today.fastFailed, h.api.usage().today.staleServed], [1, 1]);
+
+  // cooldown over → half-open: one trial; others keep failing fast while it runs
+  h.advance(30000);
+  let release;
+  h.respond(() => new Promise((resolve) => (release = resolve)));
+  const trial = h.api("/fixtures", { id: 3 });
+  await rejectsCode(h.api("/fixtures", { id: 4 }), "CIRCUIT_OPEN");
+  assert.equal(h.api.usage().breaker.state, "half-open");
+  release(httpError(502));
+  await rejectsCode(trial, "UPSTREAM_5XX");
+  assert.equal(h.api.usage().breaker.state, "open"); // failed trial → open again, new cooldown
+  assert.equal(h.api.usage().breaker.openedAt, new Date(T0 + 15000 + 30000).toISOString());
+
+  h.advance(29999);
+  await rejectsCode(h.api("/fixtures", { id: 5 }), "CIRCUIT_OPEN");
+  h.advance(1);
+  h.respond(ok);
+  await h.api("/fixtures", { id: 5 });
+  assert.deepEqual(
+    [h.api.usage().breaker.state, h.api.usage().breaker.consecutiveFailures],
+    ["closed", 0]
+  );
+  await h.api("/fixtures", { id: 6 });
+  assert.equal(h.calls.length, network + 3);
+});
+
+test("breaker: a trial that fails with a non-provider error (429) still closes it", async () => {
+  const h = harness({ retry: { retries: 0 }, breaker: { threshold: 1, cooldownMs: 1000 } });
+  h.respond(() => httpError(500));
+  await rejectsCode(h.api("/fixtures", { id: 1 }), "UPSTREAM_5XX");
+  h.advance(1000);
+  h.respond(() => httpError(429));
+  await rejectsCode(h.api("/fixtures", { id: 2 }), "RATE_LIMITED");
+  assert.equal(h.api.usage().breaker.state, "closed");
+});
+
+test("breaker opening mid-retry stops the retries", async () => {
+  const h = harness({ retry: { retries: 5 }, breaker: { threshold: 2, cooldownMs: 30000 } });
+  h.respond(() => httpError(500));
+  await assert.rejects(h.api("/fixtures", { id: 1 }), (e) => e.code === "UPSTREAM_5XX" && e.attempts === 2);
+  assert.equal(h.calls.length, 2);
+  assert.deepEqual(h.sleeps, [150]);
+  assert.equal(h.api.usage().breaker.state, "open");
+});
@@ -0,0 +1,60 @@
+// builtinStrategies.js: side selection + tiers of value_1x2 and handicap_pressure against fixed metrics and stubbed live odds
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BUILTIN_STRATEGIES, TIER_A_EDGE, TIER_A_EV } from "../builtinStrategies.js";
+
+const byKey = (key) => BUILTIN_STRATEGIES.find((s) => s.key === key);
+
+// model (modelProbs1x2): home 0.1164, draw 0.2681, away 0.6155
+const metrics = {
+  fixtureId: 1,
+  minute: 60,
+  score: { home: 0, away: 1, diff: -1 },
+  pressure: { home: 0.8, away: 0.2 },
+  xgProxy: { home: 1, away: 0.2 },
+};
+// draw has the highest EV (0.1260) but edge 0.0492; away: edge 0.1048, EV 0.1079; home is negative
+const oneXTwo = { home: 3.4, draw: 4.2, away: 1.8 };
+const ctx = { getLiveOdds: async () => ({ odds: { oneXTwo } }) };
+
+test("value_1x2: the best-EV side failing minEdge doesn't hide another side that passes both", async () => {
+  const pick = await byKey("value_1x2").evaluate(metrics, { minEdge: 0.05, minEV: 0.02 }, ctx);
+  assert.equal(pick.side, "away");
+  assert.equal(pick.odds, 1.8);
+  assert.equal(pick.edge, 0.1048);
+  assert.equal(pick.tier, "A"); // edge ≥ TIER_A_EDGE
+});
+
+test("value_1x2: with no side passing, every side's failure is listed", async () => {
+  const reasons = await byKey("value_1x2").evaluate(metrics, { minEdge: 0.2, minEV: 0.02 }, ctx);
+  assert.deepEqual(reasons, [
+    "edge < minEdge (home -0.1540 < 0.2)",
+    "EV < minEV (home -0.6042 < 0.02)",
+    "edge < minEdge (draw 0.0492 < 0.2)",
+    "edge < minEdge (away 0.1048 < 0.2)",
+  ]);
+});
+
+test("value_1x2: tier is independent of the minimum (minEdge 0 doesn't make every pick A)", async () => {
+  const s = byKey("value_1x2");
+  const pick = await s.evaluate(metrics, { minEdge: 0, minEV: 0 }, ctx);
+  assert.equal(pick.side, "draw");
+  assert.ok(pick.edge < TIER_A_EDGE);
+  assert.equal(pick.tier, "B");
+  assert.equal((await s.evaluate(metrics, { minEdge: 0, minEV: 0, tierAEdge: 0.04 }, ctx)).tier, "A");
+});
+
+// home AH 0 at these metrics: EV 0.1210 at 1.8, 0.0441 at 1.6
+const ahCtx = (home) => ({ getLiveOdds: async () => ({ odds: { asianHandicap: [{ line: 0, home, away: 2.3, main: true }] } }) });
+
+test("handicap_pressure: tier uses the fixed tierAEV, not 2 × minEV", async () => {
+  const s = byKey("handicap_pressure_home");
+  const strong = await s.evaluate(metrics, { minEV: 0 }, ahCtx(1.8));
+  assert.deepEqual([strong.side, strong.line, strong.ev, strong.tier], ["home", 0, 0.121, "A"]);
+  assert.ok(strong.ev >= TIER_A_EV);
+
+  const thin = await s.evaluate(metrics, { minEV: 0 }, ahCtx(1.6));
+  assert.deepEqual([thin.ev, thin.tier], [0.0441, "B"]); // was A: any positive EV ≥ 2 × 0
+  assert.equal((await s.evaluate(metrics, { minEV: 0.02, tierAEV: 0.04 }, ahCtx(1.6))).tier, "A");
+  assert.deepEqual(await s.evaluate(metrics, { minEV: 0.05 }, ahCtx(1.6)), ["EV < minEV (0.0441 < 0.05)"]);
+});
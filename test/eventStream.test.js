@@ -0,0 +1,202 @@
+// eventStream.js with a fake req/res, fixed clock and fake interval timers (no HTTP server)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { createEventStream } from "../eventStream.js";
+
+function fakeRes() {
+  return {
+    status: null,
+    headers: null,
+    chunks: [],
+    ended: false,
+    writableLength: 0,
+    writeHead(status, headers) {
+      this.status = status;
+      this.headers = headers;
+    },
+    write(text) {
+      assert.equal(this.ended, false, "write after end");
+      this.chunks.push(text);
+      return true;
+    },
+    end() {
+      this.ended = true;
+    },
+    // SSE frames written so far → [{ id, event, data }] (comments / retry lines are skipped)
+    frames() {
+      return this.chunks
+        .join("")
+        .split("\n\n")
+        .filter(Boolean)
+        .map((block) => Object.fromEntries(block.split("\n").map((l) => [l.slice(0, l.indexOf(":")), l.slice(l.indexOf(":") + 2)])))
+        .filter((f) => f.event)
+        .map((f) => ({ id: f.id ?? null, event: f.event, data: JSON.parse(f.data) }));
+    },
+  };
+}
+
+function fakeTimers() {
+  const intervals = [];
+  return {
+    intervals,
+    setInterval: (fn, ms) => {
+      const h = { fn, ms, cleared: false };
+      intervals.push(h);
+      return h;
+    },
+    clearInterval: (h) => {
+      h.cleared = true;
+    },
+  };
+}
+
+function hub(opts = {}) {
+  const timers = fakeTimers();
+  const stream = createEventStream({ now: () => Date.UTC(2026, 9, 1, 12), timers, ...opts });
+  const connect = (subOpts) => {
+    const req = new EventEmitter();
+    const res = fakeRes();
+    const unsubscribe = stream.subscribe(req, res, subOpts);
+    return { req, res, unsubscribe };
+  };
+  return { stream, timers, connect };
+}
+
+const ready = (res) => res.frames().find((f) => f.event === "stream.ready").data;
+const replayed = (res) => res.frames().filter((f) => f.event !== "stream.ready");
+
+test("fresh connection: SSE headers, retry hint, no replay, then live events", () => {
+  const { stream, connect } = hub();
+  stream.publish("pick.new", { pickId: "a" });
+
+  const { res } = connect();
+  assert.equal(res.status, 200);
+  assert.match(res.headers["Content-Type"], /^text\/event-stream/);
+  assert.equal(res.chunks[0], "retry: 3000\n\n");
+  assert.deepEqual(replayed(res), []);
+  assert.deepEqual(ready(res), { replayed: 0, gap: false, lastEventId: stream.status().lastEventId });
+
+  const ev = stream.publish("scan.completed", { totalPicks: 0 });
+  assert.deepEqual(replayed(res), [{ id: ev.id, event: "scan.completed", data: { totalPicks: 0 } }]);
+});
+
+test("same boot: replays only the events after Last-Event-ID", () => {
+  const { stream, connect } = hub();
+  const [e1, e2, e3] = ["pick.new", "scan.completed", "result.settled"].map((t, i) => stream.publish(t, { i }));
+
+  const { res } = connect({ lastEventId: e1.id });
+  assert.deepEqual(
+    replayed(res).map((f) => f.id),
+    [e2.id, e3.id]
+  );
+  assert.deepEqual(ready(res), { replayed: 2, gap: false, lastEventId: e3.id });
+
+  const upToDate = connect({ lastEventId: e3.id }).res;
+  assert.deepEqual(replayed(upToDate), []);
+  assert.equal(ready(upToDate).gap, false);
+});
+
+test("id from another boot (server restarted) or malformed: whole buffer with gap", () => {
+  const earlier = hub({ now: () => Date.UTC(2026, 9, 1, 9) }).stream.publish("pick.new", {});
+  const { stream, connect } = hub();
+  const evs = [stream.publish("pick.new", { n: 1 }), stream.publish("pick.new", { n: 2 })];
+  assert.notEqual(earlier.id.split("-")[0], evs[0].id.split("-")[0]);
+
+  for (const lastEventId of [earlier.id, "garbage", `${evs[0].id.split("-")[0]}-x`]) {
+    const { res } = connect({ lastEventId });
+    assert.deepEqual(
+      replayed(res).map((f) => f.id),
+      evs.map((e) => e.id),
+      lastEventId
+    );
+    assert.deepEqual(ready(res), { replayed: 2, gap: true, lastEventId: evs[1].id });
+  }
+});
+
+test("id older than the buffer: what is left is replayed with gap", () => {
+  const { stream, connect } = hub({ bufferSize: 3 });
+  const evs = Array.from({ length: 6 }, (_, i) => stream.publish("pick.new", { n: i + 1 }));
+  assert.equal(stream.status().buffered, 3);
+
+  const behind = connect({ lastEventId: evs[0].id }).res; // 2 and 3 fell out of the buffer
+  assert.deepEqual(
+    replayed(behind).map((f) => f.data.n),
+    [4, 5, 6]
+  );
+  assert.equal(ready(behind).gap, true);
+
+  const edge = connect({ lastEventId: evs[2].id }).res; // missed exactly what is still buffered
+  assert.deepEqual(
+    replayed(edge).map((f) => f.data.n),
+    [4, 5, 6]
+  );
+  assert.equal(ready(edge).gap, false);
+});
+
+test("types filter applies to the replay and to live events", () => {
+  const { stream, connect } = hub();
+  const first = stream.publish("pick.new", { n: 1 });
+  stream.publish("scan.completed", { n: 2 });
+  stream.publish("pick.new", { n: 3 });
+
+  const { res } = connect({ lastEventId: first.id, types: new Set(["pick.new", "quota.warning"]) });
+  assert.deepEqual(
+    replayed(res).map((f) => [f.event, f.data.n]),
+    [["pick.new", 3]]
+  );
+  assert.equal(ready(res).replayed, 1);
+
+  stream.publish("scan.completed", { n: 4 });
+  stream.publish("quota.warning", { n: 5 });
+  assert.deepEqual(
+    replayed(res).map((f) => [f.event, f.data.n]),
+    [
+      ["pick.new", 3],
+      ["quota.warning", 5],
+    ]
+  );
+});
+
+test("slow client (over 1MB unsent) is ended and dropped; the others keep receiving", () => {
+  const { stream, connect } = hub();
+  const slow = connect().res;
+  const fast = connect().res;
+  assert.equal(stream.status().clients, 2);
+
+  slow.writableLength = 2 * 1024 * 1024;
+  const before = slow.chunks.length;
+  stream.publish("pick.new", { n: 1 });
+  assert.equal(slow.ended, true);
+  assert.equal(slow.chunks.length, before); // nothing more queued on the dead socket
+  assert.equal(replayed(fast).length, 1);
+
+  stream.publish("pick.new", { n: 2 });
+  assert.equal(replayed(fast).length, 2);
+  assert.deepEqual({ clients: stream.status().clients, dropped: stream.status().dropped }, { clients: 1, dropped: 1 });
+});
+
+test("heartbeat runs while clients are connected; close / unsubscribe remove the client", () => {
+  const { stream, timers, connect } = hub({ heartbeatMs: 1000 });
+  const a = connect();
+  const b = connect();
+  assert.equal(timers.intervals.length, 1); // one shared interval
+  assert.equal(timers.intervals[0].ms, 1000);
+
+  timers.intervals[0].fn();
+  assert.equal(a.res.chunks.at(-1), ": ping\n\n");
+  assert.equal(b.res.chunks.at(-1), ": ping\n\n");
+
+  a.req.emit("close");
+  assert.equal(stream.status().clients, 1);
+  stream.publish("pick.new", {});
+  assert.equal(replayed(a.res).length, 0);
+  assert.equal(timers.intervals[0].cleared, false);
+
+  b.unsubscribe();
+  assert.equal(stream.status().clients, 0);
+  assert.equal(timers.intervals[0].cleared, true);
+
+  connect();
+  assert.equal(timers.intervals.length, 2); // re-armed for the next client
+});
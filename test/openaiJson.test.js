@@ -0,0 +1,102 @@
+// openaiJson.js against a local stub of the OpenAI chat completions API
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createOpenAIJson } from "../openaiJson.js";
+
+// next stub answer: { status, content } (content = assistant message text) or { status, body } (raw error body)
+let reply = null;
+const requests = [];
+
+const stub = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => (body += c));
+  req.on("end", () => {
+    requests.push({ url: req.url, auth: req.headers.authorization, body: JSON.parse(body || "{}") });
+    res.writeHead(reply.status, { "content-type": "application/json" });
+    if (reply.body) return res.end(JSON.stringify(reply.body));
+    res.end(
+      JSON.stringify({
+        id: "chatcmpl-stub",
+        object: "chat.completion",
+        created: 1,
+        model: requests.at(-1).body.model,
+        choices: [{ index: 0, finish_reason: "stop", message: { role: "assistant", content: reply.content } }],
+        usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 },
+      })
+    );
+  });
+});
+
+let openai;
+before(async () => {
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+  openai = createOpenAIJson({
+    apiKey: "sk-test",
+    baseURL: `http://127.0.0.1:${stub.address().port}/v1`,
+    model: "gpt-4.1-mini",
+    allowedModels: ["gpt-4.1"],
+    maxRetries: 0,
+  });
+});
+after(() => stub.close());
+
+const messages = [{ role: "user", content: "hi" }];
+
+test("json: parses the JSON answer and sends a json_object request", async () => {
+  reply = { status: 200, content: JSON.stringify({ th: "ทดสอบ", en: "test" }) };
+  const answer = await openai.json(messages, { temperature: 0.3 });
+  assert.deepEqual(answer, { th: "ทดสอบ", en: "test" });
+
+  const req = requests.at(-1);
+  assert.equal(req.url, "/v1/chat/completions");
+  assert.equal(req.auth, "Bearer sk-test");
+  assert.equal(req.body.model, "gpt-4.1-mini");
+  assert.equal(req.body.temperature, 0.3);
+  assert.deepEqual(req.body.response_format, { type: "json_object" });
+  assert.deepEqual(req.body.messages, messages);
+});
+
+test("json: malformed JSON content → error with the start of the text", async () => {
+  reply = { status: 200, content: "Sure! Here is {not json" };
+  await assert.rejects(openai.json(messages), /non-JSON content: Sure! Here is \{not json/);
+});
+
+test("json: empty content → non-JSON error", async () => {
+  reply = { status: 200, content: "" };
+  await assert.rejects(openai.json(messages), /non-JSON content/);
+});
+
+test("json: API error status is thrown (no retry with maxRetries 0)", async () => {
+  const sent = requests.length;
+  reply = { status: 401, body: { error: { message: "Incorrect API key", type: "invalid_request_error" } } };
+  await assert.rejects(openai.json(messages), (e) => e.status === 401 && /Incorrect API key/.test(e.message));
+
+  reply = { status: 500, body: { error: { message: "upstream exploded" } } };
+  await assert.rejects(openai.json(messages), (e) => e.status === 500);
+  assert.equal(requests.length, sent + 2);
+});
+
+test("json: missing API key fails before any request", async () => {
+  const sent = requests.length;
+  const noKey = createOpenAIJson({ baseURL: `http://127.0.0.1:${stub.address().port}/v1` });
+  await assert.rejects(noKey.json(messages), /OPENAI_API_KEY is missing/);
+  assert.equal(requests.length, sent);
+});
+
+test("resolveModel: default, allow-listed, unknown", () => {
+  assert.deepEqual(openai.models, ["gpt-4.1-mini", "gpt-4.1"]);
+  assert.equal(openai.resolveModel(undefined), "gpt-4.1-mini");
+  assert.equal(openai.resolveModel(""), "gpt-4.1-mini");
+  assert.equal(openai.resolveModel(" gpt-4.1 "), "gpt-4.1");
+  assert.throws(
+    () => openai.resolveModel("o1-pro"),
+    (e) => e.code === "BAD_REQUEST" && /model not allowed: o1-pro/.test(e.message)
+  );
+});
+
+test("json: the requested model is sent", async () => {
+  reply = { status: 200, content: "{}" };
+  await openai.json(messages, { model: openai.resolveModel("gpt-4.1") });
+  assert.equal(requests.at(-1).body.model, "gpt-4.1");
+});
@@ -0,0 +1,84 @@
+// optimizer.js: ranking on the selection chunks, proposal only when it also beats the current params on the holdout
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runOptimizer } from "../optimizer.js";
+import { createStrategyRegistry } from "../strategyRegistry.js";
+import { pickParams } from "../conditions.js";
+
+// one pick strategy: OVER 0.5 at 3.0 from the first minute >= minMinute
+const registry = createStrategyRegistry();
+registry.register({
+  key: "test_over",
+  params: pickParams("minMinute"),
+  evaluate: () => ({ market: "TOTAL", selection: "OVER", side: "over", line: 0.5, odds: 3, edge: 0.05, kelly: 0.02 }),
+});
+const strategiesMap = { test_over: { label: "Test over", enabled: true, params: { minMinute: 60 } } };
+
+// a fixture recorded at one minute only; goals = final score (0 goals → OVER 0.5 loses)
+let nextId = 1;
+function recorded(day, minute, goals) {
+  const id = nextId++;
+  const time = `${day}T12:${String(id % 60).padStart(2, "0")}:00.000Z`;
+  const teams = { home: { id: 1, name: "H" }, away: { id: 2, name: "A" } };
+  const fixture = (status, elapsed, g) => ({
+    fixture: { id, status: { short: status, elapsed } },
+    league: { id: 39 },
+    teams,
+    goals: { home: g, away: 0 },
+  });
+  return {
+    fixtureId: id,
+    snapshots: [{ type: "snapshot", fixtureId: id, time, minute, fixture: fixture("2H", minute, 0), statistics: [], odds: null }],
+    final: { type: "final", fixtureId: id, time, fixture: fixture("FT", 90, goals) },
+  };
+}
+
+// folds 2 → chunks of 4 fixtures: selection = days 1-2, holdout = day 3
+// minMinute 60 (current) never bets the minute-20 fixtures; minMinute 10 bets all of them
+function snapshotStore(holdoutGoals) {
+  const entries = [
+    ...["2026-10-01", "2026-10-02"].flatMap((day) => Array.from({ length: 4 }, () => recorded(day, 20, 1))),
+    ...Array.from({ length: 4 }, () => recorded("2026-10-03", 20, holdoutGoals)),
+  ];
+  const map = new Map(entries.map((e) => [String(e.fixtureId), e]));
+  return { load: async () => map };
+}
+
+const run = (store) =>
+  runOptimizer({ store, strategiesMap, registry, key: "test_over", grid: { minMinute: [10, 60] }, folds: 2, minBets: 2 });
+
+test("best on the selection chunks but losing on the holdout → current params kept", async () => {
+  const r = await run(snapshotStore(0));
+  const c10 = r.candidates.find((c) => c.params.minMinute === 10);
+  assert.deepEqual(r.split.selection, { from: "2026-10-01", to: "2026-10-02", fixtures: 8 });
+  assert.deepEqual(r.split.holdout, { from: "2026-10-03", to: "2026-10-03", fixtures: 4 });
+
+  assert.equal(r.candidates[0], c10); // ranked first on selection: 8 bets, all won
+  assert.deepEqual([c10.selection.bets, c10.selection.profit], [8, 16]);
+  assert.deepEqual([c10.holdout.bets, c10.holdout.profit], [4, -4]);
+  assert.ok(c10.testChunks.profit > 0); // chunks 1..2 pooled still look good — not what decides
+  assert.equal(r.current.holdout.bets, 0);
+
+  assert.equal(r.best, null);
+  assert.deepEqual(r.diff, []);
+  assert.equal(r.suggestions.strategies.test_over.params.minMinute, 60);
+  assert.match(r.suggestions.notes[0], /ไม่ชนะค่าปัจจุบันบนช่วง holdout/);
+});
+
+test("best on selection and better on the holdout → proposed", async () => {
+  const r = await run(snapshotStore(1));
+  assert.equal(r.best.params.minMinute, 10);
+  assert.deepEqual([r.best.holdout.bets, r.best.holdout.profit], [4, 8]);
+  assert.equal(r.suggestions.strategies.test_over.params.minMinute, 10);
+  assert.match(r.suggestions.notes[0], /minMinute 60 → 10 \(holdout ROI/);
+
+  // walk-forward: fold 1 trains on day 1 → picks minMinute 10, tests on day 2
+  assert.deepEqual(
+    r.walkForward.map((w) => [w.fold, w.chosenParams.minMinute, w.test_chosen.bets, w.test_current.bets]),
+    [
+      [1, 10, 4, 0],
+      [2, 10, 4, 0],
+    ]
+  );
+  assert.equal(r.walkForwardTotal.bets, 8);
+});
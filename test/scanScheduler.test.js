@@ -0,0 +1,326 @@
+// scanScheduler.js driven by fake timers and a fake API-Football client (no real time, no network);
+// the last tests run the real scanner.js scan path per due phase
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createScanScheduler, normalizeCadence, SCHEDULER_MIN_INTERVAL_MS } from "../scanScheduler.js";
+import { createScanner, fixturePhase } from "../scanner.js";
+import { createSignalStore } from "../signalStore.js";
+import { createStrategyRegistry } from "../strategyRegistry.js";
+import { pickParams } from "../conditions.js";
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// virtual clock: advance(ms) fires due timers in order and lets their async work settle
+function fakeClock() {
+  let t = 0;
+  let ids = 0;
+  const pending = new Map();
+  return {
+    now: () => t,
+    timers: {
+      setTimeout: (fn, ms) => {
+        const h = { id: ++ids, at: t + ms, fn };
+        pending.set(h.id, h);
+        return h;
+      },
+      clearTimeout: (h) => h && pending.delete(h.id),
+    },
+    pending: () => pending.size,
+    async advance(ms) {
+      await flush(); // let work released since the last advance arm its timer first
+      const end = t + ms;
+      for (;;) {
+        const next = [...pending.values()].sort((a, b) => a.at - b.at || a.id - b.id)[0];
+        if (!next || next.at > end) break;
+        pending.delete(next.id);
+        t = next.at;
+        next.fn();
+        await flush();
+      }
+      t = end;
+      await flush();
+    },
+  };
+}
+
+// the scan the server runs: one live-fixtures call through the API-Football client
+function fakeScan(clock, { fail = () => false } = {}) {
+  const calls = [];
+  const client = async (pathname, params) => {
+    calls.push({ at: clock.now(), pathname, params });
+    return { response: [] };
+  };
+  const runs = [];
+  const scan = async (phases) => {
+    runs.push({ at: clock.now(), phases });
+    await client("/fixtures", { live: "all" });
+    if (fail(runs.length)) throw new Error(`scan ${runs.length} failed`);
+  };
+  return { scan, runs, calls };
+}
+
+const cadence = { firstHalfMs: 60000, secondHalfMs: 30000 };
+
+test("runs each phase on its own cadence, both phases on the first tick", async () => {
+  const clock = fakeClock();
+  const { scan, runs, calls } = fakeScan(clock);
+  const scheduler = createScanScheduler({ scan, cadence, timers: clock.timers, now: clock.now });
+
+  scheduler.start();
+  await clock.advance(120000);
+  assert.deepEqual(
+    runs.map((r) => [r.at, r.phases.join("+")]),
+    [
+      [0, "firstHalf+secondHalf"],
+      [30000, "secondHalf"],
+      [60000, "firstHalf+secondHalf"],
+      [90000, "secondHalf"],
+      [120000, "firstHalf+secondHalf"],
+    ]
+  );
+  assert.equal(calls.length, runs.length);
+  assert.deepEqual(calls[0], { at: 0, pathname: "/fixtures", params: { live: "all" } });
+  assert.equal(scheduler.status().runs, 5);
+  scheduler.stop();
+});
+
+test("no overlap: a slow scan holds the loop, a busy lock skips the tick", async () => {
+  const clock = fakeClock();
+  let release;
+  let busy = false;
+  const runs = [];
+  const scan = (phases) => {
+    runs.push({ at: clock.now(), phases });
+    return runs.length === 1 ? new Promise((resolve) => (release = resolve)) : Promise.resolve();
+  };
+  const scheduler = createScanScheduler({ scan, isBusy: () => busy, cadence, timers: clock.timers, now: clock.now });
+
+  scheduler.start();
+  await clock.advance(200000); // first scan still running: nothing else starts
+  assert.equal(runs.length, 1);
+  assert.equal(clock.pending(), 0);
+
+  release();
+  await clock.advance(0); // overdue phases run right after the slow scan settles
+  assert.equal(runs.length, 2);
+  assert.equal(runs[1].at, 200000);
+
+  busy = true; // e.g. a manual POST /api/scan holds the lock
+  await clock.advance(30000);
+  assert.equal(runs.length, 2);
+  assert.equal(scheduler.status().skippedOverlap, 1);
+
+  busy = false;
+  await clock.advance(30000);
+  assert.equal(runs.length, 3);
+  scheduler.stop();
+});
+
+test("failed scans back off (×2 per failure, capped) and reset after a success", async () => {
+  const clock = fakeClock();
+  const { scan, runs } = fakeScan(clock, { fail: (n) => n <= 3 });
+  const scheduler = createScanScheduler({
+    scan,
+    cadence: { firstHalfMs: 30000, secondHalfMs: 30000 },
+    maxBackoffMs: 100000,
+    timers: clock.timers,
+    now: clock.now,
+  });
+
+  scheduler.start();
+  await clock.advance(0);
+  let st = scheduler.status();
+  assert.equal(st.consecutiveFailures, 1);
+  assert.equal(st.lastError, "scan 1 failed");
+  assert.equal(st.nextRunAt, new Date(60000).toISOString()); // 30s × 2
+
+  await clock.advance(400000);
+  // 0 fail → +60s, 60000 fail → +120s capped to 100s, 160000 fail → +100s, 260000 ok → back to 30s
+  assert.deepEqual(
+    runs.map((r) => r.at),
+    [0, 60000, 160000, 260000, 290000, 320000, 350000, 380000]
+  );
+  st = scheduler.status();
+  assert.equal(st.failures, 3);
+  assert.equal(st.consecutiveFailures, 0);
+  assert.equal(st.lastError, null);
+  scheduler.stop();
+});
+
+test("stop clears the timer and an in-flight scan does not re-arm it", async () => {
+  const clock = fakeClock();
+  let release;
+  const runs = [];
+  const scan = () => {
+    runs.push(clock.now());
+    return new Promise((resolve) => (release = resolve));
+  };
+  const scheduler = createScanScheduler({ scan, cadence, timers: clock.timers, now: clock.now });
+
+  scheduler.start();
+  await clock.advance(0);
+  assert.equal(runs.length, 1);
+
+  const st = scheduler.stop();
+  assert.equal(st.running, false);
+  assert.equal(st.nextRunAt, null);
+  release();
+  await clock.advance(300000);
+  assert.equal(runs.length, 1);
+  assert.equal(clock.pending(), 0);
+
+  // restart with a new cadence (clamped to the minimum)
+  const restarted = scheduler.start({ firstHalfMs: 1000, secondHalfMs: 20000 });
+  assert.deepEqual(restarted.cadence, { firstHalfMs: SCHEDULER_MIN_INTERVAL_MS, secondHalfMs: 20000 });
+  scheduler.stop();
+  await clock.advance(300000);
+  assert.equal(runs.length, 1);
+});
+
+test("normalizeCadence: defaults, fallback and minimum interval", () => {
+  assert.deepEqual(normalizeCadence(), { firstHalf: 90000, secondHalf: 45000 });
+  assert.deepEqual(normalizeCadence({ secondHalfMs: "20000" }, { firstHalf: 70000 }), { firstHalf: 70000, secondHalf: 20000 });
+  assert.deepEqual(normalizeCadence({ firstHalfMs: 5, secondHalfMs: "x" }), {
+    firstHalf: SCHEDULER_MIN_INTERVAL_MS,
+    secondHalf: 45000,
+  });
+});
+
+// ----- real scan path (scanner.js) per phase -----
+
+// API-Football stand-in: live list + per-fixture statistics; every call is logged with the virtual time
+function fakeFootball(clock, live) {
+  const calls = [];
+  const client = async (pathname, params) => {
+    calls.push({ at: clock.now(), pathname, fixture: params.fixture ?? null });
+    if (pathname === "/fixtures") return { response: live };
+    if (pathname === "/fixtures/statistics") return { response: [] };
+    throw new Error(`unexpected ${pathname}`);
+  };
+  // fixtures whose statistics were fetched by the scan starting at `at`
+  const scanned = (at) => calls.filter((c) => c.at === at && c.pathname === "/fixtures/statistics").map((c) => c.fixture);
+  return { client, calls, scanned };
+}
+
+const liveFixture = (id, elapsed) => ({
+  fixture: { id, status: { short: elapsed <= 45 ? "1H" : "2H", elapsed } },
+  league: { id: 39, name: "PL" },
+  teams: { home: { id: id * 10 + 1, name: `H${id}` }, away: { id: id * 10 + 2, name: `A${id}` } },
+  goals: { home: 0, away: 0 },
+});
+
+// one strategy that fires on every fixture; picks are logged to an array; config.label can be renamed between scans
+function realScanner(client, config = { label: "Any over" }) {
+  const registry = createStrategyRegistry();
+  registry.register({
+    key: "any_over",
+    params: pickParams("minMinute"),
+    evaluate: () => ({ market: "TOTAL", selection: "OVER", side: "over", line: 0.5, odds: 2, edge: 0.05, kelly: 0.02 }),
+  });
+  const logged = [];
+  const scanner = createScanner({
+    client,
+    strategies: () => ({ map: { any_over: { label: config.label, enabled: true, params: { minMinute: 0 } } }, version: "v1" }),
+    registry,
+    signalStore: createSignalStore(),
+    bankroll: { sizer: async () => ({ size: (p) => (p.stake = 1) }) },
+    picksStore: { append: async (rec) => logged.push(rec) },
+  });
+  return { scanner, logged };
+}
+
+test("fixturePhase: 0–45' (incl. HT) is firstHalf, later is secondHalf", () => {
+  assert.deepEqual(
+    [0, 20, 45, 46, 90, 120].map((m) => fixturePhase(liveFixture(1, m))),
+    ["firstHalf", "firstHalf", "firstHalf", "secondHalf", "secondHalf", "secondHalf"]
+  );
+  assert.equal(fixturePhase({ fixture: { status: {} } }), "firstHalf");
+});
+
+test("scheduler → real scan: each tick fetches and evaluates only the fixtures of the due phases", async () => {
+  const clock = fakeClock();
+  const live = [liveFixture(101, 20), liveFixture(102, 45), liveFixture(201, 60), liveFixture(202, 88)];
+  const api = fakeFootball(clock, live);
+  const { scanner, logged } = realScanner(api.client);
+  const responses = [];
+  const scheduler = createScanScheduler({
+    scan: async (phases) => responses.push({ at: clock.now(), phases, res: await scanner.runScan({ phases }) }),
+    cadence,
+    timers: clock.timers,
+    now: clock.now,
+  });
+
+  scheduler.start();
+  await clock.advance(90000);
+  scheduler.stop();
+
+  assert.deepEqual(
+    responses.map((r) => [r.at, r.phases.join("+"), api.scanned(r.at)]),
+    [
+      [0, "firstHalf+secondHalf", [101, 102, 201, 202]],
+      [30000, "secondHalf", [201, 202]],
+      [60000, "firstHalf+secondHalf", [101, 102, 201, 202]],
+      [90000, "secondHalf", [201, 202]],
+    ]
+  );
+  // every scan reads the whole live list once, and reports all of it by phase
+  assert.equal(api.calls.filter((c) => c.pathname === "/fixtures").length, 4);
+  assert.deepEqual(responses[1].res.risk.fixturesByPhase, { firstHalf: 2, secondHalf: 2 });
+  assert.deepEqual(
+    responses.map((r) => r.res.totalFixtures),
+    [4, 2, 4, 2]
+  );
+
+  // picks come only from the scanned fixtures; later scans repeat them instead of logging again
+  assert.deepEqual(
+    responses[1].res.picks.map((p) => [p.fixtureId, p.signal]),
+    [
+      [201, "repeat"],
+      [202, "repeat"],
+    ]
+  );
+  assert.deepEqual(
+    logged.map((r) => r.pick.fixtureId),
+    [101, 102, 201, 202]
+  );
+});
+
+test("real scan: a phase with no live fixtures fetches nothing but the live list", async () => {
+  const clock = fakeClock();
+  const api = fakeFootball(clock, [liveFixture(101, 30), liveFixture(102, 44)]);
+  const { scanner, logged } = realScanner(api.client);
+
+  const res = await scanner.runScan({ phases: ["secondHalf"] });
+  assert.equal(res.totalFixtures, 0);
+  assert.deepEqual(res.picks, []);
+  assert.deepEqual(
+    api.calls.map((c) => c.pathname),
+    ["/fixtures"]
+  );
+  assert.deepEqual(logged, []);
+
+  const full = await scanner.runScan();
+  assert.equal(full.totalFixtures, 2);
+  assert.deepEqual(api.scanned(0), [101, 102]);
+});
+
+test("real scan: renaming a strategy label keeps its signals (dedup keys on the strategy key)", async () => {
+  const clock = fakeClock();
+  const api = fakeFootball(clock, [liveFixture(201, 60)]);
+  const config = { label: "Any over" };
+  const { scanner, logged } = realScanner(api.client, config);
+
+  const first = await scanner.runScan();
+  assert.deepEqual(
+    first.picks.map((p) => [p.strategy, p.strategyKey, p.signal]),
+    [["Any over", "any_over", "new"]]
+  );
+
+  config.label = "Any over (renamed)";
+  const second = await scanner.runScan();
+  assert.deepEqual(
+    second.picks.map((p) => [p.strategy, p.pickId, p.signal]),
+    [["Any over (renamed)", first.picks[0].pickId, "repeat"]]
+  );
+  assert.equal(logged.length, 1);
+});
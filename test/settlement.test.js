@@ -0,0 +1,240 @@
+// settlement.js — Asian line splitting and TOTAL / HANDICAP outcomes for whole, half and quarter lines
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  asianOutcome,
+  splitAsianLine,
+  settleTotal,
+  settleHandicap,
+  settleNextGoal,
+  goalTimeline,
+  profitForOutcome,
+  normalizePickRecord,
+  settlePickOutcome,
+  settleFixturePicks,
+  pendingPicks,
+  buildParkedRecord,
+} from "../settlement.js";
+
+test("splitAsianLine: whole and half lines stay whole, quarter lines split into two halves", () => {
+  assert.deepEqual(splitAsianLine(2), [2]);
+  assert.deepEqual(splitAsianLine(2.5), [2.5]);
+  assert.deepEqual(splitAsianLine(-1), [-1]);
+  assert.deepEqual(splitAsianLine(-0.5), [-0.5]);
+  assert.deepEqual(splitAsianLine(2.25), [2, 2.5]);
+  assert.deepEqual(splitAsianLine(2.75), [2.5, 3]);
+  assert.deepEqual(splitAsianLine(-0.25), [-0.5, 0]);
+  assert.deepEqual(splitAsianLine(-0.75), [-1, -0.5]);
+  assert.deepEqual(splitAsianLine(0), [0]);
+});
+
+test("asianOutcome: margins per line part → WIN / HALF_WIN / PUSH / HALF_LOSE / LOSE", () => {
+  assert.equal(asianOutcome([1]), "WIN");
+  assert.equal(asianOutcome([0]), "PUSH");
+  assert.equal(asianOutcome([-1]), "LOSE");
+  assert.equal(asianOutcome([0.5, 0]), "HALF_WIN");
+  assert.equal(asianOutcome([0, -0.5]), "HALF_LOSE");
+  assert.equal(asianOutcome([0.5, 1]), "WIN");
+  assert.equal(asianOutcome([-0.5, -1]), "LOSE");
+});
+
+const total = (sel, line, h, a) => settleTotal(sel, line, h, a).outcome;
+
+test("settleTotal: whole lines (push on the line)", () => {
+  assert.equal(total("OVER", 2, 2, 1), "WIN");
+  assert.equal(total("OVER", 2, 1, 1), "PUSH");
+  assert.equal(total("OVER", 2, 1, 0), "LOSE");
+  assert.equal(total("UNDER", 3, 1, 1), "WIN");
+  assert.equal(total("UNDER", 3, 2, 1), "PUSH");
+  assert.equal(total("UNDER", 3, 2, 2), "LOSE");
+});
+
+test("settleTotal: half lines (no push)", () => {
+  assert.equal(total("OVER", 2.5, 2, 1), "WIN");
+  assert.equal(total("OVER", 2.5, 1, 1), "LOSE");
+  assert.equal(total("UNDER", 2.5, 1, 1), "WIN");
+  assert.equal(total("UNDER", 2.5, 2, 1), "LOSE");
+});
+
+test("settleTotal: quarter lines (half win / half lose)", () => {
+  // 2.25 = 2 + 2.5
+  assert.equal(total("OVER", 2.25, 2, 1), "WIN");
+  assert.equal(total("OVER", 2.25, 1, 1), "HALF_LOSE");
+  assert.equal(total("OVER", 2.25, 1, 0), "LOSE");
+  assert.equal(total("UNDER", 2.25, 1, 1), "HALF_WIN");
+  assert.equal(total("UNDER", 2.25, 1, 0), "WIN");
+  assert.equal(total("UNDER", 2.25, 2, 1), "LOSE");
+  // 2.75 = 2.5 + 3
+  assert.equal(total("OVER", 2.75, 2, 1), "HALF_WIN");
+  assert.equal(total("OVER", 2.75, 2, 2), "WIN");
+  assert.equal(total("OVER", 2.75, 1, 1), "LOSE");
+  assert.equal(total("UNDER", 2.75, 2, 1), "HALF_LOSE");
+  assert.equal(total("UNDER", 2.75, 1, 1), "WIN");
+});
+
+test("settleTotal: missing / non-Asian line or unknown selection → SKIP", () => {
+  assert.equal(total("OVER", null, 1, 1), "SKIP");
+  assert.equal(total("OVER", "", 1, 1), "SKIP");
+  assert.equal(total("OVER", 2.3, 1, 1), "SKIP");
+  assert.equal(total("BOTH", 2.5, 1, 1), "SKIP");
+});
+
+const ah = (side, line, h, a, at) => settleHandicap(side, line, h, a, at).outcome;
+
+test("settleHandicap: whole lines", () => {
+  assert.equal(ah("home", 0, 1, 1), "PUSH");
+  assert.equal(ah("home", 0, 1, 0), "WIN");
+  assert.equal(ah("away", 0, 1, 0), "LOSE");
+  assert.equal(ah("home", -1, 2, 1), "PUSH");
+  assert.equal(ah("home", -1, 3, 1), "WIN");
+  assert.equal(ah("away", 1, 2, 1), "PUSH");
+  assert.equal(ah("away", 1, 1, 1), "WIN");
+});
+
+test("settleHandicap: half lines", () => {
+  assert.equal(ah("home", -0.5, 1, 0), "WIN");
+  assert.equal(ah("home", -0.5, 1, 1), "LOSE");
+  assert.equal(ah("away", 0.5, 1, 1), "WIN");
+  assert.equal(ah("away", 0.5, 1, 0), "LOSE");
+  assert.equal(ah("home", -1.5, 2, 1), "LOSE");
+});
+
+test("settleHandicap: quarter lines", () => {
+  // -0.25 = -0.5 / 0
+  assert.equal(ah("home", -0.25, 1, 1), "HALF_LOSE");
+  assert.equal(ah("home", -0.25, 1, 0), "WIN");
+  // +0.25 = 0 / +0.5
+  assert.equal(ah("away", 0.25, 1, 1), "HALF_WIN");
+  assert.equal(ah("away", 0.25, 1, 0), "LOSE");
+  // -0.75 = -1 / -0.5
+  assert.equal(ah("home", -0.75, 1, 0), "HALF_WIN");
+  assert.equal(ah("home", -0.75, 2, 0), "WIN");
+  assert.equal(ah("home", -0.75, 0, 0), "LOSE");
+  // +0.75 = +0.5 / +1
+  assert.equal(ah("away", 0.75, 1, 0), "HALF_LOSE");
+  assert.equal(ah("away", 0.75, 2, 0), "LOSE");
+  // -1.25 = -1.5 / -1
+  assert.equal(ah("home", -1.25, 2, 1), "HALF_LOSE");
+  // +1.25 = +1 / +1.5, +1.75 = +1.5 / +2
+  assert.equal(ah("away", 1.25, 1, 0), "HALF_WIN");
+  assert.equal(ah("away", 1.75, 2, 0), "HALF_LOSE");
+});
+
+test("settleHandicap: live AH counts only goals after scoreAtScan", () => {
+  assert.equal(ah("home", -0.5, 2, 1, "1-1"), "WIN");
+  assert.equal(ah("home", -0.25, 1, 1, "1-0"), "LOSE");
+  assert.equal(ah("away", 0.25, 2, 1, "2-1"), "HALF_WIN");
+});
+
+test("settleHandicap: bad input → SKIP", () => {
+  assert.equal(ah("home", null, 1, 0), "SKIP");
+  assert.equal(ah("home", -0.3, 1, 0), "SKIP");
+  assert.equal(ah("draw", -0.5, 1, 0), "SKIP");
+  assert.equal(ah("home", -0.5, 1, 0, "garbage"), "SKIP");
+  assert.equal(ah("home", -0.5, 0, 0, "1-0"), "SKIP");
+});
+
+test("profitForOutcome: half outcomes pay / lose half the stake", () => {
+  assert.equal(profitForOutcome("WIN", 2.5, 2), 3);
+  assert.equal(profitForOutcome("HALF_WIN", 2.5, 2), 1.5);
+  assert.equal(profitForOutcome("PUSH", 1.9, 2), 0);
+  assert.equal(profitForOutcome("HALF_LOSE", 1.9, 2), -1);
+  assert.equal(profitForOutcome("LOSE", 1.9, 2), -2);
+});
+
+const goal = (elapsed, teamId, extra = {}) => ({ type: "Goal", detail: "Normal Goal", time: { elapsed }, team: { id: teamId }, ...extra });
+
+test("goalTimeline: penalty shootout kicks are not match goals", () => {
+  const events = [
+    goal(30, 1),
+    goal(90, 2),
+    goal(120, 1, { detail: "Penalty", comments: "Penalty Shootout" }),
+    goal(121, 2, { detail: "Penalty" }),
+    goal(120, 2, { detail: "Missed Penalty", comments: "Penalty Shootout" }),
+  ];
+  assert.deepEqual(goalTimeline(events).map((e) => e.time.elapsed), [30, 90]);
+  // 1-1 after extra time, decided on penalties: NEXT_GOAL from 1-1 has no goal left
+  assert.equal(settleNextGoal("home", "1-1", 100, events, 1, 2).outcome, "LOSE");
+  assert.equal(settleNextGoal("home", "1-1", 100, events, 1, 2, "refund").outcome, "PUSH");
+});
+
+test("normalizePickRecord: legacy over/under without a line settles on the old 2.5 default", async () => {
+  const legacy = normalizePickRecord({ ts: "2026-01-01T10:00:00Z", fixtureId: 9, betType: "over_under", betSide: "over", odds: 1.9 }, 0);
+  assert.equal(legacy.market, "TOTAL");
+  assert.equal(legacy.line, 2.5);
+  assert.equal(normalizePickRecord({ fixtureId: 9, betSide: "under", ouLine: 3 }, 0).line, 3);
+  assert.equal(normalizePickRecord({ fixtureId: 9, betSide: "home" }, 0).line, undefined);
+
+  const fx = { goals: { home: 2, away: 1 } };
+  assert.deepEqual(await settlePickOutcome(legacy, fx), { outcome: "WIN" });
+
+  // already migrated into picks.ndjson with line null (before the default) → still 2.5
+  const migrated = { type: "pick", migratedFrom: "picks.log", pick: { fixtureId: 9, market: "TOTAL", side: "under", line: null } };
+  assert.equal(normalizePickRecord(migrated, 0).line, 2.5);
+  // scanner picks keep their own line (missing line stays a SKIP)
+  assert.equal(normalizePickRecord({ type: "pick", pick: { fixtureId: 9, market: "TOTAL", side: "under" } }, 0).line, undefined);
+});
+
+test("parked picks: skips on a finished fixture are permanent unless the events feed is behind", async () => {
+  const pick = (pickId, extra) => ({ pickId, fixtureId: 7, strategy: "s", ts: "2026-10-19T10:00:00Z", ...extra });
+  const picks = [
+    pick("bad-line", { market: "TOTAL", side: "over", line: 2.3 }),
+    pick("next-goal", { market: "NEXT_GOAL", side: "home", scoreAtScan: "0-0" }),
+  ];
+  const client = async (pathname) => {
+    if (pathname === "/fixtures") return { response: [{ fixture: { status: { short: "FT" } }, goals: { home: 1, away: 0 } }] };
+    throw new Error("events down");
+  };
+  const r = await settleFixturePicks(7, picks, { client });
+  assert.equal(r.finished, true);
+  assert.deepEqual(
+    r.skipped.map((s) => [s.pickId, !!s.transient]),
+    [
+      ["bad-line", false],
+      ["next-goal", true],
+    ]
+  );
+
+  const records = picks.map((p) => ({ type: "pick", time: p.ts, pick: p }));
+  const parked = buildParkedRecord(picks[0], "FT", r.skipped[0].reason);
+  assert.equal(parked.type, "parked");
+  assert.equal(parked.reason, "missing/invalid line");
+  assert.deepEqual(pendingPicks(records, [parked]).map((p) => p.pickId), ["next-goal"]);
+  assert.deepEqual(
+    pendingPicks(records, [parked], { includeParked: true }).map((p) => p.pickId).sort(),
+    ["bad-line", "next-goal"]
+  );
+});
+
+test("AET / PEN fixtures: 1X2, TOTAL and HANDICAP settle on the 90-minute score", async () => {
+  const pick = (pickId, extra) => ({ pickId, fixtureId: 8, strategy: "s", ts: "2026-10-19T10:00:00Z", odds: 2, stake: 1, ...extra });
+  const picks = [
+    pick("draw", { market: "1X2", side: "draw" }),
+    pick("over", { market: "TOTAL", side: "over", line: 2.5 }),
+    pick("ah", { market: "HANDICAP", side: "home", line: -0.5, scoreAtScan: "0-0" }),
+  ];
+  // 1-1 after 90', 3-1 after extra time
+  const fx = {
+    fixture: { status: { short: "AET" } },
+    goals: { home: 3, away: 1 },
+    score: { halftime: { home: 0, away: 1 }, fulltime: { home: 1, away: 1 }, extratime: { home: 2, away: 0 }, penalty: { home: null, away: null } },
+  };
+  const r = await settleFixturePicks(8, picks, { client: async () => ({ response: [fx] }), dryRun: true });
+  assert.deepEqual(
+    r.settled.map((s) => [s.pickId, s.outcome, s.finalScore, s.scoreAfterExtraTime]),
+    [
+      ["draw", "WIN", "1-1", "3-1"],
+      ["over", "LOSE", "1-1", "3-1"],
+      ["ah", "LOSE", "1-1", "3-1"],
+    ]
+  );
+
+  // no score.fulltime (older payloads / replays) → goals as before, no extra-time field
+  const plain = await settlePickOutcome(picks[1], { goals: { home: 2, away: 1 } });
+  assert.equal(plain.outcome, "WIN");
+  const ft = await settleFixturePicks(8, [picks[0]], {
+    client: async () => ({ response: [{ fixture: { status: { short: "FT" } }, goals: { home: 1, away: 1 }, score: { fulltime: { home: 1, away: 1 } } }] }),
+    dryRun: true,
+  });
+  assert.equal("scoreAfterExtraTime" in ft.settled[0], false);
+});
@@ -0,0 +1,242 @@
+// settlementWorker.js with a fake clock / timers and a fake API-Football client behind the real settleFixturePicks
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSettlementWorker, expectedEndMs } from "../settlementWorker.js";
+import { settleFixturePicks, pendingPicks, buildParkedRecord } from "../settlement.js";
+
+const T0 = Date.parse("2026-10-19T12:00:00.000Z");
+const MIN = 60000;
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// virtual clock: set(ms) moves the wall clock; advance(ms) also fires due timers in order
+function fakeClock(start = T0) {
+  let t = start;
+  let ids = 0;
+  const pending = new Map();
+  return {
+    now: () => t,
+    set: (ms) => (t = start + ms),
+    timers: {
+      setTimeout: (fn, ms) => {
+        const h = { id: ++ids, at: t + ms, fn };
+        pending.set(h.id, h);
+        return h;
+      },
+      clearTimeout: (h) => h && pending.delete(h.id),
+    },
+    pending: () => pending.size,
+    async advance(ms) {
+      await flush();
+      const end = t + ms;
+      for (;;) {
+        const next = [...pending.values()].sort((a, b) => a.at - b.at || a.id - b.id)[0];
+        if (!next || next.at > end) break;
+        pending.delete(next.id);
+        t = next.at;
+        next.fn();
+        await flush();
+      }
+      t = end;
+      await flush();
+    },
+  };
+}
+
+// API-Football stand-in: fixtures by id, events by id (null = the events call fails)
+function fakeApi() {
+  const fixtures = new Map();
+  const events = new Map();
+  const calls = [];
+  const client = async (pathname, params) => {
+    calls.push(`${pathname} ${params.id ?? params.fixture}`);
+    if (pathname === "/fixtures") {
+      const f = fixtures.get(params.id);
+      return { response: f ? [f] : [] };
+    }
+    if (pathname === "/fixtures/events") {
+      const ev = events.get(params.fixture);
+      if (!ev) throw new Error("events down");
+      return { response: ev };
+    }
+    throw new Error(`unexpected ${pathname}`);
+  };
+  const setFixture = (id, status, home, away) =>
+    fixtures.set(id, { fixture: { id, status: { short: status } }, teams: { home: { id: 10 }, away: { id: 20 } }, goals: { home, away } });
+  return { client, calls, events, setFixture };
+}
+
+// picks + results store the way server.js wires it (pending = picks without a result / parked record)
+function worker(picks, api, clock, opts = {}) {
+  const results = [];
+  const records = picks.map((p) => ({ type: "pick", time: p.ts, pick: p }));
+  const w = createSettlementWorker({
+    listPending: async () => pendingPicks(records, results),
+    settle: (fixtureId, ps) => settleFixturePicks(fixtureId, ps, { client: api.client, commit: async (rec) => results.push(rec) }),
+    park: async (p, status, reason) => results.push(buildParkedRecord(p, status, reason)),
+    timers: clock.timers,
+    now: clock.now,
+    intervalMs: 60000,
+    backoffBaseMs: 2 * MIN,
+    backoffMaxMs: 5 * MIN,
+    ...opts,
+  });
+  return { w, results };
+}
+
+const pick = (pickId, fixtureId, extra) => ({
+  pickId,
+  fixtureId,
+  strategy: "s",
+  ts: new Date(T0).toISOString(),
+  minuteAtScan: 80,
+  odds: 2,
+  stake: 1,
+  ...extra,
+});
+
+test("expectedEndMs: remaining minutes + grace, plus the half-time break for first-half picks", () => {
+  assert.equal(expectedEndMs(pick("a", 1)) - T0, (10 + 10) * MIN);
+  assert.equal(expectedEndMs(pick("a", 1, { minuteAtScan: 30 })) - T0, (60 + 15 + 10) * MIN);
+  assert.equal(expectedEndMs({ ts: "not a date" }), 0);
+});
+
+test("waits for full time, then backs off an unfinished fixture (×2, capped) until it finishes", async () => {
+  const clock = fakeClock();
+  const api = fakeApi();
+  api.setFixture(1, "2H", 1, 0);
+  const { w, results } = worker([pick("over", 1, { market: "TOTAL", side: "over", line: 0.5 })], api, clock);
+
+  assert.deepEqual(await w.runOnce(), { checked: 0, settled: 0, parked: 0, pending: 1 });
+  assert.equal(w.status().waitingForFullTime, 1);
+  assert.deepEqual(api.calls, []);
+
+  // fetched at 20' (expected full time), then at +2, +4 (capped 5) minutes
+  const checksAt = [];
+  for (let m = 20; m <= 40; m++) {
+    clock.set(m * MIN);
+    const before = api.calls.length;
+    await w.runOnce();
+    if (api.calls.length > before) checksAt.push(m);
+  }
+  assert.deepEqual(checksAt, [20, 22, 26, 31, 36]);
+  assert.deepEqual(
+    w.status().backingOff.map((b) => [b.fixtureId, b.attempts, b.lastStatus]),
+    [[1, 5, "2H"]]
+  );
+
+  api.setFixture(1, "FT", 1, 0);
+  clock.set(41 * MIN);
+  assert.deepEqual(await w.runOnce(), { checked: 1, settled: 1, parked: 0, pending: 0 });
+  assert.deepEqual(w.status().backingOff, []);
+  assert.deepEqual(
+    results.map((r) => [r.type, r.pickId, r.outcome]),
+    [["result", "over", "WIN"]]
+  );
+});
+
+test("finished fixture: unsettleable picks are parked and never refetched, transient skips back off", async () => {
+  const clock = fakeClock();
+  const api = fakeApi();
+  api.setFixture(2, "FT", 1, 0);
+  const { w, results } = worker(
+    [
+      pick("win", 2, { market: "TOTAL", side: "over", line: 0.5 }),
+      pick("bad-line", 2, { market: "TOTAL", side: "over", line: 2.3 }),
+      pick("next-goal", 2, { market: "NEXT_GOAL", side: "home", scoreAtScan: "0-0", minuteAtScan: 70 }),
+    ],
+    api,
+    clock
+  );
+
+  clock.set(60 * MIN);
+  assert.deepEqual(await w.runOnce(), { checked: 1, settled: 1, parked: 1, pending: 1 });
+  assert.deepEqual(
+    results.map((r) => [r.type, r.pickId]),
+    [
+      ["result", "win"],
+      ["parked", "bad-line"],
+    ]
+  );
+  assert.deepEqual(
+    w.status().backingOff.map((b) => [b.attempts, b.lastStatus]),
+    [[1, "FT"]]
+  );
+
+  await w.runOnce(); // still backing off (events feed was down)
+  assert.equal(api.calls.filter((c) => c === "/fixtures 2").length, 1);
+
+  api.events.set(2, [{ type: "Goal", detail: "Normal Goal", team: { id: 10 }, time: { elapsed: 84 } }]);
+  clock.set(62 * MIN);
+  assert.deepEqual(await w.runOnce(), { checked: 1, settled: 1, parked: 0, pending: 0 });
+  assert.equal(results.at(-1).pickId, "next-goal");
+  assert.equal(results.at(-1).outcome, "WIN");
+
+  // nothing left: the parked pick is not fetched again
+  clock.set(120 * MIN);
+  const calls = api.calls.length;
+  assert.deepEqual(await w.runOnce(), { checked: 0, settled: 0, parked: 0, pending: 0 });
+  assert.equal(api.calls.length, calls);
+  const st = w.status();
+  assert.deepEqual([st.settledTotal, st.parkedTotal, st.pendingFixtures], [2, 1, 0]);
+});
+
+test("fetch errors back off the fixture and are reported", async () => {
+  const clock = fakeClock();
+  const api = fakeApi();
+  const { w } = worker([pick("a", 3, { market: "1X2", side: "home" })], api, clock, {
+    settle: async () => ({ error: "quota exhausted", settled: [], skipped: [] }),
+  });
+  clock.set(30 * MIN);
+  assert.deepEqual(await w.runOnce(), { checked: 1, settled: 0, parked: 0, pending: 1 });
+  const st = w.status();
+  assert.equal(st.failures, 1);
+  assert.equal(st.lastError, "fixture 3: quota exhausted");
+  assert.deepEqual(
+    st.backingOff.map((b) => [b.attempts, b.lastStatus]),
+    [[1, "error"]]
+  );
+});
+
+test("loop: first pass right away, then every interval through exclusive(); a failing pass doesn't stop it", async () => {
+  const clock = fakeClock();
+  let passes = 0;
+  let exclusiveCalls = 0;
+  const w = createSettlementWorker({
+    listPending: async () => {
+      passes += 1;
+      if (passes === 2) throw new Error("storage down");
+      return [];
+    },
+    settle: async () => assert.fail("nothing to settle"),
+    park: async () => assert.fail("nothing to park"),
+    exclusive: (fn) => {
+      exclusiveCalls += 1;
+      return fn();
+    },
+    timers: clock.timers,
+    now: clock.now,
+    intervalMs: 60000,
+  });
+
+  assert.equal(w.start().running, true);
+  await clock.advance(0);
+  assert.equal(passes, 1);
+  await clock.advance(60000);
+  assert.equal(passes, 2);
+  assert.equal(w.status().lastError, "storage down");
+  await clock.advance(60000);
+  assert.equal(passes, 3);
+  assert.equal(exclusiveCalls, 3);
+  assert.equal(w.status().failures, 1);
+
+  w.stop();
+  await clock.advance(600000);
+  assert.equal(passes, 3);
+  assert.equal(clock.pending(), 0);
+
+  assert.equal(w.start({ intervalMs: 1000 }).intervalMs, 5000); // clamped
+  await clock.advance(0);
+  await clock.advance(5000);
+  assert.equal(passes, 5);
+  w.stop();
+});
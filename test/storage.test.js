@@ -0,0 +1,316 @@
+// storage.js (ndjson in a temp dir, pg against an in-memory fake pool) and the importNdjson.js importer
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createNdjsonStorage, createPgStorage } from "../storage.js";
+import { importNdjson } from "../importNdjson.js";
+
+const tmpDirs = [];
+function tmpLogDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+  tmpDirs.push(dir);
+  return dir;
+}
+after(() => {
+  for (const d of tmpDirs) fs.rmSync(d, { recursive: true, force: true });
+});
+
+// pg stand-in: understands exactly the statements storage.js sends (jsonb comes back parsed, COUNT as text)
+function fakePool() {
+  const tables = new Map();
+  const queries = [];
+  let nextId = 0;
+  const rowsOf = (t) => {
+    if (!tables.has(t)) tables.set(t, []);
+    return tables.get(t);
+  };
+  const OPS = {
+    "=": (a, b) => a === b,
+    ">=": (a, b) => a >= b,
+    "<=": (a, b) => a <= b,
+    "<": (a, b) => a < b,
+  };
+  const matcher = (where, params) => {
+    if (!where) return () => true;
+    const tests = where.split(" AND ").map((clause) => {
+      const m = /^(\w+) (=|>=|<=|<) (ANY\()?\$(\d+)\)?$/.exec(clause.trim());
+      if (!m) throw new Error(`fake pg: unsupported clause ${clause}`);
+      const [, col, op, any, n] = m;
+      const value = params[Number(n) - 1];
+      return any ? (row) => value.includes(row[col]) : (row) => OPS[op](row[col], value);
+    });
+    return (row) => tests.every((t) => t(row));
+  };
+  const parsed = (row) => ({ record: JSON.parse(row.record) });
+
+  async function query(text, params = []) {
+    const sql = text.replace(/\s+/g, " ").trim();
+    queries.push({ sql, params });
+    let m;
+    if (/^CREATE (TABLE|INDEX)/.test(sql)) return { rows: [] };
+    if ((m = /^INSERT INTO (\w+) \(([^)]+)\) VALUES/.exec(sql))) {
+      const cols = m[2].split(", ");
+      for (let i = 0; i < params.length; i += cols.length) {
+        const row = { id: ++nextId };
+        cols.forEach((c, j) => (row[c] = params[i + j]));
+        rowsOf(m[1]).push(row);
+      }
+      return { rows: [] };
+    }
+    if ((m = /^DELETE FROM (\w+)$/.exec(sql))) {
+      tables.set(m[1], []);
+      return { rows: [] };
+    }
+    if ((m = /^SELECT record FROM (\w+) (?:WHERE (.+) )?ORDER BY id$/.exec(sql))) {
+      const keep = matcher(m[2], params);
+      return { rows: rowsOf(m[1]).filter(keep).sort((a, b) => a.id - b.id).map(parsed) };
+    }
+    if ((m = /^SELECT COUNT\(\*\) AS n FROM (\w+)$/.exec(sql))) return { rows: [{ n: String(rowsOf(m[1]).length) }] };
+    if ((m = /^WITH gone AS \(DELETE FROM (\w+) WHERE (.+) RETURNING day\) SELECT COUNT\(DISTINCT day\) AS n FROM gone$/.exec(sql))) {
+      const gone = matcher(m[2], params);
+      const rows = rowsOf(m[1]);
+      const days = new Set(rows.filter(gone).map((r) => r.day));
+      tables.set(m[1], rows.filter((r) => !gone(r)));
+      return { rows: [{ n: String(days.size) }] };
+    }
+    throw new Error(`fake pg: unsupported query ${sql}`);
+  }
+
+  return { query, queries, tables, end: async () => assert.fail("an injected pool is not closed by storage") };
+}
+
+// ---------------- Sample records ---------------- //
+
+const pickRec = (pickId, ts, fixtureId, strategy) => ({
+  time: ts,
+  type: "pick",
+  pick: { pickId, ts, fixtureId, strategy, market: "OU", side: "OVER", line: 2.5, stake: 1 },
+});
+const PICKS = [
+  pickRec("p1", "2026-10-01T12:00:00.000Z", 100, "late_goal"),
+  pickRec("p2", "2026-10-01T20:00:00.000Z", 200, "value_1x2"),
+  pickRec("p3", "2026-10-02T12:00:00.000Z", 100, "value_1x2"),
+  { time: "2026-10-03T09:00:00.000Z", pickId: "legacy", fixtureId: 300, betType: "late_goal" }, // old picks.log shape
+];
+const RESULTS = [
+  { time: "2026-10-02T00:10:00.000Z", type: "result", pickId: "p1", fixtureId: 100, strategy: "late_goal", ts_pick: "2026-10-01T12:00:00.000Z" },
+  { time: "2026-10-02T00:20:00.000Z", type: "parked", pickId: "p2", fixtureId: 200, strategy: "value_1x2", ts_pick: "2026-10-01T20:00:00.000Z" },
+];
+const snap = (fixtureId, time, minute) => ({ type: "snapshot", fixtureId, time, minute });
+const SNAPSHOTS = [
+  ["2026-10-01", [snap(100, "2026-10-01T12:00:00.000Z", 30), snap(100, "2026-10-01T12:05:00.000Z", 35)]],
+  ["2026-10-01", [{ type: "final", fixtureId: 100, time: "2026-10-01T13:00:00.000Z", goals: { home: 1, away: 0 } }]],
+  ["2026-10-02", [snap(400, "2026-10-02T18:00:00.000Z", 10)]],
+];
+
+async function fill(storage) {
+  for (const r of PICKS.slice(0, 2)) await storage.picks.append(r);
+  await storage.picks.appendMany(PICKS.slice(2));
+  await storage.results.appendMany(RESULTS);
+  for (const [day, recs] of SNAPSHOTS) await storage.snapshots.appendMany(day, recs);
+}
+
+// the same expectations for both backends: records come back as logged, in log order
+async function checkFilters(storage) {
+  const ids = async (filters) => (await storage.picks.list(filters)).map((r) => r.pick?.pickId ?? r.pickId);
+
+  assert.deepEqual(await storage.picks.list(), PICKS);
+  assert.deepEqual(await ids({ day: "2026-10-01" }), ["p1", "p2"]);
+  assert.deepEqual(await ids({ from: "2026-10-02" }), ["p3", "legacy"]);
+  assert.deepEqual(await ids({ to: "2026-10-02" }), ["p1", "p2", "p3"]);
+  assert.deepEqual(await ids({ from: "2026-10-02", to: "2026-10-02" }), ["p3"]);
+  assert.deepEqual(await ids({ fixtureId: 100 }), ["p1", "p3"]);
+  assert.deepEqual(await ids({ fixtureId: "300" }), ["legacy"]);
+  assert.deepEqual(await ids({ strategy: "value_1x2" }), ["p2", "p3"]);
+  assert.deepEqual(await ids({ strategy: "late_goal" }), ["p1", "legacy"]); // betType of the old shape
+  assert.deepEqual(await ids({ pickId: "p2" }), ["p2"]);
+  assert.deepEqual(await ids({ day: "2026-10-01", strategy: "value_1x2", fixtureId: 200 }), ["p2"]);
+  assert.deepEqual(await ids({ day: "2026-09-30" }), []);
+
+  // results: day = entry day of the pick (ts_pick), not the settle time
+  assert.deepEqual(await storage.results.list(), RESULTS);
+  assert.deepEqual(await storage.results.list({ day: "2026-10-01" }), RESULTS);
+  assert.deepEqual(await storage.results.list({ day: "2026-10-02" }), []);
+  assert.deepEqual(await storage.results.list({ pickId: "p2" }), [RESULTS[1]]);
+  assert.deepEqual(await storage.results.list({ fixtureId: 100, strategy: "late_goal" }), [RESULTS[0]]);
+
+  // snapshots grouped per fixture, filtered by the first snapshot's day
+  const all = await storage.snapshots.load();
+  assert.deepEqual([...all.keys()].sort(), ["100", "400"]);
+  assert.deepEqual(all.get("100").snapshots.map((s) => s.minute), [30, 35]);
+  assert.equal(all.get("100").final.goals.home, 1);
+  assert.deepEqual([...(await storage.snapshots.load({ from: "2026-10-02" })).keys()], ["400"]);
+  assert.deepEqual([...(await storage.snapshots.load({ fixtureIds: new Set(["100"]) })).keys()], ["100"]);
+
+  const tl = await storage.snapshots.timeline(100);
+  assert.deepEqual(tl.snapshots.map((s) => s.minute), [30, 35]);
+  assert.equal(tl.final.type, "final");
+  assert.deepEqual(await storage.snapshots.timeline(999), { snapshots: [], final: null });
+}
+
+// ---------------- NDJSON ---------------- //
+
+test("ndjson: append / appendMany / list with day, from, to, fixtureId, strategy, pickId filters", async () => {
+  const logDir = tmpLogDir();
+  const storage = createNdjsonStorage({ logDir });
+  await storage.init();
+  await fill(storage);
+  await checkFilters(storage);
+  assert.deepEqual(await storage.status(), { kind: "ndjson", picks: 4, results: 2, snapshotsDir: "snapshots" });
+
+  assert.equal(await storage.snapshots.prune("2026-10-02"), 1);
+  assert.deepEqual([...(await storage.snapshots.load()).keys()], ["400"]);
+});
+
+test("ndjson: reads only appended lines, leaves a partial last line for later, skips bad lines", async () => {
+  const logDir = tmpLogDir();
+  const file = path.join(logDir, "picks.ndjson");
+  const storage = createNdjsonStorage({ logDir });
+  await storage.init();
+  assert.deepEqual(await storage.picks.list(), []); // no file yet
+
+  await storage.picks.append(PICKS[0]);
+  const first = await storage.picks.list();
+  assert.deepEqual(first, [PICKS[0]]);
+
+  // another process (npm run settle) appends: one complete line + one still being written
+  const line = JSON.stringify(PICKS[1]);
+  fs.appendFileSync(file, JSON.stringify(PICKS[2]) + "\n" + line.slice(0, 20));
+  const second = await storage.picks.list();
+  assert.deepEqual(second, [PICKS[0], PICKS[2]]);
+  assert.equal(second[0], first[0]); // cached record, not re-parsed
+
+  fs.appendFileSync(file, line.slice(20) + "\n{not json\n");
+  assert.deepEqual(await storage.picks.list(), [PICKS[0], PICKS[2], PICKS[1]]);
+  assert.deepEqual(await storage.picks.list({ pickId: "p2" }), [PICKS[1]]);
+  assert.equal((await storage.status()).picks, 3);
+});
+
+test("ndjson: a truncated or replaced file is reloaded from the start", async () => {
+  const logDir = tmpLogDir();
+  const file = path.join(logDir, "results.ndjson");
+  const storage = createNdjsonStorage({ logDir });
+  await storage.init();
+  await storage.results.appendMany(RESULTS);
+  assert.equal((await storage.results.list()).length, 2);
+
+  fs.truncateSync(file, 0); // same file, shorter than what was read
+  assert.deepEqual(await storage.results.list(), []);
+  await storage.results.append(RESULTS[1]);
+  assert.deepEqual(await storage.results.list(), [RESULTS[1]]);
+
+  // rewritten elsewhere and renamed over (new inode), even with more bytes than before
+  const next = path.join(logDir, "results.next");
+  fs.writeFileSync(next, [RESULTS[0], RESULTS[0], RESULTS[0]].map((r) => JSON.stringify(r) + "\n").join(""));
+  fs.renameSync(next, file);
+  assert.deepEqual(await storage.results.list(), [RESULTS[0], RESULTS[0], RESULTS[0]]);
+
+  fs.rmSync(file);
+  assert.deepEqual(await storage.results.list(), []);
+});
+
+// ---------------- Postgres (fake pool) ---------------- //
+
+test("pg: init creates tables and indexes; append / list with the same filters as ndjson", async () => {
+  const pool = fakePool();
+  const storage = createPgStorage({ pool });
+  await storage.init();
+  assert.ok(pool.queries.every((q) => q.sql.startsWith("CREATE ")));
+  assert.deepEqual([...new Set(pool.queries.filter((q) => q.sql.startsWith("CREATE TABLE")).map((q) => q.sql.split(" ")[5]))], [
+    "picks",
+    "results",
+    "snapshots",
+  ]);
+
+  await fill(storage);
+  await checkFilters(storage);
+  assert.deepEqual(await storage.status(), { kind: "pg", picks: 4, results: 2, snapshots: 4 });
+
+  // indexed columns written next to the record
+  const [p1] = pool.tables.get("picks");
+  assert.deepEqual([p1.day, p1.fixture_id, p1.strategy, p1.pick_id], ["2026-10-01", "100", "late_goal", "p1"]);
+  // filters become bound parameters, never SQL text
+  pool.queries.length = 0;
+  await storage.picks.list({ day: "2026-10-01", fixtureId: 100, pickId: "x' OR '1'='1" });
+  assert.deepEqual(pool.queries[0], {
+    sql: "SELECT record FROM picks WHERE day = $1 AND fixture_id = $2 AND pick_id = $3 ORDER BY id",
+    params: ["2026-10-01", "100", "x' OR '1'='1"],
+  });
+  // appendMany is one multi-row INSERT
+  pool.queries.length = 0;
+  await storage.results.appendMany(RESULTS);
+  assert.equal(pool.queries.length, 1);
+  assert.equal(pool.queries[0].params.length, 2 * 5);
+
+  assert.equal(await storage.snapshots.prune("2026-10-02"), 1);
+  assert.deepEqual([...(await storage.snapshots.load()).keys()], ["400"]);
+  await storage.results.clear();
+  assert.deepEqual(await storage.results.list(), []);
+  await storage.close(); // injected pool stays open (end() would fail the test)
+});
+
+// ---------------- importNdjson.js ---------------- //
+
+async function ndjsonSource() {
+  const source = createNdjsonStorage({ logDir: tmpLogDir() });
+  await source.init();
+  await fill(source);
+  return source;
+}
+
+test("importer: copies picks, results and snapshots in batches; records and order unchanged", async () => {
+  const source = await ndjsonSource();
+  const pool = fakePool();
+  const target = createPgStorage({ pool });
+  await target.init();
+  const lines = [];
+
+  const out = await importNdjson({ source, target, batch: 3, log: (l) => lines.push(l) });
+  assert.deepEqual(out, { picks: { records: 4 }, results: { records: 2 }, snapshots: { records: 4 } });
+  assert.equal(lines.length, 3);
+
+  assert.deepEqual(await target.picks.list(), PICKS);
+  assert.deepEqual(await target.results.list(), RESULTS);
+  assert.deepEqual(await target.picks.list({ strategy: "late_goal" }), [PICKS[0], PICKS[3]]);
+  // snapshots keep the recorder's day per fixture
+  assert.deepEqual(
+    pool.tables.get("snapshots").map((r) => [r.fixture_id, r.day, r.type]),
+    [
+      ["100", "2026-10-01", "snapshot"],
+      ["100", "2026-10-01", "snapshot"],
+      ["100", "2026-10-01", "final"],
+      ["400", "2026-10-02", "snapshot"],
+    ]
+  );
+  const picksInserts = pool.queries.filter((q) => q.sql.startsWith("INSERT INTO picks"));
+  assert.deepEqual(picksInserts.map((q) => q.params.length / 5), [3, 1]);
+});
+
+test("importer: tables with rows are skipped unless replace; only / dryRun", async () => {
+  const source = await ndjsonSource();
+  const pool = fakePool();
+  const target = createPgStorage({ pool });
+  await target.init();
+  const log = () => {};
+
+  await importNdjson({ source, target, only: ["picks"], log });
+  assert.deepEqual(await target.status(), { kind: "pg", picks: 4, results: 0, snapshots: 0 });
+
+  // second run: picks already there → skipped (no duplicates), the rest imported
+  const again = await importNdjson({ source, target, log });
+  assert.deepEqual(again, { picks: { records: 0, skipped: 4 }, results: { records: 2 }, snapshots: { records: 4 } });
+  assert.equal((await target.picks.list()).length, 4);
+
+  await source.picks.append(pickRec("p4", "2026-10-04T10:00:00.000Z", 500, "late_goal"));
+  const replaced = await importNdjson({ source, target, only: ["picks"], replace: true, log });
+  assert.deepEqual(replaced, { picks: { records: 5, replaced: 4 } });
+  assert.deepEqual((await target.picks.list()).map((r) => r.pick?.pickId ?? r.pickId), ["p1", "p2", "p3", "legacy", "p4"]);
+
+  // dry run: counts only, nothing sent to Postgres
+  pool.queries.length = 0;
+  const dry = await importNdjson({ source, target: null, dryRun: true, log });
+  assert.deepEqual(dry, { picks: { records: 5 }, results: { records: 2 }, snapshots: { records: 4 } });
+  assert.equal(pool.queries.length, 0);
+});
@@ -0,0 +1,67 @@
+// strategyConfig.js: API writes (createStrategyWriter) against a temp strategies file + version history
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createStrategyConfig, createStrategyHistory, createStrategyWriter, strategiesVersion } from "../strategyConfig.js";
+
+const v1 = { late_goal: { label: "Late goal", enabled: true, params: { minMinute: 70 } } };
+const v2 = { late_goal: { label: "Late goal", enabled: false, params: { minMinute: 70 } } };
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "strategy-config-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "strategies_current.json");
+  fs.writeFileSync(file, JSON.stringify(v1));
+  const history = createStrategyHistory({ file: path.join(dir, "strategies_versions.ndjson") });
+  const config = createStrategyConfig({
+    file,
+    log: { log() {}, error() {} },
+    onReload: ({ map, version }) => history.record({ map, version, by: "file", action: "reload" }),
+  });
+  config.reload();
+  return { dir, file, history, config, writer: createStrategyWriter({ file, config, history }) };
+}
+
+test("commit: file written, then one snapshot with who/what, then the config is active", (t) => {
+  const { file, history, config, writer } = setup(t);
+  const r = writer.commit(v2, { by: "alice", action: "patch", key: "late_goal", baseVersion: strategiesVersion(v1) });
+  assert.equal(r.ok, true);
+  assert.equal(r.version, strategiesVersion(v2));
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), v2);
+  assert.equal(config.current().version, r.version);
+  // the reload after the write doesn't log the same version again as "file"
+  assert.deepEqual(
+    history.list().map((s) => [s.version, s.by, s.action]),
+    [
+      [strategiesVersion(v1), "file", "reload"],
+      [r.version, "alice", "patch"],
+    ]
+  );
+});
+
+test("commit: a write that fails records no version and keeps the active config", (t) => {
+  const { dir, history, config } = setup(t);
+  const writer = createStrategyWriter({ file: path.join(dir, "missing", "strategies_current.json"), config, history });
+  assert.throws(() => writer.commit(v2, { by: "alice", action: "apply" }), /ENOENT/);
+  assert.deepEqual(
+    history.list().map((s) => s.action),
+    ["reload"]
+  );
+  assert.equal(history.find(strategiesVersion(v2)), null); // nothing for a rollback to target
+  assert.equal(config.current().version, strategiesVersion(v1));
+});
+
+test("commit: stale baseVersion → 409, invalid map → 400; neither writes nor records", (t) => {
+  const { file, history, writer } = setup(t);
+  assert.deepEqual(writer.commit(v2, { by: "bob", action: "put", baseVersion: "0123456789ab" }), {
+    ok: false,
+    status: 409,
+    message: `config changed (active version ${strategiesVersion(v1)}, expected 0123456789ab)`,
+  });
+  const bad = writer.commit({ late_goal: { enabled: "yes" } }, { by: "bob", action: "put" });
+  assert.deepEqual([bad.ok, bad.status, bad.errors], [false, 400, ["late_goal.enabled: must be boolean"]]);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), v1);
+  assert.equal(history.list().length, 1);
+});
@@ -0,0 +1,87 @@
+// withTimeout + abortableClient: timed-out work is told to stop and makes no further API calls
+// acquireLockFile: the cross-process settle lock (server passes vs settle.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { withTimeout, abortableClient, acquireLockFile } from "../utils.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("withTimeout: settles with the work when it is fast enough", async () => {
+  assert.equal(await withTimeout(Promise.resolve(1), 50), 1);
+  assert.equal(await withTimeout(async (signal) => (signal.aborted ? "aborted" : "ok"), 50), "ok");
+});
+
+test("withTimeout: rejects with TIMEOUT and aborts the work's signal", async () => {
+  let seen;
+  await assert.rejects(
+    withTimeout(
+      async (signal) => {
+        seen = signal;
+        await sleep(60);
+      },
+      10,
+      "fixture 7"
+    ),
+    (e) => e.code === "TIMEOUT" && e.message === "fixture 7 timed out after 10ms"
+  );
+  assert.equal(seen.aborted, true);
+  assert.equal(seen.reason.code, "TIMEOUT");
+});
+
+test("abortableClient: no request once the timeout has fired", async () => {
+  const calls = [];
+  const client = async (pathname, params) => {
+    calls.push(pathname);
+    await sleep(30);
+    return { response: [] };
+  };
+  let after;
+  const work = async (signal) => {
+    const api = abortableClient(client, signal);
+    await api("/odds/live", { fixture: 1 });
+    try {
+      await api("/fixtures/statistics", { fixture: 1 });
+    } catch (e) {
+      after = e;
+    }
+  };
+  await assert.rejects(withTimeout(work, 10), { code: "TIMEOUT" });
+  await sleep(40); // the abandoned work resumes after the first response
+  assert.deepEqual(calls, ["/odds/live"]);
+  assert.equal(after.code, "TIMEOUT");
+});
+
+function lockDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lock-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "settle.lock");
+}
+
+test("acquireLockFile: a second holder gets LOCKED until the first releases", (t) => {
+  const file = lockDir(t);
+  const release = acquireLockFile(file, "server");
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).owner, "server");
+  assert.throws(
+    () => acquireLockFile(file, "settle.js"),
+    (e) => e.code === "LOCKED" && e.holder.pid === process.pid && /locked by server/.test(e.message)
+  );
+  release();
+  assert.equal(fs.existsSync(file), false);
+  acquireLockFile(file, "settle.js")();
+});
+
+test("acquireLockFile: a lock left by a dead process is taken over; release leaves a newer holder's lock alone", (t) => {
+  const file = lockDir(t);
+  const dead = spawnSync(process.execPath, ["-e", ""]).pid; // exited → its pid is free
+  fs.writeFileSync(file, JSON.stringify({ pid: dead, owner: "settle.js", since: "2026-10-19T00:00:00.000Z" }));
+  const release = acquireLockFile(file, "server");
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).pid, process.pid);
+
+  fs.writeFileSync(file, JSON.stringify({ pid: process.ppid, owner: "settle.js" })); // someone else's lock now
+  release();
+  assert.equal(fs.existsSync(file), true);
+});
@@ -0,0 +1,143 @@
+// utils.js — small helpers shared by server.js, settlement.js and the CLI scripts
+import fs from "fs";
+
+export function nowIso() {
+  return new Date().toISOString();
+}
+export function safeNumber(v, fallback = 0) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+}
+export function toBool(val) {
+  if (val === true) return true;
+  if (val === false) return false;
+  if (val == null) return false;
+  const s = String(val).trim().toLowerCase();
+  return s === "1" || s === "true" || s === "yes" || s === "y" || s === "on";
+}
+export function clamp01(x) {
+  const n = safeNumber(x, 0);
+  if (n < 0) return 0;
+  if (n > 1) return 1;
+  return n;
+}
+export function appendNdjson(file, obj) {
+  try {
+    fs.appendFileSync(file, JSON.stringify(obj) + "\n", "utf8");
+  } catch (e) {
+    console.error("NDJSON append failed:", e?.message || e);
+  }
+}
+export function readNdjson(file) {
+  if (!fs.existsSync(file)) return [];
+  const lines = fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+  const out = [];
+  for (const line of lines) {
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // ignore bad line
+    }
+  }
+  return out;
+}
+
+// write to a temp file then rename, so readers never see a half-written file
+export function writeJsonAtomic(file, obj) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2) + "\n", "utf8");
+  fs.renameSync(tmp, file);
+}
+
+function readLockFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e?.code === "EPERM"; // exists, owned by another user
+  }
+}
+
+// Cross-process lock: the file is created exclusively with { pid, owner, since }; a lock left by a process that
+// is gone (crash, Ctrl-C) is taken over. → release() | throws code "LOCKED" (err.holder = the lock's contents)
+export function acquireLockFile(file, owner) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify({ pid: process.pid, owner, since: nowIso() }) + "\n", { flag: "wx" });
+      return () => {
+        if (readLockFile(file)?.pid === process.pid) fs.rmSync(file, { force: true });
+      };
+    } catch (e) {
+      if (e?.code !== "EEXIST") throw e;
+    }
+    const holder = readLockFile(file);
+    if (!holder || pidAlive(holder.pid)) {
+      const err = new Error(`locked by ${holder?.owner || "another process"} (pid ${holder?.pid ?? "?"}, since ${holder?.since ?? "?"})`);
+      err.code = "LOCKED";
+      err.holder = holder;
+      throw err;
+    }
+    fs.rmSync(file, { force: true });
+  }
+  const err = new Error(`lock ${file} keeps reappearing`);
+  err.code = "LOCKED";
+  throw err;
+}
+
+// Run fn over items with at most `limit` in flight; results keep the input order
+export async function mapWithConcurrency(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  const n = Math.max(1, Math.min(items.length, Math.floor(limit) || 1));
+  await Promise.all(Array.from({ length: n }, worker));
+  return out;
+}
+
+// Reject with code "TIMEOUT" if the work has not settled after ms
+// - work: a promise (keeps running after the timeout) or (signal) => promise — the signal is aborted
+//   with the TIMEOUT error, so the work can stop (see abortableClient)
+export function withTimeout(work, ms, label = "operation") {
+  const controller = typeof work === "function" ? new AbortController() : null;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`${label} timed out after ${ms}ms`);
+      err.code = "TIMEOUT";
+      controller?.abort(err);
+      reject(err);
+    }, ms);
+  });
+  const promise = controller ? work(controller.signal) : work;
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// API client that refuses new requests once signal is aborted (throws the abort reason);
+// requests already in flight finish, since the cache may share them with other callers
+export function abortableClient(client, signal) {
+  return (pathname, params, opts) => {
+    signal?.throwIfAborted();
+    return client(pathname, params, opts);
+  };
+}
+
+// nearest-rank percentile (p in 0..100) of a numeric array; null when empty
+export function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}